@@ -0,0 +1,180 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Alert Manager Module
+ *
+ * Håller trafikmeddelandena från data/alerts.json (t.ex. "Henriksdalsbryggan
+ * stängd i helgen" eller "15:44 inställd") och avgör vilka som gäller en
+ * tidtabell eller en enskild avgång. Perioderna anges i svensk tid
+ * (Europe/Stockholm) som "YYYY-MM-DDTHH:MM" eller hela dagar som "YYYY-MM-DD"
+ * och jämförs som text. Ett meddelande utan mål gäller alla linjer.
+ *
+ * Versionshistorik:
+ * 6.3.0 - Skapad: Trafikmeddelanden med giltighetsperioder, allvarlighetsgrad och mål
+ *
+ * @author Christian Gillinger
+ * @version 6.3.0
+ * @license MIT
+ */
+
+class AlertManager {
+    /**
+     * Initierar AlertManager
+     * @param {TimeHandler} timeHandler - TimeHandler för svensk tid och trafikdagar
+     */
+    constructor(timeHandler) {
+        this.timeHandler = timeHandler;
+        // Allvarlighetsgrader, allvarligast först
+        this.severities = ['severe', 'warning', 'info'];
+        // Giltiga meddelanden från senaste inläsningen
+        this.alerts = [];
+    }
+
+    /**
+     * Ersätter meddelandena med innehållet i alerts.json
+     * Meddelanden utan text eller giltiga perioder ignoreras
+     * @param {Object|null} data - Innehållet i alerts.json ({alerts: [...]})
+     */
+    setAlerts(data) {
+        const alerts = data && Array.isArray(data.alerts) ? data.alerts : [];
+        this.alerts = alerts
+            .filter(alert => alert && alert.message && Array.isArray(alert.active_periods))
+            .map(alert => Object.assign({}, alert, {
+                severity: this.severities.includes(alert.severity) ? alert.severity : 'info',
+                targets: Array.isArray(alert.targets) ? alert.targets : [],
+                periods: alert.active_periods
+                    .map(period => this.normalizePeriod(period))
+                    .filter(Boolean)
+            }))
+            .filter(alert => alert.periods.length > 0);
+    }
+
+    /**
+     * Gör om en period till jämförbara tidsstämplar i svensk tid
+     * @param {Object} period - {start, end} som "YYYY-MM-DDTHH:MM" eller "YYYY-MM-DD" (hela dagen)
+     * @returns {Object|null} {start, end} som "YYYY-MM-DDTHH:MM", eller null om perioden är ogiltig
+     */
+    normalizePeriod(period) {
+        const start = period && this.normalizeStamp(period.start, '00:00');
+        const end = period && this.normalizeStamp(period.end, '23:59');
+        return start && end && start <= end ? { start, end } : null;
+    }
+
+    /**
+     * Gör om ett datum eller en tidpunkt till en tidsstämpel i svensk tid
+     * @param {string} value - "YYYY-MM-DDTHH:MM" eller "YYYY-MM-DD"
+     * @param {string} dayTime - Klockslag för datum utan tid (HH:MM)
+     * @returns {string|null} Tidsstämpel "YYYY-MM-DDTHH:MM", eller null om värdet är ogiltigt
+     */
+    normalizeStamp(value, dayTime) {
+        if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(value)) {
+            return null;
+        }
+        return value.length === 10 ? `${value}T${dayTime}` : value;
+    }
+
+    /**
+     * Skapar en tidsstämpel i svensk tid för en tid på en trafikdag
+     * Trafikdygnstider (24:05) hamnar på nästa kalenderdag
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @param {string} time - Tid i HH:MM-format
+     * @returns {string} Tidsstämpel "YYYY-MM-DDTHH:MM"
+     */
+    getStamp(date, time) {
+        const minutes = this.timeHandler.timeToMinutes(time);
+        const day = this.timeHandler.addDays(date, Math.floor(minutes / (24 * 60)));
+        return `${this.timeHandler.formatDate(day)}T${this.timeHandler.minutesToTime(minutes % (24 * 60))}`;
+    }
+
+    /**
+     * Skapar en tidsstämpel i svensk tid för ett ögonblick
+     * @param {Date} [instant] - Ögonblick (standard: nu)
+     * @returns {string} Tidsstämpel "YYYY-MM-DDTHH:MM"
+     */
+    getNowStamp(instant = new Date()) {
+        const today = this.timeHandler.getToday(instant);
+        return `${this.timeHandler.formatDate(today)}T${this.timeHandler.minutesToTime(this.timeHandler.getCurrentMinutes(instant))}`;
+    }
+
+    /**
+     * Kontrollerar om ett meddelande ska visas som banner vid en tidpunkt
+     * Bannern visas från display_from (standard: första periodens start) till sista periodens slut
+     * @param {Object} alert - Meddelande från setAlerts
+     * @param {string} stamp - Tidsstämpel "YYYY-MM-DDTHH:MM"
+     * @returns {boolean} Sant om meddelandet ska visas
+     */
+    isDisplayed(alert, stamp) {
+        const firstStart = alert.periods.reduce((first, period) => (period.start < first ? period.start : first), alert.periods[0].start);
+        const lastEnd = alert.periods.reduce((last, period) => (period.end > last ? period.end : last), alert.periods[0].end);
+        const displayFrom = this.normalizeStamp(alert.display_from, '00:00') || firstStart;
+        return stamp >= displayFrom && stamp <= lastEnd;
+    }
+
+    /**
+     * Kontrollerar om ett meddelande gäller vid en tidpunkt
+     * @param {Object} alert - Meddelande från setAlerts
+     * @param {string} stamp - Tidsstämpel "YYYY-MM-DDTHH:MM"
+     * @returns {boolean} Sant om tidpunkten ligger i någon av meddelandets perioder
+     */
+    isActiveAt(alert, stamp) {
+        return alert.periods.some(period => stamp >= period.start && stamp <= period.end);
+    }
+
+    /**
+     * Kontrollerar om ett mål gäller en linje och riktning
+     * @param {Object} target - Mål {line?, direction?, stop?, trip?, time?}
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} direction - Riktning ('loop', 'to_city' eller 'from_city')
+     * @returns {boolean} Sant om målet gäller tidtabellen
+     */
+    matchesTimetable(target, line, direction) {
+        return (!target.line || target.line === line) && (!target.direction || target.direction === direction);
+    }
+
+    /**
+     * Sorterar meddelanden med de allvarligaste först
+     * @param {Array<Object>} alerts - Meddelanden
+     * @returns {Array<Object>} Sorterade meddelanden
+     */
+    sortBySeverity(alerts) {
+        return alerts.slice().sort((a, b) => this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity));
+    }
+
+    /**
+     * Hämtar meddelanden som visas som banner på en tidtabell
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} direction - Riktning
+     * @param {Date} [instant] - Ögonblick (standard: nu)
+     * @returns {Array<Object>} Meddelanden {id, severity, title, message, ...}, allvarligaste först
+     */
+    getTimetableAlerts(line, direction, instant = new Date()) {
+        const stamp = this.getNowStamp(instant);
+        return this.sortBySeverity(this.alerts.filter(alert => this.isDisplayed(alert, stamp) &&
+            (alert.targets.length === 0 || alert.targets.some(target => this.matchesTimetable(target, line, direction)))));
+    }
+
+    /**
+     * Hämtar meddelanden som markeras på en enskild avgång
+     * Bara mål med brygga, tur eller tid markerar avgångar - mål för hela linjen visas som banner.
+     * Avgången måste ligga inom någon av meddelandets perioder
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} direction - Riktning
+     * @param {string} stop - Hållplats
+     * @param {Object} timeObj - Tidsobjekt med .time och .trip
+     * @param {Date} date - Avgångens trafikdag som UTC-midnatt
+     * @returns {Array<Object>} Meddelanden, allvarligaste först
+     */
+    getDepartureAlerts(line, direction, stop, timeObj, date) {
+        const stamp = this.getStamp(date, timeObj.time);
+        const tripId = timeObj.trip && timeObj.trip.id;
+        return this.sortBySeverity(this.alerts.filter(alert => this.isActiveAt(alert, stamp) &&
+            alert.targets.some(target => (target.stop || target.trip || target.time) &&
+                this.matchesTimetable(target, line, direction) &&
+                (!target.stop || target.stop === stop) &&
+                (!target.trip || target.trip === tripId) &&
+                (!target.time || target.time === timeObj.time))));
+    }
+}
+
+// Exportera för Node (tools/validate-schedules.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlertManager;
+}
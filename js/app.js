@@ -6,6 +6,36 @@
  * och hanterar applikationens övergripande livscykel.
  * 
  * Versionshistorik:
+ * 6.6.5 - Exempel på tilläggsfil: regatta på Hammarby sjö 2027-06-12 för Sjöstadstrafiken (data/ressel-sjo-overlay-2027-06-12.json)
+ * 6.6.4 - En tilläggsfil som inte går att ladda eller lägga på hoppas över med en varning, säsongens tidtabell visas ändå
+ * 6.6.3 - Tisdagsservicen ställer in 09:58 från Djurgården istället för den obefintliga 09:56, validatorn rapporterar tider i service_exclusions utan avgång
+ * 6.6.2 - tools/export-gtfs.js avvisar okända parametrar och visar användningen med --help
+ * 6.6.1 - Lovavgångar (validity extra_departures) följer säsongens extra_departures_periods istället för fasta ISO-veckor
+ * 6.6.0 - Stängda bryggor (stop_closures) visas gråade och markering och talsyntes hänvisar till närmaste öppna brygga
+ * 6.5.0 - Tillfälliga tilläggsfiler (overlays) per datum läggs ovanpå säsongens tidtabell vid laddning
+ * 6.4.0 - Realtidsflöde (RealtimeManager, JSON eller GTFS-Realtime) med ny tid, inställda turer och extraturer, URL-parameter realtime=mock
+ * 6.3.0 - Trafikmeddelanden (data/alerts.json, AlertManager) som banner på tidtabellerna och markering på avgångar
+ * 6.2.0 - Återkommande inställda avgångar (service_exclusions) visas överstrukna med orsak, inställning och URL-parameter cancelled
+ * 6.1.0 - Priser per linje och biljettkalkylator (FareCalculator) under App-information
+ * 6.0.0 - Linjeregister (data/lines.json) styr laddning, inställningar, URL-parametrar och rendering
+ * 5.18.0 - GTFS-flöde (dataPaths.gtfs eller zip-fil i inställningarna) som datakälla med ett kort per linje och riktning
+ * 5.17.0 - GTFS-export (zip) i inställningarna och tools/export-gtfs.js, tidtabellsval utbrutet till ScheduleResolver
+ * 5.16.0 - Kalenderexport (.ics) av avgångar: enskild avgång eller samma tid hela säsongen med undantagsdagar
+ * 5.15.0 - Utskriftsanslag (A4) för valda linjer och period: dagtyper sida vid sida, giltighet, noteringar och priser
+ * 5.14.0 - Heldagstabell per linje och riktning (grid) med perioder, passerade turer och aktuell tid
+ * 5.13.0 - "Visa dag": datumväljare och date-parameter visar hela tidtabellen för ett valt datum
+ * 5.12.0 - Täckningskalender i inställningarna: säsong och fil per dag, glapp, överlapp, helgdagar och underhåll
+ * 5.11.0 - Valideringsverktyg för data/*.json (tools/validate-schedules.js)
+ * 5.10.0 - Visningsläge klockslag/nedräkning/hybrid (display, countdown) för markerad hållplats
+ * 5.9.0 - Trafikdygn över midnatt: tider från 24:00, service_day_end styr dagsbytet i checkForMidnight
+ * 5.8.0 - All schemaberäkning i Europe/Stockholm oavsett enhetens tidszon, DST-säker dagsaritmetik
+ * 5.7.0 - Reseplanerare mellan två bryggor med byten vid gemensamma bryggor (planner, from, to)
+ * 5.6.0 - Turer följer med avgångarna till Renderer, tryck på en tid visar båtens hela tur
+ * 5.5.0 - Kanoniskt turbaserat tidtabellsformat (schema_version 2) via ScheduleUpgrader, ersätter extractDisembarkOnlyTimes
+ * 5.4.0 - Sjöstadstrafikens tidtabeller genereras från service_configuration (PatternGenerator)
+ * 5.3.0 - Datumbegränsade perioder och avgångar (validity), t.ex. lunchturer endast under lov
+ * 5.2.0 - Beräknad svensk helgdagskalender (calendar_rules) för båda linjerna
+ * 5.1.0 - Trafikfria dagar (holiday_rules.no_traffic) hanteras, nästa trafikdag visas med datum
  * 5.0.2 - CSP-fixar: unsafe-inline, frame-ancestors, enctype
  * 5.0.1 - SÄKERHETSHÄRDNING: innerHTML→textContent, URL-validering, CSP-kompatibel
  * 5.0.0 - Simplified timetable structure (50% fewer files), Winter 2025/2026 added
@@ -20,7 +50,7 @@
  * 1.0.0 - Originalversion baserad på MMM-Resseltrafiken
  * 
  * @author Christian Gillinger
- * @version 5.0.2
+ * @version 6.6.5
  * @license MIT
  */
 
@@ -51,32 +81,76 @@ document.addEventListener('DOMContentLoaded', async function() {
         return value;
     }
 
+    /**
+     * Kontrollerar att en sträng är ett existerande datum i YYYY-MM-DD-format
+     * @param {string} value - Sträng att kontrollera
+     * @returns {boolean} Sant om datumet är giltigt
+     */
+    function isValidDateString(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+        const date = new Date(value + 'T00:00:00Z');
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
     /**
      * Applikationskonfigurationsobjekt
      * @type {Object}
      */
     const config = {
-        version: '5.0.2',                  // Applikationsversion (uppdatera vid varje ny version)
+        version: '6.6.5',                  // Applikationsversion (uppdatera vid varje ny version)
         updateInterval: 60000,             // Uppdateringsintervall i millisekunder (1 minut)
         dataRefreshInterval: 1800000,      // Uppdatera data från server var 30:e minut
+        realtimeInterval: 30000,           // Hämta realtidsflödet var 30:e sekund
+        realtimeMaxAge: 600000,            // Realtidsflöden äldre än 10 minuter ignoreras
+        realtimeFormat: 'json',            // Realtidsflödets format: 'json' eller 'gtfs-rt' (GTFS-Realtime TripUpdates)
         midnightCheckInterval: 60000,      // Kontrollera midnatt var minut
         versionCheckInterval: 3600000,     // Kontrollera versionsuppdateringar varje timme
         showBothDirections: true,          // Visa både utgående och returresor
-        showSjostadstrafiken: true,        // Visa Sjöstadstrafiken tidtabell
-        showEmelietrafiken: true,          // Visa Emelietrafiken (M/S Emelie) tidtabell
+        lineVisibility: {},                // Visning per linje-id, överskrider "visible" i linjeregistret
+        showJourneyPlanner: false,         // Visa reseplaneraren
+        journeyFrom: "Lumabryggan",        // Reseplanerarens påstigningsbrygga
+        journeyTo: "Djurgården",           // Reseplanerarens avstigningsbrygga
+        journeyResults: 5,                 // Antal resor som visas i reseplaneraren
+        minTransferMinutes: 2,             // Minsta bytestid mellan linjerna i minuter
         showSpeechSynthesis: false,        // Visa talsyntes-knappar för tillgänglighet (ändrat till false)
         showDisembarkOnly: true,           // Visa "Endast avstigning" indikator (aktivt som standard)
-        highlightStop: "Lumabryggan",      // Hållplats att markera i användargränssnittet
-        cityHighlightStop: "Lumabryggan",  // Hållplats att markera för citylinjen (till city)
-        cityReturnStop: "Nybroplan",       // Returhållplats att markera för cityriktning
+        showCancelled: true,               // Visa inställda avgångar (service_exclusions) överstrukna med orsak
+        highlightStops: {},                // Markerad brygga per "linje.riktning", överskrider "highlight" i linjeregistret
         maxVisibleDepartures: 7,           // Standardantal synliga avgångar per hållplats
+        displayMode: "clock",              // Tidsvisning för markerad hållplats: 'clock', 'countdown' eller 'hybrid'
+        countdownThreshold: 15,            // Hybridläge: visa nedräkning för avgångar inom så många minuter
+        showDayGrid: false,                // Visa hela dagen som tabell med turerna som kolumner
+        dayGridColumns: 12,                // Max antal turer per tabellblock i heldagstabellen
+        noTrafficLookaheadDays: 14,        // Antal dagar framåt att leta efter nästa trafikdag
+        coverageMonths: 3,                 // Antal månader som visas i täckningskalendern
+        printMaxDays: 92,                  // Längsta period för utskriftsanslag i dagar
+        calendarExportMaxDays: 183,        // Längsta period för återkommande kalenderavgång i dagar
+        gtfsExportDays: 180,               // Antal dagar från idag i GTFS-exporten
+        viewDate: null,                    // Visa hel tidtabell för detta datum (YYYY-MM-DD) istället för idag
         dataPaths: {                       // Sökvägar till konfigurationsfiler
-            sjoConfig: './data/ressel-sjo-config.json',
-            cityConfig: './data/ressel-city-config.json'
+            lines: './data/lines.json',    // Linjeregister med linjernas konfigurationsfiler i data/
+            alerts: './data/alerts.json',  // Trafikmeddelanden som visas som banner och på avgångar
+            realtime: null,                // Realtidsflöde (förseningar, inställda turer, extraturer), null = bara tidtabell
+            gtfs: null                     // GTFS-flöde (zip, samma ursprung) som ersätter linjeregistret
         },
         debug: false                       // Aktivera debugloggning
     };
 
+    // Exempelflöde för realtid under utveckling (?realtime=mock)
+    const REALTIME_MOCK_PATH = './data/realtime-mock.json';
+
+    // Tillåtna visningslägen för avgångstider (config.displayMode)
+    const DISPLAY_MODES = ['clock', 'countdown', 'hybrid'];
+
+    // Noteringar i metadata.notes som visas tillsammans med priserna
+    const FARE_NOTE_KEYS = ['payment', 'children', 'bicycles'];
+
+    // Sparade inställningar från före linjeregistret (5.x) och deras nya nycklar
+    const LEGACY_LINE_SETTINGS = { showSjostadstrafiken: 'sjo', showEmelietrafiken: 'city' };
+    const LEGACY_HIGHLIGHT_SETTINGS = { highlightStop: 'sjo.loop', cityHighlightStop: 'city.to_city', cityReturnStop: 'city.from_city' };
+
     // Flag för att spåra om app är nyligen uppdaterad
     let isAppUpdated = false;
 
@@ -166,35 +240,14 @@ document.addEventListener('DOMContentLoaded', async function() {
     document.documentElement.style.setProperty('--visible-departures', config.maxVisibleDepartures);
 
     // Lagra laddad tidtabellsdata för olika dagar
+    // Dagsdata har en nyckel per linje-id samt isExpired, noTraffic och expiryDate per linje-id
     let timetableData = {
-        today: {
-            sjo: null,
-            city: null,
-            disembarkOnly: {
-                toCity: null,
-                fromCity: null
-            },
-            isExpired: {
-                sjo: false,
-                city: false
-            },
-            expiryDate: {
-                sjo: null,
-                city: null
-            }
-        },
-        tomorrow: {
-            sjo: null,
-            city: null,
-            disembarkOnly: {
-                toCity: null,
-                fromCity: null
-            }
-        },
-        config: {
-            sjo: null,
-            city: null
-        },
+        today: null,
+        tomorrow: null,
+        viewDay: null, // Tidtabell för datumet i config.viewDate
+        gtfs: null, // Inläst GTFS-flöde {feed, source, date, today, tomorrow} när det är datakälla
+        lines: null, // Linjer från linjeregistret i visningsordning
+        config: null, // Linjernas konfigurationer per linje-id
         lastUpdate: null, // Tidpunkt för senaste uppdatering från server
         lastRefresh: null // Tidpunkt för senaste uppdatering av visning
     };
@@ -204,11 +257,29 @@ document.addEventListener('DOMContentLoaded', async function() {
         displayUpdate: null,    // För 1-minuts uppdatering av visningen
         dataRefresh: null,      // För 30-minuters uppdatering av data
         midnightCheck: null,    // För kontroll av dagsbyte vid midnatt
-        versionCheck: null      // För kontroll av versionsuppdateringar
+        versionCheck: null,     // För kontroll av versionsuppdateringar
+        realtime: null          // För hämtning av realtidsflödet
     };
 
     const timeHandler = new TimeHandler();
-    const renderer = new Renderer(config);
+    const holidayCalendar = new HolidayCalendar();
+    const scheduleResolver = new ScheduleResolver(timeHandler, holidayCalendar);
+    const patternGenerator = new PatternGenerator(timeHandler);
+    const scheduleUpgrader = new ScheduleUpgrader();
+    const journeyPlanner = new JourneyPlanner(timeHandler, { minTransferMinutes: config.minTransferMinutes });
+    const fareCalculator = new FareCalculator();
+    const alertManager = new AlertManager(timeHandler);
+    const icsExporter = new IcsExporter(timeHandler);
+    const gtfsExporter = new GtfsExporter(timeHandler, holidayCalendar);
+    const gtfsImporter = new GtfsImporter(timeHandler, holidayCalendar);
+    // Hållplatser i GTFS-Realtime anges med stop_id från GTFS-exporten
+    const realtimeManager = new RealtimeManager(timeHandler, {
+        maxAge: config.realtimeMaxAge,
+        stopId: stop => gtfsExporter.createId(stop)
+    });
+    realtimeManager.registerAdapter('gtfs-rt', new GtfsRealtimeAdapter());
+    const renderer = new Renderer(config, timeHandler);
+    renderer.onCalendarExport = exportDeparture;
     
     // Behåll en referens till inställningspanelen
     let settingsPanel = null;
@@ -224,17 +295,27 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     /**
-     * Hämtar dagnumret (1-7) för ett givet datum
-     * @param {Date} date Datum att hämta dagnummer för
+     * Hämtar dagnumret (1-7) för en trafikdag
+     * @param {Date} date Trafikdag (UTC-midnatt) att hämta dagnummer för
      * @returns {number} Dagnummer (1-7, där 1 är måndag)
      */
     function getDayNumber(date) {
-        return convertJsDayToAppDay(date.getDay());
+        return convertJsDayToAppDay(date.getUTCDay());
+    }
+
+    /**
+     * Beräknar antal dagar mellan aktuell trafikdag och en annan trafikdag
+     * @param {Date} date Trafikdag att jämföra
+     * @param {Date} currentDate Aktuell trafikdag
+     * @returns {number} Dagsförskjutning (0 = samma dag)
+     */
+    function getDayOffset(date, currentDate) {
+        return timeHandler.getDaysBetween(currentDate, date);
     }
 
     /**
      * Skapar tidsobjekt med dagsinformation
-     * @param {Array<string>} times Array med tidssträngrar
+     * @param {Array<Object>} times Array med stopptider {time, pickup, trip, cancelled?, realtime?, delay?, added?} från buildStopTimes
      * @param {Date} date Datum för dessa tider
      * @param {Date} currentDate Aktuellt datum för jämförelse
      * @returns {Array<Object>} Förbättrade tidsobjekt med dagsinformation
@@ -243,24 +324,16 @@ document.addEventListener('DOMContentLoaded', async function() {
         if (!Array.isArray(times)) return [];
         
         const dayNumber = getDayNumber(date);
-        let dayOffset = 0;
-        
-        // Beräkna dagsförskjutning baserat på datum
-        if (date.toDateString() !== currentDate.toDateString()) {
-            // Enkel beräkning för morgondagen (vanligaste fallet)
-            if (date.getDate() === currentDate.getDate() + 1 &&
-                date.getMonth() === currentDate.getMonth() &&
-                date.getFullYear() === currentDate.getFullYear()) {
-                dayOffset = 1;
-            } else {
-                // För andra fall, beräkna exakt skillnad
-                const diffTime = date.getTime() - currentDate.getTime();
-                dayOffset = Math.ceil(diffTime / (1000 * 3600 * 24));
-            }
-        }
-        
-        return times.map(time => ({
-            time: time,
+        const dayOffset = getDayOffset(date, currentDate);
+        
+        return times.map(stopTime => ({
+            time: stopTime.time,
+            pickup: stopTime.pickup,
+            trip: stopTime.trip,
+            cancelled: stopTime.cancelled,
+            realtime: stopTime.realtime,
+            delay: stopTime.delay,
+            added: stopTime.added,
             isToday: dayOffset === 0,
             day: dayNumber,
             dayOffset: dayOffset
@@ -330,12 +403,34 @@ document.addEventListener('DOMContentLoaded', async function() {
                 const savedSettings = JSON.parse(localStorage.getItem('sjostadsfarjetrafiken_settings'));
                 
                 // Tillämpa sparade inställningar om de finns, men överskrid inte URL-parametrar
-                if (savedSettings.showSjostadstrafiken !== undefined && !urlHasParam('sjo')) {
-                    config.showSjostadstrafiken = savedSettings.showSjostadstrafiken;
+                // Linjernas URL-parametrar finns i linjeregistret och tillämpas när det har laddats
+                config.lineVisibility = Object.assign({}, savedSettings.lineVisibility);
+                config.highlightStops = Object.assign({}, savedSettings.highlightStops);
+                Object.entries(LEGACY_LINE_SETTINGS).forEach(([key, line]) => {
+                    if (savedSettings[key] !== undefined && config.lineVisibility[line] === undefined) {
+                        config.lineVisibility[line] = savedSettings[key];
+                    }
+                });
+                Object.entries(LEGACY_HIGHLIGHT_SETTINGS).forEach(([key, section]) => {
+                    if (savedSettings[key] !== undefined && config.highlightStops[section] === undefined) {
+                        config.highlightStops[section] = savedSettings[key];
+                    }
+                });
+                
+                if (savedSettings.showJourneyPlanner !== undefined && !urlHasParam('planner')) {
+                    config.showJourneyPlanner = savedSettings.showJourneyPlanner;
+                }
+                
+                if (savedSettings.showDayGrid !== undefined && !urlHasParam('grid')) {
+                    config.showDayGrid = savedSettings.showDayGrid;
                 }
                 
-                if (savedSettings.showEmelietrafiken !== undefined && !urlHasParam('emelie')) {
-                    config.showEmelietrafiken = savedSettings.showEmelietrafiken;
+                if (savedSettings.journeyFrom !== undefined && !urlHasParam('from')) {
+                    config.journeyFrom = savedSettings.journeyFrom;
+                }
+                
+                if (savedSettings.journeyTo !== undefined && !urlHasParam('to')) {
+                    config.journeyTo = savedSettings.journeyTo;
                 }
                 
                 if (savedSettings.showBothDirections !== undefined && !urlHasParam('bothdir')) {
@@ -348,16 +443,12 @@ document.addEventListener('DOMContentLoaded', async function() {
                     document.documentElement.style.setProperty('--visible-departures', config.maxVisibleDepartures);
                 }
                 
-                if (savedSettings.highlightStop !== undefined && !urlHasParam('highlight')) {
-                    config.highlightStop = savedSettings.highlightStop;
-                }
-                
-                if (savedSettings.cityHighlightStop !== undefined && !urlHasParam('cityhighlight')) {
-                    config.cityHighlightStop = savedSettings.cityHighlightStop;
+                if (DISPLAY_MODES.includes(savedSettings.displayMode) && !urlHasParam('display')) {
+                    config.displayMode = savedSettings.displayMode;
                 }
                 
-                if (savedSettings.cityReturnStop !== undefined && !urlHasParam('returnstop')) {
-                    config.cityReturnStop = savedSettings.cityReturnStop;
+                if (savedSettings.countdownThreshold !== undefined && !urlHasParam('countdown')) {
+                    config.countdownThreshold = savedSettings.countdownThreshold;
                 }
                 
                 if (savedSettings.showSpeechSynthesis !== undefined && !urlHasParam('speech')) {
@@ -369,6 +460,10 @@ document.addEventListener('DOMContentLoaded', async function() {
                     config.showDisembarkOnly = savedSettings.showDisembarkOnly;
                 }
                 
+                if (savedSettings.showCancelled !== undefined && !urlHasParam('cancelled')) {
+                    config.showCancelled = savedSettings.showCancelled;
+                }
+                
                 // Kontrollera sparad version mot aktuell version för uppdateringsnotifiering
                 if (savedSettings.appVersion && savedSettings.appVersion !== config.version) {
                     isAppUpdated = true;
@@ -397,15 +492,19 @@ document.addEventListener('DOMContentLoaded', async function() {
             if (localStorage) {
                 const settings = {
                     appVersion: config.version,
-                    showSjostadstrafiken: config.showSjostadstrafiken,
-                    showEmelietrafiken: config.showEmelietrafiken,
+                    lineVisibility: config.lineVisibility,
                     showBothDirections: config.showBothDirections,
+                    showJourneyPlanner: config.showJourneyPlanner,
+                    showDayGrid: config.showDayGrid,
+                    journeyFrom: config.journeyFrom,
+                    journeyTo: config.journeyTo,
                     maxVisibleDepartures: config.maxVisibleDepartures,
-                    highlightStop: config.highlightStop,
-                    cityHighlightStop: config.cityHighlightStop,
-                    cityReturnStop: config.cityReturnStop,
+                    displayMode: config.displayMode,
+                    countdownThreshold: config.countdownThreshold,
+                    highlightStops: config.highlightStops,
                     showSpeechSynthesis: config.showSpeechSynthesis,
                     showDisembarkOnly: config.showDisembarkOnly,
+                    showCancelled: config.showCancelled,
                     lastUpdated: new Date().toISOString()
                 };
                 
@@ -424,36 +523,29 @@ document.addEventListener('DOMContentLoaded', async function() {
     function loadConfigFromURL() {
         const urlParams = new URLSearchParams(window.location.search);
         
-        // Kontrollera visa/dölj-parametrar
-        if (urlParams.has('sjo')) {
-            config.showSjostadstrafiken = urlParams.get('sjo') === '1' || 
-                                          urlParams.get('sjo') === 'true';
+        // Kontrollera visa/dölj-parametrar (linjernas parametrar tillämpas i applyLineURLParams)
+        if (urlParams.has('planner')) {
+            config.showJourneyPlanner = urlParams.get('planner') === '1' || 
+                                        urlParams.get('planner') === 'true';
         }
         
-        if (urlParams.has('emelie')) {
-            config.showEmelietrafiken = urlParams.get('emelie') === '1' || 
-                                        urlParams.get('emelie') === 'true';
+        if (urlParams.has('grid')) {
+            config.showDayGrid = urlParams.get('grid') === '1' || 
+                                 urlParams.get('grid') === 'true';
         }
         
         // SÄKERHETSHÄRDAD: Validera hållplatsparametrar
-        if (urlParams.has('highlight')) {
-            const validatedStop = validateURLParam(decodeURIComponent(urlParams.get('highlight')));
-            if (validatedStop) {
-                config.highlightStop = validatedStop;
-            }
-        }
-        
-        if (urlParams.has('cityhighlight')) {
-            const validatedStop = validateURLParam(decodeURIComponent(urlParams.get('cityhighlight')));
+        if (urlParams.has('from')) {
+            const validatedStop = validateURLParam(decodeURIComponent(urlParams.get('from')));
             if (validatedStop) {
-                config.cityHighlightStop = validatedStop;
+                config.journeyFrom = validatedStop;
             }
         }
         
-        if (urlParams.has('returnstop')) {
-            const validatedStop = validateURLParam(decodeURIComponent(urlParams.get('returnstop')));
+        if (urlParams.has('to')) {
+            const validatedStop = validateURLParam(decodeURIComponent(urlParams.get('to')));
             if (validatedStop) {
-                config.cityReturnStop = validatedStop;
+                config.journeyTo = validatedStop;
             }
         }
         
@@ -475,6 +567,12 @@ document.addEventListener('DOMContentLoaded', async function() {
                                       urlParams.get('disembark') === 'true';
         }
         
+        // Kontrollera om inställda avgångar ska visas
+        if (urlParams.has('cancelled')) {
+            config.showCancelled = urlParams.get('cancelled') === '1' || 
+                                   urlParams.get('cancelled') === 'true';
+        }
+        
         // SÄKERHETSHÄRDAD: Validera maxVisibleDepartures
         if (urlParams.has('maxdep')) {
             let maxDep = parseInt(urlParams.get('maxdep'), 10);
@@ -490,12 +588,79 @@ document.addEventListener('DOMContentLoaded', async function() {
             setDefaultDeparturesBasedOnScreenSize();
         }
         
+        // SÄKERHETSHÄRDAD: Endast kända visningslägen accepteras
+        if (urlParams.has('display')) {
+            const displayMode = urlParams.get('display');
+            if (DISPLAY_MODES.includes(displayMode)) {
+                config.displayMode = displayMode;
+            } else {
+                console.warn(`Okänt visningsläge "${displayMode}", ignoreras`);
+            }
+        }
+        
+        // SÄKERHETSHÄRDAD: Validera gränsen för nedräkning i hybridläge
+        if (urlParams.has('countdown')) {
+            const threshold = parseInt(urlParams.get('countdown'), 10);
+            // Begränsa till rimligt intervall (1-60)
+            if (!isNaN(threshold) && threshold >= 1 && threshold <= 60) {
+                config.countdownThreshold = threshold;
+            } else {
+                console.warn('countdown utanför giltigt intervall (1-60), ignoreras');
+            }
+        }
+        
+        // SÄKERHETSHÄRDAD: Endast giltiga datum i YYYY-MM-DD-format
+        if (urlParams.has('date')) {
+            const viewDate = urlParams.get('date');
+            if (isValidDateString(viewDate)) {
+                config.viewDate = viewDate;
+            } else {
+                console.warn(`Ogiltigt datum "${viewDate}", ignoreras`);
+            }
+        }
+        
+        // SÄKERHETSHÄRDAD: Bara det lokala exempelflödet kan väljas via URL, andra flöden anges i config.dataPaths
+        if (urlParams.has('realtime')) {
+            if (urlParams.get('realtime') === 'mock') {
+                config.dataPaths.realtime = REALTIME_MOCK_PATH;
+                config.realtimeFormat = 'json';
+            } else {
+                console.warn('realtime stöder bara värdet "mock", ignoreras');
+            }
+        }
+        
         // Kontrollera för forceUpdate parameter - används för att tvinga om en uppdatering
         if (urlParams.has('forceUpdate')) {
             clearCacheAndReload();
         }
     }
     
+    /**
+     * Tillämpar linjernas URL-parametrar från linjeregistret
+     * Linjens url_param visar/döljer linjen, riktningarnas url_param väljer markerad brygga
+     * SÄKERHETSHÄRDAD: Validerar hållplatsparametrar
+     * @param {Array<Object>} lines - Linjer från linjeregistret
+     */
+    function applyLineURLParams(lines) {
+        const urlParams = new URLSearchParams(window.location.search);
+        
+        lines.forEach(line => {
+            if (line.url_param && urlParams.has(line.url_param)) {
+                config.lineVisibility[line.id] = urlParams.get(line.url_param) === '1' || 
+                                                 urlParams.get(line.url_param) === 'true';
+            }
+            
+            line.directions.forEach(direction => {
+                if (direction.url_param && urlParams.has(direction.url_param)) {
+                    const validatedStop = validateURLParam(decodeURIComponent(urlParams.get(direction.url_param)));
+                    if (validatedStop) {
+                        config.highlightStops[`${line.id}.${direction.id}`] = validatedStop;
+                    }
+                }
+            });
+        });
+    }
+    
     /**
      * Sätter standardantal synliga avgångar baserat på skärmstorlek
      */
@@ -526,292 +691,457 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     /**
-     * Extraherar "Endast avstigning"-tider för en viss tidtabell
-     * Hanterar alla möjliga datastrukturer
-     * 
-     * @param {Object} scheduleData - Tidtabellsdata
-     * @param {string} direction - Riktning ('to_city' eller 'from_city')
-     * @returns {Object} Objekt med hållplatser som nycklar och arrayer av tider som värden
+     * Laddar linjeregistret och alla linjers konfigurationsfiler
+     * med cache-busting för att säkerställa senaste data
+     * Linjerna sparas i timetableData.lines och deras URL-parametrar tillämpas
+     * @returns {Promise<Object>} Den laddade konfigurationsdatan per linje-id
      */
-    function extractDisembarkOnlyTimes(scheduleData, direction) {
-        if (!scheduleData || !scheduleData.disembark_only) {
-            return null;
-        }
-        
-        const disembarkOnlyTimes = {};
-        const dayType = scheduleData.metadata?.day_type || 'unknown';
-        
+    async function loadConfigData() {
         try {
-            // Hantera olika strukturer för disembark_only data
+            debugLog('Laddar konfigurationsdata...');
             
-            // Struktur 1: Direkt under root med dagtyp (saturday, sunday, weekday)
-            if (scheduleData.disembark_only[dayType]) {
-                Object.entries(scheduleData.disembark_only[dayType]).forEach(([stop, times]) => {
-                    if (Array.isArray(times)) {
-                        disembarkOnlyTimes[stop] = times;
-                    }
-                });
-                return disembarkOnlyTimes;
+            const registryResponse = await fetch(addCacheBuster(config.dataPaths.lines));
+            if (!registryResponse.ok) {
+                throw new Error(`HTTP error! status: ${registryResponse.status} (${config.dataPaths.lines})`);
             }
             
-            // Struktur 2: Direkt under disembark_only utan dagtyp (för vissa vinterfiler)
-            const directStopEntries = Object.entries(scheduleData.disembark_only).filter(
-                ([key, value]) => !['to_city', 'from_city', 'saturday', 'sunday', 'weekday'].includes(key)
-            );
-            
-            if (directStopEntries.length > 0) {
-                directStopEntries.forEach(([stop, times]) => {
-                    if (Array.isArray(times)) {
-                        disembarkOnlyTimes[stop] = times;
-                    }
-                });
-                
-                // Om det finns direktstop och vi har data, returnera det
-                if (Object.keys(disembarkOnlyTimes).length > 0) {
-                    return disembarkOnlyTimes;
-                }
+            const registry = await registryResponse.json();
+            const lines = registry.lines || [];
+            if (lines.length === 0) {
+                throw new Error('Linjeregistret innehåller inga linjer');
             }
             
-            // Struktur 3: Med riktningsinformation (to_city, from_city)
-            if (scheduleData.disembark_only[direction]) {
-                // Struktur 3.1: Direkt under riktning
-                const directRichtungsStops = Object.entries(scheduleData.disembark_only[direction]).filter(
-                    ([key, value]) => !['morning', 'lunch', 'afternoon', 'stops'].includes(key) && Array.isArray(value)
-                );
-                
-                if (directRichtungsStops.length > 0) {
-                    directRichtungsStops.forEach(([stop, times]) => {
-                        disembarkOnlyTimes[stop] = times;
-                    });
-                    return disembarkOnlyTimes;
-                }
-                
-                // Struktur 3.2: Under riktning.stops
-                if (scheduleData.disembark_only[direction].stops) {
-                    return scheduleData.disembark_only[direction].stops;
-                }
-                
-                // Struktur 3.3: Separerade efter tidsperiod (morning, lunch, afternoon)
-                if (scheduleData.disembark_only[direction].morning || 
-                    scheduleData.disembark_only[direction].lunch || 
-                    scheduleData.disembark_only[direction].afternoon) {
-                    
-                    ['morning', 'lunch', 'afternoon'].forEach(period => {
-                        if (scheduleData.disembark_only[direction][period]) {
-                            Object.entries(scheduleData.disembark_only[direction][period]).forEach(([stop, times]) => {
-                                if (!disembarkOnlyTimes[stop]) disembarkOnlyTimes[stop] = [];
-                                disembarkOnlyTimes[stop] = [...disembarkOnlyTimes[stop], ...times];
-                            });
-                        }
-                    });
-                    
-                    return disembarkOnlyTimes;
-                }
-            }
+            // Ladda alla linjers konfigurationsfiler och trafikmeddelandena parallellt
+            const [lineConfigs] = await Promise.all([
+                Promise.all(lines.map(line => fetchTimetableFile(line.config))),
+                loadAlerts()
+            ]);
+
+            debugLog('Konfigurationsdata laddades framgångsrikt', lines.map(line => line.id));
             
-            // Om inget matchat, returnera tomt objekt
-            return {};
+            const configData = {};
+            lines.forEach((line, index) => {
+                configData[line.id] = lineConfigs[index];
+            });
+            
+            timetableData.lines = lines;
+            realtimeManager.setLines(lines);
+            applyLineURLParams(lines);
+            
+            // Trafikdagen byts vid service_day_end istället för vid midnatt
+            timeHandler.setServiceDayEnd(getServiceDayEnd(configData));
+            
+            return configData;
         } catch (error) {
-            console.error('Fel vid extraktion av "Endast avstigning"-tider:', error);
-            return {};
+            console.error('Fel vid laddning av konfigurationsdata:', error);
+            handleError(error, 'Kunde inte ladda konfigurationsdata');
+            return null;
         }
     }
 
     /**
-     * Laddar konfigurationsfiler för Sjöstadstrafiken och Citylinjen
-     * med cache-busting för att säkerställa senaste data
-     * @returns {Promise<Object>} Den laddade konfigurationsdatan
+     * Laddar trafikmeddelandena (config.dataPaths.alerts) till AlertManager
+     * Saknas filen visas inga meddelanden. Vid nätverksfel behålls de senast laddade
+     * så att ett tillfälligt avbrott inte tar bort en pågående störning
+     * @returns {Promise<void>}
      */
-    async function loadConfigData() {
+    async function loadAlerts() {
         try {
-            debugLog('Laddar konfigurationsdata...');
-            
-            // Ladda båda konfigurationsfilerna med cache-busting
-            const [sjoConfigResponse, cityConfigResponse] = await Promise.all([
-                fetch(addCacheBuster(config.dataPaths.sjoConfig)),
-                fetch(addCacheBuster(config.dataPaths.cityConfig))
-            ]);
-            
-            if (!sjoConfigResponse.ok || !cityConfigResponse.ok) {
-                throw new Error(`HTTP error! status: ${sjoConfigResponse.status} / ${cityConfigResponse.status}`);
-            }
-
-            const sjoConfig = await sjoConfigResponse.json();
-            const cityConfig = await cityConfigResponse.json();
+            const response = await fetch(addCacheBuster(config.dataPaths.alerts));
+            alertManager.setAlerts(response.ok ? await response.json() : null);
+            debugLog(`Trafikmeddelanden laddade: ${alertManager.alerts.length}`);
+        } catch (error) {
+            console.warn('Kunde inte ladda trafikmeddelanden:', error);
+        }
+    }
 
-            debugLog('Konfigurationsdata laddades framgångsrikt');
-            
-            return {
-                sjo: sjoConfig,
-                city: cityConfig
-            };
+    /**
+     * Hämtar realtidsflödet (config.dataPaths.realtime) med adaptern för config.realtimeFormat
+     * Saknas flödet eller går det inte att läsa visas bara tidtabellen
+     * @returns {Promise<void>}
+     */
+    async function loadRealtime() {
+        if (!config.dataPaths.realtime) return;
+        
+        try {
+            const adapter = realtimeManager.getAdapter(config.realtimeFormat);
+            const response = await fetch(addCacheBuster(config.dataPaths.realtime));
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const payload = adapter.responseType === 'arrayBuffer' ? await response.arrayBuffer() : await response.json();
+            realtimeManager.setFeed(adapter.parse(payload));
+            debugLog(`Realtidsflöde laddat: ${realtimeManager.updates.length} uppdateringar`);
         } catch (error) {
-            console.error('Fel vid laddning av konfigurationsdata:', error);
-            handleError(error, 'Kunde inte ladda konfigurationsdata');
-            return null;
+            // Ett flöde som inte går att läsa ska inte ge gamla förseningar
+            console.warn('Kunde inte läsa realtidsflödet, visar tidtabellen:', error);
+            realtimeManager.clear();
         }
     }
 
     /**
-     * Bestämmer vilka tidtabellsfiler som ska användas baserat på aktuellt datum och konfiguration
-     * @param {Object} configData - Konfigurationsdata
-     * @param {Date} date - Datum att bestämma schema för
-     * @returns {Object} Ett objekt med sökvägar, utgångsstatus och datum
-     */
-    function determineTimetableFiles(configData, date) {
-        const result = {
-            sjo: null,
-            city: null,
-            sjoExpired: false,
-            cityExpired: false,
-            sjoExpiryDate: null,
-            cityExpiryDate: null
-        };
+     * Hämtar när trafikdagen byts från linjernas service_configuration.service_day_end
+     * Den senaste tiden används så att ingen linjes nattbåtar hamnar på fel trafikdag
+     * @param {Object} configData - Konfigurationsdata per linje-id
+     * @returns {string|null} Klockslag i HH:MM-format eller null (byte vid midnatt)
+     */
+    function getServiceDayEnd(configData) {
+        const ends = Object.values(configData)
+            .map(lineConfig => lineConfig && lineConfig.service_configuration && lineConfig.service_configuration.service_day_end)
+            .filter(Boolean);
+        
+        if (ends.length === 0) return null;
+        return ends.reduce((latest, end) => 
+            timeHandler.timeToMinutes(end) > timeHandler.timeToMinutes(latest) ? end : latest);
+    }
 
-        try {
-            // Bestäm dagtyp
-            const dayOfWeek = date.getDay();
-            const isSaturday = dayOfWeek === 6;
-            const isSunday = dayOfWeek === 0;
-            const dayType = isSaturday ? "saturday" : (isSunday ? "sunday" : "weekday");
+    /**
+     * Beskriver vad ett datum ger för en linje i täckningskalendern
+     * Status: 'no_traffic' (trafikfri dag), 'gap' (ingen säsong täcker datumet, senaste
+     * säsongen används som utgången), 'overlap' (flera säsonger täcker datumet, den första
+     * används), 'maintenance' (säsong med maintenance_mode) eller 'ok'
+     * @param {Object} lineConfig - Linjens konfiguration
+     * @param {Object} files - Resultat från determineTimetableFiles för datumet
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} dateStr - Datum i YYYY-MM-DD-format
+     * @returns {Object} {status, seasonName, source}
+     */
+    function describeCoverage(lineConfig, files, line, dateStr) {
+        const matching = lineConfig.season_mapping.filter(season =>
+            season.period.start <= dateStr && dateStr <= season.period.end);
+        const usedSeasonName = files[`${line}SeasonName`];
+        
+        if (files[`${line}NoTraffic`]) {
+            return { status: 'no_traffic', seasonName: usedSeasonName, source: null };
+        }
+        
+        let source = files[line];
+        const pattern = files[`${line}Pattern`];
+        if (!source && pattern) {
+            const dayText = pattern.dayType === 'weekend' ? 'helg' : 'vardag';
+            source = `genererad (${dayText})` + (pattern.override ? ` + ${pattern.override}` : '');
+        }
+        if (source && files[`${line}Overlays`].length > 0) {
+            source += ` + ${files[`${line}Overlays`].map(overlay => overlay.file).join(' + ')}`;
+        }
+        
+        let status = 'ok';
+        let seasonName = usedSeasonName;
+        if (matching.length === 0) {
+            status = 'gap';
+            seasonName = `${usedSeasonName} (utgången)`;
+        } else if (matching.length > 1) {
+            status = 'overlap';
+            seasonName = matching.map(season => season.name).join(' / ');
+        } else if (matching[0].maintenance_mode) {
+            status = 'maintenance';
+        }
+        
+        return { status, seasonName, source };
+    }
 
-            // Hitta lämplig Sjöstadstrafiken-tidtabellfil
-            let sjoSeason = null;
-            let sjoLatestSeason = null;
+    /**
+     * Bygger täckningskalendern från innevarande månads början och config.coverageMonths framåt
+     * Dagar i följd med glapp, överlapp eller underhåll slås ihop till perioder i problems
+     * @param {Object} configData - Konfigurationsdata per linje-id
+     * @returns {Object} {lines: [{line, lineName, months: [{year, month, days}]}], problems: [{status, line, lineName, start, end}]}
+     */
+    function buildCoverage(configData) {
+        const today = timeHandler.getServiceDay();
+        const lines = timetableData.lines.map(line => ({ line: line.id, lineName: line.name, months: [] }));
+        const problems = [];
+        
+        let date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+        const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + config.coverageMonths, 1));
+        
+        while (date < end) {
+            const dateStr = timeHandler.formatDate(date);
+            const files = scheduleResolver.determineTimetableFiles(configData, date);
             
-            for (const season of configData.sjo.season_mapping) {
-                const seasonStart = new Date(season.period.start);
-                const seasonEnd = new Date(season.period.end);
-                
-                // Spara senaste säsongen vi hittar
-                if (!sjoLatestSeason || seasonEnd > new Date(sjoLatestSeason.period.end)) {
-                    sjoLatestSeason = season;
+            lines.forEach(lineCoverage => {
+                const { line, lineName, months } = lineCoverage;
+                if (date.getUTCDate() === 1) {
+                    months.push({ year: date.getUTCFullYear(), month: date.getUTCMonth(), days: [] });
                 }
                 
-                if (date >= seasonStart && date <= seasonEnd) {
-                    sjoSeason = season;
-                    break;
+                const day = Object.assign(
+                    { date, dateStr, holiday: files.holiday },
+                    describeCoverage(configData[line], files, line, dateStr)
+                );
+                months[months.length - 1].days.push(day);
+                
+                if (day.status === 'ok' || day.status === 'no_traffic') return;
+                
+                // Förläng pågående period om föregående dag hade samma status
+                const previous = problems.find(problem => problem.line === line &&
+                    problem.status === day.status &&
+                    problem.end === timeHandler.formatDate(timeHandler.addDays(date, -1)));
+                if (previous) {
+                    previous.end = dateStr;
+                } else {
+                    problems.push({ status: day.status, line, lineName, start: dateStr, end: dateStr });
                 }
-            }
+            });
             
-            // Använd hittad säsong eller senaste tillgängliga
-            if (sjoSeason) {
-                result.sjo = dayType === "saturday" || dayType === "sunday" ? 
-                    sjoSeason.files.weekend : sjoSeason.files.weekday;
-                result.sjoExpired = false;
-            } else if (sjoLatestSeason) {
-                // Tidtabellen har gått ut - använd senaste tillgängliga
-                result.sjo = dayType === "saturday" || dayType === "sunday" ? 
-                    sjoLatestSeason.files.weekend : sjoLatestSeason.files.weekday;
-                result.sjoExpired = true;
-                result.sjoExpiryDate = sjoLatestSeason.period.end;
-            }
+            date = timeHandler.addDays(date, 1);
+        }
+        
+        return { lines, problems };
+    }
 
-            // Hitta lämplig Citylinje-tidtabellfil
-            let citySeason = null;
-            let cityLatestSeason = null;
-            
-            for (const season of configData.city.season_mapping) {
-                const seasonStart = new Date(season.period.start);
-                const seasonEnd = new Date(season.period.end);
-                
-                // Spara senaste säsongen vi hittar
-                if (!cityLatestSeason || seasonEnd > new Date(cityLatestSeason.period.end)) {
-                    cityLatestSeason = season;
-                }
-                
-                if (date >= seasonStart && date <= seasonEnd) {
-                    // Kontrollera om aktuellt datum är en helgdag som ska använda helgschema
-                    if (season.holiday_rules && season.holiday_rules.weekend_schedule) {
-                        const dateStr = date.toISOString().split('T')[0];
-                        if (season.holiday_rules.weekend_schedule.includes(dateStr)) {
-                            result.city = season.files.sunday;
-                            result.cityExpired = false;
-                            return result;
-                        }
-                    }
-                    
-                    citySeason = season;
-                    break;
+    /**
+     * Hämtar prisuppgifter för en linje från metadata i linjens konfiguration
+     * Noteringarna om betalning, barn och cyklar visas med priserna
+     * @param {Object} line - Linje från linjeregistret
+     * @returns {Object} {lineName, pricing, youthAge, free, notes}
+     */
+    function getLineFares(line) {
+        const metadata = (timetableData.config[line.id] && timetableData.config[line.id].metadata) || {};
+        const notes = metadata.notes && !Array.isArray(metadata.notes) ? metadata.notes : {};
+        
+        return {
+            lineName: line.name,
+            pricing: metadata.pricing || null,
+            youthAge: notes.youth_age,
+            free: metadata.type === 'free',
+            notes: FARE_NOTE_KEYS.filter(key => notes[key]).map(key => notes[key])
+        };
+    }
+
+    /**
+     * Öppnar priser och biljettkalkylator från inställningspanelen
+     * Kalkylatorn räknar per linje, så en resa med byte visar att delen med en avgiftsfri linje är gratis
+     */
+    function showFares() {
+        if (!timetableData.config || !timetableData.lines) return;
+        closeSettingsPanel();
+        
+        const lines = timetableData.lines.map(getLineFares);
+        renderer.showFares({
+            lines,
+            onCalculate: (travellers, trips) => lines.map(line => {
+                if (line.free || !line.pricing) {
+                    return { lineName: line.lineName, free: line.free, pricing: null };
                 }
-            }
+                return Object.assign({ lineName: line.lineName, free: false, pricing: line.pricing },
+                    fareCalculator.calculate(line.pricing, travellers, trips));
+            })
+        });
+    }
+
+    /**
+     * Öppnar täckningskalendern från inställningspanelen
+     */
+    function showCoverage() {
+        if (!timetableData.config) return;
+        closeSettingsPanel();
+        renderer.showCoverage(buildCoverage(timetableData.config));
+    }
+
+    /**
+     * Letar upp nästa datum då en linje har trafik (hoppar över trafikfria dagar)
+     * @param {Object} configData - Konfigurationsdata
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Date} fromDate - Första datum att kontrollera
+     * @returns {Date|null} Första datum med trafik, eller null om inget hittas inom config.noTrafficLookaheadDays
+     */
+    function findNextOperatingDate(configData, line, fromDate) {
+        for (let offset = 0; offset < config.noTrafficLookaheadDays; offset++) {
+            const candidate = timeHandler.addDays(fromDate, offset);
             
-            // Använd hittad säsong eller senaste tillgängliga
-            if (citySeason) {
-                result.city = citySeason.files[dayType];
-                result.cityExpired = false;
-            } else if (cityLatestSeason) {
-                // Tidtabellen har gått ut - använd senaste tillgängliga
-                result.city = cityLatestSeason.files[dayType] || cityLatestSeason.files.weekday;
-                result.cityExpired = true;
-                result.cityExpiryDate = cityLatestSeason.period.end;
+            if (!scheduleResolver.determineTimetableFiles(configData, candidate)[`${line}NoTraffic`]) {
+                return candidate;
             }
+        }
+        
+        return null;
+    }
 
-            return result;
-        } catch (error) {
-            console.error('Fel vid bestämning av tidtabellsfiler:', error);
-            return result;
+    /**
+     * Skapar platshållardata för en linje som inte trafikeras ett visst datum
+     * @param {Date} date - Datum utan trafik
+     * @param {Object|null} holiday - Helgdag från helgdagskalendern (om någon)
+     * @returns {Object} Tidtabellsobjekt utan avgångar, markerat med metadata.no_traffic
+     */
+    function createNoTrafficData(date, holiday) {
+        return {
+            metadata: {
+                no_traffic: true,
+                holiday_name: holiday ? holiday.name : null
+            },
+            _loadedForDate: date.toISOString()
+        };
+    }
+
+    /**
+     * Hämtar en tidtabellsfil från data-katalogen med cache-busting
+     * @param {string} fileName - Filnamn i data-katalogen
+     * @returns {Promise<Object>} Parsad tidtabellsdata
+     */
+    async function fetchTimetableFile(fileName) {
+        const response = await fetch(addCacheBuster(`./data/${fileName}`));
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} (${fileName})`);
+        }
+        
+        return response.json();
+    }
+
+    /**
+     * Hämtar eller genererar en linjes tidtabell
+     * Mönstertidtabeller genereras från service_configuration och eventuell
+     * överstyrningsfil läggs ovanpå
+     * @param {Object} configData - Konfigurationsdata
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Object} timetableFiles - Resultat från determineTimetableFiles
+     * @returns {Promise<Object>} Tidtabellsdata
+     */
+    async function loadLineTimetable(configData, line, timetableFiles) {
+        if (timetableFiles[line]) {
+            return fetchTimetableFile(timetableFiles[line]);
         }
+        
+        const pattern = timetableFiles[`${line}Pattern`];
+        const generated = patternGenerator.generate(
+            configData[line].service_configuration,
+            pattern.dayType,
+            pattern.seasons
+        );
+        
+        if (!pattern.override) {
+            return generated;
+        }
+        
+        const override = await fetchTimetableFile(pattern.override);
+        return patternGenerator.applyOverride(generated, override);
     }
 
     /**
      * Laddar och validerar tidtabellsdata för en specifik dag
      * @param {Object} configData - Konfigurationsdata
      * @param {Date} date - Datum att ladda tidtabell för
-     * @returns {Promise<Object>} Den parsade och validerade tidtabellsdatan med utgångsstatus
+     * @returns {Promise<Object>} Tidtabellsdata per linje-id med utgångsstatus, trafikfria dagar och utgångsdatum
      */
     async function loadTimetableForDate(configData, date) {
         try {
-            const timetableFiles = determineTimetableFiles(configData, date);
-            debugLog(`Laddar tidtabell för ${date.toDateString()}`, timetableFiles);
+            const timetableFiles = scheduleResolver.determineTimetableFiles(configData, date);
+            debugLog(`Laddar tidtabell för ${timeHandler.formatDate(date)}`, timetableFiles);
             
-            if (!timetableFiles.sjo || !timetableFiles.city) {
+            const lines = Object.keys(configData);
+            if (lines.some(line => !timetableFiles[line] && !timetableFiles[`${line}Pattern`] && !timetableFiles[`${line}NoTraffic`])) {
                 throw new Error('Kunde inte bestämma tidtabellsfiler för angivet datum');
             }
 
-            // Ladda båda JSON-filerna med cache-busting för att säkerställa färsk data
-            const [sjoResponse, cityResponse] = await Promise.all([
-                fetch(addCacheBuster(`./data/${timetableFiles.sjo}`)),
-                fetch(addCacheBuster(`./data/${timetableFiles.city}`))
-            ]);
+            // Ladda JSON-filerna med cache-busting för att säkerställa färsk data
+            // Trafikfria dagar har ingen fil och får istället platshållardata
+            const rawData = await Promise.all(lines.map(line => timetableFiles[`${line}NoTraffic`] ?
+                createNoTrafficData(date, timetableFiles.holiday) : loadLineTimetable(configData, line, timetableFiles)));
+            // Tillfälliga tilläggsfiler (t.ex. regatta eller broarbete) för datumet
+            // En tilläggsfil som inte går att ladda hoppas över så att säsongens tidtabell ändå visas
+            const overlayData = await Promise.all(lines.map(line =>
+                Promise.all(timetableFiles[`${line}Overlays`].map(overlay => fetchTimetableFile(overlay.file).catch(error => {
+                    console.warn(`Kunde inte ladda tilläggsfilen ${overlay.file}, säsongens tidtabell används:`, error);
+                    return null;
+                })))));
+
+            const result = { isExpired: {}, noTraffic: {}, expiryDate: {} };
+            lines.forEach((line, index) => {
+                // Konvertera till kanoniskt turbaserat format - okända format ger fel istället för felaktig visning
+                const data = scheduleUpgrader.upgrade(rawData[index], timetableFiles[line] || `${getLineName(line)} (genererad)`);
+                // Lovavgångar (t.ex. lunchturer) gäller säsongens extra_departures_periods
+                scheduleUpgrader.applyExtraDeparturesPeriods(data, timetableFiles[`${line}ExtraPeriods`]);
+                timetableFiles[`${line}Overlays`].forEach((overlay, overlayIndex) => {
+                    const overlayContent = overlayData[index][overlayIndex];
+                    if (!overlayContent) return;
+                    try {
+                        // applyOverlay lämnar tidtabellen oförändrad om tilläggsfilen är felaktig
+                        scheduleUpgrader.applyOverlay(data, overlayContent, overlay);
+                    } catch (error) {
+                        console.warn(`Tilläggsfilen ${overlay.file} hoppas över:`, error.message);
+                    }
+                });
+                // Stängda hållplatser (stop_closures) för datumet
+                scheduleUpgrader.applyStopClosures(data, timetableFiles[`${line}Closures`]);
+                // Återkommande inställda avgångar från linjekonfigurationen blir undantag i validity
+                scheduleUpgrader.applyServiceExclusions(data, configData[line].service_exclusions);
+                // Lägg till datumet till metadata för referens
+                data._loadedForDate = date.toISOString();
+                
+                result[line] = data;
+                result.isExpired[line] = timetableFiles[`${line}Expired`];
+                result.noTraffic[line] = timetableFiles[`${line}NoTraffic`];
+                result.expiryDate[line] = timetableFiles[`${line}ExpiryDate`];
+            });
+
+            debugLog(`Tidtabellsdata laddad för ${timeHandler.formatDate(date)}`);
             
-            if (!sjoResponse.ok || !cityResponse.ok) {
-                throw new Error(`HTTP error! status: ${sjoResponse.status} / ${cityResponse.status}`);
-            }
+            return result;
+        } catch (error) {
+            console.error(`Fel vid laddning av tidtabell för ${timeHandler.formatDate(date)}:`, error);
+            return null;
+        }
+    }
 
-            const sjoData = await sjoResponse.json();
-            const cityData = await cityResponse.json();
+    /**
+     * Hämtar en linjes namn från linjeregistret
+     * @param {string} line - Linjens id i linjeregistret
+     * @returns {string} Linjens namn, eller id om linjen inte finns
+     */
+    function getLineName(line) {
+        const entry = (timetableData.lines || []).find(candidate => candidate.id === line);
+        return entry ? entry.name : line;
+    }
+
+    /**
+     * Kontrollerar om en linje ska visas
+     * config.lineVisibility (inställningar och URL) går före linjeregistrets "visible"
+     * @param {Object} line - Linje från linjeregistret
+     * @returns {boolean} Sant om linjen ska visas
+     */
+    function isLineVisible(line) {
+        return config.lineVisibility[line.id] !== undefined ? config.lineVisibility[line.id] : line.visible !== false;
+    }
 
-            // Lägg till dagstypen till metadata för referens
-            sjoData._loadedForDate = date.toISOString();
-            cityData._loadedForDate = date.toISOString();
+    /**
+     * Hämtar markerad brygga för en linjes riktning
+     * @param {Object} line - Linje från linjeregistret
+     * @param {Object} direction - Riktning från linjeregistret
+     * @returns {string} Vald brygga eller riktningens "highlight" i linjeregistret
+     */
+    function getHighlightStop(line, direction) {
+        return config.highlightStops[`${line.id}.${direction.id}`] || direction.highlight;
+    }
 
-            // Extrahera "Endast avstigning"-informationen för både till och från city
-            const disembarkOnlyToCity = extractDisembarkOnlyTimes(cityData, 'to_city');
-            const disembarkOnlyFromCity = extractDisembarkOnlyTimes(cityData, 'from_city');
+    /**
+     * Hämtar bryggorna som kan markeras för en linjes riktning
+     * Dagens tidtabell används i första hand, annars stop_sequence i linjens konfiguration
+     * (en lista för linjer som går i slinga, per riktning för linjer med utresa och retur)
+     * @param {Object} line - Linje från linjeregistret
+     * @param {Object} direction - Riktning från linjeregistret
+     * @returns {Array<string>} Bryggor i turordning (tom om inga är kända)
+     */
+    function getDirectionStops(line, direction) {
+        const dayData = timetableData.today && timetableData.today[line.id];
+        if (dayData && dayData.directions && dayData.directions[direction.id]) {
+            return dayData.directions[direction.id].stops;
+        }
 
-            debugLog(`Tidtabellsdata laddad för ${date.toDateString()}`);
-            
-            return {
-                sjo: sjoData,
-                city: cityData,
-                disembarkOnly: {
-                    toCity: disembarkOnlyToCity || {},
-                    fromCity: disembarkOnlyFromCity || {}
-                },
-                isExpired: {
-                    sjo: timetableFiles.sjoExpired,
-                    city: timetableFiles.cityExpired
-                },
-                expiryDate: {
-                    sjo: timetableFiles.sjoExpiryDate,
-                    city: timetableFiles.cityExpiryDate
-                }
-            };
-        } catch (error) {
-            console.error(`Fel vid laddning av tidtabell för ${date.toDateString()}:`, error);
-            return null;
+        const lineConfig = timetableData.config && timetableData.config[line.id];
+        const stopSequence = lineConfig && lineConfig.service_configuration && lineConfig.service_configuration.stop_sequence;
+        if (Array.isArray(stopSequence)) {
+            return stopSequence;
         }
+        return (stopSequence && stopSequence[direction.id]) || [];
+    }
+
+    /**
+     * Kontrollerar att dagsdata finns för alla linjer i linjeregistret
+     * @param {Object|null} dayData - Laddad tidtabellsdata för en dag
+     * @returns {boolean} Sant om alla linjer är laddade
+     */
+    function hasAllLines(dayData) {
+        return Boolean(dayData && timetableData.lines && timetableData.lines.every(line => dayData[line.id]));
     }
 
     /**
@@ -870,8 +1200,9 @@ document.addEventListener('DOMContentLoaded', async function() {
         const now = new Date();
         
         // Bara uppdatera om det har gått en minut sedan senaste uppdatering eller om forceUpdate är true
+        // En sekunds marginal så att timerns eftersläpning inte hoppar över en minut i nedräkningen
         if (!forceUpdate && timetableData.lastRefresh && 
-            (now.getTime() - timetableData.lastRefresh.getTime() < 60000)) {
+            (now.getTime() - timetableData.lastRefresh.getTime() < config.updateInterval - 1000)) {
             return;
         }
 
@@ -884,22 +1215,33 @@ document.addEventListener('DOMContentLoaded', async function() {
         // Visa uppdateringsbanner om applikationen nyligen har uppdaterats
         showUpdateBanner();
 
-        if (!timetableData.today || !timetableData.today.sjo || !timetableData.today.city) {
-            handleError(null, 'Ingen tidtabellsdata tillgänglig');
+        if (timetableData.gtfs) {
+            updateGtfsDisplay(appElement, wrapper);
+            return;
+        }
+
+        if (!hasAllLines(timetableData.today)) {
+            handleError(null, 'Ingen tidtabellsdata tillgänglig');
             return;
         }
 
         try {
             debugLog('Uppdaterar visning...');
             
-            // Lägg till tidtabellsgiltighetsinfo
-            addValidityInfo(wrapper);
-            
-            // Först rendera tidtabeller
-            renderTimetables(wrapper);
+            if (isViewingOtherDay()) {
+                // Hel tidtabell för valt datum istället för kommande avgångar
+                renderDayView(wrapper);
+            } else {
+                // Lägg till tidtabellsgiltighetsinfo
+                addValidityInfo(wrapper);
+                
+                // Först rendera tidtabeller
+                renderTimetables(wrapper);
+            }
             
-            // Lägg sedan till inställningsknapp om inte i inbäddat läge
+            // Lägg sedan till datumväljare och inställningsknapp om inte i inbäddat läge
             if (!isEmbedded()) {
+                addDayPicker(wrapper);
                 addSettingsButton(wrapper);
             }
             
@@ -997,129 +1339,101 @@ document.addEventListener('DOMContentLoaded', async function() {
         const panelContent = document.createElement('div');
         panelContent.className = 'settings-content';
         
-        // 1. Lägg till Tidtabellssektion
-        panelContent.appendChild(createSettingsSection('Tidtabeller', [
-            {
-                type: 'toggle',
-                id: 'sjo-toggle',
-                label: 'Sjöstadstrafiken',
-                checked: config.showSjostadstrafiken,
-                onChange: (checked) => {
-                    config.showSjostadstrafiken = checked;
-                    updateDisplay(true);
-                    updateURLParameter('sjo', checked ? '1' : '0');
-                    saveConfigToLocalStorage();
-                }
-            },
-            {
-                type: 'toggle',
-                id: 'emelie-toggle',
-                label: 'M/S Emelie',
-                checked: config.showEmelietrafiken,
-                onChange: (checked) => {
-                    config.showEmelietrafiken = checked;
-                    
-                    // Växla synlighet för riktningssektionen
-                    const directionsSection = document.getElementById('emelie-directions-section');
-                    if (directionsSection) {
-                        directionsSection.style.display = checked ? 'block' : 'none';
+        // Linjeval och bryggval gäller linjeregistret, GTFS-flödets linjer visas alla
+        if (!timetableData.gtfs && timetableData.lines) {
+            const lines = timetableData.lines;
+            const bidirectionalLines = lines.filter(line => line.type === 'bidirectional');
+            
+            // 1. Lägg till Tidtabellssektion med en växel per linje
+            panelContent.appendChild(createSettingsSection('Tidtabeller', [
+                ...lines.map(line => ({
+                    type: 'toggle',
+                    id: `${line.id}-toggle`,
+                    label: line.name,
+                    checked: isLineVisible(line),
+                    onChange: (checked) => {
+                        config.lineVisibility[line.id] = checked;
+                        
+                        // Växla synlighet för riktningssektionen
+                        const directionsSection = document.getElementById('directions-section');
+                        if (directionsSection) {
+                            directionsSection.style.display = bidirectionalLines.some(isLineVisible) ? 'block' : 'none';
+                        }
+                        
+                        updateDisplay(true);
+                        if (line.url_param) {
+                            updateURLParameter(line.url_param, checked ? '1' : '0');
+                        }
+                        saveConfigToLocalStorage();
+                    }
+                })),
+                {
+                    type: 'toggle',
+                    id: 'planner-toggle',
+                    label: 'Reseplanerare',
+                    checked: config.showJourneyPlanner,
+                    onChange: (checked) => {
+                        config.showJourneyPlanner = checked;
+                        updateDisplay(true);
+                        updateURLParameter('planner', checked ? '1' : '0');
+                        saveConfigToLocalStorage();
                     }
-                    
-                    updateDisplay(true);
-                    updateURLParameter('emelie', checked ? '1' : '0');
-                    saveConfigToLocalStorage();
                 }
-            }
-        ]));
+            ]));
         
-        // 2. Lägg till M/S Emelie - Riktningar-sektion
-        const directionsSection = createSettingsSection('M/S Emelie - Riktningar', [
-            {
-                type: 'toggle',
-                id: 'bothdir-toggle',
-                label: 'Visa båda riktningar (till/från City)',
-                checked: config.showBothDirections,
-                onChange: (checked) => {
-                    config.showBothDirections = checked;
-                    updateDisplay(true);
-                    updateURLParameter('bothdir', checked ? '1' : '0');
-                    saveConfigToLocalStorage();
-                }
-            }
-        ]);
-        directionsSection.id = 'emelie-directions-section';
-        directionsSection.style.display = config.showEmelietrafiken ? 'block' : 'none';
-        panelContent.appendChild(directionsSection);
-        
-        // 3. Lägg till Bryggval för Sjöstadstrafiken-sektion om data är tillgänglig
-        if (timetableData.today && timetableData.today.sjo && timetableData.today.sjo.departures) {
-            const sjoStops = Object.keys(timetableData.today.sjo.departures || {});
-            if (sjoStops.length > 0) {
-                panelContent.appendChild(createSettingsSection('Bryggval för Sjöstadstrafiken', [
+            // 2. Lägg till Riktningar-sektion för linjer med utresa och retur
+            if (bidirectionalLines.length > 0) {
+                const directionsSection = createSettingsSection(
+                    bidirectionalLines.length === 1 ? `${bidirectionalLines[0].name} - Riktningar` : 'Riktningar', [
                     {
-                        type: 'select',
-                        id: 'highlight-select',
-                        label: 'Markera brygga:',
-                        value: config.highlightStop,
-                        options: sjoStops.map(stop => ({
-                            value: stop,
-                            text: stop
-                        })),
-                        onChange: (value) => {
-                            config.highlightStop = value;
+                        type: 'toggle',
+                        id: 'bothdir-toggle',
+                        label: 'Visa båda riktningar (utresa och retur)',
+                        checked: config.showBothDirections,
+                        onChange: (checked) => {
+                            config.showBothDirections = checked;
                             updateDisplay(true);
-                            updateURLParameter('highlight', encodeURIComponent(value));
+                            updateURLParameter('bothdir', checked ? '1' : '0');
                             saveConfigToLocalStorage();
                         }
                     }
-                ]));
+                ]);
+                directionsSection.id = 'directions-section';
+                directionsSection.style.display = bidirectionalLines.some(isLineVisible) ? 'block' : 'none';
+                panelContent.appendChild(directionsSection);
             }
-        }
         
-        // 4. Lägg till Bryggval för M/S Emelie-sektion om data är tillgänglig
-        if (timetableData.config && timetableData.config.city && timetableData.config.city.service_configuration) {
-            const cityStops = timetableData.config.city.service_configuration.stop_sequence?.to_city || [];
-            const fromCityStops = timetableData.config.city.service_configuration.stop_sequence?.from_city || [];
-            
-            if (cityStops.length > 0 && fromCityStops.length > 0) {
-                panelContent.appendChild(createSettingsSection('Bryggval för M/S Emelie', [
-                    {
-                        type: 'select',
-                        id: 'cityhighlight-select',
-                        label: 'Till City:',
-                        value: config.cityHighlightStop,
-                        options: cityStops.map(stop => ({
-                            value: stop,
-                            text: stop
-                        })),
-                        onChange: (value) => {
-                            config.cityHighlightStop = value;
-                            updateDisplay(true);
-                            updateURLParameter('cityhighlight', encodeURIComponent(value));
-                            saveConfigToLocalStorage();
-                        }
-                    },
-                    {
+            // 3. Lägg till Bryggval per linje om data är tillgänglig
+            lines.forEach(line => {
+                const items = line.directions
+                    .map(direction => ({ direction, stops: getDirectionStops(line, direction) }))
+                    .filter(({ stops }) => stops.length > 0)
+                    .map(({ direction, stops }) => ({
                         type: 'select',
-                        id: 'returnstop-select',
-                        label: 'Från City:',
-                        value: config.cityReturnStop,
-                        options: fromCityStops.map(stop => ({
+                        id: `${line.id}-${direction.id}-highlight-select`,
+                        label: direction.label || 'Markera brygga:',
+                        value: getHighlightStop(line, direction),
+                        options: stops.map(stop => ({
                             value: stop,
                             text: stop
                         })),
                         onChange: (value) => {
-                            config.cityReturnStop = value;
+                            config.highlightStops[`${line.id}.${direction.id}`] = value;
                             updateDisplay(true);
-                            updateURLParameter('returnstop', encodeURIComponent(value));
+                            if (direction.url_param) {
+                                updateURLParameter(direction.url_param, encodeURIComponent(value));
+                            }
                             saveConfigToLocalStorage();
                         }
-                    }
-                ]));
-            }
+                    }));
+                
+                if (items.length > 0) {
+                    panelContent.appendChild(createSettingsSection(`Bryggval för ${line.name}`, items));
+                }
+            });
         }
         
-        // 5. Lägg till Visning-sektion med utökat intervall för avgångar
+        // 4. Lägg till Visning-sektion med utökat intervall för avgångar
         panelContent.appendChild(createSettingsSection('Visning', [
             {
                 type: 'select',
@@ -1139,6 +1453,52 @@ document.addEventListener('DOMContentLoaded', async function() {
                     saveConfigToLocalStorage();
                 }
             },
+            {
+                type: 'select',
+                id: 'display-select',
+                label: 'Tidsvisning:',
+                value: config.displayMode,
+                options: [
+                    { value: 'clock', text: 'Klockslag' },
+                    { value: 'countdown', text: 'Nedräkning' },
+                    { value: 'hybrid', text: 'Hybrid' }
+                ],
+                onChange: (value) => {
+                    config.displayMode = value;
+                    updateDisplay(true);
+                    updateURLParameter('display', value);
+                    saveConfigToLocalStorage();
+                }
+            },
+            {
+                type: 'select',
+                id: 'countdown-select',
+                label: 'Hybrid: nedräkning inom',
+                value: config.countdownThreshold,
+                options: [5, 10, 15, 20, 30, 60].map(num => ({
+                    value: num,
+                    text: `${num} min`
+                })),
+                onChange: (value) => {
+                    const numValue = parseInt(value, 10);
+                    config.countdownThreshold = numValue;
+                    updateDisplay(true);
+                    updateURLParameter('countdown', numValue.toString());
+                    saveConfigToLocalStorage();
+                }
+            },
+            {
+                type: 'toggle',
+                id: 'grid-toggle',
+                label: 'Hela dagen som tabell',
+                checked: config.showDayGrid,
+                onChange: (checked) => {
+                    config.showDayGrid = checked;
+                    updateDisplay(true);
+                    updateURLParameter('grid', checked ? '1' : '0');
+                    saveConfigToLocalStorage();
+                }
+            },
             // Lägg till inställning för "Endast avstigning"
             {
                 type: 'toggle',
@@ -1151,10 +1511,22 @@ document.addEventListener('DOMContentLoaded', async function() {
                     updateURLParameter('disembark', checked ? '1' : '0');
                     saveConfigToLocalStorage();
                 }
+            },
+            {
+                type: 'toggle',
+                id: 'cancelled-toggle',
+                label: 'Visa inställda avgångar',
+                checked: config.showCancelled,
+                onChange: (checked) => {
+                    config.showCancelled = checked;
+                    updateDisplay(true);
+                    updateURLParameter('cancelled', checked ? '1' : '0');
+                    saveConfigToLocalStorage();
+                }
             }
         ]));
         
-        // 6. Lägg till Tillgänglighet-sektion
+        // 5. Lägg till Tillgänglighet-sektion
         panelContent.appendChild(createSettingsSection('Tillgänglighet', [
             {
                 type: 'toggle',
@@ -1170,15 +1542,76 @@ document.addEventListener('DOMContentLoaded', async function() {
             }
         ]));
         
+        // 6. Lägg till Datakälla-sektion
+        const dataSourceItems = [
+            {
+                type: 'info',
+                id: 'data-source-info',
+                label: 'Tidtabeller:',
+                value: timetableData.gtfs ? `GTFS-flöde (${timetableData.gtfs.source})` : 'Ressels tidtabeller'
+            },
+            {
+                type: 'file',
+                id: 'gtfs-file-input',
+                label: 'Läs in GTFS-flöde (zip):',
+                accept: '.zip,application/zip',
+                onChange: loadGtfsFile
+            }
+        ];
+        if (timetableData.gtfs) {
+            dataSourceItems.push({
+                type: 'button',
+                id: 'standard-data-button',
+                label: 'Ressels tidtabeller:',
+                text: 'Använd',
+                onClick: useStandardTimetables
+            });
+        }
+        panelContent.appendChild(createSettingsSection('Datakälla', dataSourceItems));
+        
         // 7. Lägg till App-information sektion
-        panelContent.appendChild(createSettingsSection('App-information', [
+        const appInfoItems = [
             {
                 type: 'info',
                 id: 'app-version-info',
                 label: 'Version:',
                 value: config.version
             }
-        ]));
+        ];
+        // Priser, anslag, export och täckning bygger på konfigurationsfilerna
+        if (!timetableData.gtfs) {
+            appInfoItems.push(
+                {
+                    type: 'button',
+                    id: 'fares-button',
+                    label: 'Biljettpriser:',
+                    text: 'Visa priser',
+                    onClick: showFares
+                },
+                {
+                    type: 'button',
+                    id: 'print-button',
+                    label: 'Anslag för bryggan:',
+                    text: 'Skriv ut',
+                    onClick: showPrintOptions
+                },
+                {
+                    type: 'button',
+                    id: 'gtfs-button',
+                    label: 'GTFS-flöde för reseplanerare:',
+                    text: 'Ladda ner',
+                    onClick: exportGtfs
+                },
+                {
+                    type: 'button',
+                    id: 'coverage-button',
+                    label: 'Tidtabellstäckning:',
+                    text: 'Visa kalender',
+                    onClick: showCoverage
+                }
+            );
+        }
+        panelContent.appendChild(createSettingsSection('App-information', appInfoItems));
         
         settingsPanel.appendChild(panelContent);
         
@@ -1293,6 +1726,10 @@ document.addEventListener('DOMContentLoaded', async function() {
                 );
             } else if (item.type === 'info') {
                 settingItem = createInfoSetting(item.id, item.label, item.value);
+            } else if (item.type === 'button') {
+                settingItem = createButtonSetting(item.id, item.label, item.text, item.onClick);
+            } else if (item.type === 'file') {
+                settingItem = createFileSetting(item.id, item.label, item.accept, item.onChange);
             }
             
             if (settingItem) {
@@ -1395,6 +1832,70 @@ document.addEventListener('DOMContentLoaded', async function() {
         return container;
     }
 
+    /**
+     * Skapar en knapp med etikett för inställningspanelen
+     * @param {string} id - Element-ID
+     * @param {string} label - Etikett
+     * @param {string} text - Knapptext
+     * @param {Function} onClick - Klickhanterare
+     * @returns {HTMLElement} Knappelementet med etikett
+     */
+    function createButtonSetting(id, label, text, onClick) {
+        const container = document.createElement('div');
+        container.className = 'setting-item button-container';
+        
+        const buttonLabel = document.createElement('label');
+        buttonLabel.htmlFor = id;
+        buttonLabel.textContent = label;
+        
+        const button = document.createElement('button');
+        button.id = id;
+        button.className = 'settings-action-button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        
+        container.appendChild(buttonLabel);
+        container.appendChild(button);
+        return container;
+    }
+
+    /**
+     * Skapar ett filval med etikett och statusrad för inställningspanelen
+     * @param {string} id - Element-ID
+     * @param {string} label - Etikett
+     * @param {string} accept - Tillåtna filtyper
+     * @param {Function} onChange - Anropas med vald fil och statuselementet
+     * @returns {HTMLElement} Filvalselementet med etikett
+     */
+    function createFileSetting(id, label, accept, onChange) {
+        const container = document.createElement('div');
+        container.className = 'setting-item file-container';
+        
+        const fileLabel = document.createElement('label');
+        fileLabel.htmlFor = id;
+        fileLabel.textContent = label;
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.id = id;
+        input.accept = accept;
+        
+        const status = document.createElement('span');
+        status.className = 'file-status';
+        status.setAttribute('role', 'status');
+        
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) {
+                onChange(input.files[0], status);
+            }
+        });
+        
+        container.appendChild(fileLabel);
+        container.appendChild(input);
+        container.appendChild(status);
+        return container;
+    }
+
     /**
      * Uppdaterar en URL-parameter utan att ladda om sidan
      * @param {string} key - Parameternamn
@@ -1406,24 +1907,38 @@ document.addEventListener('DOMContentLoaded', async function() {
         window.history.replaceState({}, '', url);
     }
 
+    /**
+     * Tar bort en URL-parameter utan att ladda om sidan
+     * @param {string} key - Parameternamn
+     */
+    function removeURLParameter(key) {
+        const url = new URL(window.location);
+        url.searchParams.delete(key);
+        window.history.replaceState({}, '', url);
+    }
+
     /**
      * Lägger till tidtabellsgiltighetsinfo till visningen
      * @param {HTMLElement} wrapper - Behållarelementet
      */
     function addValidityInfo(wrapper) {
-        // Använd konfigurationsdata för giltighetsinfo
-        if (timetableData.config && timetableData.config.city) {
-            const cityConfig = timetableData.config.city;
+        // Använd konfigurationsdata för giltighetsinfo för linjer med show_validity i linjeregistret
+        if (!timetableData.config || !timetableData.lines) return;
+        
+        const validityLines = timetableData.lines.filter(line => line.show_validity && timetableData.config[line.id]);
+        
+        validityLines.forEach(line => {
+            const lineConfig = timetableData.config[line.id];
             
             // Hitta aktuell säsong
-            const now = new Date();
+            const today = timeHandler.getServiceDay();
             let currentSeason = null;
             
-            for (const season of cityConfig.season_mapping) {
+            for (const season of lineConfig.season_mapping) {
                 const seasonStart = new Date(season.period.start);
                 const seasonEnd = new Date(season.period.end);
                 
-                if (now >= seasonStart && now <= seasonEnd) {
+                if (today >= seasonStart && today <= seasonEnd) {
                     currentSeason = season;
                     break;
                 }
@@ -1433,13 +1948,16 @@ document.addEventListener('DOMContentLoaded', async function() {
                 const validFrom = new Date(currentSeason.period.start);
                 const validTo = new Date(currentSeason.period.end);
                 
+                // Med flera linjer anges vilken linje giltigheten gäller
+                const prefix = validityLines.length > 1 ? `${line.name}: ` : '';
+                
                 const infoElement = document.createElement("div");
                 infoElement.className = "validity-info";
-                infoElement.textContent = `Aktuell tidtabell gäller: ${validFrom.toLocaleDateString('sv-SE')} - ${validTo.toLocaleDateString('sv-SE')}`;
+                infoElement.textContent = `${prefix}Aktuell tidtabell gäller: ${validFrom.toLocaleDateString('sv-SE', { timeZone: 'UTC' })} - ${validTo.toLocaleDateString('sv-SE', { timeZone: 'UTC' })}`;
                 
                 wrapper.appendChild(infoElement);
             }
-        }
+        });
     }
 
     /**
@@ -1448,18 +1966,23 @@ document.addEventListener('DOMContentLoaded', async function() {
      * @param {HTMLElement} wrapper - Behållarelementet
      */
     function renderTimetables(wrapper) {
-        // Rendera Sjöstadstrafiken-scheman om aktiverat
-        if (config.showSjostadstrafiken) {
-            renderSjostadsTimetable(wrapper);
+        if (config.showDayGrid) {
+            // Hela dagen som tabell istället för kommande avgångar
+            renderDayGrids(wrapper, timetableData.today, timeHandler.getServiceDay(), timeHandler.getServiceMinutes());
+        } else {
+            // Rendera tidtabeller för linjerna som är aktiverade, i linjeregistrets ordning
+            timetableData.lines.filter(isLineVisible).forEach(line => {
+                renderLineTimetables(wrapper, line);
+            });
         }
-
-        // Rendera Emelietrafiken-scheman om aktiverat
-        if (config.showEmelietrafiken) {
-            renderEmelieTimetables(wrapper);
+        
+        // Rendera reseplaneraren om aktiverad
+        if (config.showJourneyPlanner) {
+            renderJourneyPlanner(wrapper);
         }
         
         // Om inga tidtabeller är synliga, visa ett meddelande (SÄKERHETSHÄRDAD)
-        if (!config.showSjostadstrafiken && !config.showEmelietrafiken) {
+        if (!timetableData.lines.some(isLineVisible) && !config.showJourneyPlanner) {
             const noDataMessage = document.createElement("div");
             noDataMessage.className = "notification warning";
             noDataMessage.textContent = "Inga tidtabeller valda att visa. Aktivera minst en tidtabell från inställningarna.";
@@ -1469,246 +1992,1058 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     /**
-     * Renderar Sjöstadstrafiken-tidtabell
+     * Hämtar datumet som en laddad tidtabell gäller för
+     * Morgondagens data kan gälla ett senare datum om morgondagen är trafikfri
+     * @param {Object} data - Laddad tidtabellsdata
+     * @param {Date} fallbackDate - Datum att använda om tidtabellen saknar datum
+     * @returns {Date} Datum för tidtabellen
+     */
+    function getLoadedDate(data, fallbackDate) {
+        return data && data._loadedForDate ? new Date(data._loadedForDate) : fallbackDate;
+    }
+
+    /**
+     * Hämtar riktningarna som ska visas för en linje
+     * Linjer med utresa och retur visar returen bara när båda riktningar är valda
+     * @param {Object} line - Linje från linjeregistret
+     * @returns {Array<Object>} Riktningar från linjeregistret
+     */
+    function getShownDirections(line) {
+        return line.type === 'bidirectional' && !config.showBothDirections ?
+            line.directions.slice(0, 1) : line.directions;
+    }
+
+    /**
+     * Sätter linjens färg från linjeregistret som CSS-variabel på ett element
+     * @param {HTMLElement} element - Tidtabellselement
+     * @param {Object} line - Linje från linjeregistret
+     */
+    function applyLineColor(element, line) {
+        if (line.colors && line.colors.primary) {
+            element.style.setProperty('--line-color', line.colors.primary);
+        }
+    }
+
+    /**
+     * Renderar en linjes tidtabeller, en per visad riktning
      * @param {HTMLElement} wrapper - Behållarelementet
+     * @param {Object} line - Linje från linjeregistret
      */
-    function renderSjostadsTimetable(wrapper) {
-        const sjoData = timetableData.today.sjo;
-        const sjoTomorrow = timetableData.tomorrow.sjo;
-        const isExpired = timetableData.today.isExpired.sjo;
-        const expiryDate = timetableData.today.expiryDate.sjo;
+    function renderLineTimetables(wrapper, line) {
+        const lineData = timetableData.today[line.id];
+        const isExpired = timetableData.today.isExpired[line.id];
+        const expiryDate = timetableData.today.expiryDate[line.id];
         
-        if (sjoData && sjoData.departures) {
-            const dayTypeText = sjoData.metadata.day_type === 'weekday' ? 'Vardagar' : 'Helgtrafik';
-            const processedDepartures = {};
-            
-            const now = new Date();
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
+        if (!lineData) return;
+        
+        const isNoTraffic = Boolean(lineData.metadata.no_traffic);
+        
+        getShownDirections(line).forEach(direction => {
+            if (!lineData.directions[direction.id] && !isNoTraffic) return;
             
-            for (const [stop, times] of Object.entries(sjoData.departures)) {
-                // Skapa array med dagens tider med dagsinformation
-                const todayTimes = createEnhancedTimeObjects(times, now, now);
-                
-                // Lägg till morgondagens tider (om vi har dem och de behövs)
-                let tomorrowTimes = [];
-                if (sjoTomorrow && sjoTomorrow.departures && sjoTomorrow.departures[stop]) {
-                    tomorrowTimes = createEnhancedTimeObjects(sjoTomorrow.departures[stop], tomorrow, now);
-                }
-                
-                // Kombinera båda arrayerna
-                processedDepartures[stop] = timeHandler.processScheduleTimes(
-                    [...todayTimes, ...tomorrowTimes], 
-                    config.maxVisibleDepartures
-                );
-            }
+            // Stängda bryggor visas utan tider och en stängd markerad brygga ersätts av närmaste öppna
+            const closedStops = getClosedStops(line.id, direction.id, lineData);
+            const processedDepartures = addClosedStops(processDirection(line.id, direction.id), lineData, direction.id, closedStops);
+            const highlightStop = getHighlightStop(line, direction);
+            const redirectedFrom = closedStops[highlightStop] && closedStops[highlightStop].alternative ? closedStops[highlightStop] : null;
 
             // Skicka tomt som dayTypeText för att inte visa det
             const timetable = renderer.createTimetable(
-                { departures: processedDepartures },
-                "Sjöstadstrafiken",
+                {
+                    departures: processedDepartures,
+                    metadata: lineData.metadata,
+                    alerts: alertManager.getTimetableAlerts(line.id, direction.id),
+                    closedStops,
+                    redirectedFrom
+                },
+                direction.title || line.name,
                 "", // Tomt istället för dayTypeText
-                config.highlightStop,
-                null,  // Inga "Endast avstigning" tider för Sjöstadstrafiken idag
-                null,  // Inga "Endast avstigning" tider för Sjöstadstrafiken imorgon
+                redirectedFrom ? redirectedFrom.alternative : highlightStop,
                 isExpired,
                 expiryDate
             );
+            applyLineColor(timetable, line);
             
             wrapper.appendChild(timetable);
+        });
+    }
+
+
+    /**
+     * Bygger stopptider per hållplats för en riktning från turerna i kanoniskt format
+     * Turer och anlöp med validity (t.ex. lunchturer som bara går under lov) tas bara med på matchande datum.
+     * Inställda avgångar (undantag i validity) tas med med orsaken i cancelled om config.showCancelled är på.
+     * Med linje läggs realtidsflödet ovanpå: ny tid (realtime, delay), inställda turer och extraturer (added)
+     * @param {Object} dayData - Tidtabellsdata i schema_version 2
+     * @param {string} direction - Riktning ('loop', 'to_city' eller 'from_city')
+     * @param {Date} date - Datum som avgångarna ska gälla
+     * @param {string} [line] - Linjens id i linjeregistret (utan linje används inte realtidsflödet)
+     * @returns {Object} Stopptider {time, pickup, trip, cancelled?, realtime?, delay?, added?} per hållplats (tomt objekt om riktningen saknas)
+     */
+    function buildStopTimes(dayData, direction, date, line) {
+        const directionData = dayData && dayData.directions && dayData.directions[direction];
+        if (!directionData) {
+            return {};
+        }
+        
+        const stopTimes = {};
+        directionData.stops.forEach(stop => {
+            stopTimes[stop] = [];
+        });
+        
+        directionData.trips
+            .filter(trip => timeHandler.isDateInValidityPeriod(trip.validity, date))
+            .forEach(trip => {
+                const tripException = timeHandler.getValidityException(trip.validity, date);
+                const tripUpdate = line ? realtimeManager.getTripUpdate(line, direction, trip, date) : null;
+                trip.calls.forEach((call, index) => {
+                    if (!timeHandler.isDateInValidityPeriod(call.validity, date)) return;
+                    
+                    const exception = tripException || timeHandler.getValidityException(call.validity, date);
+                    const callUpdate = tripUpdate && (tripUpdate.calls ? tripUpdate.calls[index] : tripUpdate);
+                    const cancelled = exception ? exception.reason || 'Inställd' : callUpdate && callUpdate.cancelled;
+                    if (cancelled) {
+                        if (config.showCancelled) {
+                            stopTimes[call.stop].push({ time: call.depart, pickup: call.pickup, trip, cancelled });
+                        }
+                    } else if (callUpdate) {
+                        stopTimes[call.stop].push({ time: call.depart, pickup: call.pickup, trip, realtime: callUpdate.realtime, delay: callUpdate.delay });
+                    } else {
+                        stopTimes[call.stop].push({ time: call.depart, pickup: call.pickup, trip });
+                    }
+                });
+            });
+        
+        // Extraturer från realtidsflödet, bara vid riktningens hållplatser
+        if (line) {
+            realtimeManager.getAddedTrips(line, direction, date, directionData.stops).forEach(trip => {
+                trip.calls
+                    .filter(call => stopTimes[call.stop])
+                    .forEach(call => stopTimes[call.stop].push({ time: call.depart, pickup: call.pickup, trip, added: true }));
+            });
         }
+        
+        // Hållplatser utan turer (t.ex. under trafikuppehåll) visas inte
+        Object.keys(stopTimes).forEach(stop => {
+            if (stopTimes[stop].length === 0) {
+                delete stopTimes[stop];
+            }
+        });
+        
+        return stopTimes;
+    }
+
+    /**
+     * Hämtar stängda bryggor för en riktning med närmaste öppna brygga
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} direction - Riktning ('loop', 'to_city' eller 'from_city')
+     * @param {Object} dayData - Tidtabellsdata med metadata.closed_stops
+     * @returns {Object} Stängningar {stop, reason, until, alternative} per brygga (tomt objekt om inga)
+     */
+    function getClosedStops(line, direction, dayData) {
+        const closedStops = {};
+        const directionData = dayData && dayData.directions && dayData.directions[direction];
+        if (!directionData) return closedStops;
+
+        ((dayData.metadata && dayData.metadata.closed_stops) || [])
+            .filter(closure => closure.directions.includes(direction))
+            .forEach(closure => {
+                closedStops[closure.stop] = Object.assign({}, closure);
+            });
+        Object.values(closedStops).forEach(closure => {
+            closure.alternative = getOpenAlternative(line, directionData.stops, closure, closedStops);
+        });
+        return closedStops;
+    }
+
+    /**
+     * Hittar närmaste öppna brygga till en stängd brygga
+     * Konfigurationens alternative används om den är öppen, annars närmaste brygga enligt
+     * stop_locations och i sista hand närmaste brygga i turordningen
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Array<string>} stops - Riktningens bryggor i turordning
+     * @param {Object} closure - Stängningen {stop, alternative?}
+     * @param {Object} closedStops - Alla stängda bryggor i riktningen
+     * @returns {string|null} Öppen brygga, eller null om alla är stängda
+     */
+    function getOpenAlternative(line, stops, closure, closedStops) {
+        const openStops = stops.filter(stop => !closedStops[stop]);
+        if (closure.alternative && openStops.includes(closure.alternative)) {
+            return closure.alternative;
+        }
+
+        const lineConfig = timetableData.config && timetableData.config[line];
+        const locations = (lineConfig && lineConfig.service_configuration && lineConfig.service_configuration.stop_locations) || {};
+        const origin = locations[closure.stop];
+        const index = stops.indexOf(closure.stop);
+        // Avstånd i grader räcker för att jämföra bryggor, longituden krymper med latituden
+        const getDistance = stop => {
+            const location = locations[stop];
+            if (origin && location) {
+                return Math.hypot(location.lat - origin.lat, (location.lon - origin.lon) * Math.cos(origin.lat * Math.PI / 180));
+            }
+            return Infinity;
+        };
+
+        const sorted = openStops.slice().sort((a, b) =>
+            (getDistance(a) - getDistance(b)) || (Math.abs(stops.indexOf(a) - index) - Math.abs(stops.indexOf(b) - index)));
+        return sorted[0] || null;
+    }
+
+    /**
+     * Lägger till stängda bryggor (utan tider) på sin plats i turordningen
+     * @param {Object} stopTimes - Tider per hållplats
+     * @param {Object} dayData - Tidtabellsdata
+     * @param {string} direction - Riktning
+     * @param {Object} closedStops - Stängningar per brygga från getClosedStops
+     * @returns {Object} Tider per hållplats med tom lista för stängda bryggor
+     */
+    function addClosedStops(stopTimes, dayData, direction, closedStops) {
+        if (Object.keys(closedStops).length === 0) return stopTimes;
+
+        const ordered = {};
+        dayData.directions[direction].stops.forEach(stop => {
+            if (closedStops[stop]) {
+                ordered[stop] = [];
+            } else if (stopTimes[stop]) {
+                ordered[stop] = stopTimes[stop];
+            }
+        });
+        return ordered;
     }
 
     /**
-     * Slår samman morgon-, lunch- och eftermiddagsavgångar för citylinjen
-     * @param {Object} schedule - Schema innehållande olika tidsperioder
-     * @returns {Object} Sammanslagna avgångar
+     * Bearbetar dagens och nästa trafikdags avgångar för en riktning
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} direction - Riktning ('loop', 'to_city' eller 'from_city')
+     * @param {Object} [dayData] - Dagens tidtabell (standard: linjens laddade data)
+     * @param {Object} [nextDayData] - Nästa trafikdags tidtabell (standard: linjens laddade data)
+     * @returns {Object} Bearbetade avgångar per hållplats
      */
-    function mergeCityLineDepartures(schedule) {
-        const mergedDepartures = {};
+    function processDirection(line, direction, dayData = timetableData.today[line], nextDayData = timetableData.tomorrow[line]) {
+        
+        const today = timeHandler.getServiceDay();
+        const nextDate = getLoadedDate(nextDayData, timeHandler.addDays(today, 1));
         
-        // Hjälpfunktion för att bearbeta avgångar
-        const processDepartures = (departures) => {
-            if (!departures) return;
-            Object.entries(departures).forEach(([stop, times]) => {
-                if (!mergedDepartures[stop]) {
-                    mergedDepartures[stop] = [];
+        const todayStopTimes = buildStopTimes(dayData, direction, today, line);
+        const tomorrowStopTimes = buildStopTimes(nextDayData, direction, nextDate, line);
+        
+        // Trafikfria dagar saknar egna hållplatser - använd nästa trafikdags
+        const stops = Object.keys(todayStopTimes).length > 0 ? 
+            Object.keys(todayStopTimes) : Object.keys(tomorrowStopTimes);
+        
+        const processed = {};
+        for (const stop of stops) {
+            // Skapa array med dagens tider med dagsinformation
+            const todayTimes = createEnhancedTimeObjects(todayStopTimes[stop] || [], today, today);
+            
+            // Hämta nästa trafikdags tider om tillgängliga
+            let tomorrowTimes = [];
+            if (tomorrowStopTimes[stop]) {
+                tomorrowTimes = createEnhancedTimeObjects(tomorrowStopTimes[stop], nextDate, today);
+            }
+            
+            // Kombinera och bearbeta
+            processed[stop] = timeHandler.processScheduleTimes(
+                [...todayTimes, ...tomorrowTimes], 
+                config.maxVisibleDepartures
+            );
+            
+            // Trafikmeddelanden som gäller avgången markeras på tiden
+            processed[stop].forEach(timeObj => {
+                const alerts = alertManager.getDepartureAlerts(line, direction, stop, timeObj, timeHandler.addDays(today, timeObj.dayOffset));
+                if (alerts.length > 0) {
+                    timeObj.alerts = alerts;
                 }
-                mergedDepartures[stop].push(...times);
             });
-        };
+        }
+        
+        return processed;
+    }
 
-        // Bearbeta morgon avgångar om de finns
-        if (schedule.morning && schedule.morning.departures) {
-            processDepartures(schedule.morning.departures);
+    /**
+     * Kontrollerar om ett annat datum än dagens trafikdag visas
+     * Ett valt datum som har passerat (t.ex. efter midnatt) släpps och appen återgår till idag
+     * @returns {boolean} Sant om config.viewDate är ett kommande datum
+     */
+    function isViewingOtherDay() {
+        if (!config.viewDate) return false;
+        
+        if (config.viewDate <= timeHandler.formatDate(timeHandler.getServiceDay())) {
+            config.viewDate = null;
+            timetableData.viewDay = null;
+            removeURLParameter('date');
+            return false;
         }
+        return true;
+    }
 
-        // Bearbeta lunch avgångar om de finns (tillagda i vår 2025-schema)
-        if (schedule.lunch && schedule.lunch.departures) {
-            processDepartures(schedule.lunch.departures);
+    /**
+     * Laddar tidtabellen för datumet i config.viewDate
+     */
+    async function loadViewDay() {
+        timetableData.viewDay = isViewingOtherDay() ?
+            await loadTimetableForDate(timetableData.config, timeHandler.parseDate(config.viewDate)) : null;
+    }
+
+    /**
+     * Byter visat datum från datumväljaren
+     * @param {string|null} viewDate - Datum i YYYY-MM-DD-format, eller null för idag
+     */
+    async function setViewDate(viewDate) {
+        config.viewDate = viewDate;
+        if (viewDate) {
+            updateURLParameter('date', viewDate);
+        } else {
+            removeURLParameter('date');
         }
+        
+        await loadViewDay();
+        updateDisplay(true);
+    }
+
+    /**
+     * Lägger till datumväljaren "Visa dag"
+     * @param {HTMLElement} wrapper - Behållarelementet
+     */
+    function addDayPicker(wrapper) {
+        wrapper.appendChild(renderer.createDayPicker({
+            value: config.viewDate,
+            min: timeHandler.formatDate(timeHandler.getServiceDay()),
+            onChange: setViewDate
+        }));
+    }
 
-        // Bearbeta eftermiddags avgångar om de finns
-        if (schedule.afternoon && schedule.afternoon.departures) {
-            processDepartures(schedule.afternoon.departures);
+    /**
+     * Renderar hela tidtabellen för datumet i config.viewDate
+     * Visas med ett meddelande om att det inte är dagens avgångar. Reseplaneraren
+     * utgår från aktuell tid och visas därför inte
+     * @param {HTMLElement} wrapper - Behållarelementet
+     */
+    function renderDayView(wrapper) {
+        const date = timeHandler.parseDate(config.viewDate);
+        const dayData = timetableData.viewDay;
+        
+        const warnings = dayData ?
+            timetableData.lines
+                .filter(line => dayData.isExpired[line.id])
+                .map(line => `Tidtabellen för ${line.name} gäller bara till ${dayData.expiryDate[line.id]}, avgångarna kan ändras.`) :
+            ['Kunde inte ladda tidtabellen för detta datum.'];
+        wrapper.appendChild(renderer.createDayViewNotice(date, holidayCalendar.getHoliday(config.viewDate), warnings));
+        
+        if (!dayData) return;
+        
+        if (config.showDayGrid) {
+            renderDayGrids(wrapper, dayData, date, null);
+            return;
         }
+        
+        const dayOffset = getDayOffset(date, timeHandler.getServiceDay());
+        getVisibleSections().forEach(({ line, direction, title, highlight, lineEntry }) => {
+            const data = dayData[line];
+            const hasDirection = Boolean(data && data.directions && data.directions[direction]);
+            if (!hasDirection && !(data && (data.metadata.no_traffic || data.metadata.maintenance_mode))) return;
+            
+            const closedStops = getClosedStops(line, direction, data);
+            const stopTimes = addClosedStops(buildStopTimes(data, direction, date, line), data, direction, closedStops);
+            Object.values(stopTimes).forEach(times => {
+                times.sort((a, b) => timeHandler.timeToMinutes(a.time) - timeHandler.timeToMinutes(b.time));
+            });
 
-        // Sortera tider för varje hållplats
-        Object.keys(mergedDepartures).forEach(stop => {
-            mergedDepartures[stop].sort();
+            const timetable = renderer.createDayTimetable(
+                { stopTimes, metadata: data.metadata, closedStops },
+                title,
+                (closedStops[highlight] && closedStops[highlight].alternative) || highlight,
+                dayOffset
+            );
+            applyLineColor(timetable, lineEntry);
+            wrapper.appendChild(timetable);
         });
+    }
 
-        return mergedDepartures;
+    /**
+     * Hämtar de linjer och riktningar som ska visas enligt inställningarna
+     * @returns {Array<Object>} Sektioner {line, direction, title, highlight, lineEntry} där lineEntry är linjen i linjeregistret
+     */
+    function getVisibleSections() {
+        const sections = [];
+        timetableData.lines.filter(isLineVisible).forEach(lineEntry => {
+            getShownDirections(lineEntry).forEach(direction => {
+                sections.push({
+                    line: lineEntry.id,
+                    direction: direction.id,
+                    title: direction.title || lineEntry.name,
+                    highlight: getHighlightStop(lineEntry, direction),
+                    lineEntry
+                });
+            });
+        });
+        return sections;
     }
 
     /**
-     * Renderar Emelietrafiken-tidtabeller
+     * Renderar heldagstabeller (turer som kolumner) för synliga linjer och riktningar
      * @param {HTMLElement} wrapper - Behållarelementet
+     * @param {Object} dayData - Laddad tidtabell för dagen per linje-id
+     * @param {Date} date - Trafikdag som tabellerna gäller
+     * @param {number|null} nowMinutes - Aktuell tid i trafikdygnets minuter, null för andra dagar än idag
+     */
+    function renderDayGrids(wrapper, dayData, date, nowMinutes) {
+        const dayOffset = getDayOffset(date, timeHandler.getServiceDay());
+        
+        getVisibleSections().forEach(({ line, direction, title, highlight, lineEntry }) => {
+            const data = dayData[line];
+            if (!data) return;
+            
+            const directionData = data.directions && data.directions[direction];
+            if (!directionData && !data.metadata.no_traffic && !data.metadata.maintenance_mode) return;
+            
+            // Turer och anlöp som gäller datumet, sorterade efter första avgång
+            const trips = directionData ? directionData.trips
+                .filter(trip => timeHandler.isDateInValidity(trip.validity, date))
+                .map(trip => Object.assign({}, trip, {
+                    calls: trip.calls.filter(call => timeHandler.isDateInValidity(call.validity, date))
+                }))
+                .filter(trip => trip.calls.length > 0)
+                .sort((a, b) => timeHandler.timeToMinutes(a.calls[0].depart) - timeHandler.timeToMinutes(b.calls[0].depart)) : [];
+            
+            const grid = renderer.createDayGrid({
+                title,
+                stops: directionData ? directionData.stops : [],
+                trips,
+                metadata: data.metadata,
+                highlightStop: highlight,
+                nowMinutes,
+                dayOffset
+            });
+            applyLineColor(grid, lineEntry);
+            wrapper.appendChild(grid);
+        });
+    }
+
+    /**
+     * Delar upp en period i grupper av datum som använder samma tidtabell för en linje
+     * och laddar tidtabellen en gång per grupp
+     * @param {Object} configData - Konfigurationsdata
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Date} fromDate - Första trafikdag
+     * @param {Date} toDate - Sista trafikdag
+     * @param {boolean} [includeExpired=true] - Ta med datum efter sista säsongen (senaste tidtabellen används som utgången)
+     * @returns {Promise<Object>} {groups: [{key, dates, data}], noTrafficDates: [{date, holiday}]}, data är null om laddningen misslyckades
      */
-    function renderEmelieTimetables(wrapper) {
-        const cityData = timetableData.today.city;
-        const cityTomorrow = timetableData.tomorrow.city;
-        const isExpired = timetableData.today.isExpired.city;
-        const expiryDate = timetableData.today.expiryDate.city;
+    async function loadDateGroups(configData, line, fromDate, toDate, includeExpired = true) {
+        const groups = [];
+        const noTrafficDates = [];
+        
+        for (let date = fromDate; date <= toDate; date = timeHandler.addDays(date, 1)) {
+            const files = scheduleResolver.determineTimetableFiles(configData, date);
+            if (!includeExpired && files[`${line}Expired`]) continue;
+            if (files[`${line}NoTraffic`]) {
+                noTrafficDates.push({ date, holiday: files.holiday });
+                continue;
+            }
+            
+            const key = scheduleResolver.getSourceKey(files, line);
+            let group = groups.find(candidate => candidate.key === key);
+            if (!group) {
+                group = { key, dates: [] };
+                groups.push(group);
+            }
+            group.dates.push(date);
+        }
         
-        if (!cityData) return;
+        for (const group of groups) {
+            const dayData = await loadTimetableForDate(configData, group.dates[0]);
+            group.data = dayData ? dayData[line] : null;
+        }
         
-        const dayTypeText = cityData.metadata.day_type === 'weekday' ? 'Vardagar' : 
-                           (cityData.metadata.day_type === 'saturday' ? 'Lördagar' : 'Söndagar');
+        return { groups, noTrafficDates };
+    }
+
+    /**
+     * Beskriver vilka dagar en grupp datum med samma tidtabell gäller
+     * Veckodagar som bara förekommer som helgdagar under perioden (t.ex. onsdag när
+     * perioden innehåller julafton och nyårsafton) fyller ut intervallet
+     * @param {Array<Date>} dates - Datum (trafikdagar) i gruppen
+     * @param {Set<number>} regularDays - Veckodagar (1-7) som förekommer som vanliga dagar under perioden
+     * @returns {string} T.ex. "Måndag–fredag", "Lördag–söndag samt helgdagar"
+     */
+    function describeDayGroup(dates, regularDays) {
+        const dayNames = ['Måndag', 'Tisdag', 'Onsdag', 'Torsdag', 'Fredag', 'Lördag', 'Söndag'];
+        const holidays = dates.filter(date => holidayCalendar.getHoliday(timeHandler.formatDate(date)));
+        const days = [...new Set(dates
+            .filter(date => !holidays.includes(date))
+            .map(date => getDayNumber(date)))].sort((a, b) => a - b);
+        
+        if (days.length === 0) {
+            return [...new Set(holidays.map(date => holidayCalendar.getHoliday(timeHandler.formatDate(date)).name))].join(', ');
+        }
         
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const lastDay = days[days.length - 1];
+        for (let day = days[0] + 1; day < lastDay; day++) {
+            if (!regularDays.has(day) && !days.includes(day)) {
+                days.push(day);
+            }
+        }
+        days.sort((a, b) => a - b);
         
-        // TO CITY
-        if (cityData.to_city) {
-            let toCityDepartures;
+        const isRange = days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+        let label = days.length === 1 ? dayNames[days[0] - 1] :
+            (isRange ? `${dayNames[days[0] - 1]}–${dayNames[days[days.length - 1] - 1].toLowerCase()}` :
+                days.map(day => dayNames[day - 1]).join(', '));
+        
+        // Helgdagar som trafikeras som helg räknas till helgens kolumn
+        if (holidays.some(date => !days.includes(getDayNumber(date)))) {
+            label += ' samt helgdagar';
+        }
+        return label;
+    }
+
+    /**
+     * Bygger utskriftsanslaget för synliga linjer under en period
+     * Dagarna grupperas efter vilken tidtabell de får, så att varje dagtyp blir en kolumn
+     * @param {Object} configData - Konfigurationsdata per linje-id
+     * @param {Date} fromDate - Första trafikdag
+     * @param {Date} toDate - Sista trafikdag
+     * @returns {Promise<Object>} Anslag för Renderer.createPrintNotice
+     */
+    async function buildPrintNotice(configData, fromDate, toDate) {
+        const fromStr = timeHandler.formatDate(fromDate);
+        const toStr = timeHandler.formatDate(toDate);
+        const sections = getVisibleSections();
+        const lines = [];
+        
+        for (const line of timetableData.lines.map(entry => entry.id)) {
+            const lineSections = sections.filter(section => section.line === line);
+            if (lineSections.length === 0) continue;
             
-            // Hantera olika filstrukturer (ibland nästlade, ibland flata)
-            if (cityData.to_city.departures) {
-                // Helgstruktur i vårformat
-                toCityDepartures = cityData.to_city.departures;
-            } else {
-                // Vardagsstruktur med morgon/eftermiddagsperioder
-                toCityDepartures = mergeCityLineDepartures(cityData.to_city);
+            const lineConfig = configData[line];
+            const { groups, noTrafficDates } = await loadDateGroups(configData, line, fromDate, toDate);
+            const noTraffic = noTrafficDates.map(({ date, holiday }) =>
+                timeHandler.formatDate(date) + (holiday ? ` (${holiday.name})` : ''));
+            
+            const regularDays = new Set();
+            for (let date = fromDate; date <= toDate; date = timeHandler.addDays(date, 1)) {
+                if (!holidayCalendar.getHoliday(timeHandler.formatDate(date))) {
+                    regularDays.add(getDayNumber(date));
+                }
             }
             
-            // Bearbeta dagens avgångar
-            const processedToCity = {};
-            for (const [stop, times] of Object.entries(toCityDepartures)) {
-                // Skapa array med dagens tider med dagsinformation
-                const todayTimes = createEnhancedTimeObjects(times, now, now);
-                
-                // Hämta morgondagens tider om tillgängliga
-                let tomorrowTimes = [];
-                if (cityTomorrow && cityTomorrow.to_city) {
-                    let tomorrowDepartures;
-                    
-                    if (cityTomorrow.to_city.departures) {
-                        tomorrowDepartures = cityTomorrow.to_city.departures;
-                    } else {
-                        tomorrowDepartures = mergeCityLineDepartures(cityTomorrow.to_city);
-                    }
+            groups.forEach(group => {
+                group.label = describeDayGroup(group.dates, regularDays);
+            });
+            groups.sort((a, b) => Math.min(...a.dates.map(getDayNumber)) - Math.min(...b.dates.map(getDayNumber)));
+            
+            const printSections = lineSections.map(({ direction, title, highlight }) => {
+                let stop = highlight;
+                const columns = groups.filter(group => group.data).map(group => {
+                    const directionData = group.data.directions && group.data.directions[direction];
+                    if (!directionData) return { label: group.label, times: [] };
+                    if (!directionData.stops.includes(stop)) stop = directionData.stops[0];
                     
-                    if (tomorrowDepartures[stop]) {
-                        tomorrowTimes = createEnhancedTimeObjects(tomorrowDepartures[stop], tomorrow, now);
-                    }
+                    const times = [];
+                    directionData.trips.forEach(trip => {
+                        trip.calls.filter(call => call.stop === stop).forEach(call => {
+                            const validDays = group.dates.filter(date =>
+                                timeHandler.isDateInValidity(trip.validity, date) &&
+                                timeHandler.isDateInValidity(call.validity, date)).length;
+                            if (validDays > 0) {
+                                times.push({ time: call.depart, pickup: call.pickup, partial: validDays < group.dates.length });
+                            }
+                        });
+                    });
+                    times.sort((a, b) => timeHandler.timeToMinutes(a.time) - timeHandler.timeToMinutes(b.time));
+                    return { label: group.label, times };
+                });
+                return { title, stop, columns };
+            });
+            
+            const validity = lineConfig.season_mapping
+                .filter(season => season.period.start <= toStr && season.period.end >= fromStr)
+                .map(season => `${season.name}, ${season.period.start} – ` +
+                    (season.period.end >= '2099-01-01' ? 'tills vidare' : season.period.end));
+            
+            const metadataNotes = (lineConfig.metadata && lineConfig.metadata.notes) || [];
+            const notes = Array.isArray(metadataNotes) ? metadataNotes :
+                Object.entries(metadataNotes).filter(([key]) => key !== 'youth_age').map(([, note]) => note);
+            if (groups.some(group => !group.data)) {
+                notes.unshift('Alla tidtabeller för perioden kunde inte laddas.');
+            }
+            
+            lines.push({
+                lineName: getLineName(line),
+                validity,
+                sections: printSections,
+                noTraffic,
+                notes,
+                pricing: lineConfig.metadata && lineConfig.metadata.pricing,
+                youthAge: !Array.isArray(metadataNotes) ? metadataNotes.youth_age : undefined,
+                free: Boolean(lineConfig.metadata && lineConfig.metadata.type === 'free')
+            });
+        }
+        
+        return {
+            period: `${fromStr} – ${toStr}`,
+            printedAt: timeHandler.formatDate(timeHandler.getServiceDay()),
+            lines
+        };
+    }
+
+    /**
+     * Visar periodval för utskriftsanslaget (förvalt en vecka från idag)
+     */
+    function showPrintOptions() {
+        if (!timetableData.config) return;
+        closeSettingsPanel();
+        
+        const today = timeHandler.getServiceDay();
+        renderer.showPrintOptions({
+            from: timeHandler.formatDate(today),
+            to: timeHandler.formatDate(timeHandler.addDays(today, 6)),
+            onPrint: printNotice
+        });
+    }
+
+    /**
+     * Skriver ut anslaget för en period
+     * Anslaget läggs utanför appen och visas bara vid utskrift (se print-notice i styles.css)
+     * @param {string} from - Första datum (YYYY-MM-DD)
+     * @param {string} to - Sista datum (YYYY-MM-DD)
+     * @returns {Promise<string|null>} Felmeddelande eller null om utskriften startades
+     */
+    async function printNotice(from, to) {
+        if (!isValidDateString(from) || !isValidDateString(to) || from > to) {
+            return 'Välj ett giltigt datumintervall.';
+        }
+        
+        const fromDate = timeHandler.parseDate(from);
+        const toDate = timeHandler.parseDate(to);
+        if (timeHandler.getDaysBetween(fromDate, toDate) >= config.printMaxDays) {
+            return `Välj högst ${config.printMaxDays} dagar.`;
+        }
+        if (!timetableData.lines.some(isLineVisible)) {
+            return 'Ingen linje är vald att visa.';
+        }
+        
+        const notice = renderer.createPrintNotice(await buildPrintNotice(timetableData.config, fromDate, toDate));
+        const previous = document.querySelector('.print-notice');
+        if (previous) {
+            previous.remove();
+        }
+        
+        renderer.closeDialog();
+        document.body.appendChild(notice);
+        document.body.classList.add('printing-notice');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-notice');
+            notice.remove();
+        }, { once: true });
+        window.print();
+        return null;
+    }
+
+    /**
+     * Hittar vilken linje och riktning en tur tillhör i de laddade tidtabellerna
+     * Tur-id börjar med riktningen och är unika inom en linjes tidtabell
+     * @param {Object} trip - Tur i kanoniskt format
+     * @returns {Object|null} {line, direction} eller null om turen inte finns
+     */
+    function findTripSource(trip) {
+        const dayDataList = [timetableData.today, timetableData.tomorrow, timetableData.viewDay].filter(Boolean);
+        for (const dayData of dayDataList) {
+            for (const line of timetableData.lines.map(entry => entry.id)) {
+                const directions = (dayData[line] && dayData[line].directions) || {};
+                const direction = Object.keys(directions)
+                    .find(key => directions[key].trips.some(candidate => candidate.id === trip.id));
+                if (direction) {
+                    return { line, direction };
                 }
-                
-                // Kombinera och bearbeta
-                processedToCity[stop] = timeHandler.processScheduleTimes(
-                    [...todayTimes, ...tomorrowTimes], 
-                    config.maxVisibleDepartures
-                );
             }
+        }
+        return null;
+    }
 
-            // Hämta "Endast avstigning" tider för dagens och morgondagens TO_CITY
-            const disembarkOnlyToCityToday = timetableData.today.disembarkOnly?.toCity || null;
-            const disembarkOnlyToCityTomorrow = timetableData.tomorrow.disembarkOnly?.toCity || null;
+    /**
+     * Kontrollerar om en avgång (påstigning vid en brygga och tid) går en viss trafikdag
+     * @param {Object} directionData - Riktning i kanoniskt format
+     * @param {Date} date - Trafikdag
+     * @param {string} stop - Brygga
+     * @param {string} time - Avgångstid (HH:MM)
+     * @returns {boolean} Sant om avgången går
+     */
+    function hasDeparture(directionData, date, stop, time) {
+        return directionData.trips
+            .filter(trip => timeHandler.isDateInValidity(trip.validity, date))
+            .some(trip => trip.calls.some(call => call.stop === stop && call.depart === time &&
+                call.pickup !== false && timeHandler.isDateInValidity(call.validity, date)));
+    }
 
-            // Skicka tomt som dayTypeText för att inte visa det
-            const toCityTable = renderer.createTimetable(
-                { 
-                    departures: processedToCity,
-                    metadata: cityData.metadata  // Lägg till metadata här!
-                },
-                "M/S Emelie → City",
-                "", // Tomt istället för dayTypeText
-                config.cityHighlightStop,
-                disembarkOnlyToCityToday,    // Dagens "Endast avstigning" tider för TO_CITY
-                disembarkOnlyToCityTomorrow, // Morgondagens "Endast avstigning" tider för TO_CITY
-                isExpired,
-                expiryDate
-            );
-            
-            wrapper.appendChild(toCityTable);
+    /**
+     * Hämtar alla trafikdagar under säsongen då en avgång går
+     * Säsongen är season_mapping-perioden som innehåller datumet, högst config.calendarExportMaxDays dagar
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {string} direction - Riktning
+     * @param {string} stop - Brygga
+     * @param {string} time - Avgångstid (HH:MM)
+     * @param {Date} date - Första trafikdag
+     * @returns {Promise<Array<Date>>} Trafikdagar i ordning
+     */
+    async function findDepartureDates(line, direction, stop, time, date) {
+        const configData = timetableData.config;
+        const dateStr = timeHandler.formatDate(date);
+        const season = configData[line].season_mapping
+            .find(candidate => candidate.period.start <= dateStr && candidate.period.end >= dateStr);
+        if (!season) return [date];
+        
+        const maxDate = timeHandler.addDays(date, config.calendarExportMaxDays - 1);
+        const seasonEnd = timeHandler.parseDate(season.period.end);
+        const { groups } = await loadDateGroups(configData, line, date, seasonEnd < maxDate ? seasonEnd : maxDate);
+        
+        return groups
+            .filter(group => group.data && group.data.directions && group.data.directions[direction])
+            .flatMap(group => group.dates.filter(groupDate =>
+                hasDeparture(group.data.directions[direction], groupDate, stop, time)))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Exporterar en avgång som kalenderfil (.ics)
+     * Återkommande avgångar får samma tid hela säsongen, med helgdagar och
+     * trafikfria dagar som saknar avgången undantagna
+     * @param {string} stop - Påstigningsbrygga
+     * @param {Object} timeObj - Tidsobjekt med .trip, .time och .dayOffset
+     * @param {boolean} recurring - Sant för samma tid hela säsongen
+     * @returns {Promise<string|null>} Felmeddelande eller null om filen skapades
+     */
+    async function exportDeparture(stop, timeObj, recurring) {
+        const source = findTripSource(timeObj.trip);
+        if (!source || !timetableData.config) {
+            return 'Turen kunde inte hittas i tidtabellen.';
+        }
+        
+        const date = timeHandler.addDays(timeHandler.getServiceDay(), timeObj.dayOffset || 0);
+        const calls = timeObj.trip.calls.filter(call => timeHandler.isDateInValidity(call.validity, date));
+        const boardIndex = calls.findIndex(call => call.stop === stop && call.depart === timeObj.time);
+        if (boardIndex === -1) {
+            return 'Turen kunde inte hittas i tidtabellen.';
+        }
+        
+        // Tider efter påstigningen räknas framåt över midnatt
+        let previous = timeHandler.timeToMinutes(timeObj.time);
+        const start = previous;
+        const onward = calls.slice(boardIndex).map((call, index) => {
+            let minutes = timeHandler.timeToMinutes(index === 0 ? call.depart : (call.arrive || call.depart));
+            while (minutes < previous) minutes += 24 * 60;
+            previous = minutes;
+            return { call, minutes };
+        });
+        const destination = onward.slice(1).reverse().find(({ call }) => call.dropoff !== false) || onward[0];
+        
+        const description = onward.map(({ call, minutes }, index) =>
+            `${index === 0 ? '' : 'ank. '}${timeHandler.minutesToTime(minutes % (24 * 60))} ${call.stop}` +
+            (index > 0 && call.dropoff === false ? ' (ingen avstigning)' : ''));
+        description.push('', 'Kontrollera aktuell tidtabell före resan, avgångar kan ändras.');
+        
+        const dates = recurring ? await findDepartureDates(source.line, source.direction, stop, timeObj.time, date) : [date];
+        if (dates.length === 0) {
+            return 'Avgången finns inte i säsongens tidtabeller.';
         }
+        const holidays = new Set(dates.map(timeHandler.formatDate.bind(timeHandler))
+            .filter(dateStr => holidayCalendar.getHoliday(dateStr)));
+        
+        const firstDate = timeHandler.formatDate(dates[0]);
+        const compactTime = timeObj.time.replace(':', '');
+        const content = icsExporter.createCalendar([{
+            uid: `${source.line}-${source.direction}-${compactTime}-${firstDate}${recurring ? '-sasong' : ''}`,
+            date: dates[0],
+            start,
+            end: destination.minutes,
+            summary: `${getLineName(source.line)}: ${stop} → ${destination.call.stop}`,
+            location: stop,
+            description: description.join('\n'),
+            url: window.location.origin + window.location.pathname,
+            dates,
+            holidays
+        }]);
+        
+        downloadFile(`${source.line}-${compactTime}-${recurring ? 'sasong' : firstDate}.ics`, content, 'text/calendar;charset=utf-8');
+        return null;
+    }
 
-        // FROM CITY (om aktiverat)
-        if (config.showBothDirections && cityData.from_city) {
-            let fromCityDepartures;
+    /**
+     * Skapar och laddar ner ett GTFS-flöde (zip) för linjeregistrets linjer från idag
+     * och config.gtfsExportDays dagar framåt, samma flöde som tools/export-gtfs.js
+     * Datum efter sista säsongen utelämnas så att utgångna tidtabeller inte publiceras
+     */
+    async function exportGtfs() {
+        const button = document.getElementById('gtfs-button');
+        if (!timetableData.config || !button) return;
+        
+        button.disabled = true;
+        button.textContent = 'Skapar...';
+        try {
+            const configData = timetableData.config;
+            const from = timeHandler.getServiceDay();
+            const to = timeHandler.addDays(from, config.gtfsExportDays - 1);
             
-            // Hantera olika filstrukturer
-            if (cityData.from_city.departures) {
-                // Helgstruktur i vårformat
-                fromCityDepartures = cityData.from_city.departures;
-            } else {
-                // Vardagsstruktur med morgon/eftermiddagsperioder
-                fromCityDepartures = mergeCityLineDepartures(cityData.from_city);
+            const lines = [];
+            for (const { id, name } of timetableData.lines) {
+                const { groups } = await loadDateGroups(configData, id, from, to, false);
+                lines.push({ line: id, name, config: configData[id], groups });
             }
             
-            // Bearbeta dagens och morgondagens avgångar
-            const processedFromCity = {};
-            for (const [stop, times] of Object.entries(fromCityDepartures)) {
-                // Skapa array med dagens tider med dagsinformation
-                const todayTimes = createEnhancedTimeObjects(times, now, now);
-                
-                // Hämta morgondagens tider om tillgängliga
-                let tomorrowTimes = [];
-                if (cityTomorrow && cityTomorrow.from_city) {
-                    let tomorrowDepartures;
-                    
-                    if (cityTomorrow.from_city.departures) {
-                        tomorrowDepartures = cityTomorrow.from_city.departures;
-                    } else {
-                        tomorrowDepartures = mergeCityLineDepartures(cityTomorrow.from_city);
-                    }
-                    
-                    if (tomorrowDepartures[stop]) {
-                        tomorrowTimes = createEnhancedTimeObjects(tomorrowDepartures[stop], tomorrow, now);
-                    }
-                }
-                
-                // Kombinera och bearbeta
-                processedFromCity[stop] = timeHandler.processScheduleTimes(
-                    [...todayTimes, ...tomorrowTimes], 
-                    config.maxVisibleDepartures
-                );
-            }
+            const feed = gtfsExporter.createFeed({
+                lines,
+                from,
+                to,
+                publisherUrl: window.location.origin + window.location.pathname,
+                version: config.version
+            });
+            const zip = gtfsExporter.createZip(feed);
+            downloadFile(`sjostadsfarjetrafiken-gtfs-${timeHandler.formatDate(from)}.zip`, new Blob([zip], { type: 'application/zip' }));
+            button.textContent = 'Nedladdad';
+            button.removeAttribute('title');
+        } catch (error) {
+            console.error('Fel vid GTFS-export:', error);
+            button.textContent = 'Misslyckades';
+            button.title = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    }
 
-            // Hämta "Endast avstigning" tider för både dagens och morgondagens FROM_CITY
-            const disembarkOnlyFromCityToday = timetableData.today.disembarkOnly?.fromCity || null;
-            const disembarkOnlyFromCityTomorrow = timetableData.tomorrow.disembarkOnly?.fromCity || null;
+    /**
+     * Laddar ner en fil som skapats i webbläsaren
+     * @param {string} fileName - Filnamn
+     * @param {string|Blob} content - Innehåll
+     * @param {string} type - MIME-typ
+     */
+    function downloadFile(fileName, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
-            // Skicka tomt som dayTypeText för att inte visa det
-            const fromCityTable = renderer.createTimetable(
-                { 
-                    departures: processedFromCity,
-                    metadata: cityData.metadata  // Lägg till metadata här!
-                },
-                "M/S Emelie ← City",
-                "", // Tomt istället för dayTypeText
-                config.cityReturnStop,
-                disembarkOnlyFromCityToday,     // Dagens "Endast avstigning" tider för FROM_CITY
-                disembarkOnlyFromCityTomorrow,  // Morgondagens "Endast avstigning" tider för FROM_CITY
-                isExpired,
-                expiryDate
+    /**
+     * Renderar reseplaneraren för resor mellan två bryggor
+     * Använder dagens och nästa trafikdags tidtabeller för alla linjer i linjeregistret
+     * @param {HTMLElement} wrapper - Behållarelementet
+     */
+    function renderJourneyPlanner(wrapper) {
+        const stops = journeyPlanner.getStops(timetableData.lines.map(line => timetableData.config[line.id]));
+        if (stops.length === 0) return;
+        
+        const today = timeHandler.getServiceDay();
+        const tomorrow = timeHandler.addDays(today, 1);
+        
+        const timetables = [];
+        timetableData.lines.forEach(({ id: line, name: lineName }) => {
+            const nextDate = getLoadedDate(timetableData.tomorrow[line], tomorrow);
+            timetables.push(
+                { line, lineName, data: timetableData.today[line], date: today, dayOffset: 0 },
+                { line, lineName, data: timetableData.tomorrow[line], date: nextDate, dayOffset: getDayOffset(nextDate, today) }
             );
+        });
+        
+        const from = stops.includes(config.journeyFrom) ? config.journeyFrom : stops[0];
+        const to = stops.includes(config.journeyTo) ? config.journeyTo : stops[stops.length - 1];
+        
+        const journeys = journeyPlanner.plan({
+            from,
+            to,
+            timetables,
+            nowMinutes: timeHandler.getServiceMinutes(),
+            maxResults: config.journeyResults
+        });
+        
+        wrapper.appendChild(renderer.createJourneyPlanner({
+            stops,
+            from,
+            to,
+            journeys,
+            formatMinutes: (minutes) => journeyPlanner.formatMinutes(minutes),
+            onChange: (newFrom, newTo) => {
+                config.journeyFrom = newFrom;
+                config.journeyTo = newTo;
+                updateURLParameter('from', encodeURIComponent(newFrom));
+                updateURLParameter('to', encodeURIComponent(newTo));
+                saveConfigToLocalStorage();
+                updateDisplay(true);
+            }
+        }));
+    }
+
+    /**
+     * Läser in ett GTFS-flöde som datakälla istället för konfigurationsfilerna i data/
+     * Turerna som går efter midnatt i flödet bestämmer när trafikdagen byts
+     * @param {ArrayBuffer} buffer - Zip-filens innehåll
+     * @param {string} source - Filnamn eller sökväg som visas i appen
+     * @throws {Error} Om flödet inte kan läsas
+     */
+    async function loadGtfsFeed(buffer, source) {
+        const feed = await gtfsImporter.readFeed(buffer);
+        feed.warnings.forEach(warning => console.warn(`GTFS (${source}): ${warning}`));
+        
+        timetableData.gtfs = { feed, source, date: null, today: null, tomorrow: null };
+        timeHandler.setServiceDayEnd(feed.serviceDayEnd);
+        // Kalenderexporten bygger på säsongerna i konfigurationsfilerna
+        renderer.onCalendarExport = null;
+        debugLog(`GTFS-flöde inläst från ${source}`, feed.routes.map(route => route.name));
+    }
+
+    /**
+     * Hämtar GTFS-flödet i config.dataPaths.gtfs
+     * @param {string} url - Sökväg till zip-filen (samma ursprung som appen)
+     * @returns {Promise<boolean>} Sant om flödet lästes in
+     */
+    async function fetchGtfsFeed(url) {
+        try {
+            const response = await fetch(addCacheBuster(url));
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            await loadGtfsFeed(await response.arrayBuffer(), url);
+            return true;
+        } catch (error) {
+            handleError(error, `Kunde inte läsa GTFS-flödet (${error.message})`);
+            return false;
+        }
+    }
+
+    /**
+     * Läser in ett GTFS-flöde som användaren valt i inställningarna
+     * Flödet gäller tills sidan laddas om, för en fast datakälla används dataPaths.gtfs
+     * @param {File} file - Vald zip-fil
+     * @param {HTMLElement} status - Element för felmeddelande
+     */
+    async function loadGtfsFile(file, status) {
+        status.textContent = 'Läser in...';
+        try {
+            await loadGtfsFeed(await file.arrayBuffer(), file.name);
+            closeSettingsPanel();
+            await loadAllTimetables();
+        } catch (error) {
+            console.error('Fel vid inläsning av GTFS-flöde:', error);
+            status.textContent = `Misslyckades: ${error.message}`;
+        }
+    }
+
+    /**
+     * Går tillbaka från GTFS-flöde till konfigurationsfilerna i data/
+     */
+    async function useStandardTimetables() {
+        timetableData.gtfs = null;
+        renderer.onCalendarExport = exportDeparture;
+        closeSettingsPanel();
+        
+        // Konfigurationen laddas av loadAllTimetables om den inte redan finns
+        if (timetableData.config) {
+            timeHandler.setServiceDayEnd(getServiceDayEnd(timetableData.config));
+        }
+        await loadAllTimetables();
+    }
+
+    /**
+     * Hämtar en linjes tidtabell ur GTFS-flödet för en trafikdag i kanoniskt format
+     * @param {string} routeId - Linjens route_id
+     * @param {Date} date - Trafikdag
+     * @returns {Object} Tidtabellsdata i schema_version 2
+     */
+    function getGtfsDay(routeId, date) {
+        const data = scheduleUpgrader.upgrade(gtfsImporter.getDay(timetableData.gtfs.feed, routeId, date), timetableData.gtfs.source);
+        data._loadedForDate = date.toISOString();
+        return data;
+    }
+
+    /**
+     * Tar fram dagens och nästa trafikdags tidtabell för flödets alla linjer
+     * Är morgondagen trafikfri används nästa dag med trafik inom config.noTrafficLookaheadDays
+     */
+    function loadGtfsDays() {
+        const gtfs = timetableData.gtfs;
+        const today = timeHandler.getServiceDay();
+        const tomorrow = timeHandler.addDays(today, 1);
+        
+        gtfs.today = {};
+        gtfs.tomorrow = {};
+        gtfs.feed.routes.forEach(route => {
+            const nextDate = gtfsImporter.findNextServiceDate(gtfs.feed, route.id, tomorrow, config.noTrafficLookaheadDays);
+            gtfs.today[route.id] = getGtfsDay(route.id, today);
+            gtfs.tomorrow[route.id] = getGtfsDay(route.id, nextDate || tomorrow);
+        });
+        gtfs.date = today;
+        timetableData.lastUpdate = new Date();
+    }
+
+    /**
+     * Uppdaterar visningen med linjerna i GTFS-flödet
+     * Datumväljare, reseplanerare och heldagstabell bygger på konfigurationsfilerna och visas inte
+     * @param {HTMLElement} appElement - Appbehållaren
+     * @param {HTMLElement} wrapper - Behållarelementet
+     */
+    function updateGtfsDisplay(appElement, wrapper) {
+        if (!timetableData.gtfs.today) return;
+        
+        try {
+            const info = document.createElement('div');
+            info.className = 'validity-info';
+            info.textContent = `Tidtabell från GTFS-flöde: ${timetableData.gtfs.source}`;
+            wrapper.appendChild(info);
+            
+            renderGtfsTimetables(wrapper);
             
-            wrapper.appendChild(fromCityTable);
+            if (!isEmbedded()) {
+                addSettingsButton(wrapper);
+            }
+            
+            renderer.setupOverflowObservers(wrapper);
+            appElement.appendChild(wrapper);
+        } catch (error) {
+            handleError(error, 'Fel vid uppdatering av display');
         }
     }
 
+    /**
+     * Renderar ett tidtabellskort per linje och riktning i GTFS-flödet
+     * Markerad brygga är den första valda bryggan i config.highlightStops som linjen anlöper, annars första bryggan
+     * @param {HTMLElement} wrapper - Behållarelementet
+     */
+    function renderGtfsTimetables(wrapper) {
+        const gtfs = timetableData.gtfs;
+        
+        gtfs.feed.routes.forEach(route => {
+            const dayData = gtfs.today[route.id];
+            const nextDayData = gtfs.tomorrow[route.id];
+            const directionNames = Object.assign({}, nextDayData.metadata.direction_names, dayData.metadata.direction_names);
+            const directions = Object.keys(directionNames).sort();
+            
+            // Ingen trafik idag och ingen trafikdag inom sökperioden - visa bara meddelandet
+            if (directions.length === 0) {
+                wrapper.appendChild(renderer.createTimetable({ departures: {}, metadata: dayData.metadata }, route.name, "", null));
+                return;
+            }
+            
+            directions.forEach(direction => {
+                const departures = processDirection(route.id, direction, dayData, nextDayData);
+                const highlightStop = Object.values(config.highlightStops).find(stop => departures[stop]) ||
+                    Object.keys(departures)[0];
+                
+                wrapper.appendChild(renderer.createTimetable(
+                    { departures, metadata: dayData.metadata },
+                    `${route.name} → ${directionNames[direction]}`,
+                    "",
+                    highlightStop
+                ));
+            });
+        });
+    }
+
     /**
      * Hanterar och visar fel för användaren
      * SÄKERHETSHÄRDAD: createElement istället för innerHTML
@@ -1730,14 +3065,25 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     /**
-     * Kontrollerar om det är ett nytt dygn och laddar i så fall om tidtabellen
+     * Kontrollerar om en ny trafikdag har börjat och laddar i så fall om tidtabellen
+     * Trafikdagen byts vid service_day_end, inte vid midnatt, så att båtar efter
+     * midnatt (24:05) fortfarande visas som kvällens sista avgångar
      */
     function checkForMidnight() {
-        const now = new Date();
+        const today = timeHandler.formatDate(timeHandler.getServiceDay());
+        
+        // GTFS-flödet finns redan i minnet, bara dagarna behöver räknas om
+        if (timetableData.gtfs) {
+            if (!timetableData.gtfs.date || timeHandler.formatDate(timetableData.gtfs.date) !== today) {
+                loadAllTimetables();
+            }
+            return;
+        }
         
-        // Om vi inte har någon tidigare laddad data, eller om det är ett nytt dygn
-        if (!timetableData.today || !timetableData.today.sjo || !timetableData.today.city ||
-            new Date(timetableData.today.sjo._loadedForDate).getDate() !== now.getDate()) {
+        // Om vi inte har någon tidigare laddad data, eller om en ny trafikdag har börjat
+        const firstLine = timetableData.lines && timetableData.lines[0].id;
+        if (!hasAllLines(timetableData.today) ||
+            timeHandler.formatDate(new Date(timetableData.today[firstLine]._loadedForDate)) !== today) {
             
             debugLog('Nytt dygn detekterat, laddar om tidtabellsdata');
             loadAllTimetables();
@@ -1749,12 +3095,14 @@ document.addEventListener('DOMContentLoaded', async function() {
      */
     async function loadAllTimetables() {
         try {
-            const now = new Date();
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
+            if (timetableData.gtfs) {
+                loadGtfsDays();
+                updateDisplay(true);
+                return;
+            }
             
             // Om konfigurationsdata inte är laddat än, ladda det
-            if (!timetableData.config.sjo || !timetableData.config.city) {
+            if (!timetableData.config) {
                 timetableData.config = await loadConfigData();
                 if (!timetableData.config) {
                     handleError(null, 'Kunde inte ladda konfigurationsdata');
@@ -1762,16 +3110,28 @@ document.addEventListener('DOMContentLoaded', async function() {
                 }
             }
             
+            const now = new Date();
+            const today = timeHandler.getServiceDay(now);
+            const tomorrow = timeHandler.addDays(today, 1);
+            
             // Ladda dagens och morgondagens tidtabeller
             const [todayData, tomorrowData] = await Promise.all([
-                loadTimetableForDate(timetableData.config, now),
+                loadTimetableForDate(timetableData.config, today),
                 loadTimetableForDate(timetableData.config, tomorrow)
             ]);
             
             if (todayData && tomorrowData) {
+                // Om morgondagen är trafikfri, rulla över till nästa dag med trafik
+                for (const line of Object.keys(timetableData.config)) {
+                    if (tomorrowData.noTraffic[line]) {
+                        await replaceWithNextOperatingDay(tomorrowData, line, tomorrow);
+                    }
+                }
+                
                 timetableData.today = todayData;
                 timetableData.tomorrow = tomorrowData;
                 timetableData.lastUpdate = now;
+                await loadViewDay();
                 updateDisplay(true);
                 
                 debugLog('Tidtabellsdata laddad framgångsrikt');
@@ -1783,6 +3143,29 @@ document.addEventListener('DOMContentLoaded', async function() {
         }
     }
 
+    /**
+     * Ersätter en linjes morgondagsdata med data för nästa dag som har trafik
+     * @param {Object} dayData - Laddad tidtabellsdata för morgondagen (modifieras)
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Date} tomorrow - Morgondagens datum
+     */
+    async function replaceWithNextOperatingDay(dayData, line, tomorrow) {
+        const nextDate = findNextOperatingDate(timetableData.config, line, tomorrow);
+        if (!nextDate) {
+            debugLog(`Ingen trafikdag hittades för ${line} inom ${config.noTrafficLookaheadDays} dagar`);
+            return;
+        }
+        
+        const nextData = await loadTimetableForDate(timetableData.config, nextDate);
+        if (!nextData) {
+            return;
+        }
+        
+        debugLog(`Morgondagen är trafikfri för ${line}, använder ${timeHandler.formatDate(nextDate)}`);
+        dayData[line] = nextData[line];
+        dayData.noTraffic[line] = false;
+    }
+
     /**
      * Kontrollerar efter versionsuppdateringar
      */
@@ -1804,6 +3187,7 @@ document.addEventListener('DOMContentLoaded', async function() {
      * - dataRefresh: Hämtar ny data från servern var 30:e minut
      * - midnightCheck: Kontrollerar om det är ett nytt dygn varje minut
      * - versionCheck: Kontrollerar efter versionsuppdateringar varje timme
+     * - realtime: Hämtar realtidsflödet var 30:e sekund (bara med config.dataPaths.realtime)
      */
     function startAllTimers() {
         // Avbryt eventuella existerande timers
@@ -1811,14 +3195,18 @@ document.addEventListener('DOMContentLoaded', async function() {
         if (timers.dataRefresh) clearInterval(timers.dataRefresh);
         if (timers.midnightCheck) clearInterval(timers.midnightCheck);
         if (timers.versionCheck) clearInterval(timers.versionCheck);
+        if (timers.realtime) clearInterval(timers.realtime);
         
         // Starta ny timer för visningsuppdatering (varje minut)
         timers.displayUpdate = setInterval(() => {
             updateDisplay();
         }, config.updateInterval);
         
-        // Starta ny timer för datahämtning (var 30:e minut)
-        timers.dataRefresh = setInterval(() => {
+        // Starta ny timer för datahämtning (var 30:e minut), trafikmeddelandena först
+        timers.dataRefresh = setInterval(async () => {
+            if (!timetableData.gtfs) {
+                await loadAlerts();
+            }
             loadAllTimetables();
         }, config.dataRefreshInterval);
         
@@ -1831,6 +3219,14 @@ document.addEventListener('DOMContentLoaded', async function() {
         timers.versionCheck = setInterval(() => {
             checkForVersionUpdates();
         }, config.versionCheckInterval);
+        
+        // Starta ny timer för realtidsflödet (var 30:e sekund) om ett flöde är konfigurerat
+        if (config.dataPaths.realtime) {
+            timers.realtime = setInterval(async () => {
+                await loadRealtime();
+                updateDisplay(true);
+            }, config.realtimeInterval);
+        }
     }
 
     // Initialisera applikationen
@@ -1838,14 +3234,24 @@ document.addEventListener('DOMContentLoaded', async function() {
         try {
             debugLog('Initialiserar applikation...');
             
-            // Ladda konfigurationsdata
-            timetableData.config = await loadConfigData();
-            
-            if (!timetableData.config) {
-                handleError(null, 'Kunde inte ladda konfigurationsdata');
-                return;
+            if (config.dataPaths.gtfs) {
+                // GTFS-flöde som datakälla istället för konfigurationsfilerna
+                if (!await fetchGtfsFeed(config.dataPaths.gtfs)) {
+                    return;
+                }
+            } else {
+                // Ladda konfigurationsdata
+                timetableData.config = await loadConfigData();
+                
+                if (!timetableData.config) {
+                    handleError(null, 'Kunde inte ladda konfigurationsdata');
+                    return;
+                }
             }
             
+            // Realtidsflödet läggs ovanpå tidtabellerna när de ritas
+            await loadRealtime();
+            
             // Ladda dagens och morgondagens tidtabeller
             await loadAllTimetables();
             
@@ -0,0 +1,101 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Fare Calculator Module
+ *
+ * Räknar ut billigaste biljetterna för ett sällskap som reser ett antal
+ * enkelresor samma dag, utifrån metadata.pricing i linjens konfiguration
+ * ({single, day, multi_trip, monthly} med {adult, senior_youth}). Varje
+ * resenär jämförs för sig: enkelbiljetter, periodbiljetter (dag- och månadskort
+ * gäller alla resor idag) och resorskort kombinerade med enkelbiljetter.
+ * Ett resorskort räknas per resenär. Barn reser gratis och räknas inte.
+ *
+ * Versionshistorik:
+ * 6.1.0 - Skapad: Billigaste biljettkombination per resenärskategori
+ *
+ * @author Christian Gillinger
+ * @version 6.1.0
+ * @license MIT
+ */
+
+class FareCalculator {
+    /**
+     * Initierar FareCalculator
+     */
+    constructor() {
+        // Resenärskategorier i metadata.pricing
+        this.categories = ['adult', 'senior_youth'];
+        // Biljetter som gäller obegränsat antal resor under dagen
+        this.periodTickets = ['day', 'monthly'];
+    }
+
+    /**
+     * Hittar billigaste biljetterna för en resenär
+     * @param {Object} pricing - Priser från metadata.pricing
+     * @param {string} category - Resenärskategori ('adult' eller 'senior_youth')
+     * @param {number} trips - Antal enkelresor idag
+     * @returns {Object|null} {tickets: [{ticket, count, price}], total}, eller null om kategorin saknar priser
+     */
+    getCheapestForTraveller(pricing, category, trips) {
+        const price = ticket => pricing[ticket] ? pricing[ticket][category] : undefined;
+        const options = [];
+
+        // Enkelbiljetter, ev. efter ett eller flera resorskort
+        const multiTrip = pricing.multi_trip;
+        const multiTrips = multiTrip && multiTrip.trips > 0 && price('multi_trip') !== undefined ? multiTrip.trips : 0;
+        const maxCards = multiTrips ? Math.ceil(trips / multiTrips) : 0;
+        for (let cards = 0; cards <= maxCards; cards++) {
+            const singles = Math.max(0, trips - cards * multiTrips);
+            if (singles > 0 && price('single') === undefined) continue;
+
+            const tickets = [];
+            if (cards > 0) tickets.push({ ticket: 'multi_trip', count: cards, price: price('multi_trip') });
+            if (singles > 0) tickets.push({ ticket: 'single', count: singles, price: price('single') });
+            options.push(tickets);
+        }
+
+        // Periodbiljetter gäller alla resor under dagen
+        this.periodTickets
+            .filter(ticket => price(ticket) !== undefined)
+            .forEach(ticket => options.push([{ ticket, count: 1, price: price(ticket) }]));
+
+        return options
+            .map(tickets => ({ tickets, total: tickets.reduce((sum, item) => sum + item.count * item.price, 0) }))
+            .reduce((cheapest, option) => (!cheapest || option.total < cheapest.total ? option : cheapest), null);
+    }
+
+    /**
+     * Räknar ut billigaste biljetterna för ett sällskap
+     * @param {Object} pricing - Priser från metadata.pricing
+     * @param {Object} travellers - Antal resenärer per kategori {adult, senior_youth}
+     * @param {number} trips - Antal enkelresor idag (2 för tur och retur)
+     * @returns {Object} {groups: [{category, travellers, tickets, total}], total, missing} där missing
+     *                   är kategorier med resenärer men utan pris
+     */
+    calculate(pricing, travellers, trips) {
+        const groups = [];
+        const missing = [];
+
+        this.categories
+            .filter(category => travellers[category] > 0)
+            .forEach(category => {
+                const cheapest = trips > 0 ? this.getCheapestForTraveller(pricing, category, trips) : { tickets: [], total: 0 };
+                if (!cheapest) {
+                    missing.push(category);
+                    return;
+                }
+
+                const count = travellers[category];
+                groups.push({
+                    category,
+                    travellers: count,
+                    tickets: cheapest.tickets.map(item => Object.assign({}, item, { count: item.count * count })),
+                    total: cheapest.total * count
+                });
+            });
+
+        return {
+            groups,
+            total: groups.reduce((sum, group) => sum + group.total, 0),
+            missing
+        };
+    }
+}
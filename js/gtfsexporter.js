@@ -0,0 +1,373 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - GTFS Export Module
+ *
+ * Skapar ett statiskt GTFS-flöde (zip) från de kanoniska tidtabellerna så att
+ * båtarna kan läsas in i OpenTripPlanner och andra reseplanerare. Anroparen
+ * delar upp perioden i grupper av datum med samma tidtabell; varje tur blir en
+ * GTFS-tur med en trafikkalender (calendar.txt) där helgdagar och trafikfria
+ * dagar läggs som undantag i calendar_dates.txt. Biljettpriser hämtas från
+ * linjens metadata.pricing (enkelbiljett vuxen), avgiftsfria linjer får pris 0.
+ * Zip-filen skrivs utan komprimering så att modulen fungerar både i webbläsaren
+ * och i Node (tools/export-gtfs.js) utan beroenden.
+ *
+ * Versionshistorik:
+ * 5.17.0 - Skapad: GTFS-export med agency, routes, stops, trips, stop_times, calendar, calendar_dates och fare_attributes
+ *
+ * @author Christian Gillinger
+ * @version 5.17.0
+ * @license MIT
+ */
+
+class GtfsExporter {
+    /**
+     * Initierar GtfsExporter
+     * @param {TimeHandler} timeHandler - TimeHandler för datum, tider och giltighet
+     * @param {HolidayCalendar} holidayCalendar - Helgdagskalender
+     */
+    constructor(timeHandler, holidayCalendar) {
+        this.timeHandler = timeHandler;
+        this.holidayCalendar = holidayCalendar;
+        // GTFS route_type för färjor
+        this.ferryRouteType = 4;
+        // Kolumner i calendar.txt i getUTCDay-ordning (0 = söndag)
+        this.weekdayColumns = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+        this.crcTable = null;
+    }
+
+    /**
+     * Skapar alla filer i GTFS-flödet
+     * @param {Object} params - Parametrar
+     * @param {Array<Object>} params.lines - Linjer {line, name, config, groups: [{dates, data}]}
+     * @param {Date} params.from - Flödets första trafikdag
+     * @param {Date} params.to - Flödets sista trafikdag
+     * @param {string} params.publisherUrl - Länk till tidtabellen
+     * @param {string} params.version - Flödets version
+     * @returns {Object} Filnamn -> CSV-innehåll
+     * @throws {Error} Om operatör eller position för en brygga saknas i konfigurationen
+     */
+    createFeed({ lines, from, to, publisherUrl, version }) {
+        const agencies = new Map();
+        const stops = new Map();
+        const routes = [];
+        const trips = [];
+        const stopTimes = [];
+        const services = new Map();
+        const fares = [];
+        const fareRules = [];
+
+        lines.forEach(({ line, name, config, groups }) => {
+            const metadata = config.metadata || {};
+            const operator = metadata.operator;
+            if (!operator || !operator.name) {
+                throw new Error(`Operatör saknas (metadata.operator) för ${name}`);
+            }
+
+            const agencyId = this.createId(operator.name);
+            agencies.set(agencyId, [agencyId, operator.name, operator.url || publisherUrl, this.timeHandler.timeZone, 'sv']);
+            routes.push([line, agencyId, '', name, this.ferryRouteType]);
+
+            const locations = (config.service_configuration && config.service_configuration.stop_locations) || {};
+            const addStop = stop => {
+                const stopId = this.createId(stop);
+                if (stops.has(stopId)) return stopId;
+
+                const location = locations[stop];
+                if (!location || typeof location.lat !== 'number' || typeof location.lon !== 'number') {
+                    throw new Error(`Position saknas för ${stop} (service_configuration.stop_locations i ${name})`);
+                }
+                stops.set(stopId, [stopId, stop, location.lat, location.lon]);
+                return stopId;
+            };
+
+            groups.filter(group => group.data && group.data.directions).forEach((group, groupIndex) => {
+                Object.values(group.data.directions).forEach((directionData, directionId) => {
+                    directionData.trips.forEach(trip => {
+                        this.splitTrip(trip, group.dates).forEach(({ calls, dates }, part, parts) => {
+                            const serviceId = this.getServiceId(services, line, dates);
+                            const tripId = `${line}-${groupIndex + 1}-${trip.id}` + (parts.length > 1 ? `-${part + 1}` : '');
+                            trips.push([line, serviceId, tripId, calls[calls.length - 1].stop, directionId]);
+
+                            let previous = 0;
+                            calls.forEach((call, sequence) => {
+                                let arrive = this.timeHandler.timeToMinutes(call.arrive || call.depart);
+                                let depart = this.timeHandler.timeToMinutes(call.depart);
+                                // Tider som är tidigare än föregående anlöp ligger efter midnatt
+                                while (arrive < previous) arrive += 24 * 60;
+                                while (depart < arrive) depart += 24 * 60;
+                                previous = depart;
+
+                                stopTimes.push([
+                                    tripId,
+                                    this.formatTime(arrive),
+                                    this.formatTime(depart),
+                                    addStop(call.stop),
+                                    sequence + 1,
+                                    call.pickup === false ? 1 : 0,
+                                    call.dropoff === false ? 1 : 0
+                                ]);
+                            });
+                        });
+                    });
+                });
+            });
+
+            const pricing = metadata.pricing;
+            if (metadata.type === 'free') {
+                fares.push([`${line}-free`, '0.00', 'SEK', 0, '']);
+                fareRules.push([`${line}-free`, line]);
+            } else if (pricing && pricing.single && typeof pricing.single.adult === 'number') {
+                fares.push([`${line}-single-adult`, pricing.single.adult.toFixed(2), 'SEK', 0, 0]);
+                fareRules.push([`${line}-single-adult`, line]);
+            }
+        });
+
+        const calendar = [];
+        const calendarDates = [];
+        services.forEach(({ serviceId, dates }) => {
+            const { row, exceptions } = this.createCalendar(serviceId, dates);
+            calendar.push(row);
+            calendarDates.push(...exceptions);
+        });
+
+        return {
+            'agency.txt': this.createCsv(
+                ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang'], [...agencies.values()]),
+            'stops.txt': this.createCsv(['stop_id', 'stop_name', 'stop_lat', 'stop_lon'], [...stops.values()]),
+            'routes.txt': this.createCsv(
+                ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], routes),
+            'trips.txt': this.createCsv(
+                ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id'], trips),
+            'stop_times.txt': this.createCsv(
+                ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'pickup_type', 'drop_off_type'], stopTimes),
+            'calendar.txt': this.createCsv(
+                ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'], calendar),
+            'calendar_dates.txt': this.createCsv(['service_id', 'date', 'exception_type'], calendarDates),
+            'fare_attributes.txt': this.createCsv(
+                ['fare_id', 'price', 'currency_type', 'payment_method', 'transfers'], fares),
+            'fare_rules.txt': this.createCsv(['fare_id', 'route_id'], fareRules),
+            'feed_info.txt': this.createCsv(
+                ['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_start_date', 'feed_end_date', 'feed_version'],
+                [['Sjöstadsfärjetrafiken', publisherUrl, 'sv', this.formatGtfsDate(from), this.formatGtfsDate(to), version]])
+        };
+    }
+
+    /**
+     * Delar upp en tur efter vilka anlöp som gäller olika dagar (validity på tur och anlöp)
+     * @param {Object} trip - Tur i kanoniskt format
+     * @param {Array<Date>} dates - Trafikdagar i gruppen
+     * @returns {Array<Object>} Varianter {calls, dates} med minst två anlöp
+     */
+    splitTrip(trip, dates) {
+        const variants = new Map();
+
+        dates
+            .filter(date => this.timeHandler.isDateInValidity(trip.validity, date))
+            .forEach(date => {
+                const calls = trip.calls.filter(call => this.timeHandler.isDateInValidity(call.validity, date));
+                if (calls.length < 2) return;
+
+                const key = calls.map(call => trip.calls.indexOf(call)).join(',');
+                if (!variants.has(key)) {
+                    variants.set(key, { calls, dates: [] });
+                }
+                variants.get(key).dates.push(date);
+            });
+
+        return [...variants.values()];
+    }
+
+    /**
+     * Hämtar eller skapar en trafikkalender för en mängd datum
+     * @param {Map} services - Befintliga kalendrar (datumnyckel -> {serviceId, dates})
+     * @param {string} line - Linje
+     * @param {Array<Date>} dates - Trafikdagar
+     * @returns {string} service_id
+     */
+    getServiceId(services, line, dates) {
+        const key = `${line}:${dates.map(date => this.timeHandler.formatDate(date)).join(',')}`;
+        if (!services.has(key)) {
+            services.set(key, { serviceId: `${line}-${services.size + 1}`, dates });
+        }
+        return services.get(key).serviceId;
+    }
+
+    /**
+     * Skapar en rad i calendar.txt och undantagen i calendar_dates.txt
+     * Veckodagarna tas från vanliga dagar (inte helgdagar). Dagar med rätt veckodag utan
+     * trafik tas bort (exception_type 2), helgdagar med trafik på andra veckodagar läggs till (1)
+     * @param {string} serviceId - service_id
+     * @param {Array<Date>} dates - Trafikdagar i ordning
+     * @returns {Object} {row, exceptions}
+     */
+    createCalendar(serviceId, dates) {
+        const running = new Set(dates.map(date => this.timeHandler.formatDate(date)));
+        const weekdays = new Set(dates
+            .filter(date => !this.holidayCalendar.getHoliday(this.timeHandler.formatDate(date)))
+            .map(date => date.getUTCDay()));
+
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        const exceptions = [];
+
+        for (let date = first; date <= last; date = this.timeHandler.addDays(date, 1)) {
+            const isRunning = running.has(this.timeHandler.formatDate(date));
+            if (weekdays.has(date.getUTCDay()) !== isRunning) {
+                exceptions.push([serviceId, this.formatGtfsDate(date), isRunning ? 1 : 2]);
+            }
+        }
+
+        const flags = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+            .map(column => weekdays.has(this.weekdayColumns.indexOf(column)) ? 1 : 0);
+        return {
+            row: [serviceId, ...flags, this.formatGtfsDate(first), this.formatGtfsDate(last)],
+            exceptions
+        };
+    }
+
+    /**
+     * Skapar ett id med bara gemena a-z, siffror och bindestreck (å, ä, ö blir a, a, o)
+     * @param {string} text - Namn
+     * @returns {string} Id
+     */
+    createId(text) {
+        return text.normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Formaterar minuter sedan trafikdagens midnatt som GTFS-tid (kan vara 24:00:00 eller senare)
+     * @param {number} minutes - Minuter
+     * @returns {string} Tid i formatet HH:MM:SS
+     */
+    formatTime(minutes) {
+        const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+        return `${hours}:${(minutes % 60).toString().padStart(2, '0')}:00`;
+    }
+
+    /**
+     * Formaterar en trafikdag som GTFS-datum
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @returns {string} Datum i formatet YYYYMMDD
+     */
+    formatGtfsDate(date) {
+        return this.timeHandler.formatDate(date).replace(/-/g, '');
+    }
+
+    /**
+     * Skapar en CSV-fil, fält med komma, citattecken eller radbrytning citeras
+     * @param {Array<string>} header - Kolumnnamn
+     * @param {Array<Array>} rows - Rader
+     * @returns {string} CSV-innehåll
+     */
+    createCsv(header, rows) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Beräknar CRC-32 för zip-filen
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Kontrollsumma
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Packar filer i en okomprimerad zip-fil
+     * @param {Object} files - Filnamn -> textinnehåll
+     * @param {Date} [modified] - Ändringstid för filerna
+     * @returns {Uint8Array} Zip-filens innehåll
+     */
+    createZip(files, modified = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (modified.getHours() << 11) | (modified.getMinutes() << 5) | Math.floor(modified.getSeconds() / 2);
+        const dosDate = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([fileName, content]) => {
+            const name = encoder.encode(fileName);
+            const data = encoder.encode(content);
+            const crc = this.crc32(data);
+
+            // Lokalt filhuvud (30 byte), flagga 0x0800 = UTF-8-filnamn, metod 0 = lagrad
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            // Post i centralkatalogen (46 byte)
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+}
+
+// Exportera för Node (tools/export-gtfs.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GtfsExporter;
+}
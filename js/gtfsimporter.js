@@ -0,0 +1,409 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - GTFS Import Module
+ *
+ * Läser ett statiskt GTFS-flöde (zip) som alternativ datakälla till
+ * konfigurations- och tidtabellsfilerna i data/. Varje linje (routes.txt) blir
+ * ett tidtabellskort per riktning och trafikdagarna bestäms av calendar.txt och
+ * calendar_dates.txt, så att helgdagar och trafikfria dagar följer flödet.
+ * Dagens turer lämnas ut i kanoniskt format (schema_version 2) och visas med
+ * samma renderare som de egna tidtabellerna.
+ *
+ * Stöds inte: frequencies.txt (turer angivna som intervall) och anlöp utan tider.
+ *
+ * Versionshistorik:
+ * 5.18.0 - Skapad: GTFS-flöde som datakälla med linjekort och trafikkalender
+ *
+ * @author Christian Gillinger
+ * @version 5.18.0
+ * @license MIT
+ */
+
+class GtfsImporter {
+    /**
+     * Initierar GtfsImporter
+     * @param {TimeHandler} timeHandler - TimeHandler för datum och tider
+     * @param {HolidayCalendar} holidayCalendar - Helgdagskalender (namn på trafikfria helgdagar)
+     */
+    constructor(timeHandler, holidayCalendar) {
+        this.timeHandler = timeHandler;
+        this.holidayCalendar = holidayCalendar;
+        // Filer som måste finnas i flödet (calendar.txt eller calendar_dates.txt kontrolleras separat)
+        this.requiredFiles = ['routes.txt', 'stops.txt', 'trips.txt', 'stop_times.txt'];
+        // Kolumner i calendar.txt i getUTCDay-ordning (0 = söndag)
+        this.weekdayColumns = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    }
+
+    /**
+     * Läser ett GTFS-flöde från en zip-fil
+     * @param {ArrayBuffer} buffer - Zip-filens innehåll
+     * @returns {Promise<Object>} Flödet (se parseFeed)
+     * @throws {Error} Om zip-filen eller flödet är ogiltigt
+     */
+    async readFeed(buffer) {
+        return this.parseFeed(await this.readZip(buffer));
+    }
+
+    /**
+     * Packar upp textfilerna i en zip-fil (lagrade eller deflate-komprimerade)
+     * Filer i underkataloger läses med sitt filnamn, så att flöden packade i en mapp fungerar
+     * @param {ArrayBuffer} buffer - Zip-filens innehåll
+     * @returns {Promise<Object>} Filnamn -> textinnehåll
+     */
+    async readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // Slutposten ligger sist, före en eventuell kommentar (högst 65535 byte)
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error('Filen är inte en zip-fil');
+        }
+
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const files = {};
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Zip-filens innehållsförteckning är skadad');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)).split('/').pop();
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (!name.endsWith('.txt')) continue;
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                files[name] = decoder.decode(data);
+            } else if (method === 8) {
+                files[name] = await this.inflate(data);
+            } else {
+                throw new Error(`${name} använder en komprimering som inte stöds (metod ${method})`);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Packar upp deflate-komprimerad data med webbläsarens DecompressionStream
+     * @param {Uint8Array} data - Komprimerad data
+     * @returns {Promise<string>} Text
+     */
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Webbläsaren kan inte packa upp komprimerade zip-filer');
+        }
+        const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    /**
+     * Tolkar en CSV-fil enligt GTFS (första raden är kolumnnamn, fält kan citeras)
+     * @param {string} text - CSV-innehåll
+     * @returns {Array<Object>} Rader som objekt med kolumnnamn som nycklar
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const header = (rows.shift() || []).map(column => column.trim());
+        return rows
+            .filter(values => values.some(value => value.trim() !== ''))
+            .map(values => {
+                const record = {};
+                header.forEach((column, index) => {
+                    record[column] = (values[index] || '').trim();
+                });
+                return record;
+            });
+    }
+
+    /**
+     * Bygger flödets linjer, turer och trafikkalendrar från GTFS-filerna
+     * @param {Object} files - Filnamn -> textinnehåll
+     * @returns {Object} Flöde {routes, tripsByRoute, services, timeZone, serviceDayEnd, warnings}
+     * @throws {Error} Om obligatoriska filer saknas eller flödet saknar turer
+     */
+    parseFeed(files) {
+        const missing = this.requiredFiles.filter(file => !files[file]);
+        if (!files['calendar.txt'] && !files['calendar_dates.txt']) {
+            missing.push('calendar.txt eller calendar_dates.txt');
+        }
+        if (missing.length > 0) {
+            throw new Error(`GTFS-flödet saknar ${missing.join(', ')}`);
+        }
+
+        const warnings = [];
+        if (files['frequencies.txt']) {
+            warnings.push('frequencies.txt stöds inte, turer angivna som intervall visas inte');
+        }
+
+        const agency = files['agency.txt'] ? this.parseCsv(files['agency.txt'])[0] : null;
+        const timeZone = (agency && agency.agency_timezone) || this.timeHandler.timeZone;
+        if (timeZone !== this.timeHandler.timeZone) {
+            warnings.push(`Flödets tidszon är ${timeZone}, tiderna visas som svensk tid`);
+        }
+
+        const stopNames = new Map(this.parseCsv(files['stops.txt'])
+            .map(stop => [stop.stop_id, stop.stop_name || stop.stop_id]));
+
+        const routes = this.parseCsv(files['routes.txt'])
+            .map((route, index) => ({
+                id: route.route_id,
+                name: route.route_long_name || route.route_short_name || route.route_id,
+                shortName: route.route_short_name || '',
+                order: route.route_sort_order !== undefined && route.route_sort_order !== '' ? Number(route.route_sort_order) : index
+            }))
+            .sort((a, b) => a.order - b.order);
+
+        const trips = new Map();
+        this.parseCsv(files['trips.txt']).forEach(trip => {
+            trips.set(trip.trip_id, {
+                id: trip.trip_id,
+                routeId: trip.route_id,
+                serviceId: trip.service_id,
+                direction: `direction_${trip.direction_id || '0'}`,
+                headsign: trip.trip_headsign || '',
+                calls: []
+            });
+        });
+
+        let skippedCalls = 0;
+        this.parseCsv(files['stop_times.txt']).forEach(stopTime => {
+            const trip = trips.get(stopTime.trip_id);
+            if (!trip) return;
+            if (!stopTime.departure_time && !stopTime.arrival_time) {
+                skippedCalls++;
+                return;
+            }
+            trip.calls.push({
+                sequence: Number(stopTime.stop_sequence),
+                stop: stopNames.get(stopTime.stop_id) || stopTime.stop_id,
+                arrive: this.toTime(stopTime.arrival_time || stopTime.departure_time),
+                depart: this.toTime(stopTime.departure_time || stopTime.arrival_time),
+                // 1 = ingen påstigning/avstigning, övriga värden (beställning) räknas som tillåtet
+                pickup: stopTime.pickup_type !== '1',
+                dropoff: stopTime.drop_off_type !== '1'
+            });
+        });
+        if (skippedCalls > 0) {
+            warnings.push(`${skippedCalls} anlöp utan tider visas inte`);
+        }
+
+        const tripsByRoute = new Map(routes.map(route => [route.id, []]));
+        let latestMinutes = 0;
+        trips.forEach(trip => {
+            if (!tripsByRoute.has(trip.routeId) || trip.calls.length < 2) return;
+            trip.calls.sort((a, b) => a.sequence - b.sequence);
+            trip.calls.forEach(call => {
+                delete call.sequence;
+                latestMinutes = Math.max(latestMinutes, this.timeHandler.timeToMinutes(call.depart));
+            });
+            tripsByRoute.get(trip.routeId).push(trip);
+        });
+
+        const feedRoutes = routes.filter(route => tripsByRoute.get(route.id).length > 0);
+        if (feedRoutes.length === 0) {
+            throw new Error('GTFS-flödet innehåller inga turer');
+        }
+
+        return {
+            routes: feedRoutes,
+            tripsByRoute,
+            services: this.parseServices(files),
+            timeZone,
+            // Turer efter midnatt (25:30) räknas till föregående trafikdag fram till sista ankomst
+            serviceDayEnd: latestMinutes >= 24 * 60 ? this.timeHandler.minutesToTime(latestMinutes - 24 * 60 + 1) : null,
+            warnings
+        };
+    }
+
+    /**
+     * Läser trafikkalendrarna från calendar.txt och undantagen i calendar_dates.txt
+     * @param {Object} files - Filnamn -> textinnehåll
+     * @returns {Map} service_id -> {days, start, end, added, removed}
+     */
+    parseServices(files) {
+        const services = new Map();
+        const getService = serviceId => {
+            if (!services.has(serviceId)) {
+                services.set(serviceId, { days: null, start: null, end: null, added: new Set(), removed: new Set() });
+            }
+            return services.get(serviceId);
+        };
+
+        if (files['calendar.txt']) {
+            this.parseCsv(files['calendar.txt']).forEach(calendar => {
+                const service = getService(calendar.service_id);
+                service.days = this.weekdayColumns.map(column => calendar[column] === '1');
+                service.start = calendar.start_date;
+                service.end = calendar.end_date;
+            });
+        }
+
+        if (files['calendar_dates.txt']) {
+            this.parseCsv(files['calendar_dates.txt']).forEach(exception => {
+                const service = getService(exception.service_id);
+                (exception.exception_type === '1' ? service.added : service.removed).add(exception.date);
+            });
+        }
+
+        return services;
+    }
+
+    /**
+     * Kontrollerar om en trafikkalender gäller en trafikdag
+     * Undantag i calendar_dates.txt går före veckodagarna i calendar.txt
+     * @param {Object} service - Trafikkalender
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @returns {boolean} Sant om turerna går
+     */
+    isServiceActive(service, date) {
+        if (!service) return false;
+
+        const dateKey = this.timeHandler.formatDate(date).replace(/-/g, '');
+        if (service.removed.has(dateKey)) return false;
+        if (service.added.has(dateKey)) return true;
+
+        return Boolean(service.days && service.days[date.getUTCDay()] &&
+            dateKey >= service.start && dateKey <= service.end);
+    }
+
+    /**
+     * Hämtar en linjes turer för en trafikdag i kanoniskt format (schema_version 2)
+     * Riktningarna heter direction_0 och direction_1 efter direction_id. Hållplatsordningen
+     * tas från turen med flest anlöp, hållplatser som bara andra turer anlöper läggs in efter
+     * föregående anlöp. Dagar utan turer blir trafikfria (no_traffic) med helgdagens namn
+     * @param {Object} feed - Flöde från parseFeed
+     * @param {string} routeId - route_id
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @returns {Object} Tidtabellsdata med metadata och directions
+     */
+    getDay(feed, routeId, date) {
+        const trips = feed.tripsByRoute.get(routeId)
+            .filter(trip => this.isServiceActive(feed.services.get(trip.serviceId), date));
+
+        if (trips.length === 0) {
+            const holiday = this.holidayCalendar.getHoliday(this.timeHandler.formatDate(date));
+            return {
+                metadata: { no_traffic: true, holiday_name: holiday ? holiday.name : null }
+            };
+        }
+
+        const directions = {};
+        const directionNames = {};
+        [...new Set(trips.map(trip => trip.direction))].sort().forEach(direction => {
+            const directionTrips = trips
+                .filter(trip => trip.direction === direction)
+                .sort((a, b) => this.timeHandler.timeToMinutes(a.calls[0].depart) - this.timeHandler.timeToMinutes(b.calls[0].depart));
+
+            const longest = directionTrips.reduce((best, trip) => trip.calls.length > best.calls.length ? trip : best);
+            const stops = longest.calls.map(call => call.stop);
+            directionTrips.forEach(trip => {
+                trip.calls.forEach((call, index) => {
+                    if (stops.includes(call.stop)) return;
+                    const previous = index > 0 ? stops.indexOf(trip.calls[index - 1].stop) : -1;
+                    stops.splice(previous + 1, 0, call.stop);
+                });
+            });
+
+            directions[direction] = {
+                stops: [...new Set(stops)],
+                trips: directionTrips.map(trip => ({
+                    id: trip.id,
+                    calls: trip.calls.map(call => Object.assign({}, call))
+                }))
+            };
+            directionNames[direction] = longest.headsign || longest.calls[longest.calls.length - 1].stop;
+        });
+
+        const weekday = date.getUTCDay();
+        return {
+            schema_version: 2,
+            metadata: {
+                day_type: weekday === 6 ? 'saturday' : (weekday === 0 ? 'sunday' : 'weekday'),
+                direction_names: directionNames
+            },
+            directions
+        };
+    }
+
+    /**
+     * Hittar nästa trafikdag för en linje
+     * @param {Object} feed - Flöde från parseFeed
+     * @param {string} routeId - route_id
+     * @param {Date} fromDate - Första trafikdag att pröva
+     * @param {number} maxDays - Antal dagar att leta
+     * @returns {Date|null} Trafikdag eller null
+     */
+    findNextServiceDate(feed, routeId, fromDate, maxDays) {
+        const trips = feed.tripsByRoute.get(routeId);
+        for (let offset = 0; offset < maxDays; offset++) {
+            const date = this.timeHandler.addDays(fromDate, offset);
+            if (trips.some(trip => this.isServiceActive(feed.services.get(trip.serviceId), date))) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Kortar GTFS-tid (H:MM:SS) till HH:MM, tider efter midnatt behålls (25:10)
+     * @param {string} time - GTFS-tid
+     * @returns {string} Tid i HH:MM-format
+     */
+    toTime(time) {
+        const [hours, minutes] = time.split(':');
+        return `${hours.padStart(2, '0')}:${minutes}`;
+    }
+}
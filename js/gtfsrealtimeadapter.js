@@ -0,0 +1,165 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - GTFS-Realtime Adapter Module
+ *
+ * Läser TripUpdates i ett GTFS-Realtime-flöde (protobuf) och gör om dem till
+ * RealtimeManagers normaliserade uppdateringar. Bara de fält som behövs för
+ * förseningar, inställda turer, hoppade anlöp och extraturer avkodas, med en
+ * egen protobuf-läsare så att modulen fungerar utan beroenden.
+ * route_id tolkas som linjens id och trip_id som turens id, som i GTFS-exporten.
+ *
+ * Versionshistorik:
+ * 6.4.0 - Skapad: TripUpdates från GTFS-Realtime (protobuf)
+ *
+ * @author Christian Gillinger
+ * @version 6.4.0
+ * @license MIT
+ */
+
+class GtfsRealtimeAdapter {
+    /**
+     * Initierar GtfsRealtimeAdapter
+     */
+    constructor() {
+        // Flödet hämtas som binärdata
+        this.responseType = 'arrayBuffer';
+        // schedule_relationship i TripDescriptor och StopTimeUpdate
+        this.tripRelationships = { added: 1, canceled: 3 };
+        this.stopRelationships = { skipped: 1 };
+    }
+
+    /**
+     * Läser ett GTFS-Realtime-flöde
+     * @param {ArrayBuffer|Uint8Array} buffer - FeedMessage i protobuf-format
+     * @returns {Object} {timestamp, updates} där timestamp är i millisekunder
+     * @throws {Error} Om flödet inte är giltig protobuf
+     */
+    parse(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const message = this.readMessage(bytes);
+        const header = message[1] ? this.readMessage(message[1][0]) : {};
+        const updates = [];
+
+        (message[2] || []).forEach(entityBytes => {
+            const entity = this.readMessage(entityBytes);
+            // Borttagna entiteter (is_deleted) och entiteter utan TripUpdate hoppas över
+            if ((entity[2] && entity[2][0]) || !entity[3]) return;
+            updates.push(this.readTripUpdate(this.readMessage(entity[3][0])));
+        });
+
+        return {
+            timestamp: header[3] ? header[3][0] * 1000 : null,
+            updates
+        };
+    }
+
+    /**
+     * Gör om en TripUpdate till en normaliserad uppdatering
+     * @param {Object} tripUpdate - Avkodade fält i TripUpdate
+     * @returns {Object} Normaliserad uppdatering
+     */
+    readTripUpdate(tripUpdate) {
+        const descriptor = tripUpdate[1] ? this.readMessage(tripUpdate[1][0]) : {};
+        const relationship = descriptor[4] ? descriptor[4][0] : 0;
+        const startDate = this.readString(descriptor[3]);
+        const update = {
+            trip: this.readString(descriptor[1]),
+            start_time: this.readString(descriptor[2]),
+            date: startDate ? `${startDate.slice(0, 4)}-${startDate.slice(4, 6)}-${startDate.slice(6, 8)}` : undefined,
+            line: this.readString(descriptor[5]),
+            direction_id: descriptor[6] ? descriptor[6][0] : undefined
+        };
+        if (tripUpdate[5]) {
+            update.delay = Math.round(tripUpdate[5][0] / 60);
+        }
+
+        const stops = (tripUpdate[2] || []).map(stopBytes => {
+            const stopUpdate = this.readMessage(stopBytes);
+            // Avgången är det intressanta vid bryggan, ankomsten används om avgång saknas
+            const event = stopUpdate[3] || stopUpdate[2];
+            const stop = {
+                stop_id: this.readString(stopUpdate[4]),
+                sequence: stopUpdate[1] ? stopUpdate[1][0] : undefined,
+                skipped: Boolean(stopUpdate[5] && stopUpdate[5][0] === this.stopRelationships.skipped)
+            };
+            if (event) {
+                const stopTimeEvent = this.readMessage(event[0]);
+                if (stopTimeEvent[2]) stop.timestamp = stopTimeEvent[2][0] * 1000;
+                else if (stopTimeEvent[1]) stop.delay = Math.round(stopTimeEvent[1][0] / 60);
+            }
+            return stop;
+        });
+
+        if (relationship === this.tripRelationships.canceled) {
+            update.cancelled = true;
+        } else if (relationship === this.tripRelationships.added) {
+            update.added = true;
+            update.id = update.trip;
+            update.calls = stops.filter(stop => stop.timestamp && !stop.skipped)
+                .map(stop => ({ stop_id: stop.stop_id, timestamp: stop.timestamp }));
+        } else {
+            update.stops = stops;
+        }
+        return update;
+    }
+
+    /**
+     * Avkodar ett protobuf-meddelande till fält per fältnummer
+     * Varint blir tal och längdavgränsade fält blir Uint8Array, fält med fast längd hoppas över
+     * @param {Uint8Array} bytes - Meddelandet
+     * @returns {Object} Fältnummer -> lista med värden
+     * @throws {Error} Om meddelandet är trasigt
+     */
+    readMessage(bytes) {
+        const fields = {};
+        let offset = 0;
+        // Negativa int32 (t.ex. delay) kodas som tio byte - de läses exakt ur de lägsta 32 bitarna
+        const readVarint = () => {
+            let value = 0;
+            let low = 0;
+            let factor = 1;
+            let count = 0;
+            let byte;
+            do {
+                if (offset >= bytes.length) throw new Error('Ogiltigt GTFS-Realtime-flöde (avbrutet tal)');
+                byte = bytes[offset++];
+                value += (byte & 0x7f) * factor;
+                if (count++ < 5) low = value;
+                factor *= 128;
+            } while (byte & 0x80);
+            if (value < 2 ** 53) return value;
+            low %= 2 ** 32;
+            return low >= 2 ** 31 ? low - 2 ** 32 : low;
+        };
+
+        while (offset < bytes.length) {
+            const key = readVarint();
+            const field = Math.floor(key / 8);
+            const wireType = key % 8;
+            let value;
+            if (wireType === 0) {
+                value = readVarint();
+            } else if (wireType === 2) {
+                const length = readVarint();
+                if (offset + length > bytes.length) throw new Error('Ogiltigt GTFS-Realtime-flöde (för kort fält)');
+                value = bytes.subarray(offset, offset + length);
+                offset += length;
+            } else if (wireType === 1 || wireType === 5) {
+                offset += wireType === 1 ? 8 : 4;
+                continue;
+            } else {
+                throw new Error(`Ogiltigt GTFS-Realtime-flöde (okänd fälttyp ${wireType})`);
+            }
+            (fields[field] = fields[field] || []).push(value);
+        }
+        return fields;
+    }
+
+    /**
+     * Läser ett strängfält
+     * @param {Array<Uint8Array>} [values] - Fältets värden
+     * @returns {string|undefined} Första värdet som text
+     */
+    readString(values) {
+        return values ? new TextDecoder().decode(values[0]) : undefined;
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Holiday Calendar Module
+ *
+ * Beräknar svenska helgdagar ("röda dagar") och helgaftnar för valfritt år.
+ * Rörliga helgdagar utgår från påskdagen, midsommar och alla helgons dag
+ * beräknas från veckodag. Används av båda linjerna för att avgöra när
+ * helgtidtabell ska gälla, så att datafilerna inte behöver datumlistor per år.
+ *
+ * Versionshistorik:
+ * 5.17.0 - Exporteras som CommonJS-modul för GTFS-exportverktyget
+ * 5.2.0 - Skapad: Svensk helgdagskalender för Sjöstadstrafiken och M/S Emelie
+ *
+ * @author Christian Gillinger
+ * @version 5.17.0
+ * @license MIT
+ */
+
+class HolidayCalendar {
+    /**
+     * Initierar HolidayCalendar
+     */
+    constructor() {
+        // Beräknade helgdagar per år (år -> Map med datum -> helgdag)
+        this.cache = new Map();
+    }
+
+    /**
+     * Formaterar ett UTC-datum som YYYY-MM-DD
+     * @param {Date} date Datum (tolkas i UTC)
+     * @returns {string} Datum i YYYY-MM-DD-format
+     */
+    formatDate(date) {
+        const year = date.getUTCFullYear();
+        const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+        const day = date.getUTCDate().toString().padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Beräknar påskdagen för ett år (gregoriansk kalender, anonym algoritm)
+     * @param {number} year År
+     * @returns {Date} Påskdagen (UTC)
+     */
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Hittar första datum med en viss veckodag inom ett intervall
+     * @param {number} year År
+     * @param {number} month Månad (0-11)
+     * @param {number} firstDay Första dagen i intervallet
+     * @param {number} weekday Veckodag (0-6, där 0 är söndag)
+     * @returns {Date} Datumet (UTC)
+     */
+    findWeekdayFrom(year, month, firstDay, weekday) {
+        const date = new Date(Date.UTC(year, month, firstDay));
+        while (date.getUTCDay() !== weekday) {
+            date.setUTCDate(date.getUTCDate() + 1);
+        }
+        return date;
+    }
+
+    /**
+     * Returnerar ett nytt datum förskjutet ett antal dagar
+     * @param {Date} date Utgångsdatum (UTC)
+     * @param {number} days Antal dagar
+     * @returns {Date} Nytt datum (UTC)
+     */
+    addDays(date, days) {
+        const result = new Date(date.getTime());
+        result.setUTCDate(result.getUTCDate() + days);
+        return result;
+    }
+
+    /**
+     * Beräknar alla helgdagar och helgaftnar för ett år
+     * @param {number} year År
+     * @returns {Map<string, Object>} Datum (YYYY-MM-DD) -> {key, name, type}
+     *                                där type är 'public_holiday' eller 'eve'
+     */
+    getHolidays(year) {
+        if (this.cache.has(year)) {
+            return this.cache.get(year);
+        }
+
+        const easter = this.getEasterSunday(year);
+        // Midsommardagen: lördagen 20-26 juni, alla helgons dag: lördagen 31 okt - 6 nov
+        const midsummerDay = this.findWeekdayFrom(year, 5, 20, 6);
+        const allSaintsDay = this.findWeekdayFrom(year, 9, 31, 6);
+
+        const holidays = [
+            { key: 'nyarsdagen', name: 'Nyårsdagen', type: 'public_holiday', date: new Date(Date.UTC(year, 0, 1)) },
+            { key: 'trettondedag_jul', name: 'Trettondedag jul', type: 'public_holiday', date: new Date(Date.UTC(year, 0, 6)) },
+            { key: 'langfredagen', name: 'Långfredagen', type: 'public_holiday', date: this.addDays(easter, -2) },
+            { key: 'paskafton', name: 'Påskafton', type: 'eve', date: this.addDays(easter, -1) },
+            { key: 'paskdagen', name: 'Påskdagen', type: 'public_holiday', date: easter },
+            { key: 'annandag_pask', name: 'Annandag påsk', type: 'public_holiday', date: this.addDays(easter, 1) },
+            { key: 'forsta_maj', name: 'Första maj', type: 'public_holiday', date: new Date(Date.UTC(year, 4, 1)) },
+            { key: 'kristi_himmelsfardsdag', name: 'Kristi himmelsfärdsdag', type: 'public_holiday', date: this.addDays(easter, 39) },
+            { key: 'pingstafton', name: 'Pingstafton', type: 'eve', date: this.addDays(easter, 48) },
+            { key: 'pingstdagen', name: 'Pingstdagen', type: 'public_holiday', date: this.addDays(easter, 49) },
+            { key: 'nationaldagen', name: 'Sveriges nationaldag', type: 'public_holiday', date: new Date(Date.UTC(year, 5, 6)) },
+            { key: 'midsommarafton', name: 'Midsommarafton', type: 'eve', date: this.addDays(midsummerDay, -1) },
+            { key: 'midsommardagen', name: 'Midsommardagen', type: 'public_holiday', date: midsummerDay },
+            { key: 'alla_helgons_afton', name: 'Allhelgonaafton', type: 'eve', date: this.addDays(allSaintsDay, -1) },
+            { key: 'alla_helgons_dag', name: 'Alla helgons dag', type: 'public_holiday', date: allSaintsDay },
+            { key: 'julafton', name: 'Julafton', type: 'eve', date: new Date(Date.UTC(year, 11, 24)) },
+            { key: 'juldagen', name: 'Juldagen', type: 'public_holiday', date: new Date(Date.UTC(year, 11, 25)) },
+            { key: 'annandag_jul', name: 'Annandag jul', type: 'public_holiday', date: new Date(Date.UTC(year, 11, 26)) },
+            { key: 'nyarsafton', name: 'Nyårsafton', type: 'eve', date: new Date(Date.UTC(year, 11, 31)) }
+        ];
+
+        const holidayMap = new Map();
+        holidays.forEach(({ date, ...holiday }) => {
+            holidayMap.set(this.formatDate(date), holiday);
+        });
+
+        this.cache.set(year, holidayMap);
+        return holidayMap;
+    }
+
+    /**
+     * Hämtar helgdag eller helgafton för ett datum
+     * @param {string} dateStr Datum i YYYY-MM-DD-format
+     * @returns {Object|null} {key, name, type} eller null om vanlig dag
+     */
+    getHoliday(dateStr) {
+        if (!dateStr) return null;
+        const year = parseInt(dateStr.substring(0, 4), 10);
+        if (isNaN(year)) return null;
+        return this.getHolidays(year).get(dateStr) || null;
+    }
+
+    /**
+     * Kontrollerar om ett datum är en helgdag ("röd dag")
+     * @param {string} dateStr Datum i YYYY-MM-DD-format
+     * @returns {boolean} Sant om datumet är en helgdag
+     */
+    isPublicHoliday(dateStr) {
+        const holiday = this.getHoliday(dateStr);
+        return holiday !== null && holiday.type === 'public_holiday';
+    }
+
+    /**
+     * Kontrollerar om ett datum är en helgafton (julafton, midsommarafton etc.)
+     * @param {string} dateStr Datum i YYYY-MM-DD-format
+     * @returns {boolean} Sant om datumet är en helgafton
+     */
+    isHolidayEve(dateStr) {
+        const holiday = this.getHoliday(dateStr);
+        return holiday !== null && holiday.type === 'eve';
+    }
+
+    /**
+     * Tillämpar en linjes calendar_rules på ett datum
+     * @param {Object} calendarRules - calendar_rules från linjekonfigurationen
+     *                                 {public_holidays: "weekend", holiday_eves: {julafton: "weekend", ...}}
+     * @param {string} dateStr Datum i YYYY-MM-DD-format
+     * @returns {Object|null} {rule: 'weekend'|'no_traffic', holiday} eller null om ingen regel gäller
+     */
+    applyRules(calendarRules, dateStr) {
+        if (!calendarRules) return null;
+
+        const holiday = this.getHoliday(dateStr);
+        if (!holiday) return null;
+
+        let rule = null;
+        if (holiday.type === 'public_holiday') {
+            rule = calendarRules.public_holidays || null;
+        } else if (calendarRules.holiday_eves) {
+            rule = calendarRules.holiday_eves[holiday.key] || null;
+        }
+
+        return rule ? { rule, holiday } : null;
+    }
+}
+
+// Exportera för Node (tools/export-gtfs.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+}
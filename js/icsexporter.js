@@ -0,0 +1,249 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Calendar Export Module
+ *
+ * Skapar iCalendar-filer (.ics, RFC 5545) för avgångar direkt i webbläsaren.
+ * En enskild avgång blir en händelse, en återkommande avgång (samma tid hela
+ * säsongen) blir en händelse med RRULE där helgdagar och trafikfria dagar som
+ * saknar avgången läggs som EXDATE och helgdagar med avgången som RDATE.
+ * Alla tider skrivs i Europe/Stockholm, avgångar efter midnatt (24:05) hamnar
+ * på kalenderdagen efter trafikdagen.
+ *
+ * Versionshistorik:
+ * 6.6.5 - Exporteras som CommonJS-modul för testerna
+ * 5.16.0 - Skapad: Kalenderexport av enskilda och återkommande avgångar
+ *
+ * @author Christian Gillinger
+ * @version 6.6.5
+ * @license MIT
+ */
+
+class IcsExporter {
+    /**
+     * Initierar IcsExporter
+     * @param {TimeHandler} timeHandler - TimeHandler för datum och tider
+     */
+    constructor(timeHandler) {
+        this.timeHandler = timeHandler;
+        this.productId = '-//Sjöstadsfärjetrafiken//Tidtabell//SV';
+        this.uidDomain = 'sjostadsfarjetrafiken';
+        // Veckodagar i RRULE-format, index enligt getUTCDay (0 = söndag)
+        this.weekdays = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    }
+
+    /**
+     * Skapar en komplett kalenderfil
+     * @param {Array<Object>} events - Händelser (se createEvent)
+     * @returns {string} Kalenderfil med CRLF-radbrytningar
+     */
+    createCalendar(events) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...this.createTimeZone(),
+            ...events.flatMap(event => this.createEvent(event)),
+            'END:VCALENDAR'
+        ];
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Skapar tidszonsdefinitionen för Europe/Stockholm (CET/CEST enligt EU-reglerna)
+     * @returns {Array<string>} Rader för VTIMEZONE
+     */
+    createTimeZone() {
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${this.timeHandler.timeZone}`,
+            'BEGIN:DAYLIGHT',
+            'DTSTART:19700329T020000',
+            'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+            'TZOFFSETFROM:+0100',
+            'TZOFFSETTO:+0200',
+            'TZNAME:CEST',
+            'END:DAYLIGHT',
+            'BEGIN:STANDARD',
+            'DTSTART:19701025T030000',
+            'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+            'TZOFFSETFROM:+0200',
+            'TZOFFSETTO:+0100',
+            'TZNAME:CET',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Skapar en händelse, återkommande om flera trafikdagar anges
+     * @param {Object} event - Händelse
+     * @param {string} event.uid - Unikt id (utan domän)
+     * @param {Date} event.date - Första trafikdagen
+     * @param {number} event.start - Avgång i minuter sedan trafikdagens midnatt
+     * @param {number} event.end - Ankomst i minuter sedan trafikdagens midnatt
+     * @param {string} event.summary - Rubrik
+     * @param {string} [event.location] - Plats (påstigningsbrygga)
+     * @param {string} [event.description] - Beskrivning
+     * @param {string} [event.url] - Länk till tidtabellen
+     * @param {Array<Date>} [event.dates] - Alla trafikdagar då avgången går (återkommande)
+     * @param {Set<string>} [event.holidays] - Trafikdagar (YYYY-MM-DD) som är helgdagar
+     * @returns {Array<string>} Rader för VEVENT
+     */
+    createEvent(event) {
+        const tzid = `TZID=${this.timeHandler.timeZone}`;
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@${this.uidDomain}`,
+            `DTSTAMP:${this.formatUtcDateTime(new Date())}`,
+            `DTSTART;${tzid}:${this.formatLocalDateTime(event.date, event.start)}`,
+            `DTEND;${tzid}:${this.formatLocalDateTime(event.date, event.end)}`,
+            `SUMMARY:${this.escapeText(event.summary)}`
+        ];
+
+        if (event.dates && event.dates.length > 1) {
+            const recurrence = this.getRecurrence(event.dates, event.holidays || new Set(), event.start);
+            if (recurrence.rule) {
+                lines.push(`RRULE:${recurrence.rule}`);
+            }
+            if (recurrence.exDates.length > 0) {
+                lines.push(`EXDATE;${tzid}:${recurrence.exDates.join(',')}`);
+            }
+            if (recurrence.rDates.length > 0) {
+                lines.push(`RDATE;${tzid}:${recurrence.rDates.join(',')}`);
+            }
+        }
+
+        if (event.location) {
+            lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Beräknar återkommande regel för en avgång som går vissa trafikdagar
+     * Veckodagarna tas från vanliga dagar (inte helgdagar). Dagar med rätt veckodag
+     * utan avgång blir EXDATE, helgdagar med avgång på andra veckodagar blir RDATE
+     * @param {Array<Date>} dates - Trafikdagar då avgången går, i ordning
+     * @param {Set<string>} holidays - Trafikdagar (YYYY-MM-DD) som är helgdagar
+     * @param {number} start - Avgång i minuter sedan trafikdagens midnatt
+     * @returns {Object} {rule, exDates, rDates} där datumen är lokala tider (YYYYMMDDTHHMMSS)
+     */
+    getRecurrence(dates, holidays, start) {
+        // Avgångar efter midnatt ligger på kalenderdagen efter trafikdagen
+        const shift = Math.floor(start / (24 * 60));
+        const weekdayOf = date => this.timeHandler.addDays(date, shift).getUTCDay();
+        const running = new Set(dates.map(date => this.timeHandler.formatDate(date)));
+
+        const byDay = new Set(dates
+            .filter(date => !holidays.has(this.timeHandler.formatDate(date)))
+            .map(weekdayOf));
+
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        const exDates = [];
+        const rDates = [];
+
+        for (let date = first; date <= last; date = this.timeHandler.addDays(date, 1)) {
+            const isRunning = running.has(this.timeHandler.formatDate(date));
+            if (byDay.has(weekdayOf(date))) {
+                if (!isRunning) exDates.push(this.formatLocalDateTime(date, start));
+            } else if (isRunning && date > first) {
+                rDates.push(this.formatLocalDateTime(date, start));
+            }
+        }
+
+        if (byDay.size === 0) {
+            return { rule: null, exDates: [], rDates };
+        }
+
+        const days = this.weekdays.filter((day, index) => byDay.has(index)).join(',');
+        const until = this.formatUtcDateTime(this.toInstant(last, start));
+        return { rule: `FREQ=WEEKLY;BYDAY=${days};UNTIL=${until}`, exDates, rDates };
+    }
+
+    /**
+     * Omvandlar en tid på en trafikdag till ett ögonblick (svensk väggtid till UTC)
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @param {number} minutes - Minuter sedan trafikdagens midnatt
+     * @returns {Date} Ögonblicket
+     */
+    toInstant(date, minutes) {
+        const wallClock = date.getTime() + minutes * 60 * 1000;
+        const parts = this.timeHandler.getZonedParts(new Date(wallClock));
+        const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes);
+        return new Date(wallClock - (zoned - wallClock));
+    }
+
+    /**
+     * Formaterar en tid på en trafikdag som lokal tid, tider från 24:00 hamnar på nästa dag
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @param {number} minutes - Minuter sedan trafikdagens midnatt
+     * @returns {string} Tid i formatet YYYYMMDDTHHMMSS
+     */
+    formatLocalDateTime(date, minutes) {
+        const day = this.timeHandler.addDays(date, Math.floor(minutes / (24 * 60)));
+        const time = this.timeHandler.minutesToTime(minutes % (24 * 60)).replace(':', '');
+        return `${this.timeHandler.formatDate(day).replace(/-/g, '')}T${time}00`;
+    }
+
+    /**
+     * Formaterar ett ögonblick som UTC-tid
+     * @param {Date} instant - Ögonblick
+     * @returns {string} Tid i formatet YYYYMMDDTHHMMSSZ
+     */
+    formatUtcDateTime(instant) {
+        return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Skyddar text enligt RFC 5545 (bakstreck, semikolon, komma och radbrytningar)
+     * @param {string} text - Text
+     * @returns {string} Skyddad text
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Viker rader längre än 75 byte (UTF-8) utan att dela tecken
+     * @param {string} line - Rad
+     * @returns {string} Vikt rad
+     */
+    foldLine(line) {
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : (code < 0x800 ? 2 : (code < 0x10000 ? 3 : 4));
+            // Fortsättningsrader börjar med ett mellanslag som räknas in
+            if (bytes + size > 75) {
+                parts.push(current);
+                current = ' ';
+                bytes = 1;
+            }
+            current += char;
+            bytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+}
+
+// Exportera för Node (tests/icsexporter.test.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IcsExporter;
+}
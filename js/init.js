@@ -9,12 +9,12 @@
  * 5.0.1 - Skapad: Flyttat inline-script från index.html för CSP
  * 
  * @author Christian Gillinger
- * @version 5.0.2
+ * @version 6.6.5
  * @license MIT
  */
 
 // Applikationsversion (ska matcha manifest.json och app.js)
-window.APP_VERSION = '5.0.2';
+window.APP_VERSION = '6.6.5';
 
 /**
  * Global felhanterare (SÄKERHETSHÄRDAD)
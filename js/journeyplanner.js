@@ -0,0 +1,258 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Journey Planner Module
+ *
+ * Planerar resor mellan två valfria bryggor utifrån de laddade tidtabellerna
+ * i kanoniskt format (schema_version 2). Hittar direkta turer samt resor med
+ * ett byte vid gemensamma bryggor (t.ex. Sjöstadstrafiken till M/S Emelie vid
+ * Henriksdalsbryggan). Anlöp med "Endast avstigning" (pickup: false) används
+ * aldrig som påstigning.
+ *
+ * Versionshistorik:
+ * 5.9.0 - Tider räknas från trafikdagens midnatt, nattbåtar efter midnatt hör till kvällens trafikdag
+ * 5.7.0 - Skapad: Reseplanerare med direkta turer och byten mellan linjerna
+ *
+ * @author Christian Gillinger
+ * @version 5.9.0
+ * @license MIT
+ */
+
+class JourneyPlanner {
+    /**
+     * Initierar JourneyPlanner
+     * @param {TimeHandler} timeHandler - TimeHandler för tidskonverteringar och giltighet
+     * @param {Object} [options] - Inställningar
+     * @param {number} [options.minTransferMinutes=2] - Minsta bytestid i minuter
+     */
+    constructor(timeHandler, options = {}) {
+        this.timeHandler = timeHandler;
+        this.minTransferMinutes = options.minTransferMinutes !== undefined ? options.minTransferMinutes : 2;
+    }
+
+    /**
+     * Hämtar alla bryggor från linjernas stop_sequence i service_configuration
+     * stop_sequence kan vara en lista (Sjöstadstrafiken) eller en lista per riktning (citylinjen)
+     * @param {Array<Object>} lineConfigs - Linjekonfigurationer
+     * @returns {Array<string>} Unika bryggor i den ordning de först förekommer
+     */
+    getStops(lineConfigs) {
+        const stops = [];
+        lineConfigs.forEach(lineConfig => {
+            const sequence = lineConfig && lineConfig.service_configuration && lineConfig.service_configuration.stop_sequence;
+            if (!sequence) return;
+
+            const sequences = Array.isArray(sequence) ? [sequence] : Object.values(sequence);
+            sequences.forEach(list => {
+                list.forEach(stop => {
+                    if (!stops.includes(stop)) stops.push(stop);
+                });
+            });
+        });
+        return stops;
+    }
+
+    /**
+     * Omvandlar en turs anlöp till absoluta minuter räknat från dagens midnatt
+     * Trafikdygnstider (24:05) ger 1440 minuter eller mer. Tider som är tidigare
+     * än föregående anlöp räknas till efter midnatt
+     * @param {Object} trip - Tur i kanoniskt format
+     * @param {number} dayOffset - Antal dagar från idag för turens trafikdag
+     * @param {Date} date - Turens trafikdag (för validity på anlöp)
+     * @returns {Array<Object>} Anlöp med absoluta tider {stop, arrive, depart, pickup, dropoff}
+     */
+    resolveCalls(trip, dayOffset, date) {
+        const base = dayOffset * 24 * 60;
+        let previous = -1;
+        let wrap = 0;
+
+        return trip.calls
+            .filter(call => this.timeHandler.isDateInValidity(call.validity, date))
+            .map(call => {
+                let arrive = this.timeHandler.timeToMinutes(call.arrive || call.depart) + wrap;
+                if (arrive < previous) {
+                    wrap += 24 * 60;
+                    arrive += 24 * 60;
+                }
+                let depart = this.timeHandler.timeToMinutes(call.depart) + wrap;
+                if (depart < arrive) {
+                    wrap += 24 * 60;
+                    depart += 24 * 60;
+                }
+                previous = depart;
+
+                return {
+                    stop: call.stop,
+                    arrive: base + arrive,
+                    depart: base + depart,
+                    pickup: call.pickup !== false,
+                    dropoff: call.dropoff !== false
+                };
+            });
+    }
+
+    /**
+     * Hittar alla direkta delsträckor mellan två bryggor i en samling tidtabeller
+     * I en rundtur (riktningen 'loop') fortsätter båten på nästa varv, så en brygga
+     * tidigare i varvet nås med första anlöpet efter att varvet är slut
+     * @param {Array<Object>} timetables - Tidtabeller {line, lineName, data, date, dayOffset}
+     * @param {string} from - Påstigningsbrygga
+     * @param {string} to - Avstigningsbrygga
+     * @returns {Array<Object>} Delsträckor {line, lineName, tripId, from, to, depart, arrive}
+     */
+    findLegs(timetables, from, to) {
+        const legs = [];
+
+        timetables.forEach(({ line, lineName, data, date, dayOffset }) => {
+            if (!data || !data.directions) return;
+
+            Object.entries(data.directions).forEach(([direction, directionData]) => {
+                const trips = directionData.trips
+                    .filter(trip => this.timeHandler.isDateInValidity(trip.validity, date))
+                    .map(trip => ({ trip, calls: this.resolveCalls(trip, dayOffset, date) }));
+
+                trips.forEach(({ trip, calls }) => {
+                    const boardIndex = calls.findIndex(call => call.stop === from && call.pickup);
+                    if (boardIndex === -1) return;
+
+                    let alight = calls.slice(boardIndex + 1).find(call => call.stop === to && call.dropoff);
+                    if (!alight && direction === 'loop') {
+                        alight = this.findNextLoopCall(trips, to, calls[calls.length - 1].depart);
+                    }
+                    if (!alight) return;
+
+                    legs.push({
+                        line,
+                        lineName,
+                        tripId: trip.id,
+                        from,
+                        to,
+                        depart: calls[boardIndex].depart,
+                        arrive: alight.arrive
+                    });
+                });
+            });
+        });
+
+        return legs;
+    }
+
+    /**
+     * Hittar första anlöpet vid en brygga efter en viss tid i en rundtur
+     * @param {Array<Object>} trips - Turer med absoluta anlöp {trip, calls}
+     * @param {string} stop - Brygga
+     * @param {number} after - Tid i absoluta minuter
+     * @returns {Object|undefined} Anlöp eller undefined
+     */
+    findNextLoopCall(trips, stop, after) {
+        return trips
+            .flatMap(({ calls }) => calls)
+            .filter(call => call.stop === stop && call.dropoff && call.arrive > after)
+            .sort((a, b) => a.arrive - b.arrive)[0];
+    }
+
+    /**
+     * Hämtar bryggor som trafikeras av mer än en linje
+     * @param {Array<Object>} timetables - Tidtabeller {line, data}
+     * @returns {Array<string>} Gemensamma bryggor
+     */
+    getTransferStops(timetables) {
+        const linesByStop = new Map();
+        timetables.forEach(({ line, data }) => {
+            if (!data || !data.directions) return;
+            Object.values(data.directions).forEach(directionData => {
+                directionData.stops.forEach(stop => {
+                    if (!linesByStop.has(stop)) linesByStop.set(stop, new Set());
+                    linesByStop.get(stop).add(line);
+                });
+            });
+        });
+        return [...linesByStop].filter(([, lines]) => lines.size > 1).map(([stop]) => stop);
+    }
+
+    /**
+     * Planerar resor mellan två bryggor
+     * @param {Object} params - Parametrar
+     * @param {string} params.from - Påstigningsbrygga
+     * @param {string} params.to - Avstigningsbrygga
+     * @param {Array<Object>} params.timetables - Tidtabeller {line, lineName, data, date, dayOffset}
+     * @param {number} params.nowMinutes - Aktuell tid i minuter sedan trafikdagens midnatt
+     * @param {number} [params.maxResults=5] - Max antal resor
+     * @returns {Array<Object>} Resor {depart, arrive, duration, legs} sorterade efter avgång
+     */
+    plan({ from, to, timetables, nowMinutes, maxResults = 5 }) {
+        if (!from || !to || from === to) {
+            return [];
+        }
+
+        const journeys = this.findLegs(timetables, from, to)
+            .filter(leg => leg.depart >= nowMinutes)
+            .map(leg => this.createJourney([leg]));
+
+        // Resor med ett byte vid brygga som trafikeras av båda linjerna
+        this.getTransferStops(timetables)
+            .filter(stop => stop !== from && stop !== to)
+            .forEach(transferStop => {
+                const secondLegs = this.findLegs(timetables, transferStop, to);
+                this.findLegs(timetables, from, transferStop)
+                    .filter(leg => leg.depart >= nowMinutes)
+                    .forEach(firstLeg => {
+                        const connection = secondLegs
+                            .filter(leg => leg.line !== firstLeg.line &&
+                                leg.depart >= firstLeg.arrive + this.minTransferMinutes)
+                            .sort((a, b) => a.arrive - b.arrive)[0];
+
+                        if (connection) {
+                            journeys.push(this.createJourney([firstLeg, connection]));
+                        }
+                    });
+            });
+
+        return this.removeDominated(journeys).slice(0, maxResults);
+    }
+
+    /**
+     * Skapar ett resobjekt från delsträckor
+     * @param {Array<Object>} legs - Delsträckor i ordning
+     * @returns {Object} Resa {depart, arrive, duration, legs}
+     */
+    createJourney(legs) {
+        const depart = legs[0].depart;
+        const arrive = legs[legs.length - 1].arrive;
+        return { depart, arrive, duration: arrive - depart, legs };
+    }
+
+    /**
+     * Tar bort resor där en annan resa avgår samtidigt eller senare och ändå är framme tidigare
+     * Vid lika tider föredras resan med minst antal byten
+     * @param {Array<Object>} journeys - Resor
+     * @returns {Array<Object>} Kvarvarande resor sorterade efter avgång
+     */
+    removeDominated(journeys) {
+        const sorted = [...journeys].sort((a, b) =>
+            (b.depart - a.depart) || (a.arrive - b.arrive) || (a.legs.length - b.legs.length));
+
+        const kept = [];
+        let bestArrive = Infinity;
+        sorted.forEach(journey => {
+            if (journey.arrive < bestArrive) {
+                kept.push(journey);
+                bestArrive = journey.arrive;
+            }
+        });
+
+        return kept.reverse();
+    }
+
+    /**
+     * Formaterar absoluta minuter som tid och dagsförskjutning
+     * Dagsförskjutningen räknas i trafikdagar, så en båt 00:05 före service_day_end
+     * hör till samma trafikdag som kvällens avgångar
+     * @param {number} minutes - Minuter sedan trafikdagens midnatt
+     * @returns {Object} {time: "HH:MM", dayOffset}
+     */
+    formatMinutes(minutes) {
+        return {
+            time: this.timeHandler.minutesToTime(minutes % (24 * 60)),
+            dayOffset: Math.floor((minutes - this.timeHandler.serviceDayEnd) / (24 * 60))
+        };
+    }
+}
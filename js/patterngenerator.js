@@ -0,0 +1,240 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Pattern Generator Module
+ *
+ * Genererar tidtabeller från ett mönster i service_configuration istället för
+ * handskrivna avgångslistor. Mönstret beskriver hållplatsordning, förskjutning
+ * mellan hållplatser, grundintervall, rusningstider och trafiktider per dagtyp.
+ * En ändrad turtäthet blir därmed en enradsändring i konfigurationen.
+ *
+ * Versionshistorik:
+ * 5.11.0 - Exporteras som CommonJS-modul för valideringsverktyget
+ * 5.9.0 - Avgångar efter midnatt genereras som trafikdygnstider (24:00, 24:05 ...)
+ * 5.5.0 - Genererar turer i schema_version 2, överstyrningar läggs till som egna turer
+ * 5.4.0 - Skapad: Mönsterbaserad generering av Sjöstadstrafikens tidtabeller
+ *
+ * @author Christian Gillinger
+ * @version 5.11.0
+ * @license MIT
+ */
+
+class PatternGenerator {
+    /**
+     * Initierar PatternGenerator
+     * @param {TimeHandler} timeHandler - TimeHandler för tidskonverteringar
+     */
+    constructor(timeHandler) {
+        this.timeHandler = timeHandler;
+    }
+
+    /**
+     * Tolkar ett tidsintervall i formatet "HH:MM-HH:MM"
+     * @param {string} period - Tidsintervall
+     * @returns {Object} {start, end} i minuter sedan midnatt
+     */
+    parsePeriod(period) {
+        const [start, end] = period.split('-').map(time => this.timeHandler.timeToMinutes(time.trim()));
+        return { start, end };
+    }
+
+    /**
+     * Hämtar de rusningstider som gäller för en dagtyp och säsong
+     * @param {Object} serviceConfig - service_configuration från linjekonfigurationen
+     * @param {string} dayType - Dagtyp ('weekday' eller 'weekend')
+     * @param {Array<string>} seasons - Säsonger som gäller (t.ex. ['fall', 'winter', 'spring'])
+     * @returns {Array<Object>} Rusningsfönster {start, end, interval} sorterade efter start
+     */
+    getRushWindows(serviceConfig, dayType, seasons) {
+        return (serviceConfig.rush_hours || [])
+            .filter(rush => !rush.day_types || rush.day_types.includes(dayType))
+            .filter(rush => !rush.seasons || rush.seasons.some(season => seasons.includes(season)))
+            .map(rush => ({ ...this.parsePeriod(rush.period), interval: rush.interval }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Beräknar avgångstider från första hållplatsen
+     * Intervallet byts exakt vid rusningsfönstrens början och slut
+     * @param {number} start - Första avgång (minuter sedan midnatt)
+     * @param {number} end - Sista avgång (minuter sedan midnatt)
+     * @param {number} baseInterval - Grundintervall i minuter
+     * @param {Array<Object>} rushWindows - Rusningsfönster från getRushWindows
+     * @returns {Array<number>} Avgångstider i minuter
+     */
+    generateBaseTimes(start, end, baseInterval, rushWindows) {
+        const times = [];
+        let current = start;
+
+        while (current <= end) {
+            times.push(current);
+
+            const activeRush = rushWindows.find(rush => current >= rush.start && current < rush.end);
+            let next = current + (activeRush ? activeRush.interval : baseInterval);
+
+            // Börja rusningstrafiken exakt vid fönstrets start även om intervallet skulle hoppa förbi
+            const upcomingRush = rushWindows.find(rush => rush.start > current && rush.start < next);
+            if (upcomingRush) {
+                next = upcomingRush.start;
+            }
+
+            current = next;
+        }
+
+        return times;
+    }
+
+    /**
+     * Genererar en tidtabell för en dagtyp från service_configuration
+     * Varje avgång från första hållplatsen blir en tur runt triangeln (riktningen 'loop')
+     * @param {Object} serviceConfig - service_configuration från linjekonfigurationen
+     * @param {string} dayType - Dagtyp ('weekday' eller 'weekend')
+     * @param {Array<string>} seasons - Säsonger som gäller för rusningstider
+     * @returns {Object} Tidtabellsdata i schema_version 2
+     */
+    generate(serviceConfig, dayType, seasons = []) {
+        const operatingHours = serviceConfig.operating_hours && serviceConfig.operating_hours[dayType];
+        if (!operatingHours) {
+            throw new Error(`Trafiktider saknas för dagtyp "${dayType}" i service_configuration`);
+        }
+
+        const start = this.timeHandler.timeToMinutes(operatingHours.start);
+        let end = this.timeHandler.timeToMinutes(operatingHours.end);
+        // Sluttid "24:00" (eller äldre "00:00") betyder midnatt i slutet av trafikdygnet
+        if (end <= start) {
+            end += 24 * 60;
+        }
+
+        const rushWindows = this.getRushWindows(serviceConfig, dayType, seasons);
+        const baseTimes = this.generateBaseTimes(start, end, serviceConfig.base_interval, rushWindows);
+        const offsets = serviceConfig.stop_offsets || {};
+        const stops = [...serviceConfig.stop_sequence];
+
+        // Tider efter midnatt hör till samma trafikdygn och skrivs som 24:00, 24:05 osv.
+        const trips = baseTimes.map(minutes => ({
+            period: null,
+            calls: stops.map(stop => {
+                const time = this.timeHandler.minutesToTime(minutes + (offsets[stop] || 0));
+                return { stop, arrive: time, depart: time, pickup: true, dropoff: true };
+            })
+        }));
+
+        const generated = {
+            schema_version: 2,
+            metadata: {
+                description: `Genererad från service_configuration (${dayType})`,
+                day_type: dayType,
+                generated: true
+            },
+            operating_hours: { ...operatingHours },
+            directions: {
+                loop: { stops, trips }
+            }
+        };
+        if (serviceConfig.service_day_end) {
+            generated.service_day_end = serviceConfig.service_day_end;
+        }
+        return generated;
+    }
+
+    /**
+     * Omvandlar en tid till minuter i trafikdygnet (tider före första avgången räknas till efter midnatt)
+     * @param {string} time - Tid i HH:MM-format
+     * @param {number} dayStart - Trafikdygnets start i minuter
+     * @returns {number} Minuter sedan trafikdygnets midnatt
+     */
+    toServiceMinutes(time, dayStart) {
+        const minutes = this.timeHandler.timeToMinutes(time);
+        return minutes < dayStart ? minutes + 24 * 60 : minutes;
+    }
+
+    /**
+     * Omvandlar en tid i en överstyrningsfil till trafikdygnstid ("00:05" -> "24:05")
+     * @param {string} time - Tid i HH:MM-format
+     * @param {number} dayStart - Trafikdygnets start i minuter
+     * @returns {string} Tid i HH:MM-format, timmar kan vara 24 eller mer
+     */
+    toServiceTime(time, dayStart) {
+        return this.timeHandler.minutesToTime(this.toServiceMinutes(time, dayStart));
+    }
+
+    /**
+     * Skapar en tur med ett enda anlöp (extra avgång från en överstyrningsfil)
+     * @param {string} stop - Hållplats
+     * @param {string} time - Avgångstid
+     * @returns {Object} Tur
+     */
+    createSingleCallTrip(stop, time) {
+        return {
+            period: 'extra',
+            calls: [{ stop, arrive: time, depart: time, pickup: true, dropoff: true }]
+        };
+    }
+
+    /**
+     * Lägger en statisk överstyrningsfil ovanpå en genererad tidtabell
+     * departures ersätter en hållplats avgångar helt, add_departures och
+     * remove_departures lägger till respektive tar bort enstaka tider.
+     * Tillagda tider blir egna turer eftersom de inte följer mönstret
+     * @param {Object} generated - Genererad tidtabell från generate()
+     * @param {Object} override - Överstyrningsfil
+     * @returns {Object} Sammanslagen tidtabell
+     */
+    applyOverride(generated, override) {
+        if (!override) return generated;
+
+        const operatingHours = override.operating_hours || generated.operating_hours;
+        const dayStart = this.timeHandler.timeToMinutes(operatingHours.start);
+        const loop = generated.directions.loop;
+
+        // Överstyrningsfiler kan skriva tider efter midnatt som "00:05"
+        const toServiceTimes = (stopMap) => Object.fromEntries(Object.entries(stopMap || {})
+            .map(([stop, times]) => [stop, times.map(time => this.toServiceTime(time, dayStart))]));
+
+        const removals = toServiceTimes(override.remove_departures);
+        const additions = toServiceTimes(override.add_departures);
+        Object.entries(toServiceTimes(override.departures)).forEach(([stop, times]) => {
+            // Ersatt hållplats: ta bort alla genererade anlöp och lägg till de angivna tiderna
+            removals[stop] = loop.trips.flatMap(trip => trip.calls).filter(call => call.stop === stop).map(call => call.depart);
+            additions[stop] = times;
+        });
+
+        let trips = loop.trips
+            .map(trip => ({
+                ...trip,
+                calls: trip.calls.filter(call => !(removals[call.stop] || []).includes(call.depart))
+            }))
+            .filter(trip => trip.calls.length > 0);
+
+        Object.entries(additions).forEach(([stop, times]) => {
+            times.forEach(time => {
+                const exists = trips.some(trip => trip.calls.some(call => call.stop === stop && call.depart === time));
+                if (!exists) {
+                    trips.push(this.createSingleCallTrip(stop, time));
+                }
+            });
+        });
+
+        // Sortera turerna i trafikdygnets ordning efter första anlöpet
+        trips = trips.sort((a, b) =>
+            this.toServiceMinutes(a.calls[0].depart, dayStart) - this.toServiceMinutes(b.calls[0].depart, dayStart));
+
+        const stops = [...loop.stops];
+        Object.keys(additions).forEach(stop => {
+            if (!stops.includes(stop)) stops.push(stop);
+        });
+
+        return {
+            ...generated,
+            metadata: { ...generated.metadata, ...(override.metadata || {}), overridden: true },
+            operating_hours: operatingHours,
+            directions: {
+                ...generated.directions,
+                loop: { stops, trips }
+            }
+        };
+    }
+}
+
+// Exportera för Node (tools/validate-schedules.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternGenerator;
+}
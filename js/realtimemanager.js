@@ -0,0 +1,267 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Realtime Manager Module
+ *
+ * Lägger realtidsinformation (förseningar, inställda turer, anlöp som hoppas
+ * över och extraturer) ovanpå de planerade avgångarna. Flödet läses av en
+ * adapter per format som gör om det till normaliserade uppdateringar:
+ *
+ *   {line?, direction?, direction_id?, trip?, start_time?, date?,
+ *    cancelled?, reason?, delay?, stops?: [{stop?, stop_id?, sequence?, delay?, time?, timestamp?, skipped?}],
+ *    added?, id?, calls?: [{stop?, stop_id?, depart?, timestamp?}]}
+ *
+ * delay anges i minuter, time som trafikdygnstid (HH:MM) och timestamp i
+ * millisekunder. Formatet "json" är inbyggt, fler format (t.ex. GTFS-Realtime)
+ * läggs till med registerAdapter. Uppdateringar utan datum gäller trafikdagen
+ * då flödet hämtades. Saknas flödet eller är det äldre än maxAge visas bara
+ * tidtabellen.
+ *
+ * Versionshistorik:
+ * 6.4.0 - Skapad: Realtidsuppdateringar med utbytbara adaptrar för olika flödesformat
+ *
+ * @author Christian Gillinger
+ * @version 6.4.0
+ * @license MIT
+ */
+
+class RealtimeManager {
+    /**
+     * Initierar RealtimeManager
+     * @param {TimeHandler} timeHandler - TimeHandler för svensk tid och trafikdagar
+     * @param {Object} [options] - Inställningar
+     * @param {number} [options.maxAge=600000] - Längsta ålder på flödet i millisekunder
+     * @param {Function} [options.stopId] - Ger hållplatsens stop_id i GTFS från namnet
+     */
+    constructor(timeHandler, options = {}) {
+        this.timeHandler = timeHandler;
+        this.maxAge = options.maxAge !== undefined ? options.maxAge : 600000;
+        this.stopId = options.stopId || (stop => stop);
+        // Adaptrar per format: {responseType: 'json' | 'arrayBuffer', parse(payload) => {timestamp, updates}}
+        this.adapters = {
+            json: { responseType: 'json', parse: feed => this.parseJsonFeed(feed) }
+        };
+        // Linjer från linjeregistret, för direction_id i flöden utan riktningens namn
+        this.lines = [];
+        this.clear();
+    }
+
+    /**
+     * Registrerar en adapter för ett flödesformat
+     * @param {string} format - Formatets namn (t.ex. 'gtfs-rt')
+     * @param {Object} adapter - {responseType, parse(payload)} där parse ger {timestamp, updates}
+     */
+    registerAdapter(format, adapter) {
+        this.adapters[format] = adapter;
+    }
+
+    /**
+     * Hämtar adaptern för ett flödesformat
+     * @param {string} format - Formatets namn
+     * @returns {Object} Adapter
+     * @throws {Error} Om formatet saknar adapter
+     */
+    getAdapter(format) {
+        const adapter = this.adapters[format];
+        if (!adapter) {
+            throw new Error(`Okänt realtidsformat: ${format}`);
+        }
+        return adapter;
+    }
+
+    /**
+     * Sätter linjerna från linjeregistret
+     * @param {Array<Object>} lines - Linjer med directions
+     */
+    setLines(lines) {
+        this.lines = lines || [];
+    }
+
+    /**
+     * Tar bort alla uppdateringar så att bara tidtabellen visas
+     */
+    clear() {
+        this.updates = [];
+        this.timestamp = null;
+        this.serviceDay = null;
+    }
+
+    /**
+     * Ersätter uppdateringarna med ett nytt flöde
+     * @param {Object} feed - Resultat från en adapter {timestamp?, updates}
+     * @param {Date} [fetchedAt] - När flödet hämtades (används om flödet saknar tidsstämpel)
+     */
+    setFeed(feed, fetchedAt = new Date()) {
+        this.updates = Array.isArray(feed && feed.updates) ? feed.updates : [];
+        this.timestamp = feed && feed.timestamp ? feed.timestamp : fetchedAt.getTime();
+        this.serviceDay = this.timeHandler.formatDate(this.timeHandler.getServiceDay(fetchedAt));
+    }
+
+    /**
+     * Kontrollerar om flödet är tillräckligt nytt för att visas
+     * @param {Date} [instant] - Ögonblick (standard: nu)
+     * @returns {boolean} Sant om det finns uppdateringar som inte är för gamla
+     */
+    isActive(instant = new Date()) {
+        return this.updates.length > 0 && instant.getTime() - this.timestamp <= this.maxAge;
+    }
+
+    /**
+     * Läser flödet i det enkla JSON-formatet
+     * {timestamp?: ISO-tid, updates: [...]} där uppdateringarna redan är normaliserade
+     * @param {Object} feed - Flödet
+     * @returns {Object} {timestamp, updates}
+     */
+    parseJsonFeed(feed) {
+        const timestamp = feed && feed.timestamp ? Date.parse(feed.timestamp) : NaN;
+        return {
+            timestamp: Number.isNaN(timestamp) ? null : timestamp,
+            updates: Array.isArray(feed && feed.updates) ? feed.updates.filter(update => update && typeof update === 'object') : []
+        };
+    }
+
+    /**
+     * Räknar om en tidpunkt till minuter sedan en trafikdags midnatt
+     * @param {number} timestamp - Tidpunkt i millisekunder
+     * @param {Date} date - Trafikdag som UTC-midnatt
+     * @returns {number} Minuter (1440 eller mer efter midnatt)
+     */
+    getServiceMinutesAt(timestamp, date) {
+        const instant = new Date(timestamp);
+        const days = this.timeHandler.getDaysBetween(date, this.timeHandler.getToday(instant));
+        return days * 24 * 60 + this.timeHandler.getCurrentMinutes(instant);
+    }
+
+    /**
+     * Hämtar en tid i en uppdatering som minuter sedan trafikdagens midnatt
+     * @param {Object} event - Del av uppdatering med time (HH:MM) eller timestamp
+     * @param {Date} date - Trafikdag
+     * @returns {number|null} Minuter, eller null om tid saknas
+     */
+    getEventMinutes(event, date) {
+        if (event.time) return this.timeHandler.timeToMinutes(event.time);
+        if (event.timestamp) return this.getServiceMinutesAt(event.timestamp, date);
+        return null;
+    }
+
+    /**
+     * Kontrollerar om en uppdatering gäller en linje, riktning och trafikdag
+     * @param {Object} update - Normaliserad uppdatering
+     * @param {string} line - Linjens id
+     * @param {string} direction - Riktning
+     * @param {Date} date - Trafikdag
+     * @returns {boolean} Sant om uppdateringen gäller
+     */
+    matchesService(update, line, direction, date) {
+        if ((update.date || this.serviceDay) !== this.timeHandler.formatDate(date)) return false;
+        if (update.line && update.line !== line) return false;
+        if (update.direction) return update.direction === direction;
+        if (update.direction_id === undefined) return true;
+
+        const registryLine = this.lines.find(candidate => candidate.id === line);
+        const registryDirection = registryLine && registryLine.directions && registryLine.directions[update.direction_id];
+        return direction === `direction_${update.direction_id}` || Boolean(registryDirection && registryDirection.id === direction);
+    }
+
+    /**
+     * Kontrollerar om en uppdatering gäller en tur
+     * Turen matchas på id (även trip_id från GTFS-exporten, t.ex. "city-1-to_city-morning-3-1")
+     * eller på första avgångstiden (start_time) när linjen är angiven
+     * @param {Object} update - Normaliserad uppdatering
+     * @param {string} line - Linjens id
+     * @param {Object} trip - Tur i kanoniskt format
+     * @returns {boolean} Sant om uppdateringen gäller turen
+     */
+    matchesTrip(update, line, trip) {
+        if (update.trip) {
+            const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (update.trip === trip.id || new RegExp(`^${escape(line)}-\\d+-${escape(trip.id)}(-\\d+)?$`).test(update.trip)) {
+                return true;
+            }
+        }
+        return Boolean(update.line && update.start_time && update.start_time.slice(0, 5) === trip.calls[0].depart);
+    }
+
+    /**
+     * Kontrollerar om en hållplatsuppdatering gäller ett anlöp
+     * @param {Object} stopUpdate - {stop?, stop_id?, sequence?}
+     * @param {Object} call - Anlöp
+     * @param {number} index - Anlöpets index i turen
+     * @returns {boolean} Sant om uppdateringen gäller anlöpet
+     */
+    matchesCall(stopUpdate, call, index) {
+        if (stopUpdate.stop || stopUpdate.stop_id) {
+            return stopUpdate.stop === call.stop || (Boolean(stopUpdate.stop_id) && stopUpdate.stop_id === this.stopId(call.stop));
+        }
+        return stopUpdate.sequence === index + 1;
+    }
+
+    /**
+     * Hämtar realtidsinformationen för en planerad tur
+     * En försening gäller från hållplatsen där den anges till nästa hållplats med egen uppgift
+     * @param {string} line - Linjens id
+     * @param {string} direction - Riktning
+     * @param {Object} trip - Tur i kanoniskt format
+     * @param {Date} date - Turens trafikdag
+     * @returns {Object|null} {cancelled} för inställd tur, annars {calls} med {realtime, delay} eller
+     *                        {cancelled} per anlöp (null utan ändring), eller null utan uppdatering
+     */
+    getTripUpdate(line, direction, trip, date) {
+        if (!this.isActive()) return null;
+
+        const update = this.updates.find(candidate => !candidate.added &&
+            this.matchesService(candidate, line, direction, date) && this.matchesTrip(candidate, line, trip));
+        if (!update) return null;
+
+        if (update.cancelled) {
+            return { cancelled: update.reason || 'Inställd' };
+        }
+
+        let delay = update.delay || 0;
+        const stopUpdates = Array.isArray(update.stops) ? update.stops : [];
+        const calls = trip.calls.map((call, index) => {
+            const scheduled = this.timeHandler.timeToMinutes(call.depart);
+            const stopUpdate = stopUpdates.find(candidate => this.matchesCall(candidate, call, index));
+            if (stopUpdate) {
+                if (stopUpdate.skipped) {
+                    return { cancelled: stopUpdate.reason || update.reason || 'Anlöps inte' };
+                }
+                const expected = this.getEventMinutes(stopUpdate, date);
+                if (expected !== null) {
+                    delay = expected - scheduled;
+                } else if (typeof stopUpdate.delay === 'number') {
+                    delay = stopUpdate.delay;
+                }
+            }
+            return delay !== 0 ? { realtime: this.timeHandler.minutesToTime(scheduled + delay), delay } : null;
+        });
+
+        return { calls };
+    }
+
+    /**
+     * Hämtar extraturer för en linje och riktning
+     * @param {string} line - Linjens id
+     * @param {string} direction - Riktning
+     * @param {Date} date - Trafikdag
+     * @param {Array<string>} stops - Riktningens hållplatser (för stop_id i flödet)
+     * @returns {Array<Object>} Turer i kanoniskt format med added: true
+     */
+    getAddedTrips(line, direction, date, stops) {
+        if (!this.isActive()) return [];
+
+        return this.updates
+            .filter(update => update.added && Array.isArray(update.calls) && this.matchesService(update, line, direction, date))
+            .map((update, index) => {
+                const calls = update.calls
+                    .map(call => {
+                        const stop = call.stop || stops.find(candidate => this.stopId(candidate) === call.stop_id);
+                        const minutes = call.depart ? this.timeHandler.timeToMinutes(call.depart) : this.getEventMinutes(call, date);
+                        if (!stop || minutes === null) return null;
+                        const depart = this.timeHandler.minutesToTime(minutes);
+                        return { stop, arrive: depart, depart, pickup: true, dropoff: true };
+                    })
+                    .filter(Boolean);
+                return { id: update.id || update.trip || `realtime-${index + 1}`, added: true, calls };
+            })
+            .filter(trip => trip.calls.length > 0);
+    }
+}
@@ -6,6 +6,25 @@
  * highlight-effekter för avgångar.
  * 
  * Versionshistorik:
+ * 6.6.0 - Stängda bryggor visas gråade med orsak och närmaste öppna brygga, även i talsyntesen
+ * 6.5.0 - Meddelande från tillfälliga tilläggsfiler (overlays) på tidtabellerna
+ * 6.4.0 - Realtid: ny tid för försenade avgångar och extraturer markeras (markRealtime)
+ * 6.3.0 - Trafikmeddelanden som banner på tidtabellen och markering på berörda avgångar
+ * 6.2.0 - Inställda avgångar visas överstrukna med orsak (markCancelled)
+ * 6.1.0 - Priser per linje och biljettkalkylator (showFares)
+ * 5.16.0 - "Lägg till i kalender" i turinformationen: enskild avgång eller samma tid hela säsongen
+ * 5.15.0 - Utskriftsanslag (A4) med dagtyper sida vid sida, giltighet, noteringar och priser
+ * 5.14.0 - Heldagstabell per linje och riktning med turerna som kolumner
+ * 5.13.0 - "Visa dag": datumväljare och hel dags tidtabell för valfritt datum
+ * 5.12.0 - Täckningskalender per linje med glapp, överlapp, helgdagar och underhåll
+ * 5.10.0 - Visningsläge för markerad hållplats: klockslag, nedräkning ("om 4 min") eller hybrid
+ * 5.9.0 - Trafikdygnstider efter midnatt (24:05) visas som klockslag (00:05) och räknas till kvällen
+ * 5.8.0 - Aktuell tid och avgångsdatum räknas i svensk tid via TimeHandler
+ * 5.7.0 - Reseplanerare mellan två bryggor
+ * 5.6.0 - Tryck på en avgångstid visar båtens hela tur med ankomsttider
+ * 5.5.0 - "Endast avstigning" läses från anlöpens pickup-flagga istället för separata tidslistor
+ * 5.2.0 - Helgdagens namn visas på "Ingen trafik idag"-kortet
+ * 5.1.0 - Trafikfria dagar: "Ingen trafik idag"-kort och datum på avgångar efter morgondagen
  * 5.0.1 - Säkerhetshärdning: Ersatt innerHTML med textContent/createElement
  * 4.1.0 - Tillagd support för maintenance mode (tillfälliga trafikuppehåll)
  * 4.0.0 - Förbättrad versionshantering och uppdateringsnotifieringar
@@ -18,7 +37,7 @@
  * 1.0.0 - Originalversion baserad på MMM-Resseltrafiken
  * 
  * @author Christian Gillinger
- * @version 5.0.2
+ * @version 6.6.0
  * @license MIT
  */
 
@@ -27,14 +46,29 @@ class Renderer {
     /**
      * Initierar Renderer
      * @param {Object} config - Konfigurationsobjekt
+     * @param {TimeHandler} timeHandler - TimeHandler för svensk tid
      */
-    constructor(config) {
+    constructor(config, timeHandler) {
         this.config = config;
+        this.timeHandler = timeHandler;
         // Håll reda på aktiva talsyntesinstanser
         this.activeSpeechSynthesis = null;
         // Lagra senaste upplästa stop och tid
         this.lastReadStop = null;
         this.lastReadTime = null;
+        // Tangentbordslyssnare för öppen popup
+        this.dialogKeyHandler = null;
+        // Kalenderexport från turinformationen, sätts av appen: (stop, timeObj, recurring) => Promise<felmeddelande|null>
+        this.onCalendarExport = null;
+        // Etiketter för täckningskalenderns dagstatus
+        this.coverageLabels = {
+            ok: "Täckt",
+            gap: "Glapp",
+            overlap: "Överlapp",
+            maintenance: "Underhåll",
+            no_traffic: "Ingen trafik",
+            holiday: "Helgdag"
+        };
     }
 
     /**
@@ -102,16 +136,22 @@ class Renderer {
      * @param {string} title - Tidtabellstitel
      * @param {string} subtitle - Tidtabellsundertitel (används inte längre)
      * @param {string} highlightStop - Hållplats att markera
-     * @param {Object} disembarkOnlyToday - "Endast avstigning"-tider för idag
-     * @param {Object} disembarkOnlyTomorrow - "Endast avstigning"-tider för imorgon
      * @returns {HTMLElement} Tidtabellselement
      */
-    createTimetable(timetableData, title, subtitle, highlightStop, disembarkOnlyToday, disembarkOnlyTomorrow) {
+    createTimetable(timetableData, title, subtitle, highlightStop) {
         const timetable = document.createElement("div");
         timetable.className = "timetable";
         
         // Lägg till titel (utan undertitel) och talsyntes-knapp om aktiverad
-        timetable.appendChild(this.createTitleSection(title, timetableData, highlightStop, disembarkOnlyToday, disembarkOnlyTomorrow));
+        timetable.appendChild(this.createTitleSection(title, timetableData, highlightStop));
+        
+        // Trafikmeddelanden visas under titeln, även vid underhåll och trafikfria dagar
+        if (timetableData && Array.isArray(timetableData.alerts)) {
+            timetableData.alerts.forEach(alert => timetable.appendChild(this.createAlertBanner(alert)));
+        }
+        if (timetableData && timetableData.metadata) {
+            this.createOverlayNotices(timetableData.metadata).forEach(notice => timetable.appendChild(notice));
+        }
         
         // Kontrollera om detta är maintenance mode
         if (timetableData && timetableData.metadata && timetableData.metadata.maintenance_mode) {
@@ -124,9 +164,22 @@ class Renderer {
             return timetable;
         }
         
+        // Trafikfri dag (t.ex. julafton) - visa meddelande och nästa trafikdags avgångar
+        if (timetableData && timetableData.metadata && timetableData.metadata.no_traffic) {
+            const noTrafficMessage = document.createElement("div");
+            noTrafficMessage.className = "notification warning no-traffic";
+            const holidayName = timetableData.metadata.holiday_name;
+            noTrafficMessage.textContent = holidayName ? `Ingen trafik idag (${holidayName}).` : "Ingen trafik idag.";
+            timetable.appendChild(noTrafficMessage);
+            
+            if (!timetableData.departures || Object.keys(timetableData.departures).length === 0) {
+                return timetable;
+            }
+        }
+        
         // Kolla om det finns avgångar att visa
         if (timetableData && timetableData.departures && Object.keys(timetableData.departures).length > 0) {
-            const hasDisembarkOnlyTimes = this.hasDisembarkOnlyTimes(disembarkOnlyToday, disembarkOnlyTomorrow);
+            const hasDisembarkOnlyTimes = this.hasDisembarkOnlyTimes(timetableData.departures);
             
             // Tidrubriker
             if (this.config.maxVisibleDepartures > 0) {
@@ -136,9 +189,10 @@ class Renderer {
             // Skapa avgångsrader för varje hållplats
             Object.entries(timetableData.departures).forEach(([stop, times]) => {
                 const isHighlightedStop = stop === highlightStop;
+                const closure = timetableData.closedStops && timetableData.closedStops[stop];
                 
                 // Skapa rad för hållplatsen
-                const row = this.createStopRow(stop, times, isHighlightedStop, disembarkOnlyToday, disembarkOnlyTomorrow);
+                const row = this.createStopRow(stop, times, isHighlightedStop, closure);
                 timetable.appendChild(row);
             });
             
@@ -157,16 +211,58 @@ class Renderer {
         return timetable;
     }
 
+    /**
+     * Skapar en banner för ett trafikmeddelande
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} alert - Meddelande från AlertManager {severity, title?, message}
+     * @returns {HTMLElement} Bannerelement
+     */
+    createAlertBanner(alert) {
+        const banner = document.createElement("div");
+        banner.className = `notification alert-banner alert-${alert.severity}`;
+        banner.setAttribute("role", alert.severity === "severe" ? "alert" : "status");
+        
+        if (alert.title) {
+            const title = document.createElement("strong");
+            title.className = "alert-title";
+            title.textContent = alert.title;
+            banner.appendChild(title);
+        }
+        
+        const message = document.createElement("span");
+        message.className = "alert-message";
+        message.textContent = alert.message;
+        banner.appendChild(message);
+        
+        return banner;
+    }
+
+    /**
+     * Skapar meddelanden för tillfälliga tilläggsfiler (overlays) som ändrar dagens tidtabell
+     * Tilläggsfiler utan metadata.message visas inte
+     * @param {Object} [metadata] - Tidtabellens metadata med overlays [{name, message}]
+     * @returns {Array<HTMLElement>} Meddelandeelement
+     */
+    createOverlayNotices(metadata = {}) {
+        return (metadata.overlays || [])
+            .filter(overlay => overlay.message)
+            .map(overlay => {
+                const notice = document.createElement("div");
+                notice.className = "notification overlay-notice";
+                notice.setAttribute("role", "status");
+                notice.textContent = overlay.message;
+                return notice;
+            });
+    }
+
     /**
      * Skapar titelsektionen för en tidtabell med talsyntes-knapp
      * @param {string} title - Huvudtitel
      * @param {Object} timetableData - Tidtabellsdata
      * @param {string} highlightStop - Hållplats att markera
-     * @param {Object} disembarkOnlyToday - "Endast avstigning"-tider för idag
-     * @param {Object} disembarkOnlyTomorrow - "Endast avstigning"-tider för imorgon
      * @returns {HTMLElement} Titelsektionselement
      */
-    createTitleSection(title, timetableData, highlightStop, disembarkOnlyToday, disembarkOnlyTomorrow) {
+    createTitleSection(title, timetableData, highlightStop) {
         const titleSection = document.createElement("div");
         titleSection.className = "title-section";
         
@@ -180,13 +276,15 @@ class Renderer {
         // Lägg till talsyntes-knapp om aktiverad och data finns
         if (this.config.showSpeechSynthesis && timetableData && timetableData.departures && highlightStop) {
             // Kolla om det finns tider för den markerade hållplatsen
-            const times = timetableData.departures[highlightStop];
-            if (times && times.length > 0) {
+            // Inställda avgångar läses inte upp
+            const times = (timetableData.departures[highlightStop] || []).filter(timeObj => !timeObj.cancelled);
+            if (times.length > 0) {
                 // Skapa och lägg till talsyntes-knapp i titelsektionen
                 const speechButton = this.createSpeechButtonForTitle(
                     highlightStop, 
                     times[0], 
-                    this.isDisembarkOnlyTime(highlightStop, times[0], disembarkOnlyToday, disembarkOnlyTomorrow)
+                    this.isDisembarkOnlyTime(times[0]),
+                    timetableData.redirectedFrom
                 );
                 titleSection.appendChild(speechButton);
             }
@@ -201,9 +299,10 @@ class Renderer {
      * @param {string} highlightStop - Markerad hållplats
      * @param {Object} firstTime - Första tiden för hållplatsen
      * @param {boolean} isDisembarkOnly - Om avgången är "Endast avstigning"
+     * @param {Object} [redirectedFrom] - Stängning {stop, reason} när highlightStop ersätter en stängd brygga
      * @returns {HTMLElement} Talsyntes-knapp
      */
-    createSpeechButtonForTitle(highlightStop, firstTime, isDisembarkOnly) {
+    createSpeechButtonForTitle(highlightStop, firstTime, isDisembarkOnly, redirectedFrom = null) {
         const button = document.createElement("button");
         button.className = "speech-button title-speech-button";
         button.textContent = "🔊"; // Högtalarsymbol (emoji istället för HTML entity)
@@ -224,35 +323,39 @@ class Renderer {
                 });
             }
             
-            // Avgör om det är en snar avgång (inom 10 minuter)
-            const [hours, minutes] = firstTime.time.split(":").map(Number);
+            // Avgör om det är en snar avgång (inom 10 minuter), försenade avgångar efter ny tid
+            const [hours, minutes] = (firstTime.realtime || firstTime.time).split(":").map(Number);
             const timeInMinutes = hours * 60 + minutes;
             
-            const now = new Date();
-            const currentTimeInMinutes = now.getHours() * 60 + now.getMinutes();
+            const currentTimeInMinutes = this.timeHandler.getServiceMinutes();
             const diffMinutes = timeInMinutes - currentTimeInMinutes;
             
             const isImminentDeparture = firstTime.isToday && diffMinutes >= 0 && diffMinutes < 10;
             
             // Skapa meddelande baserat på om det är "Endast avstigning" och/eller snar avgång
             let message = "";
+            const spokenTime = this.timeHandler.formatDisplayTime(firstTime.realtime || firstTime.time).replace(':', ' och ');
             
-            if (isDisembarkOnly) {
-                if (isImminentDeparture) {
-                    message = `Snar avgång från ${highlightStop} klockan ${firstTime.time.replace(':', ' och ')}. Observera, endast avstigning vid denna hållplats.`;
-                } else if (firstTime.isToday) {
-                    message = `Nästa avgång från ${highlightStop} är klockan ${firstTime.time.replace(':', ' och ')}. Observera, endast avstigning vid denna hållplats.`;
-                } else {
-                    message = `Nästa avgång från ${highlightStop} är i morgon klockan ${firstTime.time.replace(':', ' och ')}. Observera, endast avstigning vid denna hållplats.`;
-                }
+            // Avgångar efter morgondagen (efter trafikfria dagar) läses upp med datum
+            const dayText = firstTime.dayOffset > 1 ? 
+                `den ${this.formatDepartureDate(firstTime.dayOffset, { day: 'numeric', month: 'long' })}` : 
+                "i morgon";
+            
+            if (isImminentDeparture) {
+                message = `Snar avgång från ${highlightStop} klockan ${spokenTime}.`;
+            } else if (firstTime.isToday) {
+                message = `Nästa avgång från ${highlightStop} är klockan ${spokenTime}.`;
             } else {
-                if (isImminentDeparture) {
-                    message = `Snar avgång från ${highlightStop} klockan ${firstTime.time.replace(':', ' och ')}.`;
-                } else if (firstTime.isToday) {
-                    message = `Nästa avgång från ${highlightStop} är klockan ${firstTime.time.replace(':', ' och ')}.`;
-                } else {
-                    message = `Nästa avgång från ${highlightStop} är i morgon klockan ${firstTime.time.replace(':', ' och ')}.`;
-                }
+                message = `Nästa avgång från ${highlightStop} är ${dayText} klockan ${spokenTime}.`;
+            }
+            
+            if (isDisembarkOnly) {
+                message += " Observera, endast avstigning vid denna hållplats.";
+            }
+            
+            // Stängd brygga - hänvisa till närmaste öppna
+            if (redirectedFrom) {
+                message = `${redirectedFrom.stop} är stängd (${redirectedFrom.reason}). Närmaste öppna brygga är ${highlightStop}. ${message}`;
             }
             
             const speech = new SpeechSynthesisUtterance(message);
@@ -300,11 +403,10 @@ class Renderer {
      * @param {string} stop - Hållplatsnamn
      * @param {Array} times - Array med tidsobjekt
      * @param {boolean} isHighlighted - Om denna hållplats ska markeras
-     * @param {Object} disembarkOnlyToday - "Endast avstigning"-tider för idag
-     * @param {Object} disembarkOnlyTomorrow - "Endast avstigning"-tider för imorgon
+     * @param {Object} [closure] - Stängning {reason, until?, alternative?} för en stängd brygga
      * @returns {HTMLElement} Hållplatsradelement
      */
-    createStopRow(stop, times, isHighlighted, disembarkOnlyToday, disembarkOnlyTomorrow) {
+    createStopRow(stop, times, isHighlighted, closure = null) {
         const row = document.createElement("div");
         row.className = "row";
         if (isHighlighted) {
@@ -321,25 +423,51 @@ class Renderer {
         const timesElement = document.createElement("div");
         timesElement.className = "times";
         
-        // Om inga tider finns, visa ett meddelande
-        if (!times || times.length === 0) {
+        // Stängd brygga - visa orsak och närmaste öppna brygga istället för tider
+        if (closure) {
+            row.classList.add("closed");
+            this.appendClosureText(timesElement, closure);
+        } else if (!times || times.length === 0) {
             const noTimesSpan = document.createElement("span");
             noTimesSpan.textContent = "Inga avgångar";
             noTimesSpan.style.fontStyle = "italic";
             timesElement.appendChild(noTimesSpan);
         } else {
-            // Kontrollera om det finns några avgångar för idag
-            const hasRemainingTodayDepartures = times.some(timeObj => timeObj.isToday && this.isDepartureInFuture(timeObj.time));
+            // Kontrollera om det finns några avgångar för idag - inställda avgångar räknas inte, försenade räknas efter ny tid
+            const hasRemainingTodayDepartures = times.some(timeObj => !timeObj.cancelled && timeObj.isToday && this.isDepartureInFuture(timeObj.realtime || timeObj.time));
+            const nextIndex = times.findIndex(timeObj => !timeObj.cancelled);
             
             // Skapa tidselement för varje avgång
             times.forEach((timeObj, index) => {
+                // Visa datum på första avgången för varje dag efter morgondagen (t.ex. efter trafikfria dagar)
+                const showDate = timeObj.dayOffset > 1 && 
+                    (index === 0 || times[index - 1].dayOffset !== timeObj.dayOffset);
+                
                 const timeElement = this.createTimeElement(
                     timeObj.time, 
                     timeObj.isToday, 
-                    (index === 0 && isHighlighted && (hasRemainingTodayDepartures || !timeObj.isToday)),  // Markera även första morgondagens avgång
-                    this.isDisembarkOnlyTime(stop, timeObj, disembarkOnlyToday, disembarkOnlyTomorrow),
-                    hasRemainingTodayDepartures
+                    (index === nextIndex && isHighlighted && (hasRemainingTodayDepartures || !timeObj.isToday)),  // Markera även första morgondagens avgång
+                    this.isDisembarkOnlyTime(timeObj),
+                    hasRemainingTodayDepartures,
+                    showDate ? timeObj.dayOffset : 0,
+                    isHighlighted && !timeObj.cancelled ? this.getCountdownText(timeObj) : null,  // Nedräkning endast för markerad hållplats
+                    timeObj.realtime
                 );
+                
+                // Tryck på en tid visar båtens hela tur
+                if (timeObj.trip) {
+                    this.attachTripDetails(timeElement, stop, timeObj);
+                }
+                if (timeObj.cancelled) {
+                    this.markCancelled(timeElement, stop, timeObj);
+                }
+                if (timeObj.realtime || timeObj.added) {
+                    this.markRealtime(timeElement, stop, timeObj);
+                }
+                if (timeObj.alerts) {
+                    this.markAlerts(timeElement, timeObj.alerts);
+                }
+                
                 timesElement.appendChild(timeElement);
             });
         }
@@ -348,6 +476,70 @@ class Renderer {
         return row;
     }
 
+    /**
+     * Lägger till orsak, sista dag och närmaste öppna brygga för en stängd brygga
+     * @param {HTMLElement} timesElement - Radens tidscell
+     * @param {Object} closure - Stängning {reason, until?, alternative?}
+     */
+    appendClosureText(timesElement, closure) {
+        const reason = document.createElement("span");
+        reason.className = "closed-reason";
+        reason.textContent = `Stängd: ${closure.reason}`;
+        if (closure.until) {
+            const until = this.timeHandler.parseDate(closure.until);
+            reason.textContent += ` (t.o.m. ${until.getUTCDate()}/${until.getUTCMonth() + 1})`;
+        }
+        timesElement.appendChild(reason);
+        
+        if (closure.alternative) {
+            const alternative = document.createElement("span");
+            alternative.className = "closed-alternative";
+            alternative.textContent = `Närmaste öppna brygga: ${closure.alternative}`;
+            timesElement.appendChild(alternative);
+        }
+    }
+
+    /**
+     * Beräknar antal minuter till en avgång, efter ny tid enligt realtidsflödet om den finns
+     * @param {Object} timeObj - Tidsobjekt med .time, .realtime och .dayOffset (trafikdagar från idag)
+     * @returns {number} Minuter till avgång (negativt om passerad)
+     */
+    getMinutesUntil(timeObj) {
+        const departureMinutes = (timeObj.dayOffset || 0) * 24 * 60 + this.timeHandler.timeToMinutes(timeObj.realtime || timeObj.time);
+        return departureMinutes - this.timeHandler.getServiceMinutes();
+    }
+
+    /**
+     * Hämtar nedräkningstext för en avgång enligt config.displayMode
+     * 'clock' visar alltid klockslag, 'countdown' räknar ned alla avgångar inom ett dygn
+     * och 'hybrid' räknar ned först när avgången är inom config.countdownThreshold minuter
+     * @param {Object} timeObj - Tidsobjekt med .time och .dayOffset
+     * @returns {string|null} T.ex. "om 4 min", eller null om klockslaget ska visas
+     */
+    getCountdownText(timeObj) {
+        const mode = this.config.displayMode;
+        if (mode !== 'countdown' && mode !== 'hybrid') {
+            return null;
+        }
+        
+        const minutesUntil = this.getMinutesUntil(timeObj);
+        const limit = mode === 'hybrid' ? this.config.countdownThreshold : 24 * 60;
+        if (minutesUntil < 0 || minutesUntil >= limit) {
+            return null;
+        }
+        
+        if (minutesUntil === 0) {
+            return "nu";
+        }
+        if (minutesUntil < 60) {
+            return `om ${minutesUntil} min`;
+        }
+        
+        const hours = Math.floor(minutesUntil / 60);
+        const minutes = minutesUntil % 60;
+        return minutes > 0 ? `om ${hours} h ${minutes} min` : `om ${hours} h`;
+    }
+
     /**
      * Kontrollerar om en avgångstid är i framtiden
      * @param {string} time - Tidssträng (HH:MM)
@@ -357,58 +549,53 @@ class Renderer {
         const [hours, minutes] = time.split(":").map(Number);
         const timeInMinutes = hours * 60 + minutes;
         
-        const now = new Date();
-        const currentTimeInMinutes = now.getHours() * 60 + now.getMinutes();
+        const currentTimeInMinutes = this.timeHandler.getServiceMinutes();
         
         return timeInMinutes > currentTimeInMinutes;
     }
 
     /**
      * Kontrollerar om en tid är markerad som "Endast avstigning"
-     * @param {string} stop - Hållplatsnamn
-     * @param {Object} timeObj - Tidsobjekt med .time och .isToday
-     * @param {Object} disembarkOnlyToday - "Endast avstigning"-tider för idag
-     * @param {Object} disembarkOnlyTomorrow - "Endast avstigning"-tider för imorgon
+     * Anlöp utan påstigning (pickup: false) är "Endast avstigning"
+     * @param {Object} timeObj - Tidsobjekt med .time och .pickup
      * @returns {boolean} Sant om tiden är "Endast avstigning"
      */
-    isDisembarkOnlyTime(stop, timeObj, disembarkOnlyToday, disembarkOnlyTomorrow) {
+    isDisembarkOnlyTime(timeObj) {
         if (!this.config.showDisembarkOnly) {
             return false;
         }
         
-        const { time, isToday } = timeObj;
-        
-        if (isToday && disembarkOnlyToday && disembarkOnlyToday[stop]) {
-            return disembarkOnlyToday[stop].includes(time);
-        }
-        
-        if (!isToday && disembarkOnlyTomorrow && disembarkOnlyTomorrow[stop]) {
-            return disembarkOnlyTomorrow[stop].includes(time);
-        }
-        
-        return false;
+        return timeObj.pickup === false;
     }
 
     /**
      * Skapar ett tidselement för en avgång
-     * @param {string} time - Tidssträng (HH:MM)
+     * @param {string} time - Tidssträng i trafikdygnets tid (HH:MM, t.ex. "24:05" efter midnatt)
      * @param {boolean} isToday - Om tiden är för idag
      * @param {boolean} isNextDeparture - Om detta är nästa avgång
      * @param {boolean} isDisembarkOnly - Om detta är "Endast avstigning"
      * @param {boolean} hasRemainingTodayDepartures - Om det finns kvarvarande avgångar för idag
+     * @param {number} [dateLabelOffset=0] - Antal dagar fram för datumetikett (0 = ingen etikett)
+     * @param {string|null} [countdownText=null] - Nedräkningstext som visas istället för klockslaget
+     * @param {string|null} [expectedTime=null] - Ny tid enligt realtidsflödet, används för markeringen av nästa avgång
      * @returns {HTMLElement} Tidselement
      */
-    createTimeElement(time, isToday, isNextDeparture, isDisembarkOnly, hasRemainingTodayDepartures) {
+    createTimeElement(time, isToday, isNextDeparture, isDisembarkOnly, hasRemainingTodayDepartures, dateLabelOffset = 0, countdownText = null, expectedTime = null) {
         const timeElement = document.createElement("span");
-        timeElement.textContent = time;
+        timeElement.textContent = countdownText || this.timeHandler.formatDisplayTime(time);
         timeElement.className = "time";
         
+        // Klockslaget finns kvar som tooltip när nedräkning visas
+        if (countdownText) {
+            timeElement.classList.add("countdown");
+            timeElement.setAttribute("title", this.timeHandler.formatDisplayTime(time));
+        }
+        
         // Hitta tidsskillnad för att avgöra om det är inom 10 minuter
-        const [hours, minutes] = time.split(":").map(Number);
+        const [hours, minutes] = (expectedTime || time).split(":").map(Number);
         const timeInMinutes = hours * 60 + minutes;
         
-        const now = new Date();
-        const currentTimeInMinutes = now.getHours() * 60 + now.getMinutes();
+        const currentTimeInMinutes = this.timeHandler.getServiceMinutes();
         const diffMinutes = timeInMinutes - currentTimeInMinutes;
         
         // Lägg till klasser baserat på om det är morgondagens tid
@@ -445,9 +632,1351 @@ class Renderer {
             timeElement.appendChild(indicator);
         }
         
+        // Datumetikett för avgångar senare än i morgon
+        if (dateLabelOffset > 1) {
+            const dateLabel = document.createElement("span");
+            dateLabel.className = "departure-date";
+            dateLabel.textContent = this.formatDepartureDate(dateLabelOffset, { day: 'numeric', month: 'numeric' });
+            timeElement.appendChild(dateLabel);
+        }
+        
         return timeElement;
     }
 
+    /**
+     * Markerar ett tidselement som inställd avgång (överstruken, orsaken som tooltip)
+     * @param {HTMLElement} timeElement - Tidselement
+     * @param {string} stop - Hållplatsen tiden gäller
+     * @param {Object} timeObj - Tidsobjekt med .time och .cancelled (orsaken)
+     */
+    markCancelled(timeElement, stop, timeObj) {
+        const text = `Inställd: ${timeObj.cancelled}`;
+        timeElement.classList.add("cancelled");
+        timeElement.setAttribute("title", text);
+        timeElement.setAttribute("aria-label", `${stop} ${this.timeHandler.formatDisplayTime(timeObj.time)}, ${text}`);
+    }
+
+    /**
+     * Markerar ett tidselement med realtidsinformation
+     * Ändrad tid visas som "ny tid HH:MM" efter klockslaget, extraturer markeras som "Extratur"
+     * @param {HTMLElement} timeElement - Tidselement
+     * @param {string} stop - Hållplatsen tiden gäller
+     * @param {Object} timeObj - Tidsobjekt med .time och .realtime/.delay eller .added
+     */
+    markRealtime(timeElement, stop, timeObj) {
+        const texts = [];
+        if (timeObj.added) {
+            timeElement.classList.add("added-trip");
+            texts.push("Extratur");
+        }
+        if (timeObj.realtime) {
+            const newTime = this.timeHandler.formatDisplayTime(timeObj.realtime);
+            timeElement.classList.add(timeObj.delay < 0 ? "early" : "delayed");
+            
+            const realtimeLabel = document.createElement("span");
+            realtimeLabel.className = "realtime-time";
+            realtimeLabel.textContent = `ny tid ${newTime}`;
+            timeElement.appendChild(realtimeLabel);
+            texts.push(this.formatDelay(timeObj));
+        }
+        
+        const text = texts.join(", ");
+        const title = timeElement.getAttribute("title");
+        timeElement.setAttribute("title", title ? `${title}\n${text}` : text);
+        timeElement.setAttribute("aria-label", `${stop} ${this.timeHandler.formatDisplayTime(timeObj.time)}, ${text}`);
+    }
+
+    /**
+     * Formaterar en avgångs nya tid enligt realtidsflödet
+     * @param {Object} timeObj - Tidsobjekt med .realtime och .delay (minuter)
+     * @returns {string} T.ex. "Ny tid 07:26 (4 min sen)"
+     */
+    formatDelay(timeObj) {
+        const newTime = this.timeHandler.formatDisplayTime(timeObj.realtime);
+        const minutes = Math.abs(timeObj.delay);
+        return `Ny tid ${newTime} (${minutes} min ${timeObj.delay < 0 ? "tidig" : "sen"})`;
+    }
+
+    /**
+     * Markerar ett tidselement med trafikmeddelanden (utropstecken, meddelandena som tooltip)
+     * Tiden markeras efter det allvarligaste meddelandet
+     * @param {HTMLElement} timeElement - Tidselement
+     * @param {Array<Object>} alerts - Meddelanden från AlertManager, allvarligaste först
+     */
+    markAlerts(timeElement, alerts) {
+        const text = alerts.map(alert => alert.title ? `${alert.title}: ${alert.message}` : alert.message).join("\n");
+        timeElement.classList.add("has-alert", `alert-${alerts[0].severity}`);
+        
+        const indicator = document.createElement("span");
+        indicator.className = "alert-indicator";
+        indicator.textContent = "!";
+        timeElement.appendChild(indicator);
+        
+        const title = timeElement.getAttribute("title");
+        timeElement.setAttribute("title", title ? `${title}\n${text}` : text);
+        const label = timeElement.getAttribute("aria-label");
+        if (label) {
+            timeElement.setAttribute("aria-label", `${label}, ${text}`);
+        }
+    }
+
+    /**
+     * Gör ett tidselement klickbart så att turens alla anlöp visas
+     * @param {HTMLElement} timeElement - Tidselement
+     * @param {string} stop - Hållplatsen tiden gäller
+     * @param {Object} timeObj - Tidsobjekt med .trip
+     */
+    attachTripDetails(timeElement, stop, timeObj) {
+        timeElement.classList.add("has-trip");
+        timeElement.setAttribute("role", "button");
+        timeElement.setAttribute("tabindex", "0");
+        timeElement.setAttribute("aria-label", `Visa turen från ${stop} ${this.timeHandler.formatDisplayTime(timeObj.time)}`);
+        
+        timeElement.addEventListener("click", () => {
+            this.showTripDetails(stop, timeObj);
+        });
+        timeElement.addEventListener("keydown", (e) => {
+            if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                this.showTripDetails(stop, timeObj);
+            }
+        });
+    }
+
+    /**
+     * Visar en tur med alla anlöp i en popup
+     * Anlöp före vald hållplats visas nedtonade, ankomsttider visas för efterföljande hållplatser
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {string} stop - Vald hållplats
+     * @param {Object} timeObj - Tidsobjekt med .trip, .time och .dayOffset
+     */
+    showTripDetails(stop, timeObj) {
+        const { trip } = timeObj;
+        const selectedIndex = trip.calls.findIndex(call => call.stop === stop && call.depart === timeObj.time);
+        
+        const dayText = timeObj.dayOffset === 1 ? " i morgon" :
+            (timeObj.dayOffset > 1 ? ` ${this.formatDepartureDate(timeObj.dayOffset, { day: 'numeric', month: 'numeric' })}` : "");
+        const dialog = this.openDialog(
+            "trip-details-title",
+            `Avgång ${this.timeHandler.formatDisplayTime(timeObj.time)}${dayText} från ${stop}`,
+            "Stäng turinformation"
+        );
+        
+        const list = document.createElement("ol");
+        list.className = "trip-calls";
+        
+        trip.calls.forEach((call, index) => {
+            const item = document.createElement("li");
+            item.className = "trip-call";
+            if (index < selectedIndex) {
+                item.classList.add("trip-call-past");
+            } else if (index === selectedIndex) {
+                item.classList.add("trip-call-selected");
+            }
+            
+            const stopName = document.createElement("span");
+            stopName.className = "trip-call-stop";
+            stopName.textContent = call.stop;
+            
+            // Efter vald hållplats är ankomsttiden det intressanta
+            const callTime = document.createElement("span");
+            callTime.className = "trip-call-time";
+            const shownTime = this.timeHandler.formatDisplayTime(index > selectedIndex ? call.arrive : call.depart);
+            callTime.textContent = index > selectedIndex ? `ank. ${shownTime}` : shownTime;
+            
+            item.appendChild(stopName);
+            item.appendChild(callTime);
+            
+            if (call.pickup === false) {
+                const note = document.createElement("span");
+                note.className = "trip-call-note";
+                note.textContent = "Endast avstigning";
+                item.appendChild(note);
+            }
+            
+            list.appendChild(item);
+        });
+        
+        // Inställda avgångar (service_exclusions) visar orsaken och kan inte läggas i kalendern
+        if (timeObj.cancelled) {
+            const cancelledNote = document.createElement("p");
+            cancelledNote.className = "trip-cancelled";
+            cancelledNote.textContent = `Inställd: ${timeObj.cancelled}`;
+            dialog.appendChild(cancelledNote);
+        }
+        
+        // Realtid: ny tid och extraturer
+        if (timeObj.realtime || timeObj.added) {
+            const realtimeNote = document.createElement("p");
+            realtimeNote.className = "trip-realtime";
+            realtimeNote.textContent = [timeObj.added ? "Extratur" : null, timeObj.realtime ? this.formatDelay(timeObj) : null]
+                .filter(Boolean).join(", ");
+            dialog.appendChild(realtimeNote);
+        }
+        
+        // Trafikmeddelanden som gäller avgången
+        (timeObj.alerts || []).forEach(alert => {
+            const alertNote = document.createElement("p");
+            alertNote.className = `trip-alert alert-${alert.severity}`;
+            alertNote.textContent = alert.title ? `${alert.title}: ${alert.message}` : alert.message;
+            dialog.appendChild(alertNote);
+        });
+        
+        dialog.appendChild(list);
+        
+        const selectedCall = trip.calls[selectedIndex];
+        // Extraturer finns bara i realtidsflödet och kan inte heller läggas i kalendern
+        if (this.onCalendarExport && selectedCall && selectedCall.pickup !== false && !timeObj.cancelled && !timeObj.added) {
+            dialog.appendChild(this.createCalendarExport(stop, timeObj));
+        }
+    }
+
+    /**
+     * Skapar knapparna för att lägga till en avgång i kalendern
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {string} stop - Påstigningsbrygga
+     * @param {Object} timeObj - Tidsobjekt med .trip, .time och .dayOffset
+     * @returns {HTMLElement} Kalenderexportens element
+     */
+    createCalendarExport(stop, timeObj) {
+        const container = document.createElement("div");
+        container.className = "trip-calendar";
+        
+        const label = document.createElement("p");
+        label.className = "trip-calendar-label";
+        label.textContent = "Lägg till i kalender:";
+        container.appendChild(label);
+        
+        const status = document.createElement("p");
+        status.className = "trip-calendar-status";
+        status.setAttribute("role", "status");
+        
+        const buttons = [
+            { text: "Denna avgång", recurring: false },
+            { text: "Samma tid hela säsongen", recurring: true }
+        ].map(({ text, recurring }) => {
+            const button = document.createElement("button");
+            button.className = "settings-action-button";
+            button.textContent = text;
+            button.addEventListener("click", async () => {
+                buttons.forEach(other => { other.disabled = true; });
+                status.textContent = recurring ? "Skapar kalenderfil för säsongen..." : "";
+                const error = await this.onCalendarExport(stop, timeObj, recurring);
+                status.textContent = error || "Kalenderfilen (.ics) har laddats ner.";
+                buttons.forEach(other => { other.disabled = false; });
+            });
+            container.appendChild(button);
+            return button;
+        });
+        
+        container.appendChild(status);
+        return container;
+    }
+
+    /**
+     * Öppnar en popup med rubrik och stängknapp, stänger först en eventuellt öppen popup
+     * Popupen stängs med stängknappen, Escape eller klick utanför
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {string} titleId - ID för rubriken (aria-labelledby)
+     * @param {string} titleText - Rubrik
+     * @param {string} closeLabel - Skärmläsartext för stängknappen
+     * @param {string} [className] - Extra klass på popupen
+     * @returns {HTMLElement} Popupens element att fylla med innehåll
+     */
+    openDialog(titleId, titleText, closeLabel, className) {
+        this.closeDialog();
+        
+        const overlay = document.createElement("div");
+        overlay.className = "trip-details-overlay";
+        overlay.addEventListener("click", (e) => {
+            if (e.target === overlay) {
+                this.closeDialog();
+            }
+        });
+        
+        const dialog = document.createElement("div");
+        dialog.className = "trip-details";
+        if (className) {
+            dialog.classList.add(className);
+        }
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-labelledby", titleId);
+        
+        const header = document.createElement("div");
+        header.className = "settings-header";
+        
+        const title = document.createElement("h2");
+        title.id = titleId;
+        title.textContent = titleText;
+        
+        const closeButton = document.createElement("button");
+        closeButton.className = "settings-close-button";
+        closeButton.textContent = "×";
+        closeButton.setAttribute("aria-label", closeLabel);
+        closeButton.addEventListener("click", () => this.closeDialog());
+        
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        dialog.appendChild(header);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        
+        this.dialogKeyHandler = (e) => {
+            if (e.key === "Escape") {
+                this.closeDialog();
+            }
+        };
+        document.addEventListener("keydown", this.dialogKeyHandler);
+        closeButton.focus();
+        
+        return dialog;
+    }
+
+    /**
+     * Stänger öppen popup (turinformation eller täckningskalender)
+     */
+    closeDialog() {
+        const overlay = document.querySelector(".trip-details-overlay");
+        if (overlay) {
+            overlay.remove();
+        }
+        if (this.dialogKeyHandler) {
+            document.removeEventListener("keydown", this.dialogKeyHandler);
+            this.dialogKeyHandler = null;
+        }
+    }
+
+    /**
+     * Visar täckningskalendern: vilken säsong och fil varje dag ger per linje,
+     * med glapp, överlapp, helgdagar och underhållsperioder markerade
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} coverage - Täckning {lines: [{line, lineName, months: [{year, month, days}]}], problems}
+     */
+    showCoverage(coverage) {
+        const dialog = this.openDialog("coverage-title", "Tidtabellstäckning", "Stäng täckningskalender", "coverage-view");
+        
+        const content = document.createElement("div");
+        content.className = "coverage-content";
+        
+        if (coverage.problems.length === 0) {
+            const ok = document.createElement("p");
+            ok.className = "coverage-summary";
+            ok.textContent = "Inga glapp, överlapp eller underhållsperioder i kalendern.";
+            content.appendChild(ok);
+        } else {
+            const problems = document.createElement("ul");
+            problems.className = "coverage-problems";
+            coverage.problems.forEach(problem => {
+                const item = document.createElement("li");
+                item.className = `coverage-problem coverage-${problem.status}`;
+                const range = problem.start === problem.end ? problem.start : `${problem.start} – ${problem.end}`;
+                item.textContent = `${this.coverageLabels[problem.status]}: ${range} (${problem.lineName})`;
+                problems.appendChild(item);
+            });
+            content.appendChild(problems);
+        }
+        
+        const legend = document.createElement("ul");
+        legend.className = "coverage-legend";
+        ['ok', 'gap', 'overlap', 'maintenance', 'no_traffic', 'holiday'].forEach(status => {
+            const item = document.createElement("li");
+            const swatch = document.createElement("span");
+            swatch.className = `coverage-swatch coverage-${status}`;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(this.coverageLabels[status]));
+            legend.appendChild(item);
+        });
+        content.appendChild(legend);
+        
+        // Tooltips fungerar inte på pekskärm, så vald dag beskrivs även här
+        const detail = document.createElement("p");
+        detail.className = "coverage-detail";
+        detail.setAttribute("aria-live", "polite");
+        detail.textContent = "Välj en dag för att se säsong och tidtabellsfil.";
+        content.appendChild(detail);
+        
+        coverage.lines.forEach(lineCoverage => {
+            const lineTitle = document.createElement("h3");
+            lineTitle.className = "coverage-line";
+            lineTitle.textContent = lineCoverage.lineName;
+            content.appendChild(lineTitle);
+            
+            lineCoverage.months.forEach(month => {
+                content.appendChild(this.createCoverageMonth(month, detail));
+            });
+        });
+        
+        dialog.appendChild(content);
+    }
+
+    /**
+     * Skapar en månadstabell (måndag först) i täckningskalendern
+     * @param {Object} month - Månad {year, month, days: [{date, dateStr, status, seasonName, source, holiday}]}
+     * @param {HTMLElement} detail - Element som visar vald dags beskrivning
+     * @returns {HTMLElement} Tabellelement
+     */
+    createCoverageMonth(month, detail) {
+        const table = document.createElement("table");
+        table.className = "coverage-calendar";
+        
+        const caption = document.createElement("caption");
+        caption.textContent = new Date(Date.UTC(month.year, month.month, 1))
+            .toLocaleDateString('sv-SE', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        table.appendChild(caption);
+        
+        const head = document.createElement("thead");
+        const headRow = document.createElement("tr");
+        ['Mån', 'Tis', 'Ons', 'Tor', 'Fre', 'Lör', 'Sön'].forEach(dayName => {
+            const cell = document.createElement("th");
+            cell.scope = "col";
+            cell.textContent = dayName;
+            headRow.appendChild(cell);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+        
+        const body = document.createElement("tbody");
+        let row = document.createElement("tr");
+        
+        // Tomma celler fram till månadens första veckodag
+        const leading = (month.days[0].date.getUTCDay() + 6) % 7;
+        for (let i = 0; i < leading; i++) {
+            row.appendChild(document.createElement("td"));
+        }
+        
+        month.days.forEach(day => {
+            if (row.children.length === 7) {
+                body.appendChild(row);
+                row = document.createElement("tr");
+            }
+            
+            const description = this.describeCoverageDay(day);
+            const cell = document.createElement("td");
+            cell.className = `coverage-day coverage-${day.status}`;
+            if (day.holiday) {
+                cell.classList.add("coverage-holiday");
+            }
+            cell.textContent = String(day.date.getUTCDate());
+            cell.title = description;
+            cell.setAttribute("aria-label", description);
+            cell.setAttribute("tabindex", "0");
+            
+            cell.addEventListener("click", () => {
+                detail.textContent = description;
+            });
+            cell.addEventListener("keydown", (e) => {
+                if (e.key === "Enter" || e.key === " ") {
+                    e.preventDefault();
+                    detail.textContent = description;
+                }
+            });
+            
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+        table.appendChild(body);
+        
+        return table;
+    }
+
+    /**
+     * Beskriver en dag i täckningskalendern
+     * @param {Object} day - Dag {dateStr, status, seasonName, source, holiday}
+     * @returns {string} T.ex. "2026-01-06 (Trettondedag jul): Täckt – Winter 2025-2026 – ressel-city-weekend-winter.json"
+     */
+    describeCoverageDay(day) {
+        const date = day.holiday ? `${day.dateStr} (${day.holiday.name})` : day.dateStr;
+        const parts = [this.coverageLabels[day.status], day.seasonName, day.source].filter(Boolean);
+        return `${date}: ${parts.join(" – ")}`;
+    }
+
+    /**
+     * Skapar väljaren "Visa dag" för att se tidtabellen för ett valfritt datum
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} params - Parametrar
+     * @param {string|null} params.value - Valt datum (YYYY-MM-DD) eller null för idag
+     * @param {string} params.min - Tidigaste valbara datum (YYYY-MM-DD)
+     * @param {Function} params.onChange - Anropas med valt datum, eller null för idag
+     * @returns {HTMLElement} Datumväljare
+     */
+    createDayPicker({ value, min, onChange }) {
+        const container = document.createElement("div");
+        container.className = "day-picker";
+        
+        const label = document.createElement("label");
+        label.htmlFor = "day-picker-input";
+        label.textContent = "Visa dag";
+        
+        const input = document.createElement("input");
+        input.type = "date";
+        input.id = "day-picker-input";
+        input.className = "settings-select";
+        input.min = min;
+        input.value = value || min;
+        input.addEventListener("change", () => {
+            onChange(input.value && input.value !== min ? input.value : null);
+        });
+        
+        container.appendChild(label);
+        container.appendChild(input);
+        
+        if (value) {
+            const todayButton = document.createElement("button");
+            todayButton.className = "settings-action-button";
+            todayButton.textContent = "Idag";
+            todayButton.setAttribute("aria-label", "Visa dagens avgångar");
+            todayButton.addEventListener("click", () => onChange(null));
+            container.appendChild(todayButton);
+        }
+        
+        return container;
+    }
+
+    /**
+     * Skapar meddelandet som visar att tidtabellen gäller ett annat datum än idag
+     * @param {Date} date - Visat datum (trafikdag)
+     * @param {Object|null} holiday - Helgdag från HolidayCalendar eller null
+     * @param {Array<string>} warnings - Extra rader, t.ex. om tidtabellen har gått ut
+     * @returns {HTMLElement} Meddelandeelement
+     */
+    createDayViewNotice(date, holiday, warnings) {
+        const notice = document.createElement("div");
+        notice.className = "notification warning day-view-notice";
+        notice.setAttribute("role", "status");
+        
+        const dateText = date.toLocaleDateString('sv-SE', {
+            weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+        });
+        const heading = document.createElement("p");
+        heading.textContent = `Visar tidtabell för ${dateText}` +
+            (holiday ? ` (${holiday.name})` : "") + " – inte dagens avgångar.";
+        notice.appendChild(heading);
+        
+        warnings.forEach(warning => {
+            const line = document.createElement("p");
+            line.textContent = warning;
+            notice.appendChild(line);
+        });
+        
+        return notice;
+    }
+
+    /**
+     * Skapar en hel dags tidtabell utan markering av aktuell tid
+     * Alla avgångar visas och raderna bryts istället för att skrollas
+     * @param {Object} timetableData - {stopTimes: {stop: [{time, pickup, trip}]}, metadata, closedStops?}
+     * @param {string} title - Tidtabellens titel
+     * @param {string} highlightStop - Hållplats att markera
+     * @param {number} dayOffset - Antal dagar från idag (för turinformationens rubrik)
+     * @returns {HTMLElement} Tidtabellselement
+     */
+    createDayTimetable(timetableData, title, highlightStop, dayOffset) {
+        const timetable = document.createElement("div");
+        timetable.className = "timetable day-view";
+        timetable.appendChild(this.createTitleSection(title, null, null));
+        
+        const message = this.createDayMessage(timetableData.metadata);
+        if (message) {
+            timetable.appendChild(message);
+            return timetable;
+        }
+        this.createOverlayNotices(timetableData.metadata).forEach(notice => timetable.appendChild(notice));
+        
+        const stops = Object.keys(timetableData.stopTimes);
+        if (stops.length === 0) {
+            const noData = document.createElement("div");
+            noData.className = "notification warning";
+            noData.textContent = "Inga avgångar denna dag.";
+            timetable.appendChild(noData);
+            return timetable;
+        }
+        
+        timetable.appendChild(this.createDeparturesHeader());
+        
+        let hasDisembarkOnly = false;
+        stops.forEach(stop => {
+            const closure = timetableData.closedStops && timetableData.closedStops[stop];
+            if (closure) {
+                timetable.appendChild(this.createStopRow(stop, [], false, closure));
+                return;
+            }
+            
+            const row = document.createElement("div");
+            row.className = "row";
+            if (stop === highlightStop) {
+                row.classList.add("highlight-stop");
+            }
+            
+            const stopElement = document.createElement("div");
+            stopElement.className = "stop";
+            stopElement.textContent = stop;
+            row.appendChild(stopElement);
+            
+            const timesElement = document.createElement("div");
+            timesElement.className = "times";
+            
+            timetableData.stopTimes[stop].forEach(timeObj => {
+                const isDisembarkOnly = this.isDisembarkOnlyTime(timeObj);
+                hasDisembarkOnly = hasDisembarkOnly || isDisembarkOnly;
+                
+                const timeElement = this.createTimeElement(timeObj.time, true, false, isDisembarkOnly, false);
+                if (timeObj.trip) {
+                    this.attachTripDetails(timeElement, stop, Object.assign({ dayOffset }, timeObj));
+                }
+                if (timeObj.cancelled) {
+                    this.markCancelled(timeElement, stop, timeObj);
+                }
+                if (timeObj.realtime || timeObj.added) {
+                    this.markRealtime(timeElement, stop, timeObj);
+                }
+                timesElement.appendChild(timeElement);
+            });
+            
+            row.appendChild(timesElement);
+            timetable.appendChild(row);
+        });
+        
+        if (hasDisembarkOnly) {
+            timetable.appendChild(this.createDisembarkFootnote());
+        }
+        
+        return timetable;
+    }
+
+    /**
+     * Skapar meddelande för en dag utan avgångar (trafikuppehåll eller trafikfri dag)
+     * @param {Object} [metadata] - Tidtabellens metadata
+     * @returns {HTMLElement|null} Meddelandeelement, eller null om dagen har trafik
+     */
+    createDayMessage(metadata = {}) {
+        if (!metadata.maintenance_mode && !metadata.no_traffic) {
+            return null;
+        }
+        
+        const message = document.createElement("div");
+        message.className = "notification warning";
+        message.textContent = metadata.maintenance_mode ?
+            (metadata.maintenance_message || "Linjen har tillfälligt uppehåll i trafiken.") :
+            (metadata.holiday_name ? `Ingen trafik denna dag (${metadata.holiday_name}).` : "Ingen trafik denna dag.");
+        return message;
+    }
+
+    /**
+     * Skapar en heldagstabell för en linje och riktning med turerna som kolumner
+     * Turerna delas upp i block per period (förmiddag, lunch, eftermiddag) och
+     * block längre än config.dayGridColumns delas vidare, så att tabellen går att skriva ut.
+     * Passerade anlöp tonas ned och kolumnen för nästa tur markeras när nowMinutes anges
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} params - Parametrar
+     * @param {string} params.title - Tidtabellens titel
+     * @param {Array<string>} params.stops - Hållplatser i ordning (rader)
+     * @param {Array<Object>} params.trips - Turer i kanoniskt format sorterade efter avgång
+     * @param {Object} [params.metadata] - Tidtabellens metadata
+     * @param {string} params.highlightStop - Hållplats att markera
+     * @param {number|null} params.nowMinutes - Minuter sedan trafikdagens midnatt, null för andra dagar
+     * @param {number} params.dayOffset - Antal dagar från idag (för turinformationens rubrik)
+     * @returns {HTMLElement} Tidtabellselement
+     */
+    createDayGrid({ title, stops, trips, metadata, highlightStop, nowMinutes, dayOffset }) {
+        const timetable = document.createElement("div");
+        timetable.className = "timetable day-grid";
+        timetable.appendChild(this.createTitleSection(title, null, null));
+        
+        const message = this.createDayMessage(metadata);
+        if (message || trips.length === 0) {
+            if (!message) {
+                const noData = document.createElement("div");
+                noData.className = "notification warning";
+                noData.textContent = "Inga avgångar denna dag.";
+                timetable.appendChild(noData);
+            } else {
+                timetable.appendChild(message);
+            }
+            return timetable;
+        }
+        
+        const isPast = (time) => nowMinutes !== null && this.timeHandler.timeToMinutes(time) < nowMinutes;
+        const currentTrip = nowMinutes === null ? null :
+            trips.find(trip => trip.calls.some(call => !isPast(call.depart)));
+        
+        let hasDisembarkOnly = false;
+        this.getDayGridBlocks(trips).forEach(block => {
+            const table = document.createElement("table");
+            table.className = "day-grid-table";
+            
+            const caption = document.createElement("caption");
+            caption.className = "day-grid-period";
+            caption.textContent = block.label;
+            table.appendChild(caption);
+            
+            const body = document.createElement("tbody");
+            stops.forEach(stop => {
+                const row = document.createElement("tr");
+                if (stop === highlightStop) {
+                    row.className = "highlight-stop";
+                }
+                
+                const stopCell = document.createElement("th");
+                stopCell.scope = "row";
+                stopCell.className = "stop";
+                stopCell.textContent = stop;
+                row.appendChild(stopCell);
+                
+                block.trips.forEach(trip => {
+                    const cell = document.createElement("td");
+                    cell.className = "grid-cell";
+                    if (trip === currentTrip) {
+                        cell.classList.add("grid-current");
+                    }
+                    
+                    const call = trip.calls.find(tripCall => tripCall.stop === stop);
+                    if (!call) {
+                        cell.textContent = "–";
+                        row.appendChild(cell);
+                        return;
+                    }
+                    
+                    cell.textContent = this.timeHandler.formatDisplayTime(call.depart);
+                    if (isPast(call.depart)) {
+                        cell.classList.add("grid-past");
+                    }
+                    if (this.isDisembarkOnlyTime(call)) {
+                        hasDisembarkOnly = true;
+                        cell.classList.add("disembark-only");
+                        
+                        const indicator = document.createElement("span");
+                        indicator.className = "disembark-indicator";
+                        indicator.textContent = "*";
+                        indicator.setAttribute("title", "Endast avstigning");
+                        cell.appendChild(indicator);
+                    }
+                    
+                    this.attachTripDetails(cell, stop, { time: call.depart, trip, dayOffset });
+                    row.appendChild(cell);
+                });
+                
+                body.appendChild(row);
+            });
+            
+            table.appendChild(body);
+            timetable.appendChild(table);
+        });
+        
+        if (nowMinutes !== null) {
+            const now = document.createElement("div");
+            now.className = "day-grid-now";
+            now.textContent = `Klockan är ${this.timeHandler.minutesToTime(nowMinutes % (24 * 60))}` +
+                (currentTrip ? ". Markerad kolumn är nästa tur." : ". Inga fler turer idag.");
+            timetable.appendChild(now);
+        }
+        
+        if (hasDisembarkOnly) {
+            timetable.appendChild(this.createDisembarkFootnote());
+        }
+        
+        return timetable;
+    }
+
+    /**
+     * Delar upp turer i block för heldagstabellen
+     * Nytt block börjar när turens period byter eller blocket når config.dayGridColumns turer.
+     * Perioder som går omlott i tid (t.ex. extraturer i rusningstid) delar inte upp tabellen.
+     * Block utan period får tidsintervallet som etikett
+     * @param {Array<Object>} trips - Turer sorterade efter avgång
+     * @returns {Array<Object>} Block {label, trips}
+     */
+    getDayGridBlocks(trips) {
+        const periodNames = { morning: "Förmiddag", lunch: "Lunch", afternoon: "Eftermiddag", evening: "Kväll" };
+        const maxColumns = this.config.dayGridColumns;
+        const startOf = (trip) => this.timeHandler.timeToMinutes(trip.calls[0].depart);
+        
+        // Tidsspann per period - perioderna används bara om de följer efter varandra
+        const spans = new Map();
+        trips.forEach(trip => {
+            const span = spans.get(trip.period) || { start: startOf(trip), end: startOf(trip) };
+            spans.set(trip.period, { start: Math.min(span.start, startOf(trip)), end: Math.max(span.end, startOf(trip)) });
+        });
+        const ordered = [...spans.values()].sort((a, b) => a.start - b.start);
+        const usePeriods = ordered.every((span, index) => index === 0 || ordered[index - 1].end < span.start);
+        
+        const blocks = [];
+        trips.forEach(trip => {
+            const period = usePeriods ? trip.period : null;
+            const current = blocks[blocks.length - 1];
+            if (current && current.period === period && current.trips.length < maxColumns) {
+                current.trips.push(trip);
+            } else {
+                blocks.push({ period, trips: [trip] });
+            }
+        });
+        
+        return blocks.map(({ period, trips: blockTrips }) => {
+            const first = this.timeHandler.formatDisplayTime(blockTrips[0].calls[0].depart);
+            const lastCalls = blockTrips[blockTrips.length - 1].calls;
+            const last = this.timeHandler.formatDisplayTime(lastCalls[lastCalls.length - 1].arrive);
+            const range = `${first}–${last}`;
+            return {
+                label: period ? `${periodNames[period] || period} ${range}` : range,
+                trips: blockTrips
+            };
+        });
+    }
+
+    /**
+     * Skapar ett utskriftsanslag (A4) med avgångar per timme och dagtyp sida vid sida,
+     * giltighetsperiod, trafikfria dagar, noteringar och priser per linje
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} notice - Anslag {period, printedAt, lines: [{lineName, validity, sections, noTraffic, notes, pricing, free}]}
+     * @returns {HTMLElement} Anslagselement
+     */
+    createPrintNotice(notice) {
+        const container = document.createElement("div");
+        container.className = "print-notice";
+        
+        const heading = document.createElement("h1");
+        heading.textContent = "Tidtabell";
+        container.appendChild(heading);
+        
+        const period = document.createElement("p");
+        period.className = "print-period";
+        period.textContent = `Avgångar ${notice.period}`;
+        container.appendChild(period);
+        
+        notice.lines.forEach(line => {
+            const lineElement = document.createElement("section");
+            lineElement.className = "print-line";
+            
+            const lineTitle = document.createElement("h2");
+            lineTitle.textContent = line.lineName;
+            lineElement.appendChild(lineTitle);
+            
+            line.validity.forEach(text => {
+                const validity = document.createElement("p");
+                validity.className = "print-validity";
+                validity.textContent = `Gäller: ${text}`;
+                lineElement.appendChild(validity);
+            });
+            
+            let hasDisembarkOnly = false;
+            let hasPartial = false;
+            
+            const sections = document.createElement("div");
+            sections.className = "print-sections";
+            line.sections.forEach(section => {
+                const sectionElement = document.createElement("div");
+                sectionElement.className = "print-section";
+                
+                const sectionTitle = document.createElement("h3");
+                sectionTitle.textContent = `${section.title} – från ${section.stop}`;
+                sectionElement.appendChild(sectionTitle);
+                
+                sectionElement.appendChild(this.createPrintTimesTable(section.columns));
+                sections.appendChild(sectionElement);
+                
+                section.columns.forEach(column => column.times.forEach(timeObj => {
+                    hasDisembarkOnly = hasDisembarkOnly || timeObj.pickup === false;
+                    hasPartial = hasPartial || timeObj.partial;
+                }));
+            });
+            lineElement.appendChild(sections);
+            
+            const notes = [];
+            if (hasDisembarkOnly) notes.push("* Endast avstigning");
+            if (hasPartial) notes.push("¹ Går bara vissa dagar under perioden");
+            if (line.noTraffic.length > 0) notes.push(`Ingen trafik: ${line.noTraffic.join(", ")}`);
+            notes.push(...line.notes);
+            
+            if (notes.length > 0) {
+                const notesList = document.createElement("ul");
+                notesList.className = "print-notes";
+                notes.forEach(note => {
+                    const item = document.createElement("li");
+                    item.textContent = note;
+                    notesList.appendChild(item);
+                });
+                lineElement.appendChild(notesList);
+            }
+            
+            if (line.pricing) {
+                lineElement.appendChild(this.createFareTable(line.pricing, line.youthAge));
+            } else if (line.free) {
+                const free = document.createElement("p");
+                free.className = "print-fares";
+                free.textContent = "Avgiftsfri – ingen biljett behövs.";
+                lineElement.appendChild(free);
+            }
+            
+            container.appendChild(lineElement);
+        });
+        
+        const footer = document.createElement("p");
+        footer.className = "print-footer";
+        footer.textContent = `Utskriven ${notice.printedAt} · Sjöstadsfärjetrafiken, inofficiell tjänst – kontrollera alltid mot Ressel Rederi`;
+        container.appendChild(footer);
+        
+        return container;
+    }
+
+    /**
+     * Visar val av period för utskriftsanslaget
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} params - Parametrar
+     * @param {string} params.from - Förvalt första datum (YYYY-MM-DD)
+     * @param {string} params.to - Förvalt sista datum (YYYY-MM-DD)
+     * @param {Function} params.onPrint - Anropas med (from, to), returnerar ett felmeddelande eller null
+     */
+    showPrintOptions({ from, to, onPrint }) {
+        const dialog = this.openDialog("print-options-title", "Skriv ut anslag", "Stäng utskrift");
+        
+        const content = document.createElement("div");
+        content.className = "settings-content";
+        
+        const inputs = {};
+        [["print-from", "Från:", from], ["print-to", "Till:", to]].forEach(([id, labelText, value]) => {
+            const item = document.createElement("div");
+            item.className = "setting-item select-container";
+            
+            const label = document.createElement("label");
+            label.htmlFor = id;
+            label.textContent = labelText;
+            
+            const input = document.createElement("input");
+            input.type = "date";
+            input.id = id;
+            input.className = "settings-select";
+            input.value = value;
+            inputs[id] = input;
+            
+            item.appendChild(label);
+            item.appendChild(input);
+            content.appendChild(item);
+        });
+        
+        const info = document.createElement("p");
+        info.className = "print-options-info";
+        info.textContent = "Linjerna och bryggorna som visas i appen skrivs ut som ett A4-anslag.";
+        content.appendChild(info);
+        
+        const error = document.createElement("p");
+        error.className = "print-options-error";
+        error.setAttribute("role", "alert");
+        
+        const printButton = document.createElement("button");
+        printButton.className = "settings-button-close";
+        printButton.textContent = "Skriv ut";
+        printButton.addEventListener("click", async () => {
+            error.textContent = await onPrint(inputs["print-from"].value, inputs["print-to"].value) || "";
+        });
+        content.appendChild(printButton);
+        content.appendChild(error);
+        
+        dialog.appendChild(content);
+    }
+
+    /**
+     * Visar priser per linje och en biljettkalkylator för dagens resor
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} params - Parametrar
+     * @param {Array<Object>} params.lines - Linjer {lineName, pricing, youthAge, free, notes}
+     * @param {Function} params.onCalculate - Anropas med ({adult, senior_youth, children}, trips), returnerar
+     *                                        per linje {lineName, free, pricing, groups, total, missing}
+     */
+    showFares({ lines, onCalculate }) {
+        const dialog = this.openDialog("fares-title", "Priser", "Stäng priser", "fares-view");
+        
+        const content = document.createElement("div");
+        content.className = "fares-content";
+        
+        lines.forEach(line => {
+            const heading = document.createElement("h3");
+            heading.className = "fares-line";
+            heading.textContent = line.lineName;
+            content.appendChild(heading);
+            
+            if (line.pricing) {
+                content.appendChild(this.createFareTable(line.pricing, line.youthAge));
+            } else {
+                const info = document.createElement("p");
+                info.className = "fares-info";
+                info.textContent = line.free ? "Avgiftsfri – ingen biljett behövs." : "Priser saknas för linjen.";
+                content.appendChild(info);
+            }
+            
+            if (line.notes.length > 0) {
+                const notesList = document.createElement("ul");
+                notesList.className = "fares-notes";
+                line.notes.forEach(note => {
+                    const item = document.createElement("li");
+                    item.textContent = note;
+                    notesList.appendChild(item);
+                });
+                content.appendChild(notesList);
+            }
+        });
+        
+        // Biljettkalkylator
+        const calculatorHeading = document.createElement("h3");
+        calculatorHeading.className = "fares-line";
+        calculatorHeading.textContent = "Vad kostar resan idag?";
+        content.appendChild(calculatorHeading);
+        
+        const youthAge = (lines.find(line => line.youthAge) || {}).youthAge;
+        const inputs = {};
+        [
+            ["fare-adult", "Vuxna:", 1],
+            ["fare-senior-youth", youthAge ? `Pensionärer/ungdomar ${youthAge}:` : "Pensionärer/ungdomar:", 0],
+            ["fare-children", "Barn:", 0]
+        ].forEach(([id, labelText, value]) => {
+            const item = document.createElement("div");
+            item.className = "setting-item select-container";
+            
+            const label = document.createElement("label");
+            label.htmlFor = id;
+            label.textContent = labelText;
+            
+            const input = document.createElement("input");
+            input.type = "number";
+            input.id = id;
+            input.className = "settings-select";
+            input.min = "0";
+            input.max = "20";
+            input.value = value;
+            inputs[id] = input;
+            
+            item.appendChild(label);
+            item.appendChild(input);
+            content.appendChild(item);
+        });
+        
+        const tripItem = document.createElement("div");
+        tripItem.className = "setting-item select-container";
+        const tripLabel = document.createElement("label");
+        tripLabel.htmlFor = "fare-trips";
+        tripLabel.textContent = "Resa:";
+        const tripSelect = document.createElement("select");
+        tripSelect.id = "fare-trips";
+        tripSelect.className = "settings-select";
+        [[1, "Enkel resa"], [2, "Tur och retur"], [3, "3 resor"], [4, "4 resor"], [6, "6 resor"]].forEach(([value, text]) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            tripSelect.appendChild(option);
+        });
+        tripSelect.value = "2";
+        tripItem.appendChild(tripLabel);
+        tripItem.appendChild(tripSelect);
+        content.appendChild(tripItem);
+        
+        const result = document.createElement("div");
+        result.className = "fares-result";
+        result.setAttribute("aria-live", "polite");
+        content.appendChild(result);
+        
+        const update = () => {
+            const count = input => Math.min(20, Math.max(0, parseInt(input.value, 10) || 0));
+            const travellers = {
+                adult: count(inputs["fare-adult"]),
+                senior_youth: count(inputs["fare-senior-youth"]),
+                children: count(inputs["fare-children"])
+            };
+            this.renderFareResult(result, onCalculate(travellers, parseInt(tripSelect.value, 10)), travellers);
+        };
+        Object.values(inputs).forEach(input => input.addEventListener("input", update));
+        tripSelect.addEventListener("change", update);
+        update();
+        
+        dialog.appendChild(content);
+    }
+
+    /**
+     * Visar kalkylatorns resultat: billigaste biljetterna per linje
+     * @param {HTMLElement} container - Resultatelement (töms)
+     * @param {Array<Object>} results - Per linje {lineName, free, pricing, groups, total, missing}
+     * @param {Object} travellers - Antal resenärer {adult, senior_youth, children}
+     */
+    renderFareResult(container, results, travellers) {
+        container.textContent = "";
+        const categoryNames = { adult: "vuxen", senior_youth: "pensionär/ungdom" };
+        
+        if (travellers.adult + travellers.senior_youth + travellers.children === 0) {
+            const empty = document.createElement("p");
+            empty.className = "fares-info";
+            empty.textContent = "Ange antal resenärer.";
+            container.appendChild(empty);
+            return;
+        }
+        
+        results.forEach(line => {
+            const row = document.createElement("p");
+            row.className = "fares-result-line";
+            
+            const name = document.createElement("strong");
+            name.textContent = `${line.lineName}: `;
+            row.appendChild(name);
+            
+            if (line.free) {
+                row.appendChild(document.createTextNode("gratis – ingen biljett behövs för den här delen av resan."));
+            } else if (!line.pricing) {
+                row.appendChild(document.createTextNode("priser saknas."));
+            } else {
+                const ticketNames = this.getTicketNames(line.pricing);
+                const parts = line.groups.flatMap(group => group.tickets.map(item =>
+                    `${item.count} × ${ticketNames[item.ticket]} ${categoryNames[group.category]} (${item.count * item.price} kr)`));
+                if (travellers.children > 0) {
+                    parts.push(`${travellers.children} × barn (gratis)`);
+                }
+                row.appendChild(document.createTextNode(`${parts.join(" + ")} = ${line.total} kr`));
+                
+                if (line.missing.length > 0) {
+                    row.appendChild(document.createTextNode(
+                        ` (pris saknas för ${line.missing.map(category => categoryNames[category]).join(", ")})`));
+                }
+            }
+            
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Skapar en tabell med avgångar per timme och en kolumn per dagtyp
+     * @param {Array<Object>} columns - Kolumner {label, times: [{time, pickup, partial}]} sorterade efter tid
+     * @returns {HTMLElement} Tabellelement
+     */
+    createPrintTimesTable(columns) {
+        const table = document.createElement("table");
+        table.className = "print-times";
+        
+        const head = document.createElement("thead");
+        const headRow = document.createElement("tr");
+        const hourHeader = document.createElement("th");
+        hourHeader.scope = "col";
+        hourHeader.textContent = "Tim";
+        headRow.appendChild(hourHeader);
+        columns.forEach(column => {
+            const cell = document.createElement("th");
+            cell.scope = "col";
+            cell.textContent = column.label;
+            headRow.appendChild(cell);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+        
+        // Timmar i trafikdygnets tid, så att 24:05 hamnar sist som 00
+        const hours = new Set();
+        columns.forEach(column => column.times.forEach(timeObj => {
+            hours.add(Math.floor(this.timeHandler.timeToMinutes(timeObj.time) / 60));
+        }));
+        
+        const body = document.createElement("tbody");
+        [...hours].sort((a, b) => a - b).forEach(hour => {
+            const row = document.createElement("tr");
+            const hourCell = document.createElement("th");
+            hourCell.scope = "row";
+            hourCell.textContent = String(hour % 24).padStart(2, "0");
+            row.appendChild(hourCell);
+            
+            columns.forEach(column => {
+                const cell = document.createElement("td");
+                cell.textContent = column.times
+                    .filter(timeObj => Math.floor(this.timeHandler.timeToMinutes(timeObj.time) / 60) === hour)
+                    .map(timeObj => timeObj.time.split(":")[1] +
+                        (timeObj.pickup === false ? "*" : "") + (timeObj.partial ? "¹" : ""))
+                    .join(" ");
+                row.appendChild(cell);
+            });
+            
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        
+        return table;
+    }
+
+    /**
+     * Hämtar biljettypernas namn i metadata.pricing
+     * @param {Object} pricing - Priser {single, day, multi_trip, monthly}
+     * @returns {Object} Namn per biljettyp
+     */
+    getTicketNames(pricing) {
+        return {
+            single: "Enkelbiljett",
+            day: "Dagbiljett",
+            multi_trip: `${pricing.multi_trip && pricing.multi_trip.trips}-resorskort`,
+            monthly: "Månadskort"
+        };
+    }
+
+    /**
+     * Skapar en pristabell från metadata.pricing (kronor per biljettyp och resenärskategori)
+     * @param {Object} pricing - Priser {single, day, multi_trip, monthly} med {adult, senior_youth}
+     * @param {string} [youthAge] - Åldersintervall för ungdom, t.ex. "13-18 år"
+     * @returns {HTMLElement} Tabellelement
+     */
+    createFareTable(pricing, youthAge) {
+        const ticketNames = this.getTicketNames(pricing);
+        
+        const table = document.createElement("table");
+        table.className = "fare-table";
+        
+        const caption = document.createElement("caption");
+        caption.textContent = "Priser";
+        table.appendChild(caption);
+        
+        const head = document.createElement("thead");
+        const headRow = document.createElement("tr");
+        ["Biljett", "Vuxen", youthAge ? `Pensionär/ungdom ${youthAge}` : "Pensionär/ungdom"].forEach(text => {
+            const cell = document.createElement("th");
+            cell.scope = "col";
+            cell.textContent = text;
+            headRow.appendChild(cell);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+        
+        const body = document.createElement("tbody");
+        Object.keys(ticketNames).filter(ticket => pricing[ticket]).forEach(ticket => {
+            const row = document.createElement("tr");
+            const name = document.createElement("th");
+            name.scope = "row";
+            name.textContent = ticketNames[ticket];
+            row.appendChild(name);
+            
+            ["adult", "senior_youth"].forEach(category => {
+                const cell = document.createElement("td");
+                const price = pricing[ticket][category];
+                cell.textContent = price !== undefined ? `${price} kr` : "–";
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        
+        return table;
+    }
+
+    /**
+     * Skapar reseplaneraren med val av brygga och lista över kommande resor
+     * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
+     * @param {Object} params - Parametrar
+     * @param {Array<string>} params.stops - Valbara bryggor
+     * @param {string} params.from - Vald påstigningsbrygga
+     * @param {string} params.to - Vald avstigningsbrygga
+     * @param {Array<Object>} params.journeys - Resor från JourneyPlanner.plan()
+     * @param {Function} params.formatMinutes - Omvandlar minuter till {time, dayOffset}
+     * @param {Function} params.onChange - Anropas med (from, to) när valet ändras
+     * @returns {HTMLElement} Reseplanerarens element
+     */
+    createJourneyPlanner({ stops, from, to, journeys, formatMinutes, onChange }) {
+        const planner = document.createElement("div");
+        planner.className = "timetable journey-planner";
+        planner.appendChild(this.createTitleSection("Reseplanerare", null, null));
+        
+        const controls = document.createElement("div");
+        controls.className = "journey-controls";
+        
+        const createStopSelect = (id, labelText, value) => {
+            const container = document.createElement("label");
+            container.className = "journey-select";
+            container.setAttribute("for", id);
+            container.textContent = labelText;
+            
+            const select = document.createElement("select");
+            select.id = id;
+            stops.forEach(stop => {
+                const option = document.createElement("option");
+                option.value = stop;
+                option.textContent = stop;
+                option.selected = stop === value;
+                select.appendChild(option);
+            });
+            container.appendChild(select);
+            return { container, select };
+        };
+        
+        const fromSelect = createStopSelect("journey-from", "Från", from);
+        const toSelect = createStopSelect("journey-to", "Till", to);
+        
+        const swapButton = document.createElement("button");
+        swapButton.className = "journey-swap";
+        swapButton.textContent = "⇄";
+        swapButton.setAttribute("aria-label", "Byt riktning");
+        swapButton.setAttribute("title", "Byt riktning");
+        
+        fromSelect.select.addEventListener("change", () => onChange(fromSelect.select.value, toSelect.select.value));
+        toSelect.select.addEventListener("change", () => onChange(fromSelect.select.value, toSelect.select.value));
+        swapButton.addEventListener("click", () => onChange(toSelect.select.value, fromSelect.select.value));
+        
+        controls.appendChild(fromSelect.container);
+        controls.appendChild(swapButton);
+        controls.appendChild(toSelect.container);
+        planner.appendChild(controls);
+        
+        if (from === to) {
+            const sameStop = document.createElement("div");
+            sameStop.className = "notification warning";
+            sameStop.textContent = "Välj två olika bryggor.";
+            planner.appendChild(sameStop);
+            return planner;
+        }
+        
+        if (journeys.length === 0) {
+            const noJourneys = document.createElement("div");
+            noJourneys.className = "notification warning";
+            noJourneys.textContent = "Inga resor hittades mellan dessa bryggor idag eller nästa trafikdag.";
+            planner.appendChild(noJourneys);
+            return planner;
+        }
+        
+        const formatTime = (minutes) => {
+            const { time, dayOffset } = formatMinutes(minutes);
+            if (dayOffset === 0) return time;
+            if (dayOffset === 1) return `${time} (i morgon)`;
+            return `${time} (${this.formatDepartureDate(dayOffset, { day: 'numeric', month: 'numeric' })})`;
+        };
+        
+        const list = document.createElement("ol");
+        list.className = "journey-list";
+        
+        journeys.forEach(journey => {
+            const item = document.createElement("li");
+            item.className = "journey";
+            
+            const summary = document.createElement("div");
+            summary.className = "journey-summary";
+            summary.textContent = `${formatTime(journey.depart)} → ${formatTime(journey.arrive)}`;
+            
+            const duration = document.createElement("span");
+            duration.className = "journey-duration";
+            duration.textContent = `${journey.duration} min${journey.legs.length > 1 ? ', 1 byte' : ''}`;
+            summary.appendChild(duration);
+            item.appendChild(summary);
+            
+            journey.legs.forEach(leg => {
+                const legElement = document.createElement("div");
+                legElement.className = "journey-leg";
+                legElement.textContent = `${leg.lineName}: ${leg.from} ${formatMinutes(leg.depart).time} → ${leg.to} ${formatMinutes(leg.arrive).time}`;
+                item.appendChild(legElement);
+            });
+            
+            list.appendChild(item);
+        });
+        
+        planner.appendChild(list);
+        return planner;
+    }
+
+    /**
+     * Formaterar datumet för en avgång ett antal dagar fram i tiden
+     * @param {number} dayOffset - Antal dagar från idag
+     * @param {Object} options - Formateringsalternativ för toLocaleDateString
+     * @returns {string} Formaterat datum
+     */
+    formatDepartureDate(dayOffset, options) {
+        const date = this.timeHandler.addDays(this.timeHandler.getServiceDay(), dayOffset);
+        // Trafikdagar lagras som UTC-midnatt och ska visas som samma datum oavsett enhetens tidszon
+        return date.toLocaleDateString('sv-SE', { ...options, timeZone: 'UTC' });
+    }
+
     /**
      * Skapar en fotnot för "Endast avstigning"
      * SÄKERHETSHÄRDAD: createElement + textContent istället för innerHTML
@@ -469,35 +1998,18 @@ class Renderer {
     }
 
     /**
-     * Kontrollerar om det finns "Endast avstigning"-tider i schemat
-     * @param {Object} disembarkOnlyToday - Dagens "Endast avstigning"-tider
-     * @param {Object} disembarkOnlyTomorrow - Morgondagens "Endast avstigning"-tider
+     * Kontrollerar om det finns "Endast avstigning"-tider bland de visade avgångarna
+     * @param {Object} departures - Bearbetade avgångar per hållplats
      * @returns {boolean} Sant om det finns "Endast avstigning"-tider
      */
-    hasDisembarkOnlyTimes(disembarkOnlyToday, disembarkOnlyTomorrow) {
+    hasDisembarkOnlyTimes(departures) {
         if (!this.config.showDisembarkOnly) {
             return false;
         }
         
-        // Kontrollera dagens "Endast avstigning"-tider
-        if (disembarkOnlyToday && Object.keys(disembarkOnlyToday).length > 0) {
-            for (const stop in disembarkOnlyToday) {
-                if (disembarkOnlyToday[stop] && disembarkOnlyToday[stop].length > 0) {
-                    return true;
-                }
-            }
-        }
-        
-        // Kontrollera morgondagens "Endast avstigning"-tider
-        if (disembarkOnlyTomorrow && Object.keys(disembarkOnlyTomorrow).length > 0) {
-            for (const stop in disembarkOnlyTomorrow) {
-                if (disembarkOnlyTomorrow[stop] && disembarkOnlyTomorrow[stop].length > 0) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
+        return Object.values(departures || {}).some(times => 
+            (times || []).some(timeObj => this.isDisembarkOnlyTime(timeObj))
+        );
     }
 
     /**
@@ -0,0 +1,253 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Schedule Resolver Module
+ *
+ * Avgör vilken tidtabell som gäller för en linje ett visst datum utifrån
+ * season_mapping, säsongernas holiday_rules och linjernas calendar_rules mot
+ * den beräknade helgdagskalendern. Används av appen vid laddning och av
+ * verktygen i tools/ så att båda väljer tidtabell på samma sätt.
+ *
+ * Versionshistorik:
+ * 6.6.1 - Säsongens lovperioder (extra_departures_periods) för lovavgångar
+ * 6.6.0 - Stängda hållplatser (stop_closures) per datum
+ * 6.5.0 - Tillfälliga tilläggsfiler (overlays) per datum och gemensam nyckel för datum med samma tidtabell
+ * 6.0.0 - Tidtabellsval per linje (resolveLine) för alla linjer i linjeregistret, samma regler för alla linjer
+ * 5.17.0 - Skapad: Tidtabellsval per datum utbrutet ur app.js för att delas med GTFS-exporten
+ *
+ * @author Christian Gillinger
+ * @version 6.6.1
+ * @license MIT
+ */
+
+class ScheduleResolver {
+    /**
+     * Initierar ScheduleResolver
+     * @param {TimeHandler} timeHandler - TimeHandler för datumformatering
+     * @param {HolidayCalendar} holidayCalendar - Helgdagskalender
+     */
+    constructor(timeHandler, holidayCalendar) {
+        this.timeHandler = timeHandler;
+        this.holidayCalendar = holidayCalendar;
+    }
+
+    /**
+     * Kontrollerar om ett datum är markerat som trafikfritt i en säsongs holiday_rules
+     * @param {Object} season - Säsong från season_mapping
+     * @param {string} dateStr - Datum i YYYY-MM-DD-format
+     * @returns {boolean} Sant om ingen trafik körs detta datum
+     */
+    isNoTrafficDate(season, dateStr) {
+        return Boolean(season && season.holiday_rules && 
+            Array.isArray(season.holiday_rules.no_traffic) &&
+            season.holiday_rules.no_traffic.includes(dateStr));
+    }
+
+    /**
+     * Avgör om ett datum avviker från vanlig veckodagstrafik för en linje
+     * Prioritet: säsongens no_traffic-lista, säsongens weekend_schedule-lista,
+     * sist linjens calendar_rules mot den beräknade helgdagskalendern
+     * @param {Object} lineConfig - Linjens konfiguration
+     * @param {Object|null} season - Aktuell säsong (null om tidtabellen gått ut)
+     * @param {string} dateStr - Datum i YYYY-MM-DD-format
+     * @returns {Object|null} {rule: 'no_traffic'|'weekend', holiday: Object|null} eller null
+     */
+    getHolidayRule(lineConfig, season, dateStr) {
+        const holiday = this.holidayCalendar.getHoliday(dateStr);
+    
+        if (this.isNoTrafficDate(season, dateStr)) {
+            return { rule: 'no_traffic', holiday };
+        }
+    
+        if (season && season.holiday_rules && Array.isArray(season.holiday_rules.weekend_schedule) &&
+            season.holiday_rules.weekend_schedule.includes(dateStr)) {
+            return { rule: 'weekend', holiday };
+        }
+    
+        return this.holidayCalendar.applyRules(lineConfig.calendar_rules, dateStr);
+    }
+
+    /**
+     * Bestämmer hur en linjes tidtabell ska skapas för en säsong och dagtyp
+     * En statisk fil i season.files går före mönstret i service_configuration (pattern_seasons).
+     * Lördag och söndag använder filen för dagen eller weekend, saknas båda används weekday
+     * @param {Object} season - Säsong från season_mapping
+     * @param {string} dayType - Dagtyp ('weekday', 'saturday' eller 'sunday')
+     * @returns {Object} {file, pattern} där pattern är {dayType, seasons, override} eller null
+     */
+    resolveSource(season, dayType) {
+        const files = season.files || {};
+        const dayKeys = dayType === 'weekday' ? ['weekday'] : [dayType, 'weekend'];
+        const fileKey = dayKeys.find(key => files[key]);
+
+        if (fileKey) {
+            return { file: files[fileKey], pattern: null };
+        }
+
+        if (season.pattern_seasons) {
+            const patternDayType = dayType === 'weekday' ? 'weekday' : 'weekend';
+            return {
+                file: null,
+                pattern: {
+                    dayType: patternDayType,
+                    seasons: season.pattern_seasons,
+                    override: (season.overrides && season.overrides[patternDayType]) || null
+                }
+            };
+        }
+
+        return { file: files.weekday || null, pattern: null };
+    }
+
+    /**
+     * Hämtar tilläggsfilerna (overlays) som gäller ett datum, i konfigurationens ordning
+     * @param {Object} lineConfig - Linjens konfiguration
+     * @param {string} dateStr - Datum i YYYY-MM-DD-format
+     * @returns {Array<Object>} Poster {name, file, period} från lineConfig.overlays
+     */
+    resolveOverlays(lineConfig, dateStr) {
+        return (lineConfig.overlays || []).filter(overlay => overlay && overlay.file && overlay.period &&
+            overlay.period.start <= dateStr && dateStr <= overlay.period.end);
+    }
+
+    /**
+     * Hämtar stängningarna (stop_closures) som gäller ett datum
+     * @param {Object} lineConfig - Linjens konfiguration
+     * @param {string} dateStr - Datum i YYYY-MM-DD-format
+     * @returns {Array<Object>} Regler {id, stop, reason, period, directions?, alternative?} från lineConfig.stop_closures
+     */
+    resolveStopClosures(lineConfig, dateStr) {
+        return (lineConfig.stop_closures || []).filter(closure => closure && closure.stop && closure.period &&
+            closure.period.start <= dateStr && dateStr <= closure.period.end);
+    }
+
+    /**
+     * Hämtar säsongens lovperioder med extra avgångar (holiday_rules.extra_departures_periods)
+     * Avgångar med validity {extra_departures: true} gäller bara under dessa perioder
+     * @param {Object} season - Säsong från season_mapping
+     * @returns {Array<Object>} Perioder {start, end} i YYYY-MM-DD-format
+     */
+    resolveExtraPeriods(season) {
+        const periods = (season.holiday_rules && season.holiday_rules.extra_departures_periods) || [];
+        return periods.filter(entry => entry && entry.period).map(entry => ({ start: entry.period.start, end: entry.period.end }));
+    }
+
+    /**
+     * Bestämmer tidtabell för en linje ett visst datum
+     * Trafikfria dagar ger ingen fil, helgdagar som trafikeras som helg ger söndagens
+     * (eller helgens) tidtabell. Efter sista säsongen används den senaste som utgången.
+     * Tilläggsfiler (overlays) och stängda hållplatser läggs ovanpå säsongens tidtabell, men inte på trafikfria dagar
+     * @param {Object} lineConfig - Linjens konfiguration
+     * @param {Date} date - Datum att bestämma schema för
+     * @returns {Object} {file, pattern, overlays, closures, extraPeriods, expired, noTraffic, expiryDate, seasonName}
+     *                   där extraPeriods är säsongens lovperioder med extra avgångar
+     */
+    resolveLine(lineConfig, date) {
+        const result = { file: null, pattern: null, overlays: [], closures: [], extraPeriods: [], expired: false, noTraffic: false, expiryDate: null, seasonName: null };
+        const dayOfWeek = date.getUTCDay();
+        const dayType = dayOfWeek === 6 ? 'saturday' : (dayOfWeek === 0 ? 'sunday' : 'weekday');
+        const dateStr = this.timeHandler.formatDate(date);
+
+        let currentSeason = null;
+        let latestSeason = null;
+
+        for (const season of lineConfig.season_mapping) {
+            const seasonStart = new Date(season.period.start);
+            const seasonEnd = new Date(season.period.end);
+
+            // Spara senaste säsongen vi hittar
+            if (!latestSeason || seasonEnd > new Date(latestSeason.period.end)) {
+                latestSeason = season;
+            }
+
+            if (date >= seasonStart && date <= seasonEnd) {
+                currentSeason = season;
+                break;
+            }
+        }
+
+        const usedSeason = currentSeason || latestSeason;
+        result.seasonName = usedSeason ? usedSeason.name : null;
+
+        // Trafikfria dagar går före alla andra regler, röda dagar och vissa helgaftnar trafikeras som söndag
+        const holidayRule = this.getHolidayRule(lineConfig, currentSeason, dateStr);
+        if (holidayRule && holidayRule.rule === 'no_traffic') {
+            result.noTraffic = true;
+            return result;
+        }
+        if (!usedSeason) {
+            return result;
+        }
+
+        const source = this.resolveSource(usedSeason, holidayRule && holidayRule.rule === 'weekend' ? 'sunday' : dayType);
+        result.file = source.file;
+        result.pattern = source.pattern;
+        result.overlays = this.resolveOverlays(lineConfig, dateStr);
+        result.closures = this.resolveStopClosures(lineConfig, dateStr);
+        result.extraPeriods = this.resolveExtraPeriods(usedSeason);
+        if (!currentSeason) {
+            // Tidtabellen har gått ut - använd senaste tillgängliga
+            result.expired = true;
+            result.expiryDate = latestSeason.period.end;
+        }
+        return result;
+    }
+
+    /**
+     * Bestämmer vilka tidtabellsfiler som ska användas för alla linjer ett visst datum
+     * Resultatet har nycklar per linje-id: [linje] (fil), [linje]Pattern (mönster för
+     * genererade tidtabeller), [linje]Overlays (tilläggsfiler), [linje]Closures (stängda hållplatser),
+     * [linje]ExtraPeriods (lovperioder med extra avgångar),
+     * [linje]Expired, [linje]NoTraffic, [linje]ExpiryDate och [linje]SeasonName, samt datumets helgdag
+     * @param {Object} configData - Konfigurationsdata per linje-id
+     * @param {Date} date - Datum att bestämma schema för
+     * @returns {Object} Ett objekt med sökvägar, mönster, utgångsstatus, trafikfria dagar, säsongsnamn och helgdag
+     */
+    determineTimetableFiles(configData, date) {
+        const result = {
+            holiday: this.holidayCalendar.getHoliday(this.timeHandler.formatDate(date))
+        };
+
+        Object.entries(configData).forEach(([line, lineConfig]) => {
+            let resolved = { file: null, pattern: null, overlays: [], closures: [], extraPeriods: [], expired: false, noTraffic: false, expiryDate: null, seasonName: null };
+            try {
+                resolved = this.resolveLine(lineConfig, date);
+            } catch (error) {
+                console.error(`Fel vid bestämning av tidtabellsfiler (${line}):`, error);
+            }
+
+            result[line] = resolved.file;
+            result[`${line}Pattern`] = resolved.pattern;
+            result[`${line}Overlays`] = resolved.overlays;
+            result[`${line}Closures`] = resolved.closures;
+            result[`${line}ExtraPeriods`] = resolved.extraPeriods;
+            result[`${line}Expired`] = resolved.expired;
+            result[`${line}NoTraffic`] = resolved.noTraffic;
+            result[`${line}ExpiryDate`] = resolved.expiryDate;
+            result[`${line}SeasonName`] = resolved.seasonName;
+        });
+
+        return result;
+    }
+
+    /**
+     * Skapar en nyckel för en linjes tidtabell ett datum, lika för datum med samma tidtabell
+     * Används för att ladda tidtabellen en gång per grupp av datum (t.ex. vid export)
+     * @param {Object} files - Resultat från determineTimetableFiles
+     * @param {string} line - Linjens id
+     * Samma fil i säsonger med olika lovperioder ger olika nycklar
+     * @returns {string} Fil eller mönster följt av eventuella tilläggsfiler, stängda hållplatser och lovperioder
+     */
+    getSourceKey(files, line) {
+        const source = files[line] || JSON.stringify(files[`${line}Pattern`]);
+        const additions = [
+            ...(files[`${line}Overlays`] || []).map(overlay => overlay.file),
+            ...(files[`${line}Closures`] || []).map(closure => `stängd ${closure.id || closure.stop}`),
+            ...(files[`${line}ExtraPeriods`] || []).map(period => `lov ${period.start}-${period.end}`)
+        ];
+        return additions.length > 0 ? `${source} + ${additions.join(' + ')}` : source;
+    }
+}
+
+// Exportera för Node (tools/export-gtfs.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleResolver;
+}
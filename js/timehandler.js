@@ -4,7 +4,24 @@
  * Hanterar tidsrelaterade beräkningar och schemabearbetning för Resseltrafiken
  * tidtabellsapplikation. Denna modul hanterar tidskonverteringar och sortering av avgångar.
  * 
+ * All schemaberäkning görs i svensk väggtid (Europe/Stockholm) oavsett enhetens tidszon.
+ * Datum utan klockslag (trafikdagar) representeras som Date vid UTC-midnatt och läses
+ * med UTC-metoder, vilket gör dagsaritmetik oberoende av sommartidsomställningar.
+ * 
+ * En trafikdag kan sträcka sig förbi midnatt. Avgångar efter midnatt skrivs som
+ * "24:05", "25:00" osv. och trafikdagen byts först vid service_day_end (t.ex. 03:00),
+ * så att lördagens sista båtar 00:05 fortfarande räknas till lördagen.
+ * 
  * Versionshistorik:
+ * 6.4.0 - Realtidstid (realtime, delay) och extraturer (added) följer med tidsobjekten, sortering efter förväntad tid
+ * 6.2.0 - Undantag i validity (exceptions) för återkommande inställda avgångar, orsaken följer med tidsobjekten
+ * 5.11.0 - Exporteras som CommonJS-modul för valideringsverktyget
+ * 5.9.0 - Trafikdygn över midnatt: tider från 24:00, service_day_end och visningstid
+ * 5.8.0 - Tidszon fastlåst till Europe/Stockholm, trafikdagar som UTC-datum (DST-säkert)
+ * 5.6.0 - Turen (trip) följer med tidsobjekten
+ * 5.5.0 - Påstigningsflaggan (pickup) följer med tidsobjekten
+ * 5.3.0 - ISO-veckor och giltighetskontroll (validity) för datumbegränsade avgångar
+ * 5.1.0 - Returnerar dayOffset så att avgångar efter trafikfria dagar kan visas med datum
  * 4.0.0 - Förbättrad kompatibilitet med "Endast avstigning"-hantering, versionshantering
  * 3.1.0 - Tagit bort passerade avgångar från visningen; nästa avgång alltid först
  * 3.0.1 - Fixat avdupliceringlogik för att använda uniqueId istället för tid
@@ -13,7 +30,7 @@
  * 1.0.0 - Originalversion baserad på MMM-Resseltrafiken
  * 
  * @author Christian Gillinger
- * @version 4.0.0
+ * @version 6.4.0
  * @license MIT
  */
 
@@ -22,11 +39,128 @@ class TimeHandler {
      * Initierar TimeHandler
      */
     constructor() {
-        // Ingen initialisering behövs i denna version
+        // Trafiken går i svensk tid oavsett var enheten befinner sig
+        this.timeZone = 'Europe/Stockholm';
+        this.zonedFormatter = new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+        // Klockslag då trafikdagen byts (minuter efter midnatt, 0 = vid midnatt)
+        this.serviceDayEnd = 0;
+        // Veckodagar i undantag (validity.exceptions), index enligt getUTCDay (0 = söndag)
+        this.weekdayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    }
+
+    /**
+     * Anger när trafikdagen byts till nästa
+     * Före denna tid räknas tiden till föregående dags trafik (t.ex. 00:30 = 24:30)
+     * @param {string|null} time Klockslag i HH:MM-format (null eller "00:00" = vid midnatt)
+     */
+    setServiceDayEnd(time) {
+        this.serviceDayEnd = time ? this.timeToMinutes(time) % (24 * 60) : 0;
+    }
+
+    /**
+     * Hämtar den trafikdag som pågår vid ett ögonblick
+     * Mellan midnatt och service_day_end pågår fortfarande gårdagens trafikdag
+     * @param {Date} [instant] Ögonblick (standard: nu)
+     * @returns {Date} Trafikdagen som UTC-midnatt
+     */
+    getServiceDay(instant = new Date()) {
+        const today = this.getToday(instant);
+        return this.getCurrentMinutes(instant) < this.serviceDayEnd ? this.addDays(today, -1) : today;
+    }
+
+    /**
+     * Hämtar aktuell tid som minuter sedan trafikdagens midnatt
+     * Efter midnatt men före service_day_end blir tiden 24:00 eller senare
+     * @param {Date} [instant] Ögonblick (standard: nu)
+     * @returns {number} Minuter sedan trafikdagens midnatt
+     */
+    getServiceMinutes(instant = new Date()) {
+        const minutes = this.getCurrentMinutes(instant);
+        return minutes < this.serviceDayEnd ? minutes + 24 * 60 : minutes;
+    }
+
+    /**
+     * Hämtar datum och klockslag i Europe/Stockholm för ett ögonblick
+     * @param {Date} [instant] Ögonblick (standard: nu)
+     * @returns {Object} {year, month (1-12), day, hours, minutes}
+     */
+    getZonedParts(instant = new Date()) {
+        const parts = {};
+        this.zonedFormatter.formatToParts(instant).forEach(({ type, value }) => {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value, 10);
+            }
+        });
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hours: parts.hour,
+            minutes: parts.minute
+        };
+    }
+
+    /**
+     * Hämtar aktuell svensk tid som minuter sedan midnatt
+     * @param {Date} [instant] Ögonblick (standard: nu)
+     * @returns {number} Minuter sedan midnatt i Europe/Stockholm
+     */
+    getCurrentMinutes(instant = new Date()) {
+        const { hours, minutes } = this.getZonedParts(instant);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Hämtar dagens trafikdag i Europe/Stockholm
+     * @param {Date} [instant] Ögonblick (standard: nu)
+     * @returns {Date} Trafikdagen som UTC-midnatt
+     */
+    getToday(instant = new Date()) {
+        const { year, month, day } = this.getZonedParts(instant);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * Lägger till dagar till en trafikdag (UTC-aritmetik, påverkas inte av sommartid)
+     * @param {Date} date Trafikdag som UTC-midnatt
+     * @param {number} days Antal dagar (kan vara negativt)
+     * @returns {Date} Ny trafikdag som UTC-midnatt
+     */
+    addDays(date, days) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+    }
+
+    /**
+     * Beräknar antal dagar mellan två trafikdagar
+     * @param {Date} from Första trafikdagen
+     * @param {Date} to Andra trafikdagen
+     * @returns {number} Antal dagar (positivt om to är senare)
+     */
+    getDaysBetween(from, to) {
+        return Math.round((to.getTime() - from.getTime()) / 86400000);
+    }
+
+    /**
+     * Tolkar ett datum i YYYY-MM-DD-format som trafikdag
+     * @param {string} dateStr Datum i YYYY-MM-DD-format
+     * @returns {Date} Trafikdagen som UTC-midnatt
+     */
+    parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
     }
 
     /**
      * Konverterar tidssträng (HH:MM) till minuter sedan midnatt
+     * Tider efter midnatt i ett trafikdygn ("24:05") ger 1440 minuter eller mer
      * @param {string} timeStr Tid i HH:MM-format
      * @returns {number} Minuter sedan midnatt
      */
@@ -47,6 +181,15 @@ class TimeHandler {
         return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Formaterar en trafikdygnstid för visning på klockan (t.ex. "24:05" -> "00:05")
+     * @param {string} timeStr Tid i HH:MM-format, timmar kan vara 24 eller mer
+     * @returns {string} Klockslag i HH:MM-format
+     */
+    formatDisplayTime(timeStr) {
+        return this.minutesToTime(this.timeToMinutes(timeStr) % (24 * 60));
+    }
+
     /**
      * Konverterar JavaScript dag (0-6, där 0 är söndag) till app-dag (1-7, där 1 är måndag)
      * @param {number} jsDay JavaScript dag (0-6)
@@ -58,12 +201,97 @@ class TimeHandler {
     }
 
     /**
-     * Hämtar dagnumret (1-7) för ett givet datum
-     * @param {Date} date Datum att hämta dagnummer för
+     * Hämtar dagnumret (1-7) för en trafikdag
+     * @param {Date} date Trafikdag som UTC-midnatt
      * @returns {number} Dagnummer (1-7, där 1 är måndag)
      */
     getDayNumber(date) {
-        return this.convertJsDayToAppDay(date.getDay());
+        return this.convertJsDayToAppDay(date.getUTCDay());
+    }
+
+    /**
+     * Formaterar en trafikdag som YYYY-MM-DD
+     * @param {Date} date Trafikdag som UTC-midnatt
+     * @returns {string} Datum i YYYY-MM-DD-format
+     */
+    formatDate(date) {
+        const year = date.getUTCFullYear();
+        const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+        const day = date.getUTCDate().toString().padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Beräknar ISO-veckonummer (1-53) för en trafikdag
+     * @param {Date} date Trafikdag som UTC-midnatt
+     * @returns {number} ISO-veckonummer
+     */
+    getIsoWeek(date) {
+        const target = new Date(date.getTime());
+        // Torsdagen i samma vecka avgör vilket år veckan tillhör
+        const dayNumber = this.convertJsDayToAppDay(target.getUTCDay());
+        target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+        const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+        return Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+    }
+
+    /**
+     * Kontrollerar om ett datum uppfyller ett giltighetsvillkor
+     * Villkoret uppfylls om datumet matchar något av kriterierna och inget undantag
+     * (exceptions, t.ex. inställda avgångar från service_exclusions) gäller datumet.
+     * Saknas villkor gäller avgången alla dagar.
+     * 
+     * @param {Object} validity Giltighet med format:
+     *                          {iso_weeks?: number[], date_ranges?: [{start: "YYYY-MM-DD", end: "YYYY-MM-DD"}],
+     *                           exceptions?: [{weekdays?: string[], iso_weeks?, date_ranges?, reason?}]}
+     * @param {Date} date Trafikdag (UTC-midnatt) att kontrollera
+     * @returns {boolean} Sant om avgången gäller detta datum
+     */
+    isDateInValidity(validity, date) {
+        return this.isDateInValidityPeriod(validity, date) && !this.getValidityException(validity, date);
+    }
+
+    /**
+     * Kontrollerar giltighetsvillkorets perioder (iso_weeks och date_ranges) utan undantag
+     * @param {Object} validity Giltighet (se isDateInValidity)
+     * @param {Date} date Trafikdag (UTC-midnatt) att kontrollera
+     * @returns {boolean} Sant om datumet ligger inom villkorets perioder
+     */
+    isDateInValidityPeriod(validity, date) {
+        if (!validity) return true;
+        
+        const hasWeeks = Array.isArray(validity.iso_weeks) && validity.iso_weeks.length > 0;
+        const hasRanges = Array.isArray(validity.date_ranges) && validity.date_ranges.length > 0;
+        
+        if (!hasWeeks && !hasRanges) return true;
+        
+        if (hasWeeks && validity.iso_weeks.includes(this.getIsoWeek(date))) {
+            return true;
+        }
+        
+        if (hasRanges) {
+            const dateStr = this.formatDate(date);
+            return validity.date_ranges.some(range => dateStr >= range.start && dateStr <= range.end);
+        }
+        
+        return false;
+    }
+
+    /**
+     * Hittar undantaget i ett giltighetsvillkor som gäller ett datum
+     * Ett undantag gäller när datumet är en av dess veckodagar (om angivna) och
+     * ligger inom dess perioder (om angivna)
+     * @param {Object} validity Giltighet (se isDateInValidity)
+     * @param {Date} date Trafikdag (UTC-midnatt) att kontrollera
+     * @returns {Object|null} Undantaget {weekdays, iso_weeks, date_ranges, reason} eller null
+     */
+    getValidityException(validity, date) {
+        if (!validity || !Array.isArray(validity.exceptions)) return null;
+        
+        const weekday = this.weekdayNames[date.getUTCDay()];
+        return validity.exceptions.find(exception =>
+            (!Array.isArray(exception.weekdays) || exception.weekdays.includes(weekday)) &&
+            this.isDateInValidityPeriod(exception, date)) || null;
     }
 
     /**
@@ -98,12 +326,16 @@ class TimeHandler {
 
     /**
      * Bearbetar och sorterar schematider för visning
-     * Nu förbättrad med dagsbaserad identifiering för korrekt sortering och avduplicering
+     * Nu förbättrad med dagsbaserad identifiering för korrekt sortering och avduplicering.
+     * Försenade avgångar sorteras och räknas som passerade efter sin förväntade tid (realtime)
      * 
      * @param {Array<Object>} times Array av tidsobjekt med format: 
-     *                              {time: "HH:MM", isToday: boolean, day?: number, dayOffset?: number}
+     *                              {time: "HH:MM", isToday: boolean, day?: number, dayOffset?: number, pickup?: boolean, trip?: Object,
+     *                               cancelled?: string, realtime?: "HH:MM", delay?: number, added?: boolean}
      * @param {number} maxDepartures Maximalt antal avgångar att returnera
-     * @returns {Array<Object>} Bearbetade och sorterade avgångstider
+     * @returns {Array<Object>} Bearbetade och sorterade avgångstider med format:
+     *                          {time: "HH:MM", isToday: boolean, dayOffset: number, pickup: boolean, trip: Object|null,
+     *                           cancelled?: string, realtime?: "HH:MM", delay?: number, added?: boolean}
      */
     processScheduleTimes(times, maxDepartures) {
         if (!Array.isArray(times)) {
@@ -111,13 +343,14 @@ class TimeHandler {
             return [];
         }
 
-        const now = new Date();
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
-        const currentDay = this.getDayNumber(now);
+        // Jämför i trafikdygnets tid så att 24:05 efter midnatt fortfarande är "idag"
+        const today = this.getServiceDay();
+        const currentMinutes = this.getServiceMinutes();
+        const currentDay = this.getDayNumber(today);
         
         // Bearbeta tider och skapa utökad information med dagsmedvetenhet
         let processedTimes = times.map(timeObj => {
-            const minutesSinceMidnight = this.timeToMinutes(timeObj.time);
+            const minutesSinceMidnight = this.timeToMinutes(timeObj.realtime || timeObj.time);
             
             // Hämta dagen och dayOffset - antingen från objektet eller beräkna från isToday
             let day = timeObj.day;
@@ -130,9 +363,7 @@ class TimeHandler {
                     dayOffset = 0;
                 } else {
                     // För morgondagen
-                    const tomorrow = new Date(now);
-                    tomorrow.setDate(tomorrow.getDate() + 1);
-                    day = this.getDayNumber(tomorrow);
+                    day = this.getDayNumber(this.addDays(today, 1));
                     dayOffset = 1;
                 }
             }
@@ -158,6 +389,12 @@ class TimeHandler {
             
             return {
                 time: timeObj.time,
+                pickup: timeObj.pickup !== false,
+                trip: timeObj.trip || null,
+                cancelled: timeObj.cancelled,
+                realtime: timeObj.realtime,
+                delay: timeObj.delay,
+                added: timeObj.added,
                 minutes: totalMinutes,
                 day: day,
                 dayOffset: dayOffset,
@@ -200,9 +437,34 @@ class TimeHandler {
         }
 
         // Returnera slutformat som är kompatibelt med ursprungligt API
-        return selectedTimes.map(t => ({
-            time: t.time,
-            isToday: t.isToday
-        }));
+        // dayOffset behövs för att visa datum när nästa trafikdag inte är i morgon,
+        // pickup för att markera "Endast avstigning", trip för att visa båtens hela tur,
+        // cancelled (orsaken) för inställda avgångar som visas överstrukna,
+        // realtime och delay för ny tid enligt realtidsflödet och added för extraturer
+        return selectedTimes.map(t => {
+            const result = {
+                time: t.time,
+                isToday: t.isToday,
+                dayOffset: t.dayOffset,
+                pickup: t.pickup,
+                trip: t.trip
+            };
+            if (t.cancelled) {
+                result.cancelled = t.cancelled;
+            }
+            if (t.realtime) {
+                result.realtime = t.realtime;
+                result.delay = t.delay;
+            }
+            if (t.added) {
+                result.added = true;
+            }
+            return result;
+        });
     }
-}
\ No newline at end of file
+}
+
+// Exportera för Node (tools/validate-schedules.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeHandler;
+}
@@ -0,0 +1,675 @@
+/**
+ * Sjöstadsfärjetrafiken Web Application - Schedule Upgrader Module
+ *
+ * Konverterar alla äldre tidtabellsformat i data/ till ett gemensamt, versionerat
+ * turbaserat format (schema_version 2). Varje tur är en ordnad lista av anlöp med
+ * ankomst, avgång och flaggor för påstigning/avstigning. Okända format och
+ * inkonsekventa avgångslistor ger tydliga fel istället för felaktig visning.
+ *
+ * Kanoniskt format:
+ * {
+ *   schema_version: 2,
+ *   metadata: {...},
+ *   directions: {
+ *     to_city: {
+ *       stops: ["Barnängsbryggan", ...],
+ *       trips: [{ id: "to_city-morning-1", period: "morning", validity: {...}, calls: [
+ *         { stop: "Barnängsbryggan", arrive: "07:14", depart: "07:14", pickup: true, dropoff: true }
+ *       ] }]
+ *     }
+ *   }
+ * }
+ *
+ * Turernas id härleds från kolumnposition i de äldre filerna, så att samma båt
+ * kan följas mellan alla hållplatser.
+ *
+ * Tider efter midnatt skrivs i trafikdygnets tid ("24:05"). Äldre filer som skriver
+ * "00:05" uppgraderas via service_day_end eller när tiden ligger före turens
+ * föregående anlöp.
+ *
+ * Versionshistorik:
+ * 6.6.4 - Tilläggsfiler: add_trips kräver direction, shift_trips får inte flytta turer före 00:00 och tidtabellen ändras bara om hela filen gick att lägga på
+ * 6.6.1 - Avgångar med validity {extra_departures: true} får säsongens lovperioder som date_ranges
+ * 6.6.0 - Stängda hållplatser (stop_closures) tas bort ur turerna och sparas i metadata.closed_stops
+ * 6.5.0 - Tillfälliga tilläggsfiler (overlays) som tar bort, flyttar och lägger till turer eller stänger hållplatser
+ * 6.2.0 - Återkommande inställda avgångar (service_exclusions) läggs som undantag i validity
+ * 5.11.0 - Exporteras som CommonJS-modul för valideringsverktyget
+ * 5.9.0 - Tider efter midnatt normaliseras till trafikdygnstid (24:00 och senare)
+ * 5.6.0 - Turer får id (riktning-period-löpnummer) härlett från kolumnposition
+ * 5.5.0 - Skapad: Uppgradering av äldre tidtabellsformat till schema_version 2
+ *
+ * @author Christian Gillinger
+ * @version 6.6.4
+ * @license MIT
+ */
+
+class ScheduleUpgrader {
+    /**
+     * Initierar ScheduleUpgrader
+     */
+    constructor() {
+        // Aktuell version av det kanoniska formatet
+        this.schemaVersion = 2;
+        // Riktningar i citylinjens äldre format
+        this.cityDirections = ['to_city', 'from_city'];
+        // Dagtyper som kan förekomma som nycklar i äldre disembark_only-strukturer
+        this.dayTypeKeys = ['weekday', 'saturday', 'sunday', 'weekend'];
+    }
+
+    /**
+     * Uppgraderar tidtabellsdata till kanoniskt format
+     * @param {Object} data - Tidtabellsdata i valfritt känt format
+     * @param {string} [source] - Filnamn eller beskrivning för felmeddelanden
+     * @returns {Object} Tidtabellsdata i schema_version 2
+     * @throws {Error} Om formatet är okänt eller data är inkonsekvent
+     */
+    upgrade(data, source = 'tidtabell') {
+        if (!data || typeof data !== 'object') {
+            throw new Error(`${source}: tidtabellsdata saknas eller är inte ett objekt`);
+        }
+
+        // Platshållare för trafikfria dagar har inga turer
+        if (data.metadata && data.metadata.no_traffic) {
+            return { ...data, schema_version: this.schemaVersion, directions: data.directions || {} };
+        }
+
+        if (data.schema_version !== undefined) {
+            if (data.schema_version !== this.schemaVersion) {
+                throw new Error(`${source}: schema_version ${data.schema_version} stöds inte (förväntade ${this.schemaVersion})`);
+            }
+            this.extendServiceTimes(data.directions, data.service_day_end);
+            this.assignTripIds(data.directions);
+            this.validate(data, source);
+            return data;
+        }
+
+        let directions;
+        if (this.cityDirections.some(direction => data[direction])) {
+            directions = this.upgradeCityDirections(data, source);
+        } else if (data.departures) {
+            // Sjöstadstrafikens äldre format: platta avgångar per hållplats för en rundtur
+            directions = { loop: this.upgradeDirection(data, 'loop', source) };
+            if (data.disembark_only) {
+                this.applyDisembarkOnly(directions, { loop: this.readStopMap(data.disembark_only, 'loop', source) }, source);
+            }
+        } else {
+            throw new Error(`${source}: okänt tidtabellsformat (varken to_city/from_city eller departures hittades)`);
+        }
+
+        this.extendServiceTimes(directions, data.service_day_end);
+        this.assignTripIds(directions);
+
+        const upgraded = {
+            schema_version: this.schemaVersion,
+            metadata: { ...(data.metadata || {}) },
+            directions
+        };
+        if (data.operating_hours) {
+            upgraded.operating_hours = data.operating_hours;
+        }
+        if (data.service_day_end) {
+            upgraded.service_day_end = data.service_day_end;
+        }
+
+        this.validate(upgraded, source);
+        return upgraded;
+    }
+
+    /**
+     * Uppgraderar citylinjens riktningar inklusive "Endast avstigning"
+     * @param {Object} data - Tidtabellsdata i äldre cityformat
+     * @param {string} source - Källa för felmeddelanden
+     * @returns {Object} Riktningar i kanoniskt format
+     */
+    upgradeCityDirections(data, source) {
+        const directions = {};
+        this.cityDirections.forEach(direction => {
+            if (data[direction]) {
+                directions[direction] = this.upgradeDirection(data[direction], direction, source);
+            }
+        });
+
+        if (data.disembark_only) {
+            const dayType = data.metadata && data.metadata.day_type;
+            this.applyDisembarkOnly(directions, this.normalizeDisembarkOnly(data.disembark_only, dayType, source), source);
+        }
+
+        return directions;
+    }
+
+    /**
+     * Uppgraderar en riktning, antingen med platta avgångar eller uppdelad i perioder
+     * @param {Object} directionData - Riktningsdata ({departures} eller {morning: {departures}, ...})
+     * @param {string} direction - Riktningens namn
+     * @param {string} source - Källa för felmeddelanden
+     * @returns {Object} {stops, trips}
+     */
+    upgradeDirection(directionData, direction, source) {
+        let blocks;
+        if (directionData.departures) {
+            blocks = [{ period: null, block: directionData }];
+        } else {
+            blocks = Object.entries(directionData)
+                .filter(([, value]) => value && typeof value === 'object' && value.departures)
+                .map(([period, block]) => ({ period, block }));
+
+            if (blocks.length === 0) {
+                throw new Error(`${source}: riktningen "${direction}" saknar departures och perioder med departures`);
+            }
+        }
+
+        const stops = [];
+        const trips = [];
+        blocks.forEach(({ period, block }) => {
+            Object.keys(block.departures).forEach(stop => {
+                if (!stops.includes(stop)) stops.push(stop);
+            });
+            trips.push(...this.blockToTrips(block, period, `${source} ${direction}${period ? '.' + period : ''}`));
+        });
+
+        return { stops, trips };
+    }
+
+    /**
+     * Omvandlar ett block med avgångar per hållplats till turer
+     * Tur nummer i består av position i i varje hållplats avgångslista
+     * @param {Object} block - Block med departures och eventuell validity
+     * @param {string|null} period - Periodens namn (t.ex. 'morning')
+     * @param {string} context - Beskrivning för felmeddelanden
+     * @returns {Array<Object>} Turer
+     */
+    blockToTrips(block, period, context) {
+        const entries = Object.entries(block.departures);
+        if (entries.length === 0) return [];
+
+        entries.forEach(([stop, times]) => {
+            if (!Array.isArray(times)) {
+                throw new Error(`${context}: avgångarna för ${stop} är inte en lista`);
+            }
+        });
+
+        const tripCount = entries[0][1].length;
+        const mismatched = entries.find(([, times]) => times.length !== tripCount);
+        if (mismatched) {
+            throw new Error(`${context}: ${mismatched[0]} har ${mismatched[1].length} avgångar men ${entries[0][0]} har ${tripCount} - listorna måste vara lika långa`);
+        }
+
+        const trips = [];
+        for (let index = 0; index < tripCount; index++) {
+            const trip = {
+                period,
+                calls: entries.map(([stop, times]) => this.createCall(stop, times[index], context))
+            };
+            if (block.validity) {
+                trip.validity = block.validity;
+            }
+            trips.push(trip);
+        }
+        return trips;
+    }
+
+    /**
+     * Skapar ett anlöp från en avgångspost ("HH:MM" eller {time, validity})
+     * @param {string} stop - Hållplats
+     * @param {string|Object} entry - Avgångspost
+     * @param {string} context - Beskrivning för felmeddelanden
+     * @returns {Object} Anlöp {stop, arrive, depart, pickup, dropoff[, validity]}
+     */
+    createCall(stop, entry, context) {
+        const time = typeof entry === 'string' ? entry : entry && entry.time;
+        if (typeof time !== 'string' || !/^\d{2}:\d{2}$/.test(time)) {
+            throw new Error(`${context}: ogiltig avgångstid för ${stop}: ${JSON.stringify(entry)}`);
+        }
+
+        const call = { stop, arrive: time, depart: time, pickup: true, dropoff: true };
+        if (typeof entry === 'object' && entry.validity) {
+            call.validity = entry.validity;
+        }
+        return call;
+    }
+
+    /**
+     * Läser en hållplatskarta {hållplats: [tider]} och kontrollerar formatet
+     * @param {Object} stopMap - Hållplatskarta
+     * @param {string} context - Beskrivning för felmeddelanden
+     * @param {string} source - Källa för felmeddelanden
+     * @returns {Object} Hållplatskarta
+     */
+    readStopMap(stopMap, context, source) {
+        Object.entries(stopMap).forEach(([stop, times]) => {
+            if (!Array.isArray(times)) {
+                throw new Error(`${source}: okänt format för disembark_only (${context}.${stop})`);
+            }
+        });
+        return stopMap;
+    }
+
+    /**
+     * Normaliserar de äldre disembark_only-formaten till {riktning: {hållplats: [tider]}}
+     * Format utan riktning gäller båda riktningarna
+     * @param {Object} disembarkOnly - disembark_only från tidtabellsfilen
+     * @param {string} dayType - Tidtabellens dagtyp
+     * @param {string} source - Källa för felmeddelanden
+     * @returns {Object} Tider per riktning och hållplats
+     */
+    normalizeDisembarkOnly(disembarkOnly, dayType, source) {
+        const result = {};
+        const addTimes = (direction, stopMap) => {
+            Object.entries(stopMap).forEach(([stop, times]) => {
+                result[direction] = result[direction] || {};
+                result[direction][stop] = [...(result[direction][stop] || []), ...times];
+            });
+        };
+
+        // Dagtypsnyckel eller hållplatser direkt under disembark_only gäller båda riktningarna
+        const dayTypeMap = dayType && disembarkOnly[dayType];
+        const directStops = Object.fromEntries(Object.entries(disembarkOnly).filter(
+            ([key]) => !this.cityDirections.includes(key) && !this.dayTypeKeys.includes(key)
+        ));
+        [dayTypeMap, directStops].forEach(stopMap => {
+            if (stopMap && Object.keys(stopMap).length > 0) {
+                this.readStopMap(stopMap, 'disembark_only', source);
+                this.cityDirections.forEach(direction => addTimes(direction, stopMap));
+            }
+        });
+
+        this.cityDirections.forEach(direction => {
+            const directionData = disembarkOnly[direction];
+            if (!directionData) return;
+
+            if (directionData.stops) {
+                addTimes(direction, this.readStopMap(directionData.stops, `${direction}.stops`, source));
+                return;
+            }
+
+            Object.entries(directionData).forEach(([key, value]) => {
+                if (Array.isArray(value)) {
+                    addTimes(direction, { [key]: value });
+                } else if (value && typeof value === 'object') {
+                    // Uppdelat per period (morning, lunch, afternoon)
+                    addTimes(direction, this.readStopMap(value, `${direction}.${key}`, source));
+                } else {
+                    throw new Error(`${source}: okänt format för disembark_only.${direction}.${key}`);
+                }
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Markerar anlöp med "Endast avstigning" som pickup: false
+     * @param {Object} directions - Riktningar i kanoniskt format (modifieras)
+     * @param {Object} disembarkTimes - Tider per riktning och hållplats
+     * @param {string} source - Källa för felmeddelanden
+     * @throws {Error} Om en tid inte matchar något anlöp i någon riktning
+     */
+    applyDisembarkOnly(directions, disembarkTimes, source) {
+        const unmatched = new Map();
+
+        Object.entries(disembarkTimes).forEach(([direction, stopMap]) => {
+            Object.entries(stopMap).forEach(([stop, times]) => {
+                times.forEach(time => {
+                    const key = `${stop} ${time}`;
+                    const calls = directions[direction] ? directions[direction].trips
+                        .flatMap(trip => trip.calls)
+                        .filter(call => call.stop === stop && call.depart === time) : [];
+
+                    calls.forEach(call => { call.pickup = false; });
+
+                    if (calls.length > 0) {
+                        unmatched.set(key, false);
+                    } else if (!unmatched.has(key)) {
+                        unmatched.set(key, true);
+                    }
+                });
+            });
+        });
+
+        const missing = [...unmatched].filter(([, isUnmatched]) => isUnmatched).map(([key]) => key);
+        if (missing.length > 0) {
+            throw new Error(`${source}: "Endast avstigning" matchar ingen avgång: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Skriver om tider efter midnatt till trafikdygnets tid ("00:05" -> "24:05")
+     * En tid räknas till efter midnatt om den är före service_day_end eller före
+     * turens föregående anlöp. Tider som redan är 24:00 eller senare lämnas orörda
+     * @param {Object} directions - Riktningar i kanoniskt format (modifieras)
+     * @param {string} [serviceDayEnd] - Klockslag då trafikdygnet byts (HH:MM)
+     */
+    extendServiceTimes(directions, serviceDayEnd) {
+        const dayMinutes = 24 * 60;
+        const endMinutes = serviceDayEnd ? this.toMinutes(serviceDayEnd) : 0;
+        const extend = (time, previous) => {
+            let minutes = this.toMinutes(time);
+            if (minutes < endMinutes || minutes < previous) {
+                minutes += dayMinutes;
+            }
+            return minutes;
+        };
+
+        Object.values(directions).forEach(directionData => {
+            directionData.trips.forEach(trip => {
+                let previous = -1;
+                trip.calls.forEach(call => {
+                    const arrive = extend(call.arrive || call.depart, previous);
+                    const depart = extend(call.depart, arrive);
+                    call.arrive = this.toTime(arrive);
+                    call.depart = this.toTime(depart);
+                    previous = depart;
+                });
+            });
+        });
+    }
+
+    /**
+     * Konverterar HH:MM till minuter
+     * @param {string} time - Tid i HH:MM-format
+     * @returns {number} Minuter sedan midnatt
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Konverterar minuter till HH:MM (timmar kan vara 24 eller mer)
+     * @param {number} minutes - Minuter sedan midnatt
+     * @returns {string} Tid i HH:MM-format
+     */
+    toTime(minutes) {
+        const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+        return `${hours}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Ger turer utan id ett id härlett från position: riktning-period-löpnummer
+     * Löpnumret räknas per period, dvs. kolumnen i den äldre filens avgångslistor
+     * @param {Object} directions - Riktningar i kanoniskt format (modifieras)
+     */
+    assignTripIds(directions) {
+        Object.entries(directions).forEach(([direction, directionData]) => {
+            const counters = {};
+            directionData.trips.forEach(trip => {
+                const prefix = trip.period ? `${direction}-${trip.period}` : direction;
+                counters[prefix] = (counters[prefix] || 0) + 1;
+                if (!trip.id) {
+                    trip.id = `${prefix}-${counters[prefix]}`;
+                }
+            });
+        });
+    }
+
+    /**
+     * Knyter avgångar med validity {extra_departures: true} (t.ex. lunchturer under loven) till
+     * säsongens lovperioder i holiday_rules.extra_departures_periods. Villkoret ersätts med
+     * periodernas date_ranges, så att samma tidtabellsfil fungerar år efter år.
+     * Utan lovperioder körs inte avgångarna och turer utan kvarvarande anlöp tas bort
+     * @param {Object} data - Tidtabellsdata i schema_version 2 (ändras)
+     * @param {Array<Object>} [periods] - Perioder {start, end} från ScheduleResolver.resolveExtraPeriods
+     * @returns {Object} Samma tidtabellsdata
+     */
+    applyExtraDeparturesPeriods(data, periods) {
+        if (!data.directions) {
+            return data;
+        }
+
+        const dateRanges = Array.isArray(periods) ? periods : [];
+        const resolve = validity => {
+            const resolved = Object.assign({}, validity, { date_ranges: dateRanges });
+            delete resolved.extra_departures;
+            return resolved;
+        };
+        const isExtra = item => Boolean(item.validity && item.validity.extra_departures);
+        const keep = item => !isExtra(item) || dateRanges.length > 0;
+        const resolveItem = item => (isExtra(item) ? Object.assign({}, item, { validity: resolve(item.validity) }) : item);
+
+        Object.values(data.directions).forEach(directionData => {
+            directionData.trips = directionData.trips
+                .filter(keep)
+                .map(trip => Object.assign({}, resolveItem(trip), { calls: trip.calls.filter(keep).map(resolveItem) }))
+                .filter(trip => trip.calls.length > 0);
+        });
+        return data;
+    }
+
+    /**
+     * Lägger återkommande inställda avgångar från linjekonfigurationens service_exclusions
+     * som undantag (validity.exceptions) på matchande anlöp eller turer
+     * Regel: {id, reason, weekdays?, times, stops?, directions?, day_types?, iso_weeks?, date_ranges?, scope?}
+     * där scope 'call' (standard) ställer in anlöpen med tiderna och 'trip' hela turen.
+     * Datumberoende delar (veckodag, perioder) avgörs per trafikdag via TimeHandler.isDateInValidity
+     * @param {Object} data - Tidtabellsdata i schema_version 2 (ändras)
+     * @param {Array<Object>} [exclusions] - Regler från service_exclusions
+     * @returns {Object} Samma tidtabellsdata
+     */
+    applyServiceExclusions(data, exclusions) {
+        if (!Array.isArray(exclusions) || !data.directions) {
+            return data;
+        }
+
+        const dayType = data.metadata && data.metadata.day_type;
+        exclusions
+            .filter(rule => !Array.isArray(rule.day_types) || rule.day_types.includes(dayType))
+            .forEach(rule => {
+                const exception = {
+                    reason: rule.reason || 'Inställd',
+                    weekdays: rule.weekdays,
+                    iso_weeks: rule.iso_weeks,
+                    date_ranges: rule.date_ranges
+                };
+                const matches = call => (rule.times || []).includes(call.depart) &&
+                    (!Array.isArray(rule.stops) || rule.stops.includes(call.stop));
+                const addException = validity => Object.assign({}, validity, {
+                    exceptions: [...((validity && validity.exceptions) || []), exception]
+                });
+
+                Object.entries(data.directions)
+                    .filter(([direction]) => !Array.isArray(rule.directions) || rule.directions.includes(direction))
+                    .forEach(([, directionData]) => {
+                        directionData.trips.forEach(trip => {
+                            if (rule.scope === 'trip') {
+                                if (trip.calls.some(matches)) {
+                                    trip.validity = addException(trip.validity);
+                                }
+                                return;
+                            }
+                            trip.calls.filter(matches).forEach(call => {
+                                call.validity = addException(call.validity);
+                            });
+                        });
+                    });
+            });
+
+        return data;
+    }
+
+    /**
+     * Lägger en tillfällig tilläggsfil (overlay) ovanpå en tidtabell
+     * Tilläggsfil: {metadata: {description?, message?}, remove_trips?, shift_trips?, add_trips?, close_stops?}
+     * - remove_trips: [{direction?, trip? | start_time?}] tar bort turer
+     * - shift_trips: [{direction?, trip? | start_time?, minutes}] flyttar turernas alla tider
+     * - add_trips: [{direction, id?, calls: [{stop, depart, arrive?, pickup?, dropoff?}]}] lägger till turer
+     * - close_stops: [{stop, directions?, reason?, alternative?}] stänger hållplatsen som stop_closures
+     * Turer väljs på id eller första avgångstid (start_time) i ursprungliga tidtabellen, utan
+     * direction gäller regeln alla riktningar. Ändringarna görs i ordningen ovan
+     * @param {Object} data - Tidtabellsdata i schema_version 2 (ändras)
+     * @param {Object} overlay - Tilläggsfilens innehåll
+     * @param {Object} entry - Posten i linjekonfigurationens overlays {name, file, period}
+     * @returns {Object} Samma tidtabellsdata
+     * @throws {Error} Om tilläggsfilen refererar okända riktningar eller hållplatser, en tillagd tur
+     *   saknar direction eller en tur flyttas till före 00:00. Tidtabellen är då oförändrad
+     */
+    applyOverlay(data, overlay, entry) {
+        const source = entry.file || entry.name;
+        if (!overlay || typeof overlay !== 'object') {
+            throw new Error(`${source}: tilläggsfilen saknas eller är inte ett objekt`);
+        }
+        // Trafikfria dagar och uppehåll har inga turer att ändra
+        if (!data.directions || Object.keys(data.directions).length === 0) {
+            return data;
+        }
+        // Ändringarna görs på en kopia så att en felaktig tilläggsfil inte lämnar tidtabellen halvändrad
+        const draft = JSON.parse(JSON.stringify(data));
+
+        const getDirections = rule => {
+            if (rule.direction === undefined) {
+                return Object.values(draft.directions);
+            }
+            if (!draft.directions[rule.direction]) {
+                throw new Error(`${source}: okänd riktning "${rule.direction}"`);
+            }
+            return [draft.directions[rule.direction]];
+        };
+        const matches = (rule, trip) => (rule.trip !== undefined && rule.trip === trip.id) ||
+            (rule.start_time !== undefined && rule.start_time === trip.calls[0].depart);
+
+        (overlay.remove_trips || []).forEach(rule => {
+            getDirections(rule).forEach(directionData => {
+                directionData.trips = directionData.trips.filter(trip => !matches(rule, trip));
+            });
+        });
+
+        (overlay.shift_trips || []).forEach(rule => {
+            getDirections(rule).forEach(directionData => {
+                directionData.trips.filter(trip => matches(rule, trip)).forEach(trip => {
+                    // Tider efter midnatt (24:xx) är tillåtna, men en tur kan inte flyttas till föregående dygn
+                    if (this.toMinutes(trip.calls[0].arrive) + rule.minutes < 0) {
+                        throw new Error(`${source}: tur ${trip.id} flyttas ${rule.minutes} minuter till före 00:00`);
+                    }
+                    trip.calls.forEach(call => {
+                        call.arrive = this.toTime(this.toMinutes(call.arrive) + rule.minutes);
+                        call.depart = this.toTime(this.toMinutes(call.depart) + rule.minutes);
+                    });
+                });
+            });
+        });
+
+        (overlay.add_trips || []).forEach((rule, index) => {
+            // Utan riktning skulle turen hamna i en godtycklig riktning
+            if (rule.direction === undefined) {
+                throw new Error(`${source}: add_trips[${index}] saknar direction`);
+            }
+            const [directionData] = getDirections(rule);
+            directionData.trips.push({
+                id: rule.id || `${rule.direction}-overlay-${index + 1}`,
+                calls: (rule.calls || []).map(call => ({
+                    stop: call.stop,
+                    arrive: call.arrive || call.depart,
+                    depart: call.depart,
+                    pickup: call.pickup !== false,
+                    dropoff: call.dropoff !== false
+                }))
+            });
+        });
+
+        (overlay.close_stops || []).forEach(rule => {
+            this.closeStop(draft, Object.assign({ period: entry.period }, rule));
+        });
+
+        // Flyttade och tillagda turer sorteras in efter första avgången
+        Object.values(draft.directions).forEach(directionData => {
+            directionData.trips.sort((a, b) => this.toMinutes(a.calls[0].depart) - this.toMinutes(b.calls[0].depart));
+        });
+
+        draft.metadata = Object.assign({}, draft.metadata, {
+            overlays: [...((draft.metadata && draft.metadata.overlays) || []), {
+                name: entry.name,
+                message: overlay.metadata && overlay.metadata.message
+            }]
+        });
+
+        this.validate(draft, source);
+        return Object.assign(data, draft);
+    }
+
+    /**
+     * Stänger hållplatser enligt linjekonfigurationens stop_closures
+     * Vilka regler som gäller ett datum avgörs av ScheduleResolver (period)
+     * @param {Object} data - Tidtabellsdata i schema_version 2 (ändras)
+     * @param {Array<Object>} [closures] - Regler {id, stop, reason, period, directions?, alternative?} som gäller datumet
+     * @returns {Object} Samma tidtabellsdata
+     */
+    applyStopClosures(data, closures) {
+        if (!Array.isArray(closures) || !data.directions) {
+            return data;
+        }
+        closures.forEach(closure => this.closeStop(data, closure));
+        return data;
+    }
+
+    /**
+     * Tar bort en hållplats anlöp från alla turer och sparar stängningen i metadata.closed_stops
+     * Hållplatsen ligger kvar i riktningens stops så att den kan visas som stängd.
+     * Turer utan kvarvarande anlöp tas bort
+     * @param {Object} data - Tidtabellsdata i schema_version 2 (ändras)
+     * @param {Object} closure - {stop, reason?, period?, directions?, alternative?}
+     */
+    closeStop(data, closure) {
+        const directions = Object.keys(data.directions)
+            .filter(direction => !Array.isArray(closure.directions) || closure.directions.includes(direction))
+            .filter(direction => data.directions[direction].stops.includes(closure.stop));
+        if (directions.length === 0) return;
+
+        directions.forEach(direction => {
+            const directionData = data.directions[direction];
+            directionData.trips = directionData.trips
+                .map(trip => Object.assign({}, trip, { calls: trip.calls.filter(call => call.stop !== closure.stop) }))
+                .filter(trip => trip.calls.length > 0);
+        });
+
+        data.metadata = Object.assign({}, data.metadata, {
+            closed_stops: [...((data.metadata && data.metadata.closed_stops) || []), {
+                stop: closure.stop,
+                reason: closure.reason || 'Bryggan är stängd',
+                directions,
+                until: closure.period && closure.period.end,
+                alternative: closure.alternative
+            }]
+        });
+    }
+
+    /**
+     * Kontrollerar att data följer det kanoniska formatet
+     * @param {Object} data - Tidtabellsdata i schema_version 2
+     * @param {string} source - Källa för felmeddelanden
+     * @throws {Error} Om strukturen är ogiltig
+     */
+    validate(data, source) {
+        if (!data.directions || typeof data.directions !== 'object') {
+            throw new Error(`${source}: directions saknas`);
+        }
+
+        Object.entries(data.directions).forEach(([direction, directionData]) => {
+            if (!Array.isArray(directionData.stops) || !Array.isArray(directionData.trips)) {
+                throw new Error(`${source}: riktningen "${direction}" måste ha stops och trips`);
+            }
+
+            const tripIds = new Set();
+            directionData.trips.forEach((trip, index) => {
+                if (tripIds.has(trip.id)) {
+                    throw new Error(`${source}: ${direction} har flera turer med id ${trip.id}`);
+                }
+                tripIds.add(trip.id);
+                if (!Array.isArray(trip.calls) || trip.calls.length === 0) {
+                    throw new Error(`${source}: ${direction} tur ${index + 1} saknar anlöp`);
+                }
+                trip.calls.forEach(call => {
+                    if (!directionData.stops.includes(call.stop)) {
+                        throw new Error(`${source}: ${direction} tur ${index + 1} anlöper okänd hållplats ${call.stop}`);
+                    }
+                    if (typeof call.depart !== 'string' || typeof call.pickup !== 'boolean') {
+                        throw new Error(`${source}: ${direction} tur ${index + 1} har ogiltigt anlöp vid ${call.stop}`);
+                    }
+                });
+            });
+        });
+    }
+}
+
+// Exportera för Node (tools/validate-schedules.js), i webbläsaren är klassen global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleUpgrader;
+}
@@ -3,6 +3,18 @@
  * Caches application assets for offline functionality
  * 
  * Version History:
+ * 6.6.5 - Tilläggsfilen för regattan (data/ressel-sjo-overlay-2027-06-12.json) cachas för offline-användning
+ * 6.4.0 - Realtidsmodulerna (realtimemanager.js, gtfsrealtimeadapter.js) och exempelflödet cachas för offline-användning
+ * 6.3.0 - Trafikmeddelandena (alertmanager.js, data/alerts.json) cachas för offline-användning
+ * 6.1.0 - Biljettkalkylatorn (farecalculator.js) cachas för offline-användning
+ * 6.0.0 - Linjeregistret (data/lines.json) cachas för offline-användning, JSON_FILES listar bara filer som finns i data/
+ * 5.18.0 - GTFS-import (gtfsimporter.js) cachas för offline-användning
+ * 5.17.0 - Tidtabellsval (scheduleresolver.js) och GTFS-export (gtfsexporter.js) cachas för offline-användning
+ * 5.16.0 - Kalenderexporten (icsexporter.js) cachas för offline-användning
+ * 5.7.0 - Reseplaneraren (journeyplanner.js) cachas för offline-användning
+ * 5.5.0 - Schemauppgraderaren (upgrader.js) cachas för offline-användning
+ * 5.4.0 - Mönstergeneratorn (patterngenerator.js) cachas för offline-användning
+ * 5.2.0 - Helgdagskalendern (holidays.js) cachas för offline-användning
  * 5.0.1 - Säkerhetshärdning: URL-normalisering för cache-hygien
  * 4.1.0 - Maintenance mode support + force update on version change
  * 4.0.0 - Förbättrad versionshantering och automatisk uppdatering
@@ -11,7 +23,7 @@
  * 1.0.0 - Original service worker
  */
 
-const APP_VERSION = '5.0.2';
+const APP_VERSION = '6.6.5';
 const CACHE_NAME = `resseltrafiken-v${APP_VERSION}`;
 const JSON_CACHE_NAME = `resseltrafiken-json-v${APP_VERSION}`;
 
@@ -23,23 +35,38 @@ const STATIC_FILES_TO_CACHE = [
   './js/init.js',
   './js/app.js',
   './js/timehandler.js',
+  './js/holidays.js',
+  './js/scheduleresolver.js',
+  './js/patterngenerator.js',
+  './js/upgrader.js',
+  './js/journeyplanner.js',
+  './js/farecalculator.js',
+  './js/alertmanager.js',
+  './js/realtimemanager.js',
+  './js/gtfsrealtimeadapter.js',
+  './js/icsexporter.js',
+  './js/gtfsexporter.js',
+  './js/gtfsimporter.js',
   './js/renderer.js',
   './icons/boat.png',
   './manifest.json'
 ];
 
 // JSON-filer som behöver hanteras med "network-first" strategi
+// Bara filer som finns i data/ - addAll misslyckas helt om en enda fil saknas
 const JSON_FILES = [
+  './data/lines.json',
+  './data/alerts.json',
   './data/ressel-sjo-config.json',
   './data/ressel-city-config.json',
-  './data/ressel-sjo-2024-2025-weekday.json',
-  './data/ressel-sjo-2024-2025-weekend.json',
-  './data/ressel-city-winter-2024-2025-weekday.json',
-  './data/ressel-city-winter-2024-2025-saturday.json',
-  './data/ressel-city-winter-2024-2025-sunday.json',
-  './data/ressel-city-spring-2025-weekday.json',
-  './data/ressel-city-spring-2025-saturday.json',
-  './data/ressel-city-spring-2025-sunday.json'
+  './data/realtime-mock.json',
+  './data/ressel-city-maintenance-2025-saturday.json',
+  './data/ressel-city-maintenance-2025-sunday.json',
+  './data/ressel-city-maintenance-2025-weekday.json',
+  './data/ressel-city-weekday-winter.json',
+  './data/ressel-city-weekend-winter.json',
+  './data/ressel-sjo-overlay-2027-06-12.json',
+  './data/ressel-sjo-overrides-weekday-rush.json'
 ];
 
 /**
@@ -0,0 +1,75 @@
+/**
+ * Sjöstadsfärjetrafiken - Tester för helgdagskalendern (js/holidays.js)
+ *
+ * Körs med Node.js inbyggda testkörare från projektets rot: node --test
+ *
+ * Versionshistorik:
+ * 6.6.5 - Skapad: Påskdagen, rörliga helgdagar och calendar_rules
+ *
+ * @author Christian Gillinger
+ * @version 6.6.5
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HolidayCalendar = require('../js/holidays.js');
+
+test('påskdagen beräknas för kända år', () => {
+    const calendar = new HolidayCalendar();
+    const expected = {
+        2019: '2019-04-21',
+        2024: '2024-03-31',
+        2025: '2025-04-20',
+        2026: '2026-04-05',
+        2027: '2027-03-28',
+        2038: '2038-04-25', // Senast möjliga påskdag
+        2285: '2285-03-22'  // Tidigast möjliga påskdag
+    };
+    Object.entries(expected).forEach(([year, date]) => {
+        assert.equal(calendar.formatDate(calendar.getEasterSunday(Number(year))), date, `påskdagen ${year}`);
+    });
+});
+
+test('rörliga helgdagar utgår från påskdagen', () => {
+    const calendar = new HolidayCalendar();
+    assert.equal(calendar.getHoliday('2026-04-03').key, 'langfredagen');
+    assert.equal(calendar.getHoliday('2026-04-04').key, 'paskafton');
+    assert.equal(calendar.getHoliday('2026-04-06').key, 'annandag_pask');
+    assert.equal(calendar.getHoliday('2026-05-14').key, 'kristi_himmelsfardsdag');
+    assert.equal(calendar.getHoliday('2026-05-24').key, 'pingstdagen');
+});
+
+test('midsommar och alla helgons dag beräknas från veckodag', () => {
+    const calendar = new HolidayCalendar();
+    assert.equal(calendar.getHoliday('2025-06-20').key, 'midsommarafton');
+    assert.equal(calendar.getHoliday('2026-06-19').key, 'midsommarafton');
+    assert.equal(calendar.getHoliday('2026-06-20').key, 'midsommardagen');
+    assert.equal(calendar.getHoliday('2026-10-31').key, 'alla_helgons_dag');
+    assert.equal(calendar.getHoliday('2027-11-06').key, 'alla_helgons_dag');
+});
+
+test('helgdagar och helgaftnar skiljs åt', () => {
+    const calendar = new HolidayCalendar();
+    assert.equal(calendar.isPublicHoliday('2026-12-25'), true);
+    assert.equal(calendar.isHolidayEve('2026-12-25'), false);
+    assert.equal(calendar.isHolidayEve('2026-12-24'), true);
+    assert.equal(calendar.isPublicHoliday('2026-12-24'), false);
+    assert.equal(calendar.getHoliday('2026-12-23'), null);
+});
+
+test('calendar_rules gäller helgdagar och utvalda helgaftnar', () => {
+    const calendar = new HolidayCalendar();
+    const rules = { public_holidays: 'weekend', holiday_eves: { julafton: 'no_traffic', midsommarafton: 'weekend' } };
+
+    assert.equal(calendar.applyRules(rules, '2026-01-06').rule, 'weekend');
+    assert.equal(calendar.applyRules(rules, '2026-12-24').rule, 'no_traffic');
+    assert.equal(calendar.applyRules(rules, '2026-06-19').rule, 'weekend');
+    // Nyårsafton saknas i holiday_eves och körs som vanlig dag
+    assert.equal(calendar.applyRules(rules, '2026-12-31'), null);
+    assert.equal(calendar.applyRules(rules, '2026-03-10'), null);
+    assert.equal(calendar.applyRules(null, '2026-01-06'), null);
+});
@@ -0,0 +1,115 @@
+/**
+ * Sjöstadsfärjetrafiken - Tester för kalenderexporten (js/icsexporter.js)
+ *
+ * Återkommande avgångar blir RRULE med EXDATE för dagar utan avgången och RDATE
+ * för helgdagar med avgången, i svensk tid.
+ *
+ * Versionshistorik:
+ * 6.6.5 - Skapad: RRULE, EXDATE och RDATE för återkommande avgångar
+ *
+ * @author Christian Gillinger
+ * @version 6.6.5
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TimeHandler = require('../js/timehandler.js');
+const HolidayCalendar = require('../js/holidays.js');
+const IcsExporter = require('../js/icsexporter.js');
+
+const timeHandler = new TimeHandler();
+const holidayCalendar = new HolidayCalendar();
+const exporter = new IcsExporter(timeHandler);
+
+/**
+ * Skapar trafikdagar mellan två datum som uppfyller ett villkor
+ * @param {string} from - Första datum (YYYY-MM-DD)
+ * @param {string} to - Sista datum (YYYY-MM-DD)
+ * @param {Function} include - Anropas med datumet, sant om avgången går
+ * @returns {Array<Date>} Trafikdagar som UTC-midnatt
+ */
+function serviceDays(from, to, include) {
+    const dates = [];
+    for (let date = timeHandler.parseDate(from); date <= timeHandler.parseDate(to); date = timeHandler.addDays(date, 1)) {
+        if (include(date)) dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Hittar helgdagarna bland trafikdagarna
+ * @param {string} from - Första datum (YYYY-MM-DD)
+ * @param {string} to - Sista datum (YYYY-MM-DD)
+ * @returns {Set<string>} Helgdagar (YYYY-MM-DD)
+ */
+function holidaysBetween(from, to) {
+    return new Set(serviceDays(from, to, date => holidayCalendar.isPublicHoliday(timeHandler.formatDate(date)))
+        .map(date => timeHandler.formatDate(date)));
+}
+
+const isWeekend = date => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+test('vardagsavgång runt påsk får EXDATE för långfredagen och annandag påsk', () => {
+    const holidays = holidaysBetween('2026-03-30', '2026-04-10');
+    const dates = serviceDays('2026-03-30', '2026-04-10',
+        date => !isWeekend(date) && !holidays.has(timeHandler.formatDate(date)));
+
+    const recurrence = exporter.getRecurrence(dates, holidays, 7 * 60 + 14);
+    // 07:14 svensk sommartid är 05:14 UTC
+    assert.equal(recurrence.rule, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;UNTIL=20260410T051400Z');
+    assert.deepEqual(recurrence.exDates, ['20260403T071400', '20260406T071400']);
+    assert.deepEqual(recurrence.rDates, []);
+});
+
+test('helgavgång som också går på helgdagar får RDATE', () => {
+    const holidays = holidaysBetween('2026-03-28', '2026-04-12');
+    const dates = serviceDays('2026-03-28', '2026-04-12',
+        date => isWeekend(date) || holidays.has(timeHandler.formatDate(date)));
+
+    const recurrence = exporter.getRecurrence(dates, holidays, 10 * 60);
+    assert.equal(recurrence.rule, 'FREQ=WEEKLY;BYDAY=SU,SA;UNTIL=20260412T080000Z');
+    assert.deepEqual(recurrence.exDates, []);
+    assert.deepEqual(recurrence.rDates, ['20260403T100000', '20260406T100000']);
+});
+
+test('avgång efter midnatt hamnar på kalenderdagen efter trafikdagen', () => {
+    // Trafikdagarna måndag-fredag i två veckor, utom onsdag 2026-01-14
+    const dates = serviceDays('2026-01-12', '2026-01-23',
+        date => !isWeekend(date) && timeHandler.formatDate(date) !== '2026-01-14');
+
+    const recurrence = exporter.getRecurrence(dates, new Set(), 24 * 60 + 5);
+    assert.equal(recurrence.rule, 'FREQ=WEEKLY;BYDAY=TU,WE,TH,FR,SA;UNTIL=20260123T230500Z');
+    assert.deepEqual(recurrence.exDates, ['20260115T000500']);
+});
+
+test('kalenderfilen skriver EXDATE i Europe/Stockholm med CRLF och vikta rader', () => {
+    const holidays = holidaysBetween('2026-03-30', '2026-04-10');
+    const dates = serviceDays('2026-03-30', '2026-04-10',
+        date => !isWeekend(date) && !holidays.has(timeHandler.formatDate(date)));
+
+    const calendar = exporter.createCalendar([{
+        uid: 'city-to_city-0714',
+        date: dates[0],
+        dates,
+        holidays,
+        start: 7 * 60 + 14,
+        end: 7 * 60 + 48,
+        summary: 'M/S Emelie Barnängsbryggan → Nybroplan',
+        location: 'Barnängsbryggan',
+        description: 'Endast betalning med kort; barn under 13 år reser gratis, i målsmans sällskap. '.repeat(2)
+    }]);
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(calendar.includes('\r\nEXDATE;TZID=Europe/Stockholm:20260403T071400,20260406T071400\r\n'));
+    assert.ok(calendar.includes('\r\nDTSTART;TZID=Europe/Stockholm:20260330T071400\r\n'));
+    assert.ok(calendar.includes('\r\nTZID:Europe/Stockholm\r\n'));
+    // Vikta rader fortsätter med ett mellanslag
+    assert.ok(calendar.replace(/\r\n /g, '').includes('Endast betalning med kort\\; barn under 13 år reser gratis\\, i målsmans'));
+    calendar.split('\r\n').forEach(line => {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `raden är längre än 75 byte: ${line}`);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Sjöstadsfärjetrafiken - Tester för mönstergeneratorn (js/patterngenerator.js)
+ *
+ * De handskrivna tidtabellerna för Sjöstadstrafiken som ersattes av mönstret i
+ * service_configuration ligger kvar i tests/fixtures/. Det genererade mönstret ska ge
+ * exakt samma avgångar per brygga som de filerna.
+ *
+ * Versionshistorik:
+ * 6.6.5 - Skapad: Genererade tidtabeller jämförs med de tidigare handskrivna filerna
+ *
+ * @author Christian Gillinger
+ * @version 6.6.5
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TimeHandler = require('../js/timehandler.js');
+const PatternGenerator = require('../js/patterngenerator.js');
+const sjoConfig = require('../data/ressel-sjo-config.json');
+const rushOverride = require('../data/ressel-sjo-overrides-weekday-rush.json');
+
+const generator = new PatternGenerator(new TimeHandler());
+const serviceConfig = sjoConfig.service_configuration;
+
+/**
+ * Hämtar avgångarna per brygga ur en genererad tidtabell
+ * @param {Object} generated - Tidtabell i schema_version 2
+ * @returns {Object} Brygga -> sorterade avgångstider
+ */
+function departuresByStop(generated) {
+    const result = {};
+    generated.directions.loop.trips.flatMap(trip => trip.calls).forEach(call => {
+        (result[call.stop] = result[call.stop] || []).push(call.depart);
+    });
+    Object.values(result).forEach(times => times.sort());
+    return result;
+}
+
+/**
+ * Läser en handskriven tidtabell med tider efter midnatt som trafikdygnstider ("00:00" -> "24:00")
+ * @param {string} file - Filnamn i tests/fixtures/
+ * @returns {Object} Brygga -> sorterade avgångstider
+ */
+function legacyDepartures(file) {
+    const legacy = require(`./fixtures/${file}`);
+    const dayStart = generator.timeHandler.timeToMinutes(legacy.operating_hours.start);
+    return Object.fromEntries(Object.entries(legacy.departures)
+        .map(([stop, times]) => [stop, times.map(time => generator.toServiceTime(time, dayStart)).sort()]));
+}
+
+test('vardagar höst/vinter/vår med rusningstid och överstyrning motsvarar ressel-sjo-weekday-standard.json', () => {
+    const generated = generator.applyOverride(generator.generate(serviceConfig, 'weekday', ['fall', 'winter', 'spring']), rushOverride);
+    assert.deepEqual(departuresByStop(generated), legacyDepartures('ressel-sjo-weekday-standard.json'));
+});
+
+test('vardagar på sommaren utan rusningstid motsvarar ressel-sjo-weekday-summer.json', () => {
+    const generated = generator.generate(serviceConfig, 'weekday', ['summer']);
+    assert.deepEqual(departuresByStop(generated), legacyDepartures('ressel-sjo-weekday-summer.json'));
+});
+
+test('helger motsvarar ressel-sjo-weekend.json oavsett säsong', () => {
+    const legacy = legacyDepartures('ressel-sjo-weekend.json');
+    ['summer', 'winter'].forEach(season => {
+        assert.deepEqual(departuresByStop(generator.generate(serviceConfig, 'weekend', [season])), legacy, season);
+    });
+});
+
+test('varje genererad tur går runt triangeln med stop_offsets', () => {
+    const generated = generator.generate(serviceConfig, 'weekday', ['summer']);
+    const [first] = generated.directions.loop.trips;
+    assert.deepEqual(first.calls.map(call => `${call.stop} ${call.depart}`),
+        ['Barnängsbryggan 06:00', 'Lumabryggan 06:05', 'Henriksdalsbryggan 06:10']);
+    assert.equal(generated.directions.loop.trips.at(-1).calls[0].depart, '24:00');
+});
+
+test('saknade trafiktider för en dagtyp ger fel', () => {
+    assert.throws(() => generator.generate(serviceConfig, 'holiday'), /Trafiktider saknas/);
+});
@@ -0,0 +1,353 @@
+/**
+ * Sjöstadsfärjetrafiken - Tester för schemauppgraderaren (js/upgrader.js)
+ *
+ * Varje äldre tidtabellsformat uppgraderas till schema_version 2, och okända eller
+ * inkonsekventa format ger fel istället för felaktig visning. Reglerna som läggs på
+ * efter uppgraderingen testas med citylinjens riktiga konfiguration.
+ *
+ * Versionshistorik:
+ * 6.6.5 - Skapad: Uppgradering av alla kända tidtabellsformat lovperioder (extra_departures_periods) , inställda avgångar (service_exclusions), tilläggsfiler (overlays) och stängda hållplatser (stop_closures)
+ *
+ * @author Christian Gillinger
+ * @version 6.6.5
+ * @license MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TimeHandler = require('../js/timehandler.js');
+const HolidayCalendar = require('../js/holidays.js');
+const ScheduleResolver = require('../js/scheduleresolver.js');
+const ScheduleUpgrader = require('../js/upgrader.js');
+const PatternGenerator = require('../js/patterngenerator.js');
+const cityConfig = require('../data/ressel-city-config.json');
+const sjoConfig = require('../data/ressel-sjo-config.json');
+
+const timeHandler = new TimeHandler();
+const resolver = new ScheduleResolver(timeHandler, new HolidayCalendar());
+
+/**
+ * Läser citylinjens vintertidtabell för vardagar i kanoniskt format
+ * @returns {Object} Tidtabell i schema_version 2
+ */
+function loadCityWinterWeekday() {
+    const raw = JSON.parse(JSON.stringify(require('../data/ressel-city-weekday-winter.json')));
+    return new ScheduleUpgrader().upgrade(raw, 'ressel-city-weekday-winter.json');
+}
+
+/**
+ * Hittar ett anlöp i en tidtabell
+ * @param {Object} data - Tidtabell i schema_version 2
+ * @param {string} direction - Riktning
+ * @param {string} stop - Hållplats
+ * @param {string} time - Avgångstid
+ * @returns {Object|undefined} Anlöpet tillsammans med turen {trip, call}
+ */
+function findCall(data, direction, stop, time) {
+    for (const trip of data.directions[direction].trips) {
+        const call = trip.calls.find(candidate => candidate.stop === stop && candidate.depart === time);
+        if (call) return { trip, call };
+    }
+    return undefined;
+}
+
+/**
+ * Beskriver turerna i en riktning som "id: hållplats tid, ..." för läsbara jämförelser
+ * @param {Object} directionData - Riktning i kanoniskt format
+ * @returns {Array<string>} En rad per tur
+ */
+function describeTrips(directionData) {
+    return directionData.trips.map(trip => `${trip.id}: ${trip.calls
+        .map(call => `${call.stop} ${call.depart}${call.pickup ? '' : '*'}`).join(', ')}`);
+}
+
+test('Sjöstadstrafikens platta avgångar blir rundturer i riktningen loop', () => {
+    const upgraded = new ScheduleUpgrader().upgrade({
+        metadata: { day_type: 'weekday' },
+        operating_hours: { start: '06:00', end: '24:00' },
+        departures: {
+            Barnängsbryggan: ['06:00', '06:20'],
+            Lumabryggan: ['06:05', '06:25']
+        },
+        disembark_only: { Lumabryggan: ['06:25'] }
+    }, 'sjo');
+
+    assert.equal(upgraded.schema_version, 2);
+    assert.deepEqual(upgraded.operating_hours, { start: '06:00', end: '24:00' });
+    assert.deepEqual(upgraded.directions.loop.stops, ['Barnängsbryggan', 'Lumabryggan']);
+    assert.deepEqual(describeTrips(upgraded.directions.loop), [
+        'loop-1: Barnängsbryggan 06:00, Lumabryggan 06:05',
+        'loop-2: Barnängsbryggan 06:20, Lumabryggan 06:25*'
+    ]);
+});
+
+test('citylinjens perioder ger turer med periodens id och validity', () => {
+    const validity = { extra_departures: true };
+    const upgraded = new ScheduleUpgrader().upgrade({
+        metadata: { day_type: 'weekday' },
+        to_city: {
+            morning: { departures: { Barnängsbryggan: ['07:14', '08:14'], Nybroplan: ['07:48', '08:48'] } },
+            lunch: { validity, departures: { Barnängsbryggan: ['13:44'], Nybroplan: ['14:18'] } }
+        },
+        from_city: {
+            departures: { Nybroplan: ['07:50', { time: '08:50', validity: { weekdays: ['monday'] } }], Barnängsbryggan: ['08:14', '09:14'] }
+        }
+    }, 'city');
+
+    assert.deepEqual(describeTrips(upgraded.directions.to_city), [
+        'to_city-morning-1: Barnängsbryggan 07:14, Nybroplan 07:48',
+        'to_city-morning-2: Barnängsbryggan 08:14, Nybroplan 08:48',
+        'to_city-lunch-1: Barnängsbryggan 13:44, Nybroplan 14:18'
+    ]);
+    assert.deepEqual(upgraded.directions.to_city.trips[2].validity, validity);
+    assert.deepEqual(describeTrips(upgraded.directions.from_city), [
+        'from_city-1: Nybroplan 07:50, Barnängsbryggan 08:14',
+        'from_city-2: Nybroplan 08:50, Barnängsbryggan 09:14'
+    ]);
+    assert.deepEqual(upgraded.directions.from_city.trips[1].calls[0].validity, { weekdays: ['monday'] });
+});
+
+test('alla äldre disembark_only-format markerar anlöpen som endast avstigning', () => {
+    const timetable = disembarkOnly => ({
+        metadata: { day_type: 'saturday' },
+        to_city: { departures: { Lumabryggan: ['10:20'], Nybroplan: ['10:48'] } },
+        from_city: { departures: { Nybroplan: ['10:50'], Lumabryggan: ['11:18'] } },
+        disembark_only: disembarkOnly
+    });
+    const pickups = data => Object.values(data.directions)
+        .flatMap(directionData => directionData.trips.flatMap(trip => trip.calls))
+        .filter(call => !call.pickup)
+        .map(call => `${call.stop} ${call.depart}`);
+    const upgrader = new ScheduleUpgrader();
+
+    // Hållplatser direkt under disembark_only och dagtypsnyckel gäller båda riktningarna
+    assert.deepEqual(pickups(upgrader.upgrade(timetable({ Lumabryggan: ['11:18'] }), 'direkt')), ['Lumabryggan 11:18']);
+    assert.deepEqual(pickups(upgrader.upgrade(timetable({ saturday: { Lumabryggan: ['10:20'] } }), 'dagtyp')), ['Lumabryggan 10:20']);
+    // Per riktning: platt, med stops eller uppdelat per period
+    assert.deepEqual(pickups(upgrader.upgrade(timetable({ from_city: { Lumabryggan: ['11:18'] } }), 'riktning')), ['Lumabryggan 11:18']);
+    assert.deepEqual(pickups(upgrader.upgrade(timetable({ from_city: { stops: { Lumabryggan: ['11:18'] } } }), 'stops')), ['Lumabryggan 11:18']);
+    assert.deepEqual(pickups(upgrader.upgrade(timetable({ to_city: { morning: { Nybroplan: ['10:48'] } } }), 'period')), ['Nybroplan 10:48']);
+
+    assert.throws(() => upgrader.upgrade(timetable({ from_city: { Lumabryggan: ['11:19'] } }), 'fel'),
+        /"Endast avstigning" matchar ingen avgång: Lumabryggan 11:19/);
+});
+
+test('underhållsfiler utan avgångar och trafikfria dagar ger tomma tidtabeller', () => {
+    const upgrader = new ScheduleUpgrader();
+    const maintenance = upgrader.upgrade(require('../data/ressel-city-maintenance-2025-weekday.json'), 'underhåll');
+    assert.deepEqual(maintenance.directions.to_city.trips, []);
+    assert.equal(maintenance.metadata.maintenance_mode, true);
+
+    const noTraffic = upgrader.upgrade({ metadata: { no_traffic: true } }, 'trafikfri');
+    assert.equal(noTraffic.schema_version, 2);
+    assert.deepEqual(noTraffic.directions, {});
+});
+
+test('schema_version 2 kontrolleras och får id, andra versioner avvisas', () => {
+    const upgrader = new ScheduleUpgrader();
+    const upgraded = upgrader.upgrade({
+        schema_version: 2,
+        directions: {
+            loop: {
+                stops: ['Barnängsbryggan'],
+                trips: [{ calls: [{ stop: 'Barnängsbryggan', arrive: '08:00', depart: '08:00', pickup: true, dropoff: true }] }]
+            }
+        }
+    }, 'v2');
+    assert.equal(upgraded.directions.loop.trips[0].id, 'loop-1');
+
+    assert.throws(() => upgrader.upgrade({ schema_version: 3, directions: {} }, 'v3'), /schema_version 3 stöds inte/);
+});
+
+test('tider efter midnatt skrivs som trafikdygnstid', () => {
+    const upgrader = new ScheduleUpgrader();
+    // Före turens föregående anlöp
+    const byPrevious = upgrader.upgrade({ departures: { Barnängsbryggan: ['23:55'], Henriksdalsbryggan: ['00:05'] } }, 'natt');
+    assert.deepEqual(describeTrips(byPrevious.directions.loop), ['loop-1: Barnängsbryggan 23:55, Henriksdalsbryggan 24:05']);
+    // Före service_day_end
+    const byDayEnd = upgrader.upgrade({ service_day_end: '03:00', departures: { Barnängsbryggan: ['00:20'] } }, 'natt');
+    assert.deepEqual(describeTrips(byDayEnd.directions.loop), ['loop-1: Barnängsbryggan 24:20']);
+});
+
+test('okända och inkonsekventa format ger tydliga fel', () => {
+    const upgrader = new ScheduleUpgrader();
+    assert.throws(() => upgrader.upgrade(null, 'tom'), /tom: tidtabellsdata saknas/);
+    assert.throws(() => upgrader.upgrade({ trips: [] }, 'okänd'), /okänt tidtabellsformat/);
+    assert.throws(() => upgrader.upgrade({ departures: { Barnängsbryggan: ['06:00', '06:20'], Lumabryggan: ['06:05'] } }, 'längd'),
+        /Lumabryggan har 1 avgångar men Barnängsbryggan har 2/);
+    assert.throws(() => upgrader.upgrade({ departures: { Barnängsbryggan: ['6:00'] } }, 'tid'), /ogiltig avgångstid för Barnängsbryggan/);
+    assert.throws(() => upgrader.upgrade({ to_city: { morning: {} } }, 'perioder'), /saknar departures och perioder med departures/);
+});
+
+test('citylinjens vintertidtabell uppgraderas med lunchturer och endast avstigning', () => {
+    const upgraded = new ScheduleUpgrader().upgrade(require('../data/ressel-city-weekday-winter.json'), 'vinter');
+    const toCity = upgraded.directions.to_city.trips;
+    assert.equal(toCity[0].id, 'to_city-morning-1');
+    assert.deepEqual(toCity.find(trip => trip.period === 'lunch').validity, { extra_departures: true });
+
+    const disembark = upgraded.directions.from_city.trips.flatMap(trip => trip.calls).filter(call => !call.pickup);
+    assert.deepEqual(disembark.map(call => `${call.stop} ${call.depart}`).sort(), [
+        'Barnängsbryggan 12:14', 'Barnängsbryggan 18:44', 'Henriksdalsbryggan 12:22',
+        'Henriksdalsbryggan 18:52', 'Lumabryggan 12:18', 'Lumabryggan 18:48'
+    ]);
+});
+
+test('lovavgångar gäller säsongens extra_departures_periods', () => {
+    const season = cityConfig.season_mapping.find(candidate => candidate.name === 'Winter 2025-2026');
+    const periods = resolver.resolveExtraPeriods(season);
+    assert.deepEqual(periods, [
+        { start: '2025-12-22', end: '2026-01-02' },
+        { start: '2026-02-16', end: '2026-03-01' }
+    ]);
+
+    const data = new ScheduleUpgrader().applyExtraDeparturesPeriods(loadCityWinterWeekday(), periods);
+    const lunch = findCall(data, 'to_city', 'Barnängsbryggan', '13:44').trip;
+    assert.deepEqual(lunch.validity, { date_ranges: periods });
+    assert.equal(timeHandler.isDateInValidity(lunch.validity, timeHandler.parseDate('2026-02-17')), true);
+    assert.equal(timeHandler.isDateInValidity(lunch.validity, timeHandler.parseDate('2026-01-02')), true);
+    assert.equal(timeHandler.isDateInValidity(lunch.validity, timeHandler.parseDate('2026-03-02')), false);
+});
+
+test('utan lovperioder tas lovavgångarna bort', () => {
+    const data = new ScheduleUpgrader().applyExtraDeparturesPeriods(loadCityWinterWeekday(), []);
+    assert.equal(findCall(data, 'to_city', 'Barnängsbryggan', '13:44'), undefined);
+    assert.equal(data.directions.to_city.trips.some(trip => trip.period === 'lunch'), false);
+    assert.ok(findCall(data, 'to_city', 'Barnängsbryggan', '07:14'));
+});
+
+test('service_exclusions ställer in anlöpen på tisdagar med orsak', () => {
+    const data = new ScheduleUpgrader().applyServiceExclusions(loadCityWinterWeekday(), cityConfig.service_exclusions);
+    const tuesday = timeHandler.parseDate('2026-01-13');
+    const wednesday = timeHandler.parseDate('2026-01-14');
+
+    [['to_city', 'Masthamnen', '09:28'], ['from_city', 'Nybroplan', '09:50'], ['from_city', 'Djurgården', '09:58']].forEach(([direction, stop, time]) => {
+        const { call } = findCall(data, direction, stop, time);
+        assert.equal(timeHandler.isDateInValidity(call.validity, tuesday), false, `${stop} ${time} tisdag`);
+        assert.equal(timeHandler.isDateInValidity(call.validity, wednesday), true, `${stop} ${time} onsdag`);
+        assert.equal(timeHandler.getValidityException(call.validity, tuesday).reason, 'Ingen trafik på grund av service');
+    });
+    // Turens övriga anlöp påverkas inte med scope 'call'
+    assert.equal(findCall(data, 'to_city', 'Barnängsbryggan', '09:14').call.validity, undefined);
+});
+
+test('service_exclusions med scope trip ställer in hela turen och följer day_types', () => {
+    const rule = { reason: 'Regatta', times: ['09:28'], directions: ['to_city'], day_types: ['weekday'], scope: 'trip' };
+    const upgrader = new ScheduleUpgrader();
+
+    const weekday = upgrader.applyServiceExclusions(loadCityWinterWeekday(), [rule]);
+    const { trip, call } = findCall(weekday, 'to_city', 'Masthamnen', '09:28');
+    assert.equal(trip.validity.exceptions[0].reason, 'Regatta');
+    assert.equal(call.validity, undefined);
+    assert.equal(findCall(weekday, 'from_city', 'Nybroplan', '09:50').trip.validity, undefined);
+
+    const weekend = upgrader.upgrade(JSON.parse(JSON.stringify(require('../data/ressel-city-weekend-winter.json'))), 'helg');
+    upgrader.applyServiceExclusions(weekend, [rule]);
+    assert.equal(findCall(weekend, 'to_city', 'Masthamnen', '09:28').trip.validity, undefined);
+});
+
+/**
+ * Genererar Sjöstadstrafikens helgtidtabell i kanoniskt format
+ * @returns {Object} Tidtabell i schema_version 2
+ */
+function loadSjoWeekend() {
+    const generated = new PatternGenerator(timeHandler).generate(sjoConfig.service_configuration, 'weekend', ['summer']);
+    return new ScheduleUpgrader().upgrade(generated, 'Sjöstadstrafiken (genererad)');
+}
+
+test('regattans tilläggsfil tar bort, flyttar och lägger till turer', () => {
+    const [entry] = sjoConfig.overlays;
+    const overlay = require(`../data/${entry.file}`);
+    const data = new ScheduleUpgrader().applyOverlay(loadSjoWeekend(), overlay, entry);
+    const starts = data.directions.loop.trips.map(trip => trip.calls[0].depart);
+
+    assert.equal(starts.includes('11:20'), false);
+    assert.equal(starts.includes('11:40'), false);
+    assert.equal(starts.includes('12:00'), false);
+    assert.deepEqual(findCall(data, 'loop', 'Henriksdalsbryggan', '12:15').trip.calls.map(call => call.depart), ['12:05', '12:10', '12:15']);
+    // Extraturen sorteras in efter första avgången
+    const extra = data.directions.loop.trips.findIndex(trip => trip.id === 'loop-regatta-1');
+    assert.deepEqual(starts.slice(extra - 1, extra + 2), ['16:20', '16:30', '16:40']);
+    assert.deepEqual(data.metadata.overlays, [{ name: entry.name, message: overlay.metadata.message }]);
+});
+
+test('close_stops i en tilläggsfil stänger bryggan under tilläggsfilens period', () => {
+    const entry = { name: 'Broarbete', file: 'broarbete.json', period: { start: '2027-06-12', end: '2027-06-13' } };
+    const data = new ScheduleUpgrader().applyOverlay(loadSjoWeekend(), {
+        close_stops: [{ stop: 'Henriksdalsbryggan', reason: 'Broarbete', alternative: 'Lumabryggan' }]
+    }, entry);
+
+    assert.equal(data.directions.loop.trips.some(trip => trip.calls.some(call => call.stop === 'Henriksdalsbryggan')), false);
+    assert.ok(data.directions.loop.stops.includes('Henriksdalsbryggan'));
+    assert.deepEqual(data.metadata.closed_stops, [{
+        stop: 'Henriksdalsbryggan',
+        reason: 'Broarbete',
+        directions: ['loop'],
+        until: '2027-06-13',
+        alternative: 'Lumabryggan'
+    }]);
+});
+
+test('en felaktig tilläggsfil ger fel och lämnar tidtabellen oförändrad', () => {
+    const upgrader = new ScheduleUpgrader();
+    const entry = { name: 'Fel', file: 'fel.json', period: { start: '2027-06-12', end: '2027-06-12' } };
+    const original = loadSjoWeekend();
+    const expected = JSON.parse(JSON.stringify(original));
+
+    assert.throws(() => upgrader.applyOverlay(original, {
+        remove_trips: [{ start_time: '08:00' }],
+        add_trips: [{ calls: [{ stop: 'Lumabryggan', depart: '12:30' }] }]
+    }, entry), /fel.json: add_trips\[0\] saknar direction/);
+    assert.throws(() => upgrader.applyOverlay(original, {
+        shift_trips: [{ start_time: '08:00', minutes: -490 }]
+    }, entry), /fel.json: tur loop-1 flyttas -490 minuter till före 00:00/);
+    assert.throws(() => upgrader.applyOverlay(original, { remove_trips: [{ direction: 'to_city', start_time: '08:00' }] }, entry),
+        /okänd riktning "to_city"/);
+    assert.throws(() => upgrader.applyOverlay(original, null, entry), /tilläggsfilen saknas/);
+    assert.deepEqual(original, expected);
+});
+
+test('stop_closures gäller under perioden och tar bort bryggans anlöp i valda riktningar', () => {
+    const lineConfig = Object.assign({}, cityConfig, {
+        stop_closures: [{
+            id: 'henriksdal-renovering',
+            stop: 'Henriksdalsbryggan',
+            period: { start: '2026-02-02', end: '2026-02-06' },
+            reason: 'Bryggan renoveras',
+            directions: ['to_city']
+        }]
+    });
+    assert.deepEqual(resolver.resolveLine(lineConfig, timeHandler.parseDate('2026-02-09')).closures, []);
+    const { closures } = resolver.resolveLine(lineConfig, timeHandler.parseDate('2026-02-04'));
+    assert.equal(closures.length, 1);
+
+    const data = new ScheduleUpgrader().applyStopClosures(loadCityWinterWeekday(), closures);
+    const stopsIn = direction => new Set(data.directions[direction].trips.flatMap(trip => trip.calls.map(call => call.stop)));
+    assert.equal(stopsIn('to_city').has('Henriksdalsbryggan'), false);
+    assert.equal(stopsIn('from_city').has('Henriksdalsbryggan'), true);
+    // Bryggan ligger kvar i stops så att den kan visas som stängd
+    assert.ok(data.directions.to_city.stops.includes('Henriksdalsbryggan'));
+    assert.deepEqual(data.metadata.closed_stops, [{
+        stop: 'Henriksdalsbryggan',
+        reason: 'Bryggan renoveras',
+        directions: ['to_city'],
+        until: '2026-02-06',
+        alternative: undefined
+    }]);
+});
+
+test('turer utan kvarvarande anlöp tas bort när en brygga stängs', () => {
+    const data = new ScheduleUpgrader().upgrade({
+        departures: { Barnängsbryggan: ['08:00', '08:20'], Lumabryggan: ['08:05', '08:25'] }
+    }, 'sjo');
+    data.directions.loop.trips.push({
+        id: 'loop-extra-1',
+        calls: [{ stop: 'Lumabryggan', arrive: '08:45', depart: '08:45', pickup: true, dropoff: true }]
+    });
+
+    new ScheduleUpgrader().applyStopClosures(data, [{ stop: 'Lumabryggan', period: { start: '2026-02-02', end: '2026-02-06' } }]);
+    assert.deepEqual(data.directions.loop.trips.map(trip => trip.id), ['loop-1', 'loop-2']);
+    assert.equal(data.metadata.closed_stops[0].reason, 'Bryggan är stängd');
+});
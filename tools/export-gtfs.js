@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Sjöstadsfärjetrafiken - GTFS Export
+ *
+ * Skapar ett statiskt GTFS-flöde (zip) från data/*.json så att båtarna kan
+ * läsas in i OpenTripPlanner och andra reseplanerare. Tidtabell per datum väljs
+ * med samma ScheduleResolver som appen och läses med samma ScheduleUpgrader och
+ * PatternGenerator. Samma flöde kan laddas ner i appen under
+ * Inställningar → App-information.
+ *
+ * Användning:
+ *   node tools/export-gtfs.js [--out=gtfs.zip] [--from=YYYY-MM-DD] [--days=180] [--data=katalog]
+ *   node tools/export-gtfs.js --help
+ *
+ * Standard är dagens trafikdag och 180 dagar framåt. Avslutas med kod 1 om
+ * flödet inte kan skapas (t.ex. position saknas för en brygga).
+ *
+ * Versionshistorik:
+ * 6.6.4 - En saknad eller felaktig tilläggsfil hoppas över med en varning istället för att hela perioden utelämnas
+ * 6.6.2 - Okända parametrar avvisas och --help visar användningen istället för att skriva gtfs.zip
+ * 6.6.1 - Lovavgångar följer säsongens extra_departures_periods
+ * 6.6.0 - Stängda hållplatser (stop_closures) exporteras utan anlöp
+ * 6.5.0 - Tillfälliga tilläggsfiler (overlays) läggs på som i appen
+ * 6.2.0 - Återkommande inställda avgångar (service_exclusions) exporteras inte
+ * 6.0.0 - Linjerna läses från linjeregistret (data/lines.json)
+ * 5.17.0 - Skapad: GTFS-export av data/*.json från kommandoraden
+ *
+ * @author Christian Gillinger
+ * @version 6.6.4
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TimeHandler = require('../js/timehandler.js');
+const HolidayCalendar = require('../js/holidays.js');
+const ScheduleResolver = require('../js/scheduleresolver.js');
+const PatternGenerator = require('../js/patterngenerator.js');
+const ScheduleUpgrader = require('../js/upgrader.js');
+const GtfsExporter = require('../js/gtfsexporter.js');
+
+// Linjeregistret som appen använder (se config.dataPaths i js/app.js)
+const LINES_FILE = 'lines.json';
+
+const DEFAULT_DAYS = 180;
+// Parametrar som verktyget tar emot (--namn=värde)
+const OPTIONS = ['out', 'from', 'days', 'data'];
+const PUBLISHER_URL = 'https://cgillinger.github.io/ressel-static/';
+
+class GtfsExportTool {
+    /**
+     * Initierar GtfsExportTool
+     * @param {string} dataDir - Katalog med konfigurationer och tidtabeller
+     */
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.timeHandler = new TimeHandler();
+        this.holidayCalendar = new HolidayCalendar();
+        this.resolver = new ScheduleResolver(this.timeHandler, this.holidayCalendar);
+        this.patternGenerator = new PatternGenerator(this.timeHandler);
+        this.upgrader = new ScheduleUpgrader();
+        this.exporter = new GtfsExporter(this.timeHandler, this.holidayCalendar);
+        // Varningar om datum som inte kunde exporteras
+        this.warnings = [];
+        // Linjenamn per linje-id från linjeregistret
+        this.lineNames = {};
+    }
+
+    /**
+     * Registrerar en varning en gång
+     * @param {string} message - Varning
+     */
+    addWarning(message) {
+        if (!this.warnings.includes(message)) {
+            this.warnings.push(message);
+        }
+    }
+
+    /**
+     * Läser en JSON-fil från datakatalogen
+     * @param {string} file - Filnamn
+     * @returns {Object|null} Innehållet, eller null om filen saknas
+     */
+    readJson(file) {
+        const filePath = path.join(this.dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Läser tidtabellen för en linje enligt resultatet från determineTimetableFiles
+     * Säsongens lovperioder (extra_departures_periods), tilläggsfiler (overlays), stängda hållplatser
+     * (stop_closures) och återkommande inställda avgångar (service_exclusions) läggs på som i appen
+     * @param {Object} configData - Konfigurationer per linje-id
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Object} files - Resultat från ScheduleResolver.determineTimetableFiles
+     * @returns {Object|null} Tidtabell i kanoniskt format, eller null om tidtabellsfilen saknas
+     */
+    loadTimetable(configData, line, files) {
+        const data = this.loadUpgradedTimetable(configData, line, files);
+        if (!data) {
+            return null;
+        }
+        this.upgrader.applyExtraDeparturesPeriods(data, files[`${line}ExtraPeriods`]);
+        // En felaktig eller saknad tilläggsfil hoppas över, säsongens tidtabell exporteras ändå
+        files[`${line}Overlays`].forEach(overlay => {
+            try {
+                const content = this.readJson(overlay.file);
+                if (!content) {
+                    this.addWarning(`${this.lineNames[line]}: tilläggsfilen ${overlay.file} saknas och hoppas över`);
+                    return;
+                }
+                this.upgrader.applyOverlay(data, content, overlay);
+            } catch (error) {
+                this.addWarning(`${this.lineNames[line]}: tilläggsfilen hoppas över - ${error.message}`);
+            }
+        });
+        this.upgrader.applyStopClosures(data, files[`${line}Closures`]);
+        return this.upgrader.applyServiceExclusions(data, configData[line].service_exclusions);
+    }
+
+    /**
+     * Läser och uppgraderar tidtabellsfilen eller det genererade mönstret för en linje
+     * @param {Object} configData - Konfigurationer per linje-id
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Object} files - Resultat från ScheduleResolver.determineTimetableFiles
+     * @returns {Object|null} Tidtabell i kanoniskt format, eller null om en fil saknas
+     */
+    loadUpgradedTimetable(configData, line, files) {
+        if (files[line]) {
+            const raw = this.readJson(files[line]);
+            return raw ? this.upgrader.upgrade(raw, files[line]) : null;
+        }
+
+        const pattern = files[`${line}Pattern`];
+        if (!pattern) {
+            return null;
+        }
+
+        const generated = this.patternGenerator.generate(configData[line].service_configuration, pattern.dayType, pattern.seasons);
+        const override = pattern.override ? this.readJson(pattern.override) : null;
+        if (pattern.override && !override) {
+            return null;
+        }
+        return this.upgrader.upgrade(override ? this.patternGenerator.applyOverride(generated, override) : generated, `${this.lineNames[line]} (genererad)`);
+    }
+
+    /**
+     * Delar upp perioden i grupper av datum med samma tidtabell
+     * Trafikfria dagar och datum efter sista säsongen (utgången tidtabell) utelämnas
+     * @param {Object} configData - Konfigurationer per linje-id
+     * @param {string} line - Linjens id i linjeregistret
+     * @param {Date} from - Första trafikdag
+     * @param {Date} to - Sista trafikdag
+     * @returns {Array<Object>} Grupper {key, dates, data}
+     */
+    loadDateGroups(configData, line, from, to) {
+        const groups = [];
+
+        for (let date = from; date <= to; date = this.timeHandler.addDays(date, 1)) {
+            const files = this.resolver.determineTimetableFiles(configData, date);
+            if (files[`${line}Expired`]) {
+                this.addWarning(`${this.lineNames[line]}: datum som ingen säsong täcker (efter ${files[`${line}ExpiryDate`]} eller i glapp) exporteras inte`);
+                continue;
+            }
+            if (files[`${line}NoTraffic`]) continue;
+
+            const key = this.resolver.getSourceKey(files, line);
+            let group = groups.find(candidate => candidate.key === key);
+            if (!group) {
+                group = { key, dates: [], data: this.loadTimetable(configData, line, files) };
+                groups.push(group);
+                if (!group.data) {
+                    this.addWarning(`${this.lineNames[line]}: ${key} saknas, datumen från ${this.timeHandler.formatDate(date)} exporteras inte`);
+                }
+            }
+            group.dates.push(date);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Skapar GTFS-flödet som zip
+     * @param {Date} from - Första trafikdag
+     * @param {number} days - Antal dagar
+     * @param {string} version - Flödets version
+     * @returns {Uint8Array} Zip-filens innehåll
+     */
+    run(from, days, version) {
+        const registry = this.readJson(LINES_FILE);
+        if (!registry || !Array.isArray(registry.lines) || registry.lines.length === 0) {
+            throw new Error(`${LINES_FILE} saknas eller innehåller inga linjer i ${this.dataDir}`);
+        }
+
+        const configData = {};
+        registry.lines.forEach(({ id, name, config }) => {
+            this.lineNames[id] = name;
+            configData[id] = this.readJson(config);
+            if (!configData[id]) {
+                throw new Error(`${config} saknas i ${this.dataDir}`);
+            }
+        });
+
+        const to = this.timeHandler.addDays(from, days - 1);
+        const lines = registry.lines.map(({ id, name }) => ({
+            line: id,
+            name,
+            config: configData[id],
+            groups: this.loadDateGroups(configData, id, from, to)
+        }));
+
+        const feed = this.exporter.createFeed({ lines, from, to, publisherUrl: PUBLISHER_URL, version });
+        return this.exporter.createZip(feed);
+    }
+}
+
+if (require.main === module) {
+    const usage = 'Användning: node tools/export-gtfs.js [--out=gtfs.zip] [--from=YYYY-MM-DD] [--days=180] [--data=katalog]';
+    const options = {};
+    process.argv.slice(2).forEach(arg => {
+        if (arg === '--help' || arg === '-h') {
+            console.log(usage);
+            process.exit(0);
+        }
+        // Okända parametrar avvisas, annars skrivs flödet med standardvärden
+        const match = arg.match(/^--(\w+)=(.*)$/);
+        if (!match || !OPTIONS.includes(match[1])) {
+            console.error(`✗ okänd parameter: ${arg}`);
+            console.error(usage);
+            process.exit(1);
+        }
+        options[match[1]] = match[2];
+    });
+
+    const dataDir = path.resolve(options.data || path.join(__dirname, '..', 'data'));
+    const outFile = path.resolve(options.out || 'gtfs.zip');
+    const days = parseInt(options.days || DEFAULT_DAYS, 10);
+    const tool = new GtfsExportTool(dataDir);
+
+    try {
+        if (options.from && (!/^\d{4}-\d{2}-\d{2}$/.test(options.from) ||
+            tool.timeHandler.formatDate(tool.timeHandler.parseDate(options.from)) !== options.from)) {
+            throw new Error(`ogiltigt startdatum: ${options.from}`);
+        }
+        if (!(days > 0)) {
+            throw new Error(`ogiltigt antal dagar: ${options.days}`);
+        }
+
+        const from = options.from ? tool.timeHandler.parseDate(options.from) : tool.timeHandler.getServiceDay();
+        const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+        const zip = tool.run(from, days, manifest.version);
+        fs.writeFileSync(outFile, zip);
+
+        tool.warnings.forEach(warning => console.error(`! ${warning}`));
+        console.log(`✓ GTFS-flöde för ${tool.timeHandler.formatDate(from)} och ${days} dagar framåt skrivet till ${outFile}`);
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = GtfsExportTool;
@@ -0,0 +1,856 @@
+#!/usr/bin/env node
+/**
+ * Sjöstadsfärjetrafiken - Schedule Validator
+ *
+ * Kontrollerar linjeregistret (data/lines.json), konfigurationerna och alla
+ * tidtabeller de refererar till innan de publiceras. Reglerna i _metadata.validation_rules (HH:MM, YYYY-MM-DD)
+ * kontrolleras tillsammans med saknade filer, lika många avgångar per hållplats,
+ * stigande tider längs stop_sequence, överlappande eller glappande säsonger samt
+ * reglerna för inställda avgångar (service_exclusions), tilläggsfilerna (overlays) och
+ * stängda hållplatser (stop_closures). Trafikmeddelandena
+ * (data/alerts.json) kontrolleras mot linjeregistret.
+ * Tidtabellerna läses med samma ScheduleUpgrader och PatternGenerator som appen.
+ *
+ * Användning:
+ *   node tools/validate-schedules.js [datakatalog]
+ *
+ * Avslutas med kod 1 och en lista med fel om något är fel, annars kod 0.
+ *
+ * Versionshistorik:
+ * 6.6.4 - Tilläggsfilerna läggs på säsongernas tidtabeller så att t.ex. turer som flyttas före 00:00 rapporteras
+ * 6.6.3 - Rapporterar tider i service_exclusions som inte träffar någon avgång
+ * 6.6.1 - Kontroll av lovperioder (extra_departures_periods) för avgångar med validity extra_departures
+ * 6.6.0 - Kontroll av stängda hållplatser (stop_closures)
+ * 6.5.0 - Kontroll av tillfälliga tilläggsfiler (overlays)
+ * 6.3.0 - Kontroll av trafikmeddelanden (data/alerts.json)
+ * 6.2.0 - Kontroll av återkommande inställda avgångar (service_exclusions)
+ * 6.0.0 - Linjerna läses från och kontrolleras i linjeregistret (data/lines.json)
+ * 5.11.0 - Skapad: Validering av data/*.json från kommandoraden
+ *
+ * @author Christian Gillinger
+ * @version 6.6.4
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TimeHandler = require('../js/timehandler.js');
+const PatternGenerator = require('../js/patterngenerator.js');
+const ScheduleUpgrader = require('../js/upgrader.js');
+const AlertManager = require('../js/alertmanager.js');
+
+// Linjeregistret och trafikmeddelandena som appen läser (se config.dataPaths i js/app.js)
+const LINES_FILE = 'lines.json';
+const ALERTS_FILE = 'alerts.json';
+
+// Linjetyper i linjeregistret och id-format för linjer och riktningar
+const LINE_TYPES = ['loop', 'bidirectional'];
+const ID_PATTERN = /^[a-z0-9_-]+$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Tider kan vara trafikdygnstider efter midnatt (24:00-47:59)
+const TIME_PATTERN = /^([0-3]\d|4[0-7]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Veckodagar, dagtyper och omfattning i service_exclusions
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_TYPES = ['weekday', 'saturday', 'sunday'];
+const EXCLUSION_SCOPES = ['call', 'trip'];
+
+// Längsta rimliga tid mellan två anlöp på samma tur - längre tolkas som fel ordning
+const MAX_LEG_MINUTES = 180;
+
+// Nycklar vars listor innehåller tider respektive datum
+const TIME_LIST_KEYS = ['departures', 'add_departures', 'remove_departures', 'disembark_only'];
+const DATE_LIST_KEYS = ['no_traffic', 'weekend_schedule'];
+
+class ScheduleValidator {
+    /**
+     * Initierar ScheduleValidator
+     * @param {string} dataDir - Katalog med konfigurationer och tidtabeller
+     */
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.timeHandler = new TimeHandler();
+        this.patternGenerator = new PatternGenerator(this.timeHandler);
+        this.upgrader = new ScheduleUpgrader();
+        this.alertManager = new AlertManager(this.timeHandler);
+        // Fel per fil (filnamn -> meddelanden)
+        this.errors = new Map();
+        // Kontrollerade tidtabellsfiler, så att återanvända filer bara kontrolleras en gång
+        this.checkedFiles = new Set();
+        // Konfigurationsfiler från linjeregistret
+        this.configFiles = [];
+        // Uppgraderade tidtabellsfiler, för kontroller som behöver tidtabellerna flera gånger
+        this.upgradedFiles = new Map();
+    }
+
+    /**
+     * Registrerar ett fel för en fil
+     * @param {string} file - Filnamn
+     * @param {string} message - Felmeddelande
+     */
+    addError(file, message) {
+        if (!this.errors.has(file)) {
+            this.errors.set(file, []);
+        }
+        this.errors.get(file).push(message);
+    }
+
+    /**
+     * Läser en JSON-fil från datakatalogen
+     * @param {string} file - Filnamn
+     * @returns {Object|null} Innehållet, eller null om filen saknas eller är ogiltig
+     */
+    readJson(file) {
+        const filePath = path.join(this.dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            this.addError(file, `ogiltig JSON: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Kontrollerar att en sträng är ett giltigt datum i YYYY-MM-DD-format
+     * @param {*} value - Värde att kontrollera
+     * @returns {boolean} Sant om datumet är giltigt
+     */
+    isValidDate(value) {
+        if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+            return false;
+        }
+        // Avvisa datum som 2025-02-30 som Date.UTC annars rullar över
+        return this.timeHandler.formatDate(this.timeHandler.parseDate(value)) === value;
+    }
+
+    /**
+     * Kontrollerar tids- och datumformat rekursivt enligt validation_rules
+     * Vilket format som gäller avgörs av nyckeln (departures, operating_hours, period osv.)
+     * @param {*} value - Värde att kontrollera
+     * @param {string} file - Filnamn för felmeddelanden
+     * @param {Array<string>} keyPath - Nycklar från roten till värdet
+     */
+    checkFormats(value, file, keyPath = []) {
+        const key = keyPath[keyPath.length - 1];
+        const keyString = keyPath.join('.');
+
+        if (Array.isArray(value)) {
+            const listKind = keyPath.some(part => TIME_LIST_KEYS.includes(part)) ? 'time' :
+                (DATE_LIST_KEYS.includes(key) ? 'date' : null);
+            value.forEach((item, index) => {
+                // Avgångsposter kan vara {time, validity}
+                const entry = listKind === 'time' && item && typeof item === 'object' ? item.time : item;
+                if (listKind === 'time' && (typeof entry !== 'string' || !TIME_PATTERN.test(entry))) {
+                    this.addError(file, `${keyString}[${index}]: ${JSON.stringify(item)} är inte en tid i HH:MM-format`);
+                } else if (listKind === 'date' && !this.isValidDate(entry)) {
+                    this.addError(file, `${keyString}[${index}]: "${entry}" är inte ett datum i YYYY-MM-DD-format`);
+                }
+                if (item && typeof item === 'object') {
+                    this.checkFormats(item, file, [...keyPath, index]);
+                }
+            });
+            return;
+        }
+
+        if (!value || typeof value !== 'object') {
+            return;
+        }
+
+        Object.entries(value).forEach(([childKey, childValue]) => {
+            const childPath = [...keyPath, childKey];
+            const isStartEnd = childKey === 'start' || childKey === 'end';
+
+            if (isStartEnd && keyPath.includes('operating_hours')) {
+                if (typeof childValue !== 'string' || !TIME_PATTERN.test(childValue)) {
+                    this.addError(file, `${childPath.join('.')}: "${childValue}" är inte en tid i HH:MM-format`);
+                }
+            } else if (isStartEnd && (key === 'period' || keyPath.includes('date_ranges') || keyPath.includes('valid_period'))) {
+                if (!this.isValidDate(childValue)) {
+                    this.addError(file, `${childPath.join('.')}: "${childValue}" är inte ett datum i YYYY-MM-DD-format`);
+                }
+            } else if (childKey === 'service_day_end' || (childKey === 'arrive' || childKey === 'depart')) {
+                if (typeof childValue !== 'string' || !TIME_PATTERN.test(childValue)) {
+                    this.addError(file, `${childPath.join('.')}: "${childValue}" är inte en tid i HH:MM-format`);
+                }
+            } else {
+                this.checkFormats(childValue, file, childPath);
+            }
+        });
+    }
+
+    /**
+     * Kontrollerar att varje hållplats i ett block har lika många avgångar
+     * @param {Object} data - Tidtabell i äldre format
+     * @param {string} file - Filnamn för felmeddelanden
+     * @returns {boolean} Sant om alla block har lika långa listor
+     */
+    checkTripCounts(data, file) {
+        let valid = true;
+        const checkBlock = (block, context) => {
+            const counts = Object.entries(block.departures || {})
+                .filter(([, times]) => Array.isArray(times))
+                .map(([stop, times]) => `${stop} ${times.length}`);
+            const unique = new Set(counts.map(count => count.split(' ').pop()));
+            if (unique.size > 1) {
+                this.addError(file, `${context}: olika antal avgångar per hållplats (${counts.join(', ')})`);
+                valid = false;
+            }
+        };
+
+        if (data.departures) {
+            checkBlock(data, 'departures');
+        }
+        this.upgrader.cityDirections.forEach(direction => {
+            const directionData = data[direction];
+            if (!directionData) return;
+            if (directionData.departures) {
+                checkBlock(directionData, direction);
+                return;
+            }
+            Object.entries(directionData).forEach(([period, block]) => {
+                if (block && typeof block === 'object' && block.departures) {
+                    checkBlock(block, `${direction}.${period}`);
+                }
+            });
+        });
+        return valid;
+    }
+
+    /**
+     * Hämtar hållplatsordningen för en riktning från linjens stop_sequence
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {string} direction - Riktning ('loop', 'to_city' eller 'from_city')
+     * @returns {Array<string>} Hållplatser i ordning
+     */
+    getStopSequence(lineConfig, direction) {
+        const sequence = lineConfig.service_configuration && lineConfig.service_configuration.stop_sequence;
+        if (!sequence) return [];
+        return Array.isArray(sequence) ? sequence : (sequence[direction] || []);
+    }
+
+    /**
+     * Kontrollerar att tiderna stiger längs stop_sequence för varje tur
+     * @param {Object} data - Tidtabell i schema_version 2
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {string} file - Filnamn för felmeddelanden
+     */
+    checkMonotonicTimes(data, lineConfig, file) {
+        Object.entries(data.directions).forEach(([direction, directionData]) => {
+            const sequence = this.getStopSequence(lineConfig, direction);
+
+            directionData.trips.forEach(trip => {
+                const unknown = trip.calls.filter(call => !sequence.includes(call.stop));
+                unknown.forEach(call => {
+                    this.addError(file, `${direction} tur ${trip.id}: ${call.stop} finns inte i stop_sequence`);
+                });
+                if (unknown.length > 0) return;
+
+                const calls = [...trip.calls].sort((a, b) => sequence.indexOf(a.stop) - sequence.indexOf(b.stop));
+                for (let index = 1; index < calls.length; index++) {
+                    const previous = calls[index - 1];
+                    const current = calls[index];
+                    const leg = this.timeHandler.timeToMinutes(current.arrive) - this.timeHandler.timeToMinutes(previous.depart);
+                    if (leg < 0 || leg > MAX_LEG_MINUTES) {
+                        const from = `${previous.stop} ${this.timeHandler.formatDisplayTime(previous.depart)}`;
+                        const to = `${current.stop} ${this.timeHandler.formatDisplayTime(current.arrive)}`;
+                        this.addError(file, `${direction} tur ${trip.id}: tiderna stiger inte längs stop_sequence (${from} → ${to})`);
+                        break;
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Kontrollerar en tidtabell: format, antal avgångar, uppgradering och tidsordning
+     * @param {Object} data - Tidtabell i valfritt känt format
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {string} file - Filnamn (eller beskrivning för genererade tidtabeller)
+     * @param {boolean} [checkFormats=true] - Kontrollera format (genererade tidtabeller ärver formatet från konfigurationen)
+     * @returns {Object|undefined} Uppgraderad tidtabell, eller undefined om den inte gick att uppgradera
+     */
+    checkTimetable(data, lineConfig, file, checkFormats = true) {
+        if (checkFormats) {
+            this.checkFormats(data, file);
+        }
+        if (!this.checkTripCounts(data, file)) {
+            // Uppgraderingen skulle bara upprepa samma fel
+            return;
+        }
+
+        let upgraded;
+        try {
+            upgraded = this.upgrader.upgrade(data, file);
+        } catch (error) {
+            this.addError(file, error.message);
+            return;
+        }
+        this.checkMonotonicTimes(upgraded, lineConfig, file);
+        return upgraded;
+    }
+
+    /**
+     * Kontrollerar att säsongernas perioder är giltiga och varken överlappar eller har glapp
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {string} file - Konfigurationens filnamn
+     */
+    checkSeasons(lineConfig, file) {
+        const seasons = (lineConfig.season_mapping || [])
+            .filter(season => season.period && this.isValidDate(season.period.start) && this.isValidDate(season.period.end));
+
+        seasons.forEach(season => {
+            if (season.period.start > season.period.end) {
+                this.addError(file, `säsongen "${season.name}" slutar (${season.period.end}) före den börjar (${season.period.start})`);
+            }
+        });
+
+        const sorted = [...seasons].sort((a, b) => a.period.start.localeCompare(b.period.start));
+        for (let index = 1; index < sorted.length; index++) {
+            const previous = sorted[index - 1];
+            const current = sorted[index];
+            const dayAfterPrevious = this.timeHandler.formatDate(
+                this.timeHandler.addDays(this.timeHandler.parseDate(previous.period.end), 1));
+            const dayBeforeCurrent = this.timeHandler.formatDate(
+                this.timeHandler.addDays(this.timeHandler.parseDate(current.period.start), -1));
+
+            if (current.period.start <= previous.period.end) {
+                this.addError(file, `säsongerna "${previous.name}" och "${current.name}" överlappar (${current.period.start} - ${previous.period.end})`);
+            } else if (current.period.start > dayAfterPrevious) {
+                this.addError(file, `glapp mellan säsongerna "${previous.name}" och "${current.name}" (${dayAfterPrevious} - ${dayBeforeCurrent} saknar tidtabell)`);
+            }
+        }
+    }
+
+    /**
+     * Kontrollerar säsongernas lovperioder (holiday_rules.extra_departures_periods)
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {string} file - Konfigurationens filnamn
+     */
+    checkExtraDeparturesPeriods(lineConfig, file) {
+        (lineConfig.season_mapping || []).forEach(season => {
+            const periods = season.holiday_rules && season.holiday_rules.extra_departures_periods;
+            if (periods === undefined) return;
+            if (!Array.isArray(periods)) {
+                this.addError(file, `säsongen "${season.name}": extra_departures_periods ska vara en lista med perioder`);
+                return;
+            }
+            periods.forEach((entry, index) => {
+                const context = `säsongen "${season.name}", extra_departures_periods[${index}]${entry.name ? ` (${entry.name})` : ''}`;
+                // Datumformatet kontrolleras av checkFormats
+                if (!entry.period || entry.period.start === undefined || entry.period.end === undefined) {
+                    this.addError(file, `${context}: period med start och slut (YYYY-MM-DD) saknas`);
+                } else if (this.isValidDate(entry.period.start) && this.isValidDate(entry.period.end) && entry.period.start > entry.period.end) {
+                    this.addError(file, `${context}: slutar (${entry.period.end}) före den börjar (${entry.period.start})`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Kontrollerar om en tidtabell har avgångar med validity {extra_departures: true}
+     * @param {*} value - Tidtabellen eller en del av den
+     * @returns {boolean} Sant om någon validity har extra_departures
+     */
+    usesExtraDepartures(value) {
+        if (!value || typeof value !== 'object') return false;
+        if (value.validity && value.validity.extra_departures) return true;
+        return Object.values(value).some(child => this.usesExtraDepartures(child));
+    }
+
+    /**
+     * Kontrollerar att en refererad fil finns och i så fall dess innehåll
+     * @param {string} configFile - Konfigurationens filnamn
+     * @param {Object} season - Säsong som refererar filen
+     * @param {string} file - Refererad fil
+     * @returns {Object|null} Filens innehåll eller null om den saknas
+     */
+    readReferencedFile(configFile, season, file) {
+        const data = this.readJson(file);
+        if (!data && !fs.existsSync(path.join(this.dataDir, file))) {
+            this.addError(configFile, `säsongen "${season.name}" refererar ${file} som saknas i ${path.basename(this.dataDir)}/`);
+        }
+        return data;
+    }
+
+    /**
+     * Kontrollerar linjeregistret: unika id och URL-parametrar, linjetyp,
+     * riktningar, färger och att konfigurationsfilerna finns
+     * @returns {Array<Object>} Linjer i registret (tom om registret saknas)
+     */
+    checkRegistry() {
+        const registry = this.readJson(LINES_FILE);
+        if (!registry) {
+            if (!this.errors.has(LINES_FILE)) {
+                this.addError(LINES_FILE, 'linjeregistret saknas');
+            }
+            return [];
+        }
+
+        const lines = Array.isArray(registry.lines) ? registry.lines : [];
+        if (lines.length === 0) {
+            this.addError(LINES_FILE, 'linjeregistret innehåller inga linjer');
+        }
+
+        const ids = new Set();
+        const urlParams = new Set();
+        const addUrlParam = (param, context) => {
+            if (param === undefined) return;
+            if (urlParams.has(param)) {
+                this.addError(LINES_FILE, `${context}: URL-parametern "${param}" används redan`);
+            }
+            urlParams.add(param);
+        };
+
+        lines.forEach((line, index) => {
+            const context = `linje ${line.id || index + 1}`;
+            if (!ID_PATTERN.test(line.id || '')) {
+                this.addError(LINES_FILE, `${context}: ogiltigt id "${line.id}"`);
+            } else if (ids.has(line.id)) {
+                this.addError(LINES_FILE, `${context}: id används redan`);
+            }
+            ids.add(line.id);
+
+            if (!line.name) {
+                this.addError(LINES_FILE, `${context}: namn saknas`);
+            }
+            if (!LINE_TYPES.includes(line.type)) {
+                this.addError(LINES_FILE, `${context}: ogiltig typ "${line.type}" (${LINE_TYPES.join(' eller ')})`);
+            }
+            if (line.colors && line.colors.primary !== undefined && !COLOR_PATTERN.test(line.colors.primary)) {
+                this.addError(LINES_FILE, `${context}: ogiltig färg "${line.colors.primary}" (#RRGGBB)`);
+            }
+            addUrlParam(line.url_param, context);
+
+            const directions = Array.isArray(line.directions) ? line.directions : [];
+            if (line.type === 'loop' && (directions.length !== 1 || directions[0].id !== 'loop')) {
+                this.addError(LINES_FILE, `${context}: en linje av typen loop har en riktning med id "loop"`);
+            }
+            if (line.type === 'bidirectional' && directions.length !== 2) {
+                this.addError(LINES_FILE, `${context}: en linje av typen bidirectional har två riktningar (utresa och retur)`);
+            }
+            directions.forEach(direction => {
+                if (!ID_PATTERN.test(direction.id || '')) {
+                    this.addError(LINES_FILE, `${context}: ogiltigt riktnings-id "${direction.id}"`);
+                }
+                addUrlParam(direction.url_param, `${context}, riktning ${direction.id}`);
+            });
+
+            if (!line.config) {
+                this.addError(LINES_FILE, `${context}: konfigurationsfil saknas`);
+            } else if (!fs.existsSync(path.join(this.dataDir, line.config))) {
+                this.addError(LINES_FILE, `${context}: ${line.config} saknas i ${path.basename(this.dataDir)}/`);
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Kontrollerar reglerna för återkommande inställda avgångar (service_exclusions)
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {Object} line - Linje från linjeregistret
+     * @param {string} file - Filnamn för felmeddelanden
+     */
+    checkServiceExclusions(lineConfig, line, file) {
+        const exclusions = lineConfig.service_exclusions;
+        if (exclusions === undefined) return;
+        if (!Array.isArray(exclusions)) {
+            this.addError(file, 'service_exclusions ska vara en lista med regler');
+            return;
+        }
+
+        const directions = (line.directions || []).map(direction => direction.id);
+        const stops = new Set(directions.flatMap(direction => this.getStopSequence(lineConfig, direction)));
+        const invalid = (values, allowed) => (Array.isArray(values) ? values : [values]).filter(value => !allowed.includes(value));
+
+        exclusions.forEach((rule, index) => {
+            const context = `service_exclusions[${index}]${rule.id ? ` (${rule.id})` : ''}`;
+            if (!Array.isArray(rule.times) || rule.times.length === 0) {
+                this.addError(file, `${context}: times saknas`);
+            } else {
+                rule.times
+                    .filter(time => !TIME_PATTERN.test(time))
+                    .forEach(time => this.addError(file, `${context}: "${time}" är inte en tid i HH:MM-format`));
+            }
+            if (rule.weekdays !== undefined) {
+                invalid(rule.weekdays, WEEKDAYS).forEach(day => this.addError(file, `${context}: okänd veckodag "${day}"`));
+            }
+            if (rule.day_types !== undefined) {
+                invalid(rule.day_types, DAY_TYPES).forEach(dayType => this.addError(file, `${context}: okänd dagtyp "${dayType}"`));
+            }
+            if (rule.scope !== undefined && !EXCLUSION_SCOPES.includes(rule.scope)) {
+                this.addError(file, `${context}: ogiltig omfattning "${rule.scope}" (${EXCLUSION_SCOPES.join(' eller ')})`);
+            }
+            if (rule.directions !== undefined) {
+                invalid(rule.directions, directions).forEach(direction => this.addError(file, `${context}: okänd riktning "${direction}"`));
+            }
+            if (rule.stops !== undefined) {
+                invalid(rule.stops, [...stops]).forEach(stop => this.addError(file, `${context}: ${stop} finns inte i stop_sequence`));
+            }
+        });
+    }
+
+    /**
+     * Kontrollerar tillfälliga tilläggsfiler (overlays): perioder, att filerna finns
+     * och att deras regler refererar kända riktningar, hållplatser och tider
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {Object} line - Linje från linjeregistret
+     * @param {string} file - Filnamn för felmeddelanden
+     */
+    checkOverlays(lineConfig, line, file) {
+        const overlays = lineConfig.overlays;
+        if (overlays === undefined) return;
+        if (!Array.isArray(overlays)) {
+            this.addError(file, 'overlays ska vara en lista med tilläggsfiler');
+            return;
+        }
+
+        const directions = (line.directions || []).map(direction => direction.id);
+        const stopsFor = direction => this.getStopSequence(lineConfig, direction);
+        const allStops = new Set(directions.flatMap(stopsFor));
+
+        overlays.forEach((entry, index) => {
+            const context = `overlays[${index}]${entry.name ? ` (${entry.name})` : ''}`;
+            // Datumformatet kontrolleras av checkFormats
+            if (!entry.period || entry.period.start === undefined || entry.period.end === undefined) {
+                this.addError(file, `${context}: period med start och slut (YYYY-MM-DD) saknas`);
+            } else if (this.isValidDate(entry.period.start) && this.isValidDate(entry.period.end) && entry.period.start > entry.period.end) {
+                this.addError(file, `${context}: slutar (${entry.period.end}) före den börjar (${entry.period.start})`);
+            }
+            if (!entry.file) {
+                this.addError(file, `${context}: file saknas`);
+                return;
+            }
+
+            const overlay = this.readJson(entry.file);
+            if (!overlay) {
+                if (fs.existsSync(path.join(this.dataDir, entry.file))) return;
+                this.addError(file, `${context}: ${entry.file} saknas i ${path.basename(this.dataDir)}/`);
+                return;
+            }
+            if (this.checkedFiles.has(entry.file)) return;
+            this.checkedFiles.add(entry.file);
+            this.checkFormats(overlay, entry.file);
+
+            const checkDirection = (rule, ruleContext, required) => {
+                if (rule.direction === undefined) {
+                    if (required) this.addError(entry.file, `${ruleContext}: direction saknas`);
+                    return false;
+                }
+                if (!directions.includes(rule.direction)) {
+                    this.addError(entry.file, `${ruleContext}: okänd riktning "${rule.direction}"`);
+                    return false;
+                }
+                return true;
+            };
+            const checkTripRule = (rule, ruleContext) => {
+                checkDirection(rule, ruleContext, false);
+                if (rule.trip === undefined && rule.start_time === undefined) {
+                    this.addError(entry.file, `${ruleContext}: trip eller start_time saknas`);
+                } else if (rule.start_time !== undefined && !TIME_PATTERN.test(rule.start_time)) {
+                    this.addError(entry.file, `${ruleContext}: "${rule.start_time}" är inte en tid i HH:MM-format`);
+                }
+            };
+
+            (overlay.remove_trips || []).forEach((rule, ruleIndex) => checkTripRule(rule, `remove_trips[${ruleIndex}]`));
+            (overlay.shift_trips || []).forEach((rule, ruleIndex) => {
+                checkTripRule(rule, `shift_trips[${ruleIndex}]`);
+                if (!Number.isInteger(rule.minutes) || rule.minutes === 0) {
+                    this.addError(entry.file, `shift_trips[${ruleIndex}]: minutes ska vara ett heltal skilt från 0`);
+                }
+            });
+            (overlay.add_trips || []).forEach((rule, ruleIndex) => {
+                const ruleContext = `add_trips[${ruleIndex}]`;
+                const knownDirection = checkDirection(rule, ruleContext, true);
+                if (!Array.isArray(rule.calls) || rule.calls.length === 0) {
+                    this.addError(entry.file, `${ruleContext}: calls saknas`);
+                    return;
+                }
+                rule.calls
+                    .filter(call => knownDirection && !stopsFor(rule.direction).includes(call.stop))
+                    .forEach(call => this.addError(entry.file, `${ruleContext}: ${call.stop} finns inte i stop_sequence för ${rule.direction}`));
+            });
+            (overlay.close_stops || []).forEach((rule, ruleIndex) => {
+                if (!allStops.has(rule.stop)) {
+                    this.addError(entry.file, `close_stops[${ruleIndex}]: ${rule.stop} finns inte i stop_sequence`);
+                }
+                if (rule.alternative !== undefined && (!allStops.has(rule.alternative) || rule.alternative === rule.stop)) {
+                    this.addError(entry.file, `close_stops[${ruleIndex}]: alternativet ${rule.alternative} är ingen annan hållplats i stop_sequence`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Kontrollerar reglerna för stängda hållplatser (stop_closures)
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {Object} line - Linje från linjeregistret
+     * @param {string} file - Filnamn för felmeddelanden
+     */
+    checkStopClosures(lineConfig, line, file) {
+        const closures = lineConfig.stop_closures;
+        if (closures === undefined) return;
+        if (!Array.isArray(closures)) {
+            this.addError(file, 'stop_closures ska vara en lista med regler');
+            return;
+        }
+
+        const directions = (line.directions || []).map(direction => direction.id);
+        const stops = new Set(directions.flatMap(direction => this.getStopSequence(lineConfig, direction)));
+
+        closures.forEach((rule, index) => {
+            const context = `stop_closures[${index}]${rule.id ? ` (${rule.id})` : ''}`;
+            if (!stops.has(rule.stop)) {
+                this.addError(file, `${context}: ${rule.stop} finns inte i stop_sequence`);
+            }
+            // Datumformatet kontrolleras av checkFormats
+            if (!rule.period || rule.period.start === undefined || rule.period.end === undefined) {
+                this.addError(file, `${context}: period med start och slut (YYYY-MM-DD) saknas`);
+            } else if (this.isValidDate(rule.period.start) && this.isValidDate(rule.period.end) && rule.period.start > rule.period.end) {
+                this.addError(file, `${context}: slutar (${rule.period.end}) före den börjar (${rule.period.start})`);
+            }
+            if (rule.directions !== undefined && !Array.isArray(rule.directions)) {
+                this.addError(file, `${context}: directions ska vara en lista med riktningar`);
+            } else if (rule.directions !== undefined) {
+                rule.directions
+                    .filter(direction => !directions.includes(direction))
+                    .forEach(direction => this.addError(file, `${context}: okänd riktning "${direction}"`));
+            }
+            if (rule.alternative !== undefined && (!stops.has(rule.alternative) || rule.alternative === rule.stop)) {
+                this.addError(file, `${context}: alternativet ${rule.alternative} är ingen annan hållplats i stop_sequence`);
+            }
+        });
+    }
+
+    /**
+     * Kontrollerar en linjes konfiguration och alla tidtabeller den refererar
+     * @param {Object} line - Linje från linjeregistret
+     */
+    checkLine(line) {
+        const configFile = line.config;
+        const lineConfig = this.readJson(configFile);
+        if (!lineConfig) {
+            return;
+        }
+        this.configFiles.push(configFile);
+
+        this.checkFormats(lineConfig, configFile);
+        this.checkSeasons(lineConfig, configFile);
+        this.checkExtraDeparturesPeriods(lineConfig, configFile);
+        this.checkServiceExclusions(lineConfig, line, configFile);
+        this.checkOverlays(lineConfig, line, configFile);
+        this.checkStopClosures(lineConfig, line, configFile);
+
+        // Linjer med utresa och retur har stop_sequence per riktning i linjeregistret
+        const stopSequence = (lineConfig.service_configuration || {}).stop_sequence;
+        if (stopSequence && !Array.isArray(stopSequence)) {
+            (line.directions || [])
+                .filter(direction => !stopSequence[direction.id])
+                .forEach(direction => this.addError(configFile, `stop_sequence saknar riktningen "${direction.id}" från ${LINES_FILE}`));
+        }
+
+        const serviceConfig = lineConfig.service_configuration || {};
+        // Uppgraderade tidtabeller för alla säsonger, för kontrollerna av service_exclusions och overlays
+        const timetables = [];
+        (lineConfig.season_mapping || []).forEach(season => {
+            // Statiska tidtabellsfiler
+            Object.values(season.files || {}).forEach(file => {
+                const data = this.readReferencedFile(configFile, season, file);
+                const periods = season.holiday_rules && season.holiday_rules.extra_departures_periods;
+                if (data && this.usesExtraDepartures(data) && !(Array.isArray(periods) && periods.length > 0)) {
+                    this.addError(configFile, `säsongen "${season.name}": ${file} har lovavgångar (extra_departures) men säsongen saknar extra_departures_periods`);
+                }
+                if (data && !this.checkedFiles.has(file)) {
+                    this.checkedFiles.add(file);
+                    this.upgradedFiles.set(file, this.checkTimetable(data, lineConfig, file));
+                }
+                timetables.push({ season, source: file, data: this.upgradedFiles.get(file) });
+            });
+
+            // Mönsterbaserade säsonger genereras per dagtyp med eventuell överstyrning
+            if (season.pattern_seasons) {
+                Object.keys(serviceConfig.operating_hours || {}).forEach(dayType => {
+                    const overrideFile = season.overrides && season.overrides[dayType];
+                    const override = overrideFile ? this.readReferencedFile(configFile, season, overrideFile) : null;
+                    if (override && !this.checkedFiles.has(overrideFile)) {
+                        this.checkedFiles.add(overrideFile);
+                        this.checkFormats(override, overrideFile);
+                    }
+
+                    const context = `${configFile} (genererad ${dayType}, "${season.name}")`;
+                    try {
+                        const generated = this.patternGenerator.generate(serviceConfig, dayType, season.pattern_seasons);
+                        const data = this.checkTimetable(this.patternGenerator.applyOverride(generated, override), lineConfig, context, false);
+                        timetables.push({ season, source: `genererad ${dayType}`, data });
+                    } catch (error) {
+                        this.addError(context, error.message);
+                    }
+                });
+            }
+        });
+        const upgraded = timetables.filter(timetable => timetable.data);
+        this.checkExclusionTimes(lineConfig, configFile, upgraded.map(timetable => timetable.data));
+        this.checkOverlayApplication(lineConfig, upgraded);
+    }
+
+    /**
+     * Lägger varje tilläggsfil på tidtabellerna för säsongerna dess period överlappar, så att
+     * fel som bara syns mot turerna (t.ex. en tur som flyttas till före 00:00) hittas före publicering
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {Array<Object>} timetables - {season, source, data} med uppgraderade tidtabeller
+     */
+    checkOverlayApplication(lineConfig, timetables) {
+        if (!Array.isArray(lineConfig.overlays)) return;
+
+        lineConfig.overlays
+            .filter(entry => entry.file && entry.period && this.isValidDate(entry.period.start) && this.isValidDate(entry.period.end))
+            .forEach(entry => {
+                const overlay = this.readJson(entry.file);
+                if (!overlay) return;
+                timetables
+                    .filter(({ season }) => season.period && season.period.start <= entry.period.end && season.period.end >= entry.period.start)
+                    .forEach(({ season, source, data }) => {
+                        try {
+                            this.upgrader.applyOverlay(JSON.parse(JSON.stringify(data)), overlay, entry);
+                        } catch (error) {
+                            this.addError(entry.file, `säsongen "${season.name}" (${source}): ${error.message}`);
+                        }
+                    });
+            });
+    }
+
+    /**
+     * Kontrollerar att varje tid i service_exclusions träffar minst ett anlöp i säsongernas
+     * tidtabeller, med regelns dagtyper, riktningar och hållplatser. En tid som inte
+     * träffar något ställer inte in något och är oftast en felskriven avgång
+     * @param {Object} lineConfig - Linjekonfiguration
+     * @param {string} file - Konfigurationens filnamn
+     * @param {Array<Object>} timetables - Uppgraderade tidtabeller i schema_version 2
+     */
+    checkExclusionTimes(lineConfig, file, timetables) {
+        const exclusions = lineConfig.service_exclusions;
+        if (!Array.isArray(exclusions)) return;
+
+        exclusions.forEach((rule, index) => {
+            if (!Array.isArray(rule.times)) return;
+            const context = `service_exclusions[${index}]${rule.id ? ` (${rule.id})` : ''}`;
+            const calls = timetables
+                .filter(data => !Array.isArray(rule.day_types) || rule.day_types.includes(data.metadata && data.metadata.day_type))
+                .flatMap(data => Object.entries(data.directions)
+                    .filter(([direction]) => !Array.isArray(rule.directions) || rule.directions.includes(direction))
+                    .flatMap(([, directionData]) => directionData.trips.flatMap(trip => trip.calls)))
+                .filter(call => !Array.isArray(rule.stops) || rule.stops.includes(call.stop));
+
+            rule.times
+                .filter(time => TIME_PATTERN.test(time) && !calls.some(call => call.depart === time))
+                .forEach(time => this.addError(file, `${context}: ${time} träffar ingen avgång i säsongernas tidtabeller`));
+        });
+    }
+
+    /**
+     * Kontrollerar trafikmeddelandena mot linjeregistret (filen är valfri)
+     * @param {Array<Object>} lines - Linjer i registret
+     */
+    checkAlerts(lines) {
+        const data = this.readJson(ALERTS_FILE);
+        if (!data) return;
+        if (!Array.isArray(data.alerts)) {
+            this.addError(ALERTS_FILE, 'alerts ska vara en lista med meddelanden');
+            return;
+        }
+
+        const ids = new Set();
+        data.alerts.forEach((alert, index) => {
+            const context = `alerts[${index}]${alert.id ? ` (${alert.id})` : ''}`;
+            if (alert.id && ids.has(alert.id)) {
+                this.addError(ALERTS_FILE, `${context}: id används redan`);
+            }
+            ids.add(alert.id);
+
+            if (!alert.message) {
+                this.addError(ALERTS_FILE, `${context}: message saknas`);
+            }
+            if (alert.severity !== undefined && !this.alertManager.severities.includes(alert.severity)) {
+                this.addError(ALERTS_FILE, `${context}: okänd allvarlighetsgrad "${alert.severity}" (${this.alertManager.severities.join(', ')})`);
+            }
+            if (!Array.isArray(alert.active_periods) || alert.active_periods.length === 0) {
+                this.addError(ALERTS_FILE, `${context}: active_periods saknas`);
+            } else {
+                alert.active_periods
+                    .filter(period => !this.alertManager.normalizePeriod(period))
+                    .forEach(period => this.addError(ALERTS_FILE, `${context}: ogiltig period ${JSON.stringify(period)} (YYYY-MM-DDTHH:MM eller YYYY-MM-DD, start före slut)`));
+            }
+            if (alert.display_from !== undefined && !this.alertManager.normalizeStamp(alert.display_from, '00:00')) {
+                this.addError(ALERTS_FILE, `${context}: display_from "${alert.display_from}" är inte YYYY-MM-DDTHH:MM eller YYYY-MM-DD`);
+            }
+
+            (alert.targets || []).forEach((target, targetIndex) => {
+                const targetContext = `${context} targets[${targetIndex}]`;
+                const line = lines.find(candidate => candidate.id === target.line);
+                if (target.line && !line) {
+                    this.addError(ALERTS_FILE, `${targetContext}: linjen "${target.line}" finns inte i ${LINES_FILE}`);
+                    return;
+                }
+                if (target.direction && !lines.some(candidate => (!line || candidate === line) &&
+                    (candidate.directions || []).some(direction => direction.id === target.direction))) {
+                    this.addError(ALERTS_FILE, `${targetContext}: okänd riktning "${target.direction}"`);
+                }
+                if (target.time && !TIME_PATTERN.test(target.time)) {
+                    this.addError(ALERTS_FILE, `${targetContext}: "${target.time}" är inte en tid i HH:MM-format`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Kör alla kontroller
+     * @returns {boolean} Sant om inga fel hittades
+     */
+    run() {
+        const lines = this.checkRegistry();
+        lines
+            .filter(line => line.config)
+            .forEach(line => this.checkLine(line));
+        this.checkAlerts(lines);
+        return this.errors.size === 0;
+    }
+
+    /**
+     * Skriver ut resultatet
+     * @param {Object} output - Ström med log/error (t.ex. console)
+     */
+    report(output) {
+        if (this.errors.size === 0) {
+            output.log(`✓ Linjeregistret, ${this.configFiles.length} konfigurationer och ${this.checkedFiles.size} tidtabellsfiler är giltiga`);
+            return;
+        }
+
+        let count = 0;
+        this.errors.forEach((messages, file) => {
+            output.error(`\n✗ ${file}`);
+            messages.forEach(message => {
+                output.error(`  - ${message}`);
+                count++;
+            });
+        });
+        output.error(`\n${count} fel i ${this.errors.size} filer`);
+    }
+}
+
+if (require.main === module) {
+    const dataDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'data'));
+    const validator = new ScheduleValidator(dataDir);
+    const valid = validator.run();
+    validator.report(console);
+    process.exit(valid ? 0 : 1);
+}
+
+module.exports = ScheduleValidator;